@@ -0,0 +1,39 @@
+/**
+ * Authentication Configuration
+ *
+ * Token secrets and lifetimes, read from the environment
+ */
+
+// Short-lived access tokens are sent with every request; refresh tokens only to
+// /api/auth/refresh, where each one can be used once
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL = '7d';
+
+// Refresh tokens kept per user, i.e. devices that can stay signed in at once
+const MAX_SESSIONS_PER_USER = 10;
+
+/**
+ * Get the token settings
+ * @returns {Object} Secrets and lifetimes (as accepted by jsonwebtoken's expiresIn)
+ * @throws {Error} If a secret is missing
+ */
+const getAuthConfig = () => {
+  const accessTokenSecret = process.env.JWT_SECRET;
+  const refreshTokenSecret = process.env.JWT_REFRESH_SECRET;
+
+  if (!accessTokenSecret || !refreshTokenSecret) {
+    throw new Error('JWT_SECRET and JWT_REFRESH_SECRET must be set');
+  }
+
+  return {
+    accessTokenSecret,
+    refreshTokenSecret,
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL,
+    refreshTokenTtl: process.env.REFRESH_TOKEN_TTL || DEFAULT_REFRESH_TOKEN_TTL,
+  };
+};
+
+module.exports = {
+  MAX_SESSIONS_PER_USER,
+  getAuthConfig,
+};
@@ -28,6 +28,15 @@ const connectDB = async () => {
 
     logger.info(`MongoDB Connected: ${conn.connection.host}`);
 
+    // Resolving overlaps, merging, bulk transactional mode and the like write
+    // in transactions, which a standalone server does not support
+    const { setName, msg } = await conn.connection.db.admin().command({ isMaster: 1 });
+    if (!setName && msg !== 'isdbgrid') {
+      logger.warn(
+        'MongoDB is not a replica set; requests that write in a transaction will fail (see DEPLOYMENT.md)'
+      );
+    }
+
     // Handle connection events
     mongoose.connection.on('error', (err) => {
       logger.error(`MongoDB connection error: ${err}`);
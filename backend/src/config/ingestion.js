@@ -0,0 +1,48 @@
+/**
+ * Ingestion Configuration
+ *
+ * Machine state signals: debounce, idempotency and the optional MQTT subscriber
+ */
+
+// Seconds a new state must hold before it counts as a change
+const DEFAULT_DEBOUNCE_SECONDS = 30;
+
+// Days the keys of ingested events are kept to recognise retried batches
+const DEFAULT_KEY_RETENTION_DAYS = 7;
+
+// Topic the MQTT subscriber listens on; the + level is the machine serial number
+const DEFAULT_MQTT_TOPIC = 'machines/+/state';
+
+/**
+ * Get the ingestion settings
+ * @returns {Object} `{ debounceSeconds, keyRetentionDays, mqttUrl, mqttTopic, mqttUsername, mqttPassword }`;
+ * mqttUrl is undefined when the MQTT subscriber is turned off
+ * @throws {Error} If a setting is not a non-negative number
+ */
+const getIngestionConfig = () => {
+  const debounceSeconds = Number(process.env.SIGNAL_DEBOUNCE_SECONDS ?? DEFAULT_DEBOUNCE_SECONDS);
+  const keyRetentionDays = Number(
+    process.env.SIGNAL_KEY_RETENTION_DAYS || DEFAULT_KEY_RETENTION_DAYS
+  );
+
+  if (!Number.isFinite(debounceSeconds) || debounceSeconds < 0) {
+    throw new Error('SIGNAL_DEBOUNCE_SECONDS must be a non-negative number of seconds');
+  }
+
+  if (!Number.isFinite(keyRetentionDays) || keyRetentionDays <= 0) {
+    throw new Error('SIGNAL_KEY_RETENTION_DAYS must be a positive number of days');
+  }
+
+  return {
+    debounceSeconds,
+    keyRetentionDays,
+    mqttUrl: process.env.MQTT_URL || undefined,
+    mqttTopic: process.env.MQTT_TOPIC || DEFAULT_MQTT_TOPIC,
+    mqttUsername: process.env.MQTT_USERNAME || undefined,
+    mqttPassword: process.env.MQTT_PASSWORD || undefined,
+  };
+};
+
+module.exports = {
+  getIngestionConfig,
+};
@@ -0,0 +1,41 @@
+/**
+ * Maintenance Configuration
+ *
+ * How often due maintenance plans are turned into work orders and how far ahead
+ * their windows are put on the timeline
+ */
+
+// Hours between runs of the scheduling job in the server; 0 leaves scheduling to
+// POST /api/maintenance/schedule
+const DEFAULT_SCHEDULE_INTERVAL_HOURS = 1;
+
+// Days before a calendar plan falls due that its window is put on the timeline
+const DEFAULT_SCHEDULE_AHEAD_DAYS = 7;
+
+/**
+ * Get the maintenance scheduling settings
+ * @returns {Object} `{ scheduleIntervalHours, scheduleAheadDays }`
+ * @throws {Error} If a setting is not a non-negative number
+ */
+const getMaintenanceConfig = () => {
+  const scheduleIntervalHours = Number(
+    process.env.MAINTENANCE_SCHEDULE_INTERVAL_HOURS || DEFAULT_SCHEDULE_INTERVAL_HOURS
+  );
+  const scheduleAheadDays = Number(
+    process.env.MAINTENANCE_SCHEDULE_AHEAD_DAYS || DEFAULT_SCHEDULE_AHEAD_DAYS
+  );
+
+  if (!Number.isFinite(scheduleIntervalHours) || scheduleIntervalHours < 0) {
+    throw new Error('MAINTENANCE_SCHEDULE_INTERVAL_HOURS must be a non-negative number of hours');
+  }
+
+  if (!Number.isFinite(scheduleAheadDays) || scheduleAheadDays < 0) {
+    throw new Error('MAINTENANCE_SCHEDULE_AHEAD_DAYS must be a non-negative number of days');
+  }
+
+  return { scheduleIntervalHours, scheduleAheadDays };
+};
+
+module.exports = {
+  getMaintenanceConfig,
+};
@@ -0,0 +1,82 @@
+/**
+ * Permission Configuration
+ *
+ * Roles and the permissions each one is granted
+ */
+
+const ROLES = ['operator', 'maintenance', 'supervisor', 'admin', 'gateway'];
+
+// Role given to new users
+const DEFAULT_ROLE = 'operator';
+
+const PERMISSIONS = [
+  'machines:read',
+  'machines:create',
+  'machines:update',
+  'machines:delete',
+  'segments:read',
+  'segments:create',
+  'segments:update',
+  // Create or change segments dated before today; without it only today's segments can be written
+  'segments:edit-past',
+  'segments:delete',
+  'segments:bulk',
+  'segments:import',
+  'reason-codes:write',
+  'shift-patterns:write',
+  // Create, rename and delete the sites, areas and lines of the plant hierarchy
+  'plant-nodes:write',
+  // Create, change and delete maintenance plans and schedule their work orders
+  'maintenance:plan',
+  // Complete work orders, which records the service on the machine
+  'maintenance:complete',
+  // Send machine state signals that are recorded as segments
+  'signals:ingest',
+];
+
+const OPERATOR_PERMISSIONS = [
+  'machines:read',
+  'segments:read',
+  'segments:create',
+  'segments:update',
+];
+
+const ROLE_PERMISSIONS = {
+  operator: OPERATOR_PERMISSIONS,
+  // Maintenance classifies breakdowns after the fact, sets machines to maintenance
+  // and completes the work orders of maintenance plans
+  maintenance: [
+    ...OPERATOR_PERMISSIONS,
+    'segments:edit-past',
+    'machines:update',
+    'maintenance:complete',
+  ],
+  supervisor: PERMISSIONS.filter((permission) => permission !== 'machines:delete'),
+  admin: PERMISSIONS,
+  // Devices and edge gateways forwarding PLC signals
+  gateway: ['signals:ingest'],
+};
+
+/**
+ * Get the permissions of a role
+ * @param {String} role - Role name
+ * @returns {Array<String>} Permissions, empty for an unknown role
+ */
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Check whether a role has a permission
+ * @param {String} role - Role name
+ * @param {String} permission - Permission, e.g. "segments:delete"
+ * @returns {Boolean} True if granted
+ */
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission,
+};
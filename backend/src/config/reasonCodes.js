@@ -0,0 +1,32 @@
+/**
+ * Reason Code Configuration
+ *
+ * Default downtime reason-code catalog loaded by the seed script
+ */
+
+// Parents are listed before their children; sub-reasons inherit the planned flag
+const DEFAULT_REASON_CODES = [
+  { code: 'PLANNED', name: 'Planned stop', planned: true },
+  { code: 'CHANGEOVER', name: 'Changeover', parentCode: 'PLANNED' },
+  { code: 'TOOL_CHANGE', name: 'Tool change', parentCode: 'CHANGEOVER' },
+  { code: 'PRODUCT_CHANGE', name: 'Product changeover', parentCode: 'CHANGEOVER' },
+  { code: 'PREVENTIVE_MAINTENANCE', name: 'Preventive maintenance', parentCode: 'PLANNED' },
+  { code: 'SCHEDULED_BREAK', name: 'Scheduled break', parentCode: 'PLANNED' },
+
+  { code: 'BREAKDOWN', name: 'Breakdown', planned: false },
+  { code: 'MECHANICAL', name: 'Mechanical failure', parentCode: 'BREAKDOWN' },
+  { code: 'SPINDLE', name: 'Spindle failure', parentCode: 'MECHANICAL' },
+  { code: 'HYDRAULIC', name: 'Hydraulic failure', parentCode: 'MECHANICAL' },
+  { code: 'ELECTRICAL', name: 'Electrical failure', parentCode: 'BREAKDOWN' },
+
+  { code: 'MATERIAL', name: 'Material', planned: false },
+  { code: 'MATERIAL_SHORTAGE', name: 'Material shortage', parentCode: 'MATERIAL' },
+  { code: 'QUALITY_HOLD', name: 'Quality hold', parentCode: 'MATERIAL' },
+
+  { code: 'OPERATOR', name: 'Operator', planned: false },
+  { code: 'NO_OPERATOR', name: 'No operator available', parentCode: 'OPERATOR' },
+];
+
+module.exports = {
+  DEFAULT_REASON_CODES,
+};
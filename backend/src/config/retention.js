@@ -0,0 +1,36 @@
+/**
+ * Retention Configuration
+ *
+ * How long deleted segments and machines can be restored before they are purged
+ */
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Hours between runs of the purge job in the server; 0 leaves purging to the script
+const DEFAULT_PURGE_INTERVAL_HOURS = 24;
+
+/**
+ * Get the retention settings
+ * @returns {Object} `{ retentionDays, purgeIntervalHours }`
+ * @throws {Error} If a setting is not a non-negative number
+ */
+const getRetentionConfig = () => {
+  const retentionDays = Number(process.env.DELETED_RETENTION_DAYS || DEFAULT_RETENTION_DAYS);
+  const purgeIntervalHours = Number(
+    process.env.PURGE_INTERVAL_HOURS || DEFAULT_PURGE_INTERVAL_HOURS
+  );
+
+  if (!Number.isFinite(retentionDays) || retentionDays < 0) {
+    throw new Error('DELETED_RETENTION_DAYS must be a non-negative number of days');
+  }
+
+  if (!Number.isFinite(purgeIntervalHours) || purgeIntervalHours < 0) {
+    throw new Error('PURGE_INTERVAL_HOURS must be a non-negative number of hours');
+  }
+
+  return { retentionDays, purgeIntervalHours };
+};
+
+module.exports = {
+  getRetentionConfig,
+};
@@ -0,0 +1,17 @@
+/**
+ * Shift Configuration
+ *
+ * Default shifts for machines without an active shift pattern
+ */
+
+// Shift start and end times are plant-local; a shift whose end is not after
+// its start ends on the next day and belongs to the day it starts on
+const DEFAULT_SHIFTS = [
+  { name: 'A', startTime: '06:00:00', endTime: '14:00:00' },
+  { name: 'B', startTime: '14:00:00', endTime: '22:00:00' },
+  { name: 'C', startTime: '22:00:00', endTime: '06:00:00' },
+];
+
+module.exports = {
+  DEFAULT_SHIFTS,
+};
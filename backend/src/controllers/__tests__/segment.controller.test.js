@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const Segment = require('../../models/Segment');
+const auditService = require('../../services/auditService');
+const eventService = require('../../services/eventService');
+const { restoreSegment, splitSegment, updateSegment } = require('../segment.controller');
+
+describe('Segment Controller', () => {
+  const admin = { id: 'u1', username: 'admin', name: 'Admin', role: 'admin', machineNames: [] };
+
+  const response = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.set = jest.fn(() => res);
+    return res;
+  };
+
+  const deletedSegment = (fields = {}) =>
+    new Segment({
+      machineName: 'M1',
+      segmentType: 'uptime',
+      startAt: new Date('2025-07-20T08:00:00.000Z'),
+      endAt: new Date('2025-07-20T10:00:00.000Z'),
+      deletedAt: new Date('2025-07-20T11:00:00.000Z'),
+      ...fields,
+    });
+
+  const restore = async (segment, query = {}) => {
+    jest.spyOn(Segment, 'findOne').mockResolvedValue(segment);
+
+    const res = response();
+    await restoreSegment({ params: { id: String(segment._id) }, query, user: admin }, res);
+
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(auditService, 'recordChange').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('restoreSegment', () => {
+    it('should reject a segment whose time has been taken since it was deleted', async () => {
+      const segment = deletedSegment();
+      const neighbour = new Segment({
+        machineName: 'M1',
+        segmentType: 'downtime',
+        startAt: new Date('2025-07-20T09:00:00.000Z'),
+        endAt: new Date('2025-07-20T11:00:00.000Z'),
+      });
+      jest.spyOn(Segment, 'find').mockResolvedValue([neighbour]);
+      jest.spyOn(Segment.prototype, 'save');
+
+      const res = await restore(segment);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          conflicts: [expect.objectContaining({ id: neighbour._id })],
+        })
+      );
+      expect(Segment.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('should answer 409 for a second open segment of the machine', async () => {
+      const segment = deletedSegment({ endAt: null });
+      jest.spyOn(Segment, 'find').mockResolvedValue([]);
+      jest
+        .spyOn(Segment.prototype, 'save')
+        .mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+      const res = await restore(segment);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Machine already has an open segment; close it first',
+      });
+      expect(auditService.recordChange).not.toHaveBeenCalled();
+    });
+
+    it('should answer 400 for a segment that fails validation', async () => {
+      const segment = deletedSegment();
+      const error = new mongoose.Error.ValidationError(segment);
+      error.addError(
+        'endAt',
+        new mongoose.Error.ValidatorError({ message: 'End time must be after the start time' })
+      );
+      jest.spyOn(Segment, 'find').mockResolvedValue([]);
+      jest.spyOn(Segment.prototype, 'save').mockRejectedValue(error);
+
+      const res = await restore(segment);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Validation Error',
+        errors: ['End time must be after the start time'],
+      });
+    });
+  });
+
+  describe('updateSegment', () => {
+    it('should not delete a segment through an update', async () => {
+      const segment = deletedSegment({ deletedAt: null });
+      jest.spyOn(Segment, 'findById').mockResolvedValue(segment);
+      jest.spyOn(Segment, 'find').mockResolvedValue([]);
+      jest.spyOn(Segment.prototype, 'validate').mockResolvedValue();
+      jest.spyOn(Segment.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+
+      const res = response();
+      await updateSegment(
+        {
+          params: { id: String(segment._id) },
+          query: {},
+          body: {
+            notes: 'Checked',
+            deletedAt: '2025-07-20T12:00:00.000Z',
+            deletedBy: { username: 'operator' },
+          },
+          user: admin,
+          get: () => undefined,
+        },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(segment.notes).toEqual('Checked');
+      expect(segment.deletedAt).toBeNull();
+      expect(segment.deletedBy?.username).toBeUndefined();
+    });
+  });
+
+  describe('splitSegment', () => {
+    const segmentToSplit = () =>
+      new Segment({
+        machineName: 'M1',
+        segmentType: 'uptime',
+        timezone: 'UTC',
+        date: '2025-07-20',
+        startTime: '08:00:00',
+        endTime: '10:00:00',
+        startAt: new Date('2025-07-20T08:00:00.000Z'),
+        endAt: new Date('2025-07-20T10:00:00.000Z'),
+      });
+
+    const split = async (segment) => {
+      jest.spyOn(Segment, 'findById').mockResolvedValue(segment);
+      jest.spyOn(Segment, 'find').mockResolvedValue([]);
+      jest.spyOn(mongoose.connection, 'transaction').mockImplementation((fn) => fn('session'));
+
+      const res = response();
+      await splitSegment(
+        {
+          params: { id: String(segment._id) },
+          query: {},
+          body: { at: '2025-07-20T09:00:00.000Z' },
+          user: admin,
+          get: () => undefined,
+        },
+        res
+      );
+
+      return res;
+    };
+
+    it('should save both parts in one transaction and announce them after it', async () => {
+      const segment = segmentToSplit();
+      const save = jest.spyOn(Segment.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+      const publishChange = jest.spyOn(eventService, 'publishChange').mockImplementation();
+
+      const res = await split(segment);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(save).toHaveBeenCalledTimes(2);
+      expect(save).toHaveBeenCalledWith({ session: 'session' });
+      expect(auditService.recordChange).toHaveBeenCalledWith(expect.anything(), {
+        session: 'session',
+      });
+      expect(publishChange.mock.calls.map(([change]) => change.action)).toEqual([
+        'update',
+        'create',
+      ]);
+    });
+
+    it('should announce nothing when the part after the split fails to save', async () => {
+      const segment = segmentToSplit();
+      jest
+        .spyOn(Segment.prototype, 'save')
+        .mockImplementationOnce(function () {
+          return Promise.resolve(this);
+        })
+        .mockRejectedValueOnce(Object.assign(new Error('E11000'), { code: 11000 }));
+      const publishChange = jest.spyOn(eventService, 'publishChange').mockImplementation();
+
+      const res = await split(segment);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(publishChange).not.toHaveBeenCalled();
+    });
+  });
+});
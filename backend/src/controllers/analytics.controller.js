@@ -0,0 +1,72 @@
+/**
+ * Analytics Controller
+ *
+ * Handles production analytics such as OEE
+ */
+
+const { calculateOee } = require("../services/oeeService");
+const { getDowntimePareto } = require("../services/downtimeService");
+const { getMachineScope } = require("../utils/accessUtils");
+const logger = require("../utils/logger");
+
+/**
+ * Get OEE per machine, shift and day with the daily trend
+ * @route GET /api/analytics/oee
+ * @access Private
+ */
+exports.getOee = async (req, res) => {
+  try {
+    const { startDate, endDate, machineName } = req.query;
+
+    const report = await calculateOee({
+      startDate,
+      endDate,
+      machineName,
+      machineNames: getMachineScope(req.user),
+    });
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    logger.error("Error calculating OEE", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get downtime minutes by reason code, ranked with cumulative percentages
+ * @route GET /api/analytics/downtime-pareto
+ * @access Private
+ */
+exports.getDowntimePareto = async (req, res) => {
+  try {
+    const { startDate, endDate, machineName, level, planned } = req.query;
+
+    const pareto = await getDowntimePareto({
+      startDate,
+      endDate,
+      machineName,
+      machineNames: getMachineScope(req.user),
+      level,
+      planned: planned === undefined ? undefined : planned === "true",
+    });
+
+    res.status(200).json({
+      success: true,
+      data: pareto,
+    });
+  } catch (error) {
+    logger.error("Error building downtime Pareto", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
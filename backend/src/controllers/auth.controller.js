@@ -0,0 +1,115 @@
+/**
+ * Auth Controller
+ *
+ * Handles sign-in, session refresh and sign-out
+ */
+
+const User = require("../models/User");
+const authService = require("../services/authService");
+const logger = require("../utils/logger");
+
+/**
+ * Sign in with username and password
+ * @route POST /api/auth/login
+ * @access Public
+ */
+exports.login = async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const session = await authService.login(username, password);
+
+    logger.info(`User ${session.user.username} signed in`);
+
+    res.status(200).json({
+      success: true,
+      data: session,
+    });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access and refresh token
+ * @route POST /api/auth/refresh
+ * @access Public
+ */
+exports.refresh = async (req, res) => {
+  try {
+    const session = await authService.refreshSession(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      data: session,
+    });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+/**
+ * Sign out by revoking a refresh token
+ * @route POST /api/auth/logout
+ * @access Public
+ */
+exports.logout = async (req, res) => {
+  try {
+    await authService.logout(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: "Signed out successfully",
+    });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+/**
+ * Get the signed-in user
+ * @route GET /api/auth/me
+ * @access Private
+ */
+exports.getCurrentUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        message: "User no longer exists or is disabled",
+        code: "INVALID_TOKEN",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: authService.formatUser(user),
+    });
+  } catch (error) {
+    logger.error("Error fetching current user", error);
+    sendAuthError(res, error);
+  }
+};
+
+/**
+ * Helper function to turn a failed authentication into a response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the auth service
+ */
+const sendAuthError = (res, error) => {
+  if (error.name === "AuthError") {
+    return res.status(401).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: "Server Error",
+    error: error.message,
+  });
+};
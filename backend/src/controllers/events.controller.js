@@ -0,0 +1,80 @@
+/**
+ * Events Controller
+ *
+ * Streams segment and machine changes to clients as Server-Sent Events
+ */
+
+const eventService = require("../services/eventService");
+const { hasPermission } = require("../config/permissions");
+const { canAccessMachine } = require("../utils/accessUtils");
+const logger = require("../utils/logger");
+
+// Comment sent on idle streams so proxies do not time them out
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// How long a client waits before reconnecting after the stream drops
+const RECONNECT_DELAY_MS = 5000;
+
+// Permission needed to receive the changes of each kind of record
+const EVENT_PERMISSIONS = {
+  segment: "segments:read",
+  machine: "machines:read",
+};
+
+/**
+ * Stream the segment and machine changes the user can see, optionally for
+ * one machine only
+ * @route GET /api/events
+ * @access Private (segments:read for segment events, machines:read for machine events)
+ */
+exports.streamEvents = (req, res) => {
+  const { machineName } = req.query;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Keep nginx from buffering the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const unsubscribe = eventService.subscribe(
+    (event) => {
+      if (isVisible(event, req.user, machineName)) {
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
+      }
+    },
+    () => res.end()
+  );
+
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    HEARTBEAT_INTERVAL_MS
+  );
+
+  logger.info(`Event stream opened for ${req.user.username}`);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+/**
+ * Helper function to check whether a user may receive an event
+ * @param {Object} event - Event from eventService
+ * @param {Object} user - Signed-in user (req.user)
+ * @param {String} [machineName] - Machine the client asked for
+ * @returns {Boolean} True if the user can read the record and its machine
+ */
+const isVisible = (event, user, machineName) => {
+  const permission = EVENT_PERMISSIONS[event.event.split(".")[0]];
+
+  return (
+    Boolean(permission) &&
+    hasPermission(user.role, permission) &&
+    canAccessMachine(user, event.machineName) &&
+    (!machineName || event.machineName === machineName)
+  );
+};
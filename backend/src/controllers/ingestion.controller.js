@@ -0,0 +1,46 @@
+/**
+ * Ingestion Controller
+ *
+ * Accepts machine state events from PLCs and IoT gateways over HTTP
+ */
+
+const ingestionService = require("../services/ingestionService");
+const auditService = require("../services/auditService");
+const logger = require("../utils/logger");
+
+/**
+ * Ingest a batch of timestamped machine state events
+ * @route POST /api/ingestion/events
+ * @access Private (signals:ingest)
+ */
+exports.ingestEvents = async (req, res) => {
+  try {
+    // A batch sent again with the same Idempotency-Key is recognised even
+    // when its events carry no keys of their own
+    const batchKey = req.get("Idempotency-Key");
+    const events = batchKey
+      ? req.body.events.map((event, index) => ({
+          key: `${batchKey}:${index}`,
+          ...event,
+        }))
+      : req.body.events;
+
+    const result = await ingestionService.ingestEvents(events, {
+      source: "http",
+      ...auditService.getAuditContext(req),
+    });
+
+    // Multi-Status when only part of the batch was accepted
+    res.status(result.rejected.length > 0 ? 207 : 200).json({
+      success: result.rejected.length === 0,
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Error ingesting machine state events", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
@@ -1,10 +1,151 @@
 const Machine = require('../models/Machine');
+const Segment = require('../models/Segment');
+const auditService = require('../services/auditService');
+const machineService = require('../services/machineService');
+const plantService = require('../services/plantService');
+const { canAccessMachine, scopeMachineFilter } = require('../utils/accessUtils');
+const { encodeCursor, decodeCursor, buildCursorFilter } = require('../utils/cursorUtils');
+const {
+  getExpectedVersion,
+  isVersionConflict,
+  withoutServerFields,
+  setVersionTag,
+} = require('../utils/versionUtils');
 
-// Get all machines
+const NO_MACHINE_ACCESS = { message: 'You do not have access to this machine' };
+
+// Machines per page of the machine list unless a limit is given
+const DEFAULT_PAGE_SIZE = 50;
+
+// Runtime counters are kept from the machine's segments and cannot be written
+const withoutCounters = (body = {}) => {
+  const fields = { ...body };
+  delete fields.counters;
+  return fields;
+};
+
+// Segments are linked to machines by name when recorded, so names must be unique
+const sendNameTaken = (res, name) =>
+  res.status(409).json({ message: `A machine named ${name} already exists` });
+
+// Refuse an update based on an outdated version, returning the machine as stored now
+const sendVersionConflict = (res, current) =>
+  setVersionTag(res, current).status(409).json({
+    message: 'Machine was changed by someone else; review their changes and try again',
+    code: 'VERSION_CONFLICT',
+    current,
+  });
+
+// Get machines filtered by status, type, location, plant node and a search on name or serial
+// number, sorted and a page at a time. The next page starts after pagination.nextCursor
+// Only the list answers in the { success, data, pagination } envelope of the segment list;
+// the other machine requests answer with the machine itself and errors as { message }
 exports.getAllMachines = async (req, res) => {
   try {
-    const machines = await Machine.find();
-    res.status(200).json(machines);
+    const {
+      status,
+      type,
+      location,
+      search,
+      node,
+      sort = 'name',
+      order = 'asc',
+      cursor,
+      fields,
+    } = req.query;
+
+    const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+    const filter = {};
+
+    if (status) {
+      filter.status = status;
+    }
+    if (type) {
+      filter.type = type;
+    }
+    if (location) {
+      filter.location = location;
+    }
+
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ name: pattern }, { serialNumber: pattern }];
+    }
+
+    if (node) {
+      const lineIds = await plantService.getNodeLineIds(node);
+      if (!lineIds) {
+        return res.status(404).json({ success: false, message: 'Plant node not found' });
+      }
+      filter.line = { $in: lineIds };
+    }
+
+    scopeMachineFilter(filter, req.user, 'name');
+
+    // Items after the cursor; the search may already use $or
+    if (cursor) {
+      filter.$and = [buildCursorFilter(decodeCursor(cursor), order)];
+    }
+
+    const direction = order === 'desc' ? -1 : 1;
+    const query = Machine.find(filter)
+      .sort({ [sort]: direction, _id: direction })
+      // One more than asked for tells whether there is a next page
+      .limit(limit + 1);
+
+    // The sort field is needed for the cursor even when not asked for
+    if (fields) {
+      query.select([...new Set([...fields.split(',').map((field) => field.trim()), sort])]);
+    }
+
+    const machines = await query;
+    const hasMore = machines.length > limit;
+    const page = hasMore ? machines.slice(0, limit) : machines;
+
+    res.status(200).json({
+      success: true,
+      count: page.length,
+      data: page,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error', error: error.message });
+  }
+};
+
+// Get the current state of every machine: its open segment and how long it has been open.
+// Machines without an open segment have a null state
+exports.getCurrentStates = async (req, res) => {
+  try {
+    const [machines, openSegments] = await Promise.all([
+      Machine.find(scopeMachineFilter({}, req.user, 'name'), 'name status').lean(),
+      Segment.find(scopeMachineFilter({ endTime: null }, req.user)).lean(),
+    ]);
+    const openByMachine = new Map(openSegments.map((segment) => [segment.machineName, segment]));
+    const statusByMachine = new Map(machines.map((machine) => [machine.name, machine.status]));
+    const now = Date.now();
+
+    // Segments can be recorded for machine names without a machine record
+    const names = [...new Set([...statusByMachine.keys(), ...openByMachine.keys()])].sort();
+
+    res.status(200).json(
+      names.map((machineName) => {
+        const segment = openByMachine.get(machineName);
+
+        return {
+          machineName,
+          status: statusByMachine.get(machineName) || null,
+          state: segment ? segment.segmentType : null,
+          since: segment ? segment.startAt : null,
+          elapsedMinutes: segment ? Math.floor((now - segment.startAt) / 60000) : null,
+          segment: segment || null,
+        };
+      })
+    );
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -17,6 +158,10 @@ exports.getMachineById = async (req, res) => {
     if (!machine) {
       return res.status(404).json({ message: 'Machine not found' });
     }
+    if (!canAccessMachine(req.user, machine.name)) {
+      return res.status(403).json(NO_MACHINE_ACCESS);
+    }
+    setVersionTag(res, machine);
     res.status(200).json(machine);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -26,45 +171,166 @@ exports.getMachineById = async (req, res) => {
 // Create a new machine
 exports.createMachine = async (req, res) => {
   try {
-    const machine = new Machine(req.body);
+    const machine = new Machine(withoutCounters(withoutServerFields(req.body)));
+    if (!canAccessMachine(req.user, machine.name)) {
+      return res.status(403).json(NO_MACHINE_ACCESS);
+    }
+
+    // Serial numbers stay taken until a deleted machine is purged
+    const deletedMachine = await Machine.exists({
+      serialNumber: machine.serialNumber,
+      deletedAt: { $ne: null },
+    });
+    if (deletedMachine) {
+      return res.status(409).json({
+        message: `A deleted machine has serial number ${machine.serialNumber}; restore it instead`,
+        id: deletedMachine._id,
+      });
+    }
+
+    if (machine.name && (await Machine.isNameTaken(machine.name))) {
+      return sendNameTaken(res, machine.name);
+    }
+
     const newMachine = await machine.save();
+    await auditService.recordChange({
+      entityType: 'Machine',
+      action: 'create',
+      after: newMachine,
+      ...auditService.getAuditContext(req),
+    });
     res.status(201).json(newMachine);
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 };
 
-// Update a machine
+// Update a machine; an If-Match header or __v field naming an older version gets a 409
 exports.updateMachine = async (req, res) => {
   try {
     const machine = await Machine.findById(req.params.id);
     if (!machine) {
       return res.status(404).json({ message: 'Machine not found' });
     }
+    if (!canAccessMachine(req.user, machine.name)) {
+      return res.status(403).json(NO_MACHINE_ACCESS);
+    }
+
+    if (isVersionConflict(machine, getExpectedVersion(req))) {
+      return sendVersionConflict(res, machine);
+    }
 
-    Object.assign(machine, req.body);
+    const before = auditService.snapshot(machine);
+    Object.assign(machine, withoutCounters(withoutServerFields(req.body)));
+    if (!canAccessMachine(req.user, machine.name)) {
+      return res.status(403).json(NO_MACHINE_ACCESS);
+    }
+
+    const renamed = machine.isModified('name');
+    if (renamed && (await Machine.isNameTaken(machine.name, machine._id))) {
+      return sendNameTaken(res, machine.name);
+    }
+
+    const timezoneChanged = machine.isModified('timezone');
     const updatedMachine = await machine.save();
+    await auditService.recordChange({
+      entityType: 'Machine',
+      action: 'update',
+      before,
+      after: updatedMachine,
+      ...auditService.getAuditContext(req),
+    });
+
+    if (renamed) {
+      await machineService.propagateRename(updatedMachine, before.name);
+    }
+
+    // Segment times are recorded in plant-local time, so re-derive their timestamps
+    // and the run hours counted from them
+    if (timezoneChanged) {
+      await Segment.syncTimestamps({ machineName: updatedMachine.name });
+      await Segment.recomputeRuntimeCounters({ _id: updatedMachine._id });
+    }
+
+    setVersionTag(res, updatedMachine);
     res.status(200).json(updatedMachine);
   } catch (error) {
+    // Saved by another request while this one was running
+    if (error.name === 'VersionError') {
+      const current = await Machine.findById(req.params.id);
+      if (current) {
+        return sendVersionConflict(res, current);
+      }
+    }
     res.status(400).json({ message: error.message });
   }
 };
 
-// Delete a machine
+// Delete a machine; it can be restored until the retention job purges it
 exports.deleteMachine = async (req, res) => {
   try {
     const machine = await Machine.findById(req.params.id);
     if (!machine) {
       return res.status(404).json({ message: 'Machine not found' });
     }
+    if (!canAccessMachine(req.user, machine.name)) {
+      return res.status(403).json(NO_MACHINE_ACCESS);
+    }
 
-    await Machine.findByIdAndDelete(req.params.id);
+    await machine.softDelete(req.user);
+    await auditService.recordChange({
+      entityType: 'Machine',
+      action: 'delete',
+      before: machine,
+      ...auditService.getAuditContext(req),
+    });
     res.status(200).json({ message: 'Machine deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
+// Get recently deleted machines
+exports.getDeletedMachines = async (req, res) => {
+  try {
+    const machines = await Machine.find(
+      scopeMachineFilter({ deletedAt: { $ne: null } }, req.user, 'name')
+    ).sort({ deletedAt: -1 });
+    res.status(200).json(machines);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Restore a deleted machine
+exports.restoreMachine = async (req, res) => {
+  try {
+    const machine = await Machine.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!machine) {
+      return res.status(404).json({ message: 'Deleted machine not found' });
+    }
+    if (!canAccessMachine(req.user, machine.name)) {
+      return res.status(403).json(NO_MACHINE_ACCESS);
+    }
+
+    // The name may have been given to another machine since
+    if (await Machine.isNameTaken(machine.name, machine._id)) {
+      return sendNameTaken(res, machine.name);
+    }
+
+    const restoredMachine = await machine.restore();
+    await auditService.recordChange({
+      entityType: 'Machine',
+      action: 'restore',
+      after: restoredMachine,
+      ...auditService.getAuditContext(req),
+    });
+    res.status(200).json(restoredMachine);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // Add a segment to a machine
 exports.addSegment = async (req, res) => {
   try {
@@ -72,9 +338,20 @@ exports.addSegment = async (req, res) => {
     if (!machine) {
       return res.status(404).json({ message: 'Machine not found' });
     }
+    if (!canAccessMachine(req.user, machine.name)) {
+      return res.status(403).json(NO_MACHINE_ACCESS);
+    }
 
+    const before = auditService.snapshot(machine);
     machine.segments.push(req.body);
     const updatedMachine = await machine.save();
+    await auditService.recordChange({
+      entityType: 'Machine',
+      action: 'update',
+      before,
+      after: updatedMachine,
+      ...auditService.getAuditContext(req),
+    });
     res.status(200).json(updatedMachine);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -88,14 +365,25 @@ exports.updateSegment = async (req, res) => {
     if (!machine) {
       return res.status(404).json({ message: 'Machine not found' });
     }
+    if (!canAccessMachine(req.user, machine.name)) {
+      return res.status(403).json(NO_MACHINE_ACCESS);
+    }
 
     const segment = machine.segments.id(req.params.segmentId);
     if (!segment) {
       return res.status(404).json({ message: 'Segment not found' });
     }
 
+    const before = auditService.snapshot(machine);
     Object.assign(segment, req.body);
     const updatedMachine = await machine.save();
+    await auditService.recordChange({
+      entityType: 'Machine',
+      action: 'update',
+      before,
+      after: updatedMachine,
+      ...auditService.getAuditContext(req),
+    });
     res.status(200).json(updatedMachine);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -109,6 +397,9 @@ exports.deleteSegment = async (req, res) => {
     if (!machine) {
       return res.status(404).json({ message: 'Machine not found' });
     }
+    if (!canAccessMachine(req.user, machine.name)) {
+      return res.status(403).json(NO_MACHINE_ACCESS);
+    }
 
     const segmentIndex = machine.segments.findIndex(
       (segment) => segment._id.toString() === req.params.segmentId
@@ -118,8 +409,16 @@ exports.deleteSegment = async (req, res) => {
       return res.status(404).json({ message: 'Segment not found' });
     }
 
+    const before = auditService.snapshot(machine);
     machine.segments.splice(segmentIndex, 1);
     const updatedMachine = await machine.save();
+    await auditService.recordChange({
+      entityType: 'Machine',
+      action: 'update',
+      before,
+      after: updatedMachine,
+      ...auditService.getAuditContext(req),
+    });
     res.status(200).json(updatedMachine);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -0,0 +1,442 @@
+/**
+ * Maintenance Controller
+ *
+ * Handles preventive maintenance plans, the due list and work orders
+ */
+
+const MaintenancePlan = require("../models/MaintenancePlan");
+const WorkOrder = require("../models/WorkOrder");
+const maintenanceService = require("../services/maintenanceService");
+const auditService = require("../services/auditService");
+const logger = require("../utils/logger");
+const {
+  canAccessMachine,
+  scopeMachineFilter,
+  getMachineScope,
+} = require("../utils/accessUtils");
+
+// Fields that can be set on a maintenance plan; the machine is only set on create
+const MAINTENANCE_PLAN_FIELDS = [
+  "name",
+  "description",
+  "component",
+  "intervalType",
+  "interval",
+  "leadTime",
+  "windowStartTime",
+  "windowMinutes",
+  "reasonCode",
+  "lastServiceAt",
+  "active",
+];
+
+/**
+ * Get all maintenance plans
+ * @route GET /api/maintenance/plans
+ * @access Private
+ */
+exports.getMaintenancePlans = async (req, res) => {
+  try {
+    const { machineName, active } = req.query;
+
+    const filter = {};
+
+    if (machineName) {
+      filter.machineName = machineName;
+    }
+
+    if (active !== undefined) {
+      filter.active = active === "true";
+    }
+
+    const plans = await MaintenancePlan.find(
+      scopeMachineFilter(filter, req.user)
+    )
+      .sort({ machineName: 1, name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: plans.length,
+      data: plans,
+    });
+  } catch (error) {
+    logger.error("Error fetching maintenance plans", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get maintenance plan by ID
+ * @route GET /api/maintenance/plans/:id
+ * @access Private
+ */
+exports.getMaintenancePlanById = async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.findById(req.params.id);
+
+    if (!plan) {
+      return sendNotFound(res, "Maintenance plan not found");
+    }
+
+    if (!canAccessMachine(req.user, plan.machineName)) {
+      return sendForbidden(
+        res,
+        `You do not have access to machine ${plan.machineName}`
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    logger.error(
+      `Error fetching maintenance plan with id ${req.params.id}`,
+      error
+    );
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create maintenance plan
+ * @route POST /api/maintenance/plans
+ * @access Private (maintenance:plan)
+ */
+exports.createMaintenancePlan = async (req, res) => {
+  try {
+    const { machineName } = req.body;
+
+    if (!canAccessMachine(req.user, machineName)) {
+      return sendForbidden(
+        res,
+        `You do not have access to machine ${machineName}`
+      );
+    }
+
+    const plan = await MaintenancePlan.create({
+      ...pickMaintenancePlanFields(req.body),
+      machineName,
+    });
+    await auditService.recordChange({
+      entityType: "MaintenancePlan",
+      action: "create",
+      after: plan,
+      ...auditService.getAuditContext(req),
+    });
+
+    logger.info(
+      `Created maintenance plan ${plan.name} for machine ${plan.machineName}`
+    );
+
+    res.status(201).json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    logger.error("Error creating maintenance plan", error);
+    sendMaintenancePlanError(res, error);
+  }
+};
+
+/**
+ * Update maintenance plan
+ * @route PUT /api/maintenance/plans/:id
+ * @access Private (maintenance:plan)
+ */
+exports.updateMaintenancePlan = async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.findById(req.params.id);
+
+    if (!plan) {
+      return sendNotFound(res, "Maintenance plan not found");
+    }
+
+    if (!canAccessMachine(req.user, plan.machineName)) {
+      return sendForbidden(
+        res,
+        `You do not have access to machine ${plan.machineName}`
+      );
+    }
+
+    const before = auditService.snapshot(plan);
+    plan.set(pickMaintenancePlanFields(req.body));
+
+    const updatedPlan = await plan.save();
+    await auditService.recordChange({
+      entityType: "MaintenancePlan",
+      action: "update",
+      before,
+      after: updatedPlan,
+      ...auditService.getAuditContext(req),
+    });
+
+    logger.info(`Updated maintenance plan ${updatedPlan.name}`);
+
+    res.status(200).json({
+      success: true,
+      data: updatedPlan,
+    });
+  } catch (error) {
+    logger.error(
+      `Error updating maintenance plan with id ${req.params.id}`,
+      error
+    );
+    sendMaintenancePlanError(res, error);
+  }
+};
+
+/**
+ * Delete maintenance plan; its open work order is cancelled and a window that
+ * has not started is taken off the timeline, all in one transaction
+ * @route DELETE /api/maintenance/plans/:id
+ * @access Private (maintenance:plan)
+ */
+exports.deleteMaintenancePlan = async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.findById(req.params.id);
+
+    if (!plan) {
+      return sendNotFound(res, "Maintenance plan not found");
+    }
+
+    if (!canAccessMachine(req.user, plan.machineName)) {
+      return sendForbidden(
+        res,
+        `You do not have access to machine ${plan.machineName}`
+      );
+    }
+
+    await maintenanceService.deletePlan(
+      plan,
+      auditService.getAuditContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Maintenance plan deleted successfully",
+    });
+  } catch (error) {
+    logger.error(
+      `Error deleting maintenance plan with id ${req.params.id}`,
+      error
+    );
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the maintenance plans that are due or overdue, most urgent first
+ * @route GET /api/maintenance/due
+ * @access Private
+ */
+exports.getDueMaintenance = async (req, res) => {
+  try {
+    const { machineName, state } = req.query;
+
+    const plans = await maintenanceService.findDuePlans({
+      machineName,
+      machineNames: getMachineScope(req.user),
+      state,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: plans.length,
+      data: plans,
+    });
+  } catch (error) {
+    logger.error("Error fetching due maintenance", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Open work orders and put maintenance windows on the timeline for the plans
+ * falling due, without waiting for the scheduling job
+ * @route POST /api/maintenance/schedule
+ * @access Private (maintenance:plan)
+ */
+exports.scheduleMaintenance = async (req, res) => {
+  try {
+    const { created, skipped } = await maintenanceService.scheduleMaintenance();
+
+    res.status(200).json({
+      success: true,
+      count: created.length,
+      data: created,
+      skipped,
+    });
+  } catch (error) {
+    logger.error("Error scheduling maintenance", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get work orders, newest first
+ * @route GET /api/maintenance/work-orders
+ * @access Private
+ */
+exports.getWorkOrders = async (req, res) => {
+  try {
+    const { machineName, status } = req.query;
+
+    const filter = {};
+
+    if (machineName) {
+      filter.machineName = machineName;
+    }
+
+    if (status) {
+      filter.status = status;
+    }
+
+    const workOrders = await WorkOrder.find(
+      scopeMachineFilter(filter, req.user)
+    )
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: workOrders.length,
+      data: workOrders,
+    });
+  } catch (error) {
+    logger.error("Error fetching work orders", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Complete a work order, recording the service on the machine and its component
+ * @route POST /api/maintenance/work-orders/:id/complete
+ * @access Private (maintenance:complete)
+ */
+exports.completeWorkOrder = async (req, res) => {
+  try {
+    const workOrder = await WorkOrder.findById(req.params.id);
+
+    if (!workOrder) {
+      return sendNotFound(res, "Work order not found");
+    }
+
+    if (!canAccessMachine(req.user, workOrder.machineName)) {
+      return sendForbidden(
+        res,
+        `You do not have access to machine ${workOrder.machineName}`
+      );
+    }
+
+    if (workOrder.status !== "open") {
+      return res.status(409).json({
+        success: false,
+        message: `Work order is already ${workOrder.status}`,
+      });
+    }
+
+    const completed = await maintenanceService.completeWorkOrder(workOrder, {
+      completedAt: req.body.completedAt
+        ? new Date(req.body.completedAt)
+        : new Date(),
+      notes: req.body.notes,
+      ...auditService.getAuditContext(req),
+    });
+
+    res.status(200).json({
+      success: true,
+      data: completed,
+    });
+  } catch (error) {
+    logger.error(`Error completing work order with id ${req.params.id}`, error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Helper function to keep only the maintenance plan fields of a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Maintenance plan fields that were sent
+ */
+const pickMaintenancePlanFields = (body) =>
+  Object.fromEntries(
+    MAINTENANCE_PLAN_FIELDS.filter((key) => body[key] !== undefined).map(
+      (key) => [key, body[key]]
+    )
+  );
+
+/**
+ * Helper function to send a 404 response
+ * @param {Object} res - Express response object
+ * @param {String} message - What was not found
+ */
+const sendNotFound = (res, message) =>
+  res.status(404).json({
+    success: false,
+    message,
+  });
+
+/**
+ * Helper function to send a 403 response for a machine outside the user's scope
+ * @param {Object} res - Express response object
+ * @param {String} message - Error message
+ */
+const sendForbidden = (res, message) =>
+  res.status(403).json({
+    success: false,
+    message,
+    code: "FORBIDDEN",
+  });
+
+/**
+ * Helper function to turn a failed maintenance plan save into a response
+ * @param {Object} res - Express response
+ * @param {Error} error - Save error
+ */
+const sendMaintenancePlanError = (res, error) => {
+  if (error.name === "ValidationError") {
+    const messages = Object.values(error.errors).map((err) => err.message);
+
+    return res.status(400).json({
+      success: false,
+      message: "Validation Error",
+      errors: messages,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: "Server Error",
+    error: error.message,
+  });
+};
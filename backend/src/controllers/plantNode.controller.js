@@ -0,0 +1,204 @@
+/**
+ * Plant Node Controller
+ *
+ * Handles the plant hierarchy of enterprises, sites, areas and lines
+ */
+
+const Machine = require("../models/Machine");
+const PlantNode = require("../models/PlantNode");
+const logger = require("../utils/logger");
+const { scopeMachineFilter } = require("../utils/accessUtils");
+
+/**
+ * Get the plant hierarchy; as a tree, each line lists its machines
+ * @route GET /api/plant-nodes
+ * @access Private
+ */
+exports.getPlantNodes = async (req, res) => {
+  try {
+    const { level, format = "flat" } = req.query;
+
+    const filter = {};
+
+    if (level) {
+      filter.level = level;
+    }
+
+    const nodes = await PlantNode.find(filter).sort({ name: 1 }).lean();
+
+    if (format !== "tree") {
+      return res.status(200).json({
+        success: true,
+        count: nodes.length,
+        data: nodes,
+      });
+    }
+
+    const machines = await Machine.find(
+      scopeMachineFilter({ line: { $ne: null } }, req.user, "name"),
+      "name status line"
+    )
+      .sort({ name: 1 })
+      .lean();
+
+    const nodesWithMachines = nodes.map((node) =>
+      node.level === "line"
+        ? {
+            ...node,
+            machines: machines.filter((machine) =>
+              machine.line.equals(node._id)
+            ),
+          }
+        : node
+    );
+
+    res.status(200).json({
+      success: true,
+      count: nodes.length,
+      data: PlantNode.buildTree(nodesWithMachines),
+    });
+  } catch (error) {
+    logger.error("Error fetching plant nodes", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create plant node; its level follows from the parent
+ * @route POST /api/plant-nodes
+ * @access Private (plant-nodes:write)
+ */
+exports.createPlantNode = async (req, res) => {
+  try {
+    const node = await PlantNode.create(req.body);
+
+    logger.info(`Created ${node.level} ${node.name}`);
+
+    res.status(201).json({
+      success: true,
+      data: node,
+    });
+  } catch (error) {
+    logger.error("Error creating plant node", error);
+    sendPlantNodeError(res, error);
+  }
+};
+
+/**
+ * Update plant node; nodes cannot be moved to another parent
+ * @route PUT /api/plant-nodes/:id
+ * @access Private (plant-nodes:write)
+ */
+exports.updatePlantNode = async (req, res) => {
+  try {
+    const node = await PlantNode.findById(req.params.id);
+
+    if (!node) {
+      return res.status(404).json({
+        success: false,
+        message: "Plant node not found",
+      });
+    }
+
+    ["name", "description"].forEach((key) => {
+      if (req.body[key] !== undefined) {
+        node[key] = req.body[key];
+      }
+    });
+
+    const updatedNode = await node.save();
+
+    logger.info(`Updated ${updatedNode.level} ${updatedNode.name}`);
+
+    res.status(200).json({
+      success: true,
+      data: updatedNode,
+    });
+  } catch (error) {
+    logger.error(`Error updating plant node with id ${req.params.id}`, error);
+    sendPlantNodeError(res, error);
+  }
+};
+
+/**
+ * Delete plant node that has no child nodes and no machines
+ * @route DELETE /api/plant-nodes/:id
+ * @access Private (plant-nodes:write)
+ */
+exports.deletePlantNode = async (req, res) => {
+  try {
+    const node = await PlantNode.findById(req.params.id);
+
+    if (!node) {
+      return res.status(404).json({
+        success: false,
+        message: "Plant node not found",
+      });
+    }
+
+    const [children, machines] = await Promise.all([
+      PlantNode.countDocuments({ parent: node._id }),
+      Machine.countDocuments({ line: node._id }),
+    ]);
+
+    if (children > 0 || machines > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${node.name} still has child nodes or machines; move or delete them first`,
+        children,
+        machines,
+      });
+    }
+
+    await node.deleteOne();
+
+    logger.info(`Deleted ${node.level} ${node.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Plant node deleted successfully",
+    });
+  } catch (error) {
+    logger.error(`Error deleting plant node with id ${req.params.id}`, error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Helper function to turn a failed plant node save into a response
+ * @param {Object} res - Express response
+ * @param {Error} error - Save error
+ */
+const sendPlantNodeError = (res, error) => {
+  if (error.name === "ValidationError") {
+    const messages = Object.values(error.errors).map((err) => err.message);
+
+    return res.status(400).json({
+      success: false,
+      message: "Validation Error",
+      errors: messages,
+    });
+  }
+
+  // Duplicate name under the same parent
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "A node with this name already exists under the parent",
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: "Server Error",
+    error: error.message,
+  });
+};
@@ -0,0 +1,179 @@
+/**
+ * Reason Code Controller
+ *
+ * Handles the downtime reason-code catalog
+ */
+
+const ReasonCode = require("../models/ReasonCode");
+const Segment = require("../models/Segment");
+const logger = require("../utils/logger");
+
+/**
+ * Get the reason-code catalog
+ * @route GET /api/reason-codes
+ * @access Private
+ */
+exports.getReasonCodes = async (req, res) => {
+  try {
+    const { active, format = "flat" } = req.query;
+
+    const filter = {};
+
+    if (active !== undefined) {
+      filter.active = active === "true";
+    }
+
+    const catalog = await ReasonCode.find(filter)
+      .sort({ parentCode: 1, name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: catalog.length,
+      data: format === "tree" ? ReasonCode.buildTree(catalog) : catalog,
+    });
+  } catch (error) {
+    logger.error("Error fetching reason codes", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create reason code
+ * @route POST /api/reason-codes
+ * @access Private (reason-codes:write)
+ */
+exports.createReasonCode = async (req, res) => {
+  try {
+    const reasonCode = await ReasonCode.create(req.body);
+
+    logger.info(`Created reason code ${reasonCode.code}`);
+
+    res.status(201).json({
+      success: true,
+      data: reasonCode,
+    });
+  } catch (error) {
+    logger.error("Error creating reason code", error);
+    sendReasonCodeError(res, error);
+  }
+};
+
+/**
+ * Update reason code; the code and parent cannot change once segments may use them
+ * @route PUT /api/reason-codes/:id
+ * @access Private (reason-codes:write)
+ */
+exports.updateReasonCode = async (req, res) => {
+  try {
+    const reasonCode = await ReasonCode.findById(req.params.id);
+
+    if (!reasonCode) {
+      return res.status(404).json({
+        success: false,
+        message: "Reason code not found",
+      });
+    }
+
+    ["name", "description", "planned", "active"].forEach((key) => {
+      if (req.body[key] !== undefined) {
+        reasonCode[key] = req.body[key];
+      }
+    });
+
+    const updatedReasonCode = await reasonCode.save();
+
+    logger.info(`Updated reason code ${updatedReasonCode.code}`);
+
+    res.status(200).json({
+      success: true,
+      data: updatedReasonCode,
+    });
+  } catch (error) {
+    logger.error(`Error updating reason code with id ${req.params.id}`, error);
+    sendReasonCodeError(res, error);
+  }
+};
+
+/**
+ * Delete reason code that has no children and is not used by any segment
+ * @route DELETE /api/reason-codes/:id
+ * @access Private (reason-codes:write)
+ */
+exports.deleteReasonCode = async (req, res) => {
+  try {
+    const reasonCode = await ReasonCode.findById(req.params.id);
+
+    if (!reasonCode) {
+      return res.status(404).json({
+        success: false,
+        message: "Reason code not found",
+      });
+    }
+
+    const [children, segments] = await Promise.all([
+      ReasonCode.countDocuments({ parentCode: reasonCode.code }),
+      Segment.countDocuments({ reasonCode: reasonCode.code }),
+    ]);
+
+    if (children > 0 || segments > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Reason code ${reasonCode.code} is in use; deactivate it instead`,
+        children,
+        segments,
+      });
+    }
+
+    await reasonCode.deleteOne();
+
+    logger.info(`Deleted reason code ${reasonCode.code}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Reason code deleted successfully",
+    });
+  } catch (error) {
+    logger.error(`Error deleting reason code with id ${req.params.id}`, error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Helper function to turn a failed reason-code save into a response
+ * @param {Object} res - Express response
+ * @param {Error} error - Save error
+ */
+const sendReasonCodeError = (res, error) => {
+  if (error.name === "ValidationError") {
+    const messages = Object.values(error.errors).map((err) => err.message);
+
+    return res.status(400).json({
+      success: false,
+      message: "Validation Error",
+      errors: messages,
+    });
+  }
+
+  // Duplicate code
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "Reason code already exists",
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: "Server Error",
+    error: error.message,
+  });
+};
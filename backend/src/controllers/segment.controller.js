@@ -4,50 +4,120 @@
  * Handles all segment-related operations
  */
 
+const mongoose = require("mongoose");
+const moment = require("moment-timezone");
 const Segment = require("../models/Segment");
+const auditService = require("../services/auditService");
+const eventService = require("../services/eventService");
+const gapService = require("../services/gapService");
+const plantService = require("../services/plantService");
 const logger = require("../utils/logger");
+const {
+  getSegmentRange,
+  isOpenSegment,
+  findOverlappingSegments,
+  planOverlapResolution,
+} = require("../utils/timeUtils");
+const {
+  parseImportFile,
+  resolveColumnMapping,
+  findMissingColumns,
+  mapImportRow,
+} = require("../utils/importUtils");
+const {
+  writeSegmentsCsv,
+  writeSegmentsXlsx,
+  writeReportPdf,
+} = require("../utils/exportUtils");
+const { checkSegmentData } = require("../middleware/validation");
+const {
+  canAccessMachine,
+  scopeMachineFilter,
+  getMachineScope,
+  getSegmentWriteError,
+} = require("../utils/accessUtils");
+const {
+  getExpectedVersion,
+  isVersionConflict,
+  withoutServerFields,
+  setVersionTag,
+} = require("../utils/versionUtils");
+
+// Aggregation expression for a segment's duration in minutes, based on the
+// canonical startAt/endAt timestamps so overnight segments are counted correctly;
+// open segments count until now
+const DURATION_MINUTES_EXPRESSION = {
+  $divide: [
+    { $subtract: [{ $ifNull: ["$endAt", "$$NOW"] }, "$startAt"] },
+    60000,
+  ],
+};
+
+// Error reported for segments that overlap others of the same machine
+const OVERLAP_MESSAGE = "Segment overlaps existing segments for this machine";
+
+// Error reported for a second open segment on the same machine
+const OPEN_SEGMENT_MESSAGE =
+  "Machine already has an open segment; close it first";
+
+// MongoDB duplicate key error, raised by the one open segment per machine index
+const DUPLICATE_KEY = 11000;
+
+// Message for an update based on an outdated version of a segment
+const VERSION_CONFLICT_MESSAGE =
+  "Segment was changed by someone else; review their changes and try again";
+
+// Machine fields included with segments when requested with populate=machine
+const MACHINE_DETAILS = "name serialNumber type status location timezone";
+
+// Levels of the plant hierarchy analytics can be rolled up to
+const ROLLUP_LEVELS = ["site", "area", "line"];
+
+// Maximum number of data rows accepted in one import file
+const MAX_IMPORT_ROWS = 5000;
+
+// Content types of the export formats
+const EXPORT_CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pdf: "application/pdf",
+};
 
 /**
  * Get all segments
  * @route GET /api/segments
- * @access Public
+ * @access Private (segments:read)
  */
 exports.getAllSegments = async (req, res) => {
   try {
-    // Parse query parameters for filtering
-    const { machineName, segmentType, date, startDate, endDate } = req.query;
-
-    // Build filter object
-    const filter = {};
-
-    if (machineName) {
-      filter.machineName = machineName;
-    }
+    const filter = await filterByPlantNode(
+      buildSegmentFilter(req.query),
+      req.query.node
+    );
 
-    if (segmentType) {
-      filter.segmentType = segmentType;
+    if (!filter) {
+      return sendNodeNotFound(res);
     }
 
-    if (date) {
-      filter.date = date;
-    } else if (startDate && endDate) {
-      filter.date = { $gte: startDate, $lte: endDate };
-    } else if (startDate) {
-      filter.date = { $gte: startDate };
-    } else if (endDate) {
-      filter.date = { $lte: endDate };
-    }
+    scopeMachineFilter(filter, req.user);
 
     // Execute query with pagination
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const segments = await Segment.find(filter)
-      .sort({ date: 1, startTime: 1 })
+    const query = Segment.find(filter)
+      .sort({ startAt: 1 })
       .skip(skip)
       .limit(limit);
 
+    // Replace the machine reference with the machine's details
+    if (req.query.populate === "machine") {
+      query.populate("machine", MACHINE_DETAILS);
+    }
+
+    const segments = await query;
+
     // Get total count for pagination
     const total = await Segment.countDocuments(filter);
 
@@ -75,7 +145,7 @@ exports.getAllSegments = async (req, res) => {
 /**
  * Get segment by ID
  * @route GET /api/segments/:id
- * @access Public
+ * @access Private (segments:read)
  */
 exports.getSegmentById = async (req, res) => {
   try {
@@ -88,6 +158,14 @@ exports.getSegmentById = async (req, res) => {
       });
     }
 
+    if (!canAccessMachine(req.user, segment.machineName)) {
+      return sendForbidden(
+        res,
+        `You do not have access to machine ${segment.machineName}`
+      );
+    }
+
+    setVersionTag(res, segment);
     res.status(200).json({
       success: true,
       data: segment,
@@ -102,25 +180,98 @@ exports.getSegmentById = async (req, res) => {
   }
 };
 
+/**
+ * Get the change history of a segment, including a deleted one
+ * @route GET /api/segments/:id/history
+ * @access Private (segments:read)
+ */
+exports.getSegmentHistory = async (req, res) => {
+  try {
+    const history = await auditService.getHistory("Segment", req.params.id);
+
+    if (history.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No history found for this segment",
+      });
+    }
+
+    // Scope by the machine the segment was last recorded on
+    const { machineName } = history[history.length - 1];
+
+    if (!canAccessMachine(req.user, machineName)) {
+      return sendForbidden(
+        res,
+        `You do not have access to machine ${machineName}`
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history,
+    });
+  } catch (error) {
+    logger.error(
+      `Error fetching history of segment with id ${req.params.id}`,
+      error
+    );
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Create new segment
  * @route POST /api/segments
- * @access Public
+ * @access Private (segments:create)
  */
 exports.createSegment = async (req, res) => {
   try {
-    const segment = new Segment(req.body);
-    const newSegment = await segment.save();
+    const segment = new Segment(withoutServerFields(req.body));
+    await segment.validate();
+
+    const accessError = getSegmentWriteError(req.user, segment);
+    if (accessError) {
+      return sendForbidden(res, accessError);
+    }
+
+    const {
+      conflicts,
+      saved: newSegment,
+      resolution,
+    } = await saveWithoutOverlap(
+      segment,
+      req.query,
+      auditService.getAuditContext(req),
+      { action: "create", save: (session) => segment.save({ session }) }
+    );
+
+    if (conflicts) {
+      return sendOverlapConflict(res, conflicts);
+    }
 
     logger.info(`Created new segment with id ${newSegment._id}`);
 
     res.status(201).json({
       success: true,
       data: newSegment,
+      ...(resolution && { resolved: resolution }),
     });
   } catch (error) {
     logger.error("Error creating segment", error);
 
+    // Another open segment was saved for the machine at the same time
+    if (error.code === DUPLICATE_KEY) {
+      return res.status(409).json({
+        success: false,
+        message: OPEN_SEGMENT_MESSAGE,
+      });
+    }
+
     // Validation error
     if (error.name === "ValidationError") {
       const messages = Object.values(error.errors).map((err) => err.message);
@@ -141,9 +292,10 @@ exports.createSegment = async (req, res) => {
 };
 
 /**
- * Update segment
+ * Update segment; an If-Match header or __v field naming an older version is
+ * refused with the current segment
  * @route PUT /api/segments/:id
- * @access Public
+ * @access Private (segments:update)
  */
 exports.updateSegment = async (req, res) => {
   try {
@@ -156,23 +308,79 @@ exports.updateSegment = async (req, res) => {
       });
     }
 
+    // Both the stored segment and the result must be writable
+    const storedAccessError = getSegmentWriteError(req.user, segment);
+    if (storedAccessError) {
+      return sendForbidden(res, storedAccessError);
+    }
+
+    if (isVersionConflict(segment, getExpectedVersion(req))) {
+      return sendVersionConflict(res, segment);
+    }
+
+    const before = auditService.snapshot(segment);
+
     // Update fields
-    Object.keys(req.body).forEach((key) => {
-      segment[key] = req.body[key];
+    const changes = withoutServerFields(req.body);
+    Object.keys(changes).forEach((key) => {
+      segment[key] = changes[key];
     });
 
+    await segment.validate();
+
+    const accessError = getSegmentWriteError(req.user, segment);
+    if (accessError) {
+      return sendForbidden(res, accessError);
+    }
+
     // Save updated segment
-    const updatedSegment = await segment.save();
+    const {
+      conflicts,
+      saved: updatedSegment,
+      resolution,
+    } = await saveWithoutOverlap(
+      segment,
+      req.query,
+      auditService.getAuditContext(req),
+      {
+        action: "update",
+        before,
+        save: (session) => segment.save({ session }),
+      }
+    );
+
+    if (conflicts) {
+      return sendOverlapConflict(res, conflicts);
+    }
 
     logger.info(`Updated segment with id ${updatedSegment._id}`);
 
+    setVersionTag(res, updatedSegment);
     res.status(200).json({
       success: true,
       data: updatedSegment,
+      ...(resolution && { resolved: resolution }),
     });
   } catch (error) {
     logger.error(`Error updating segment with id ${req.params.id}`, error);
 
+    // Another open segment was saved for the machine at the same time
+    if (error.code === DUPLICATE_KEY) {
+      return res.status(409).json({
+        success: false,
+        message: OPEN_SEGMENT_MESSAGE,
+      });
+    }
+
+    // Saved by another request while this one was running
+    if (error.name === "VersionError") {
+      const current = await Segment.findById(req.params.id);
+
+      if (current) {
+        return sendVersionConflict(res, current);
+      }
+    }
+
     // Validation error
     if (error.name === "ValidationError") {
       const messages = Object.values(error.errors).map((err) => err.message);
@@ -193,9 +401,9 @@ exports.updateSegment = async (req, res) => {
 };
 
 /**
- * Delete segment
+ * Delete segment; it can be restored until the retention job purges it
  * @route DELETE /api/segments/:id
- * @access Public
+ * @access Private (segments:delete)
  */
 exports.deleteSegment = async (req, res) => {
   try {
@@ -208,7 +416,18 @@ exports.deleteSegment = async (req, res) => {
       });
     }
 
-    await segment.deleteOne();
+    const accessError = getSegmentWriteError(req.user, segment);
+    if (accessError) {
+      return sendForbidden(res, accessError);
+    }
+
+    await segment.softDelete(req.user);
+    await auditService.recordChange({
+      entityType: "Segment",
+      action: "delete",
+      before: segment,
+      ...auditService.getAuditContext(req),
+    });
 
     logger.info(`Deleted segment with id ${req.params.id}`);
 
@@ -227,105 +446,101 @@ exports.deleteSegment = async (req, res) => {
 };
 
 /**
- * Get segment analytics
- * @route GET /api/segments/analytics
- * @access Public
+ * Close an open segment, now or at endAt; a segment closed on a later day
+ * than it started continues in a new segment for each following day. Closing
+ * is not editing the past, so it only needs access to the machine
+ * @route POST /api/segments/:id/close
+ * @access Private (segments:update)
  */
-exports.getSegmentAnalytics = async (req, res) => {
+exports.closeSegment = async (req, res) => {
   try {
-    const { machineName, startDate, endDate } = req.query;
+    const segment = await Segment.findById(req.params.id);
 
-    // Build filter object
-    const filter = {};
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: "Segment not found",
+      });
+    }
 
-    if (machineName) {
-      filter.machineName = machineName;
+    if (!canAccessMachine(req.user, segment.machineName)) {
+      return sendForbidden(
+        res,
+        `You do not have access to machine ${segment.machineName}`
+      );
     }
 
-    if (startDate || endDate) {
-      filter.date = {};
-      if (startDate) filter.date.$gte = startDate;
-      if (endDate) filter.date.$lte = endDate;
+    if (!isOpenSegment(segment)) {
+      return res.status(409).json({
+        success: false,
+        message: "Segment is already closed",
+      });
     }
 
-    // Get counts by segment type
-    const analytics = await Segment.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: {
-            machineName: "$machineName",
-            segmentType: "$segmentType",
-          },
-          count: { $sum: 1 },
-          totalDuration: {
-            $sum: {
-              $let: {
-                vars: {
-                  startDateTime: { $concat: ["$date", "T", "$startTime"] },
-                  endDateTime: { $concat: ["$date", "T", "$endTime"] },
-                },
-                in: {
-                  $divide: [
-                    {
-                      $subtract: [
-                        { $toDate: "$$endDateTime" },
-                        { $toDate: "$$startDateTime" },
-                      ],
-                    },
-                    60000, // Convert milliseconds to minutes
-                  ],
-                },
-              },
-            },
-          },
-        },
-      },
-      {
-        $group: {
-          _id: "$_id.machineName",
-          segments: {
-            $push: {
-              type: "$_id.segmentType",
-              count: "$count",
-              totalDuration: "$totalDuration",
-              formattedDuration: {
-                $concat: [
-                  {
-                    $toString: { $floor: { $divide: ["$totalDuration", 60] } },
-                  },
-                  ":",
-                  {
-                    $toString: {
-                      $cond: {
-                        if: { $lt: [{ $mod: ["$totalDuration", 60] }, 10] },
-                        then: {
-                          $concat: [
-                            "0",
-                            { $toString: { $mod: ["$totalDuration", 60] } },
-                          ],
-                        },
-                        else: { $toString: { $mod: ["$totalDuration", 60] } },
-                      },
-                    },
-                  },
-                  ":00",
-                ],
-              },
-            },
-          },
-          totalSegments: { $sum: "$count" },
-        },
-      },
-      { $sort: { _id: 1 } },
-    ]);
+    if (isVersionConflict(segment, getExpectedVersion(req))) {
+      return sendVersionConflict(res, segment);
+    }
+
+    const endAt = req.body.endAt ? new Date(req.body.endAt) : new Date();
+
+    if (endAt > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "A segment cannot be closed in the future",
+      });
+    }
+
+    if (endAt <= segment.startAt) {
+      return res.status(400).json({
+        success: false,
+        message: "End time must be after start time",
+      });
+    }
+
+    const before = auditService.snapshot(segment);
+    const following = segment.closeAt(endAt);
 
+    const closedSegment = await segment.save();
+    await auditService.recordChange({
+      entityType: "Segment",
+      action: "update",
+      before,
+      after: closedSegment,
+      ...auditService.getAuditContext(req),
+    });
+
+    const continued = [];
+    for (const next of following) {
+      const created = await next.save();
+      continued.push(created);
+      await auditService.recordChange({
+        entityType: "Segment",
+        action: "create",
+        after: created,
+        ...auditService.getAuditContext(req),
+      });
+    }
+
+    logger.info(`Closed segment with id ${closedSegment._id}`);
+
+    setVersionTag(res, closedSegment);
     res.status(200).json({
       success: true,
-      data: analytics,
+      data: closedSegment,
+      ...(continued.length > 0 && { continued }),
     });
   } catch (error) {
-    logger.error("Error fetching segment analytics", error);
+    logger.error(`Error closing segment with id ${req.params.id}`, error);
+
+    // Saved by another request while this one was running
+    if (error.name === "VersionError") {
+      const current = await Segment.findById(req.params.id);
+
+      if (current) {
+        return sendVersionConflict(res, current);
+      }
+    }
+
     res.status(500).json({
       success: false,
       message: "Server Error",
@@ -335,61 +550,157 @@ exports.getSegmentAnalytics = async (req, res) => {
 };
 
 /**
- * Get timeline data for visualization
- * @route GET /api/segments/timeline/:machineName
- * @access Public
+ * Split a segment in two at a given time. The segment keeps the part before
+ * the split and a new segment takes the part after; either part can get a new
+ * type, the part after by default
+ * @route POST /api/segments/:id/split
+ * @access Private (segments:update)
  */
-exports.getTimelineData = async (req, res) => {
+exports.splitSegment = async (req, res) => {
   try {
-    const { machineName } = req.params;
-    const { startDate, endDate } = req.query;
+    const segment = await Segment.findById(req.params.id);
 
-    logger.info(`Fetching timeline data for machine: ${machineName}`);
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: "Segment not found",
+      });
+    }
 
-    // Build filter object
-    const filter = { machineName };
+    const accessError = getSegmentWriteError(req.user, segment);
+    if (accessError) {
+      return sendForbidden(res, accessError);
+    }
 
-    if (startDate || endDate) {
-      filter.date = {};
-      if (startDate) filter.date.$gte = startDate;
-      if (endDate) filter.date.$lte = endDate;
+    if (isVersionConflict(segment, getExpectedVersion(req))) {
+      return sendVersionConflict(res, segment);
     }
 
-    // Get segments sorted by date and time
-    const segments = await Segment.find(filter)
-      .sort({ date: 1, startTime: 1 })
-      .lean();
+    const at = moment(req.body.at).startOf("second");
+    const { start, end } = getSegmentRange(segment);
 
-    // Transform data for timeline visualization
-    const timelineData = segments.map((segment) => {
-      const startDateTime = new Date(`${segment.date}T${segment.startTime}`);
-      const endDateTime = new Date(`${segment.date}T${segment.endTime}`);
+    if (!at.isAfter(start) || !at.isBefore(end)) {
+      return res.status(400).json({
+        success: false,
+        message: "Split time must be inside the segment",
+      });
+    }
+
+    // Both parts cover the same time as the segment, so they only overlap
+    // other segments if it already does
+    const overlaps = findOverlappingSegments(
+      segment,
+      await findNeighbourSegments(segment)
+    );
+
+    if (overlaps.length > 0) {
+      return sendOverlapConflict(res, overlaps);
+    }
 
-      // Handle case where end time is on the next day
-      if (endDateTime < startDateTime) {
-        endDateTime.setDate(endDateTime.getDate() + 1);
+    const before = auditService.snapshot(segment);
+    const tail = segment.splitAt(at.toDate());
+    const { segmentType, side = "after" } = req.body;
+    const changed = side === "before" ? segment : tail;
+
+    if (segmentType && segmentType !== changed.segmentType) {
+      // The reason for the old type does not explain the new one
+      changed.segmentType = segmentType;
+      changed.reasonCode = null;
+    }
+
+    // The part after the split can fall on a later day than the segment
+    const tailAccessError = getSegmentWriteError(req.user, tail);
+    if (tailAccessError) {
+      return sendForbidden(res, tailAccessError);
+    }
+
+    for (const part of [segment, tail]) {
+      const validationError = part.validateSync();
+      if (validationError) {
+        throw validationError;
       }
+    }
 
-      return {
-        id: segment._id,
-        start: startDateTime,
-        end: endDateTime,
-        type: segment.segmentType,
-        machine: segment.machineName,
-        duration: {
-          minutes: Math.round((endDateTime - startDateTime) / 60000),
-          formatted: segment.durationFormatted,
+    // Both parts are written in one transaction, so a part that fails to save
+    // leaves the segment as it was
+    let splitSegment;
+    let created;
+    await mongoose.connection.transaction(async (session) => {
+      // Save the segment first so that an open segment is closed before the
+      // part after the split takes over as the machine's open segment
+      splitSegment = await segment.save({ session });
+      created = await tail.save({ session });
+
+      await auditService.recordChange(
+        {
+          entityType: "Segment",
+          action: "update",
+          before,
+          after: splitSegment,
+          ...auditService.getAuditContext(req),
         },
-      };
+        { session }
+      );
+      await auditService.recordChange(
+        {
+          entityType: "Segment",
+          action: "create",
+          after: created,
+          ...auditService.getAuditContext(req),
+        },
+        { session }
+      );
     });
 
-    res.status(200).json({
+    // Announce the writes only once the transaction has committed
+    eventService.publishChange({
+      entityType: "Segment",
+      action: "update",
+      data: auditService.snapshot(splitSegment),
+    });
+    eventService.publishChange({
+      entityType: "Segment",
+      action: "create",
+      data: auditService.snapshot(created),
+    });
+
+    logger.info(
+      `Split segment with id ${splitSegment._id} at ${at.toISOString()}`
+    );
+
+    setVersionTag(res, splitSegment);
+    res.status(201).json({
       success: true,
-      count: timelineData.length,
-      data: timelineData,
+      data: [splitSegment, created],
     });
   } catch (error) {
-    logger.error(`Error fetching timeline data: ${error.message}`, error);
+    logger.error(`Error splitting segment with id ${req.params.id}`, error);
+
+    // Another open segment was saved for the machine at the same time
+    if (error.code === DUPLICATE_KEY) {
+      return res.status(409).json({
+        success: false,
+        message: OPEN_SEGMENT_MESSAGE,
+      });
+    }
+
+    // Saved by another request while this one was running
+    if (error.name === "VersionError") {
+      const current = await Segment.findById(req.params.id);
+
+      if (current) {
+        return sendVersionConflict(res, current);
+      }
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation Error",
+        errors: getErrorMessages(error),
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: "Server Error",
@@ -399,132 +710,779 @@ exports.getTimelineData = async (req, res) => {
 };
 
 /**
- * Get summary statistics
- * @route GET /api/segments/stats
- * @access Public
+ * Merge contiguous segments of the same machine, type and reason into one.
+ * The earliest segment is extended to the end of the last and the others are
+ * deleted, so they can be restored. `versions` lists the version each segment
+ * was edited at, in the order of `ids`; a segment changed since is refused
+ * @route POST /api/segments/merge
+ * @access Private (segments:update)
  */
-exports.getStats = async (req, res) => {
+exports.mergeSegments = async (req, res) => {
+  const { ids } = req.body;
+  let segments = [];
+
   try {
-    const { startDate, endDate } = req.query;
+    segments = await Segment.find({ _id: { $in: ids } }).sort({
+      startAt: 1,
+    });
 
-    logger.info("Fetching segment statistics");
+    if (segments.length !== ids.length) {
+      const found = segments.map((segment) => String(segment._id));
 
-    // Build filter object
-    const filter = {};
-    if (startDate || endDate) {
-      filter.date = {};
-      if (startDate) filter.date.$gte = startDate;
-      if (endDate) filter.date.$lte = endDate;
+      return res.status(404).json({
+        success: false,
+        message: "Segment not found",
+        missing: ids.filter((id) => !found.includes(String(id))),
+      });
     }
 
-    // Get overall statistics
-    const stats = await Segment.aggregate([
-      { $match: filter },
-      {
-        $facet: {
-          // Count by segment type
-          byType: [
-            {
-              $group: {
-                _id: "$segmentType",
-                count: { $sum: 1 },
-                totalDuration: {
-                  $sum: {
-                    $let: {
-                      vars: {
-                        startDateTime: {
-                          $concat: ["$date", "T", "$startTime"],
-                        },
-                        endDateTime: { $concat: ["$date", "T", "$endTime"] },
-                      },
-                      in: {
-                        $divide: [
-                          {
-                            $subtract: [
-                              { $toDate: "$$endDateTime" },
-                              { $toDate: "$$startDateTime" },
-                            ],
-                          },
-                          60000, // Convert milliseconds to minutes
-                        ],
-                      },
-                    },
-                  },
-                },
-              },
-            },
-            { $sort: { _id: 1 } },
-          ],
-
-          // Count by machine
-          byMachine: [
-            {
-              $group: {
-                _id: "$machineName",
-                count: { $sum: 1 },
-              },
-            },
-            { $sort: { _id: 1 } },
-          ],
-
-          // Count by date
-          byDate: [
-            {
-              $group: {
-                _id: "$date",
-                count: { $sum: 1 },
-              },
-            },
-            { $sort: { _id: 1 } },
-          ],
-
-          // Overall totals
-          totals: [
-            {
-              $group: {
-                _id: null,
-                totalSegments: { $sum: 1 },
-                uniqueMachines: { $addToSet: "$machineName" },
-                uniqueDates: { $addToSet: "$date" },
-              },
-            },
-            {
-              $project: {
-                _id: 0,
-                totalSegments: 1,
-                uniqueMachineCount: { $size: "$uniqueMachines" },
-                uniqueDateCount: { $size: "$uniqueDates" },
-              },
-            },
-          ],
-        },
-      },
-    ]);
+    for (const segment of segments) {
+      const accessError = getSegmentWriteError(req.user, segment);
+      if (accessError) {
+        return sendForbidden(res, accessError);
+      }
+    }
 
-    // Calculate percentages for segment types
-    const segmentTypes = stats[0].byType;
-    const totalDuration = segmentTypes.reduce(
-      (acc, type) => acc + type.totalDuration,
-      0
-    );
+    // Versions are sent in the order of ids, a null one is not checked
+    const versions = req.body.versions || [];
+    for (const [index, id] of ids.entries()) {
+      const expected = versions[index];
+      const segment = segments.find(({ _id }) => String(_id) === String(id));
 
-    const segmentTypesWithPercentages = segmentTypes.map((type) => ({
-      ...type,
-      percentage: Math.round((type.totalDuration / totalDuration) * 100),
-      formattedDuration: formatDuration(type.totalDuration),
-    }));
-
-    // Format the final response
-    const formattedStats = {
-      byType: segmentTypesWithPercentages,
-      byMachine: stats[0].byMachine,
-      byDate: stats[0].byDate,
-      totals: stats[0].totals[0] || {
-        totalSegments: 0,
-        uniqueMachineCount: 0,
-        uniqueDateCount: 0,
-      },
-    };
+      if (
+        expected !== undefined &&
+        expected !== null &&
+        isVersionConflict(segment, Number(expected))
+      ) {
+        return sendVersionConflict(res, segment);
+      }
+    }
+
+    const mergeError = getMergeError(segments);
+    if (mergeError) {
+      return res.status(400).json({
+        success: false,
+        message: mergeError,
+      });
+    }
+
+    const [first, ...following] = segments;
+    const before = auditService.snapshot(first);
+
+    first.mergeWith(following);
+
+    // Segments recorded between or across the merged ones with allowOverlap
+    const overlaps = findOverlappingSegments(
+      first,
+      await findNeighbourSegments(first, ids)
+    );
+
+    if (overlaps.length > 0) {
+      return sendOverlapConflict(res, overlaps);
+    }
+
+    const validationError = first.validateSync();
+    if (validationError) {
+      throw validationError;
+    }
+
+    // The deletes and the save either all happen or none do, so a failed save
+    // cannot leave the other segments deleted
+    let mergedSegment;
+    await mongoose.connection.transaction(async (session) => {
+      // Delete the others first, as the last of them can be the machine's open
+      // segment
+      for (const segment of following) {
+        await segment.softDelete(req.user, { session });
+      }
+
+      mergedSegment = await first.save({ session });
+      await auditService.recordChange(
+        {
+          entityType: "Segment",
+          action: "update",
+          before,
+          after: mergedSegment,
+          ...auditService.getAuditContext(req),
+        },
+        { session }
+      );
+
+      for (const segment of following) {
+        await auditService.recordChange(
+          {
+            entityType: "Segment",
+            action: "delete",
+            before: segment,
+            ...auditService.getAuditContext(req),
+          },
+          { session }
+        );
+      }
+    });
+
+    // Announce the writes only once the transaction has committed
+    eventService.publishChange({
+      entityType: "Segment",
+      action: "update",
+      data: auditService.snapshot(mergedSegment),
+    });
+    following.forEach((segment) =>
+      eventService.publishChange({
+        entityType: "Segment",
+        action: "delete",
+        data: auditService.snapshot(segment),
+      })
+    );
+
+    logger.info(
+      `Merged ${segments.length} segments into segment with id ${mergedSegment._id}`
+    );
+
+    setVersionTag(res, mergedSegment);
+    res.status(200).json({
+      success: true,
+      data: mergedSegment,
+      deleted: following.map((segment) => segment._id),
+    });
+  } catch (error) {
+    logger.error("Error merging segments", error);
+
+    // Another open segment was saved for the machine at the same time
+    if (error.code === DUPLICATE_KEY) {
+      return res.status(409).json({
+        success: false,
+        message: OPEN_SEGMENT_MESSAGE,
+      });
+    }
+
+    // One of the segments was saved by another request while this one was running
+    if (error.name === "VersionError") {
+      const stored = await Segment.find({ _id: { $in: ids } });
+      const current = stored.find((segment) =>
+        segments.some(
+          ({ _id, __v }) => _id.equals(segment._id) && __v !== segment.__v
+        )
+      );
+
+      if (current) {
+        return sendVersionConflict(res, current);
+      }
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation Error",
+        errors: getErrorMessages(error),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get recently deleted segments, most recently deleted first
+ * @route GET /api/segments/deleted
+ * @access Private (segments:delete)
+ */
+exports.getDeletedSegments = async (req, res) => {
+  try {
+    const filter = await filterByPlantNode(
+      { ...buildSegmentFilter(req.query), deletedAt: { $ne: null } },
+      req.query.node
+    );
+
+    if (!filter) {
+      return sendNodeNotFound(res);
+    }
+
+    scopeMachineFilter(filter, req.user);
+
+    const segments = await Segment.find(filter).sort({ deletedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: segments.length,
+      data: segments,
+    });
+  } catch (error) {
+    logger.error("Error fetching deleted segments", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Restore a deleted segment; overlaps with segments recorded since are
+ * rejected or resolved as on create
+ * @route POST /api/segments/:id/restore
+ * @access Private (segments:delete)
+ */
+exports.restoreSegment = async (req, res) => {
+  try {
+    const segment = await Segment.findOne({
+      _id: req.params.id,
+      deletedAt: { $ne: null },
+    });
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: "Deleted segment not found",
+      });
+    }
+
+    const accessError = getSegmentWriteError(req.user, segment);
+    if (accessError) {
+      return sendForbidden(res, accessError);
+    }
+
+    const {
+      conflicts,
+      saved: restoredSegment,
+      resolution,
+    } = await saveWithoutOverlap(
+      segment,
+      req.query,
+      auditService.getAuditContext(req),
+      { action: "restore", save: (session) => segment.restore({ session }) }
+    );
+
+    if (conflicts) {
+      return sendOverlapConflict(res, conflicts);
+    }
+
+    logger.info(`Restored segment with id ${restoredSegment._id}`);
+
+    res.status(200).json({
+      success: true,
+      data: restoredSegment,
+      ...(resolution && { resolved: resolution }),
+    });
+  } catch (error) {
+    logger.error(`Error restoring segment with id ${req.params.id}`, error);
+
+    // The machine has had another open segment since this one was deleted
+    if (error.code === DUPLICATE_KEY) {
+      return res.status(409).json({
+        success: false,
+        message: OPEN_SEGMENT_MESSAGE,
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation Error",
+        errors: getErrorMessages(error),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create, update and delete segments in one request
+ *
+ * Accepts either `{ operations: [{ action, id, data }] }` or the shorthand
+ * `{ ids, data }`, which updates every listed segment with the same data.
+ * In "partial" mode (default) valid operations are applied and invalid ones
+ * reported; in "transactional" mode nothing is applied unless every operation
+ * is valid, and the writes run in a single MongoDB transaction.
+ * @route POST /api/segments/bulk
+ * @access Private (segments:bulk)
+ */
+exports.bulkSegments = async (req, res) => {
+  try {
+    const { mode = "partial" } = req.body;
+    const context = auditService.getAuditContext(req);
+    const operations = await prepareBulkOperations(
+      normaliseBulkOperations(req.body),
+      req.query,
+      req.user
+    );
+
+    if (mode === "transactional") {
+      if (operations.some((operation) => operation.errors)) {
+        return res.status(400).json({
+          success: false,
+          message: "Bulk operation rejected, no changes were applied",
+          mode,
+          ...summariseBulkOperations(operations),
+        });
+      }
+
+      // Mongoose resets document state if the transaction has to be retried
+      await mongoose.connection.transaction(async (session) => {
+        for (const operation of operations) {
+          await applyBulkOperation(operation, context, session);
+        }
+      });
+
+      // Announce the writes only once the transaction has committed
+      operations.forEach((operation) =>
+        eventService.publishChange({
+          entityType: "Segment",
+          action: operation.action,
+          data: auditService.snapshot(operation.segment),
+        })
+      );
+    } else {
+      for (const operation of operations) {
+        if (operation.errors) {
+          continue;
+        }
+
+        try {
+          await applyBulkOperation(operation, context);
+        } catch (error) {
+          operation.errors = getErrorMessages(error);
+        }
+      }
+    }
+
+    const { summary, results } = summariseBulkOperations(operations);
+
+    logger.info(
+      `Bulk segment operation (${mode}): ${summary.succeeded} succeeded, ${summary.failed} failed`
+    );
+
+    res.status(summary.failed > 0 ? 207 : 200).json({
+      success: summary.failed === 0,
+      mode,
+      summary,
+      results,
+    });
+  } catch (error) {
+    logger.error("Error processing bulk segment operation", error);
+
+    // Validation error raised while writing a transactional batch
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation Error",
+        errors: getErrorMessages(error),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Import segments from an uploaded CSV or XLSX file
+ *
+ * Columns are mapped to segment fields with the optional `mapping` field and
+ * every row is validated like POST /api/segments, including overlap checks.
+ * By default this is a dry run that only returns the row report; with
+ * `dryRun=false` the rows are saved, which requires every row to be valid
+ * unless `skipInvalid=true`.
+ * @route POST /api/segments/import
+ * @access Private (segments:import)
+ */
+exports.importSegments = async (req, res) => {
+  try {
+    const dryRun = String(req.query.dryRun) !== "false";
+    const skipInvalid = String(req.query.skipInvalid) === "true";
+    const context = auditService.getAuditContext(req);
+    const mapping = resolveColumnMapping(req.body.mapping);
+
+    let parsed;
+    try {
+      parsed = await parseImportFile(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Could not read import file",
+        errors: [error.message],
+      });
+    }
+
+    const missingColumns = findMissingColumns(parsed.headers, mapping);
+
+    if (missingColumns.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Import file is missing mapped columns",
+        errors: missingColumns.map(
+          ({ field, column }) => `Column "${column}" for ${field} not found`
+        ),
+        headers: parsed.headers,
+        mapping,
+      });
+    }
+
+    if (parsed.rows.length === 0 || parsed.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Import file must contain between 1 and ${MAX_IMPORT_ROWS} rows`,
+      });
+    }
+
+    const rows = [];
+    for (const { row, values } of parsed.rows) {
+      const data = mapImportRow(values, mapping);
+      rows.push({ row, data, errors: await checkSegmentData(data) });
+    }
+
+    // Rows that pass the field rules get the model and overlap checks
+    const checkedRows = rows.filter((row) => row.errors.length === 0);
+    const operations = await prepareBulkOperations(
+      checkedRows.map(({ data }) => ({ action: "create", data })),
+      req.query,
+      req.user
+    );
+
+    operations.forEach((operation, index) => {
+      const row = checkedRows[index];
+      row.operation = operation;
+
+      if (operation.errors) {
+        row.errors = operation.errors.map((message) => ({ message }));
+        row.conflicts = operation.conflicts;
+      }
+    });
+
+    const invalid = rows.filter((row) => row.errors.length > 0).length;
+    const summary = {
+      total: rows.length,
+      valid: rows.length - invalid,
+      invalid,
+      imported: 0,
+    };
+
+    if (!dryRun) {
+      if (invalid > 0 && !skipInvalid) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Import rejected, fix the invalid rows or pass skipInvalid=true",
+          dryRun,
+          summary,
+          rows: formatImportRows(rows),
+        });
+      }
+
+      for (const row of rows.filter((row) => row.errors.length === 0)) {
+        try {
+          await applyBulkOperation(row.operation, context);
+          row.imported = true;
+          summary.imported += 1;
+        } catch (error) {
+          row.errors = getErrorMessages(error).map((message) => ({ message }));
+        }
+      }
+
+      logger.info(
+        `Imported ${summary.imported} of ${summary.total} segment rows from ${req.file.originalname}`
+      );
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      dryRun,
+      mapping,
+      summary,
+      rows: formatImportRows(rows),
+    });
+  } catch (error) {
+    logger.error("Error importing segments", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Export segments matching the list filters
+ *
+ * `format=csv` (default) and `format=xlsx` stream the raw segments;
+ * `format=pdf` renders a report of their statistics and per-machine totals.
+ * @route GET /api/segments/export
+ * @access Private (segments:read)
+ */
+exports.exportSegments = async (req, res) => {
+  try {
+    const { format = "csv", tz } = req.query;
+    const filter = await filterByPlantNode(
+      buildSegmentFilter(req.query),
+      req.query.node
+    );
+
+    if (!filter) {
+      return sendNodeNotFound(res);
+    }
+
+    scopeMachineFilter(filter, req.user);
+    const timestamp = moment().format("YYYYMMDD-HHmmss");
+    const filename =
+      format === "pdf"
+        ? `segment-report-${timestamp}.pdf`
+        : `segments-${timestamp}.${format}`;
+
+    // Aggregate before sending headers so failures can still return JSON
+    const report =
+      format === "pdf" &&
+      (await Promise.all([
+        aggregateSegmentStats(filter, tz),
+        aggregateSegmentAnalytics(filter),
+      ]));
+
+    res.status(200);
+    res.set({
+      "Content-Type": EXPORT_CONTENT_TYPES[format],
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+
+    if (report) {
+      const { machineName, segmentType, date, startDate, endDate, search } =
+        req.query;
+
+      await writeReportPdf(
+        {
+          stats: report[0],
+          analytics: report[1],
+          filters: {
+            machineName,
+            segmentType,
+            date,
+            startDate,
+            endDate,
+            search,
+          },
+          generatedAt: moment().format("YYYY-MM-DD HH:mm"),
+        },
+        res
+      );
+    } else {
+      const segments = Segment.find(filter)
+        .sort({ startAt: 1 })
+        .lean()
+        .cursor();
+      const writeSegments =
+        format === "xlsx" ? writeSegmentsXlsx : writeSegmentsCsv;
+
+      await writeSegments(segments, res, tz);
+    }
+
+    logger.info(`Exported segments as ${format}`);
+  } catch (error) {
+    logger.error("Error exporting segments", error);
+
+    // The download has already started, so all that can be done is abort it
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get segment analytics per machine or per shift, or rolled up to the site,
+ * area or line of the plant hierarchy
+ * @route GET /api/segments/analytics
+ * @access Private (segments:read)
+ */
+exports.getSegmentAnalytics = async (req, res) => {
+  try {
+    const {
+      machineName,
+      node,
+      startDate,
+      endDate,
+      groupBy = "machine",
+    } = req.query;
+
+    // Build filter object
+    const filter = {};
+
+    if (machineName) {
+      filter.machineName = machineName;
+    }
+
+    if (!(await filterByPlantNode(filter, node))) {
+      return sendNodeNotFound(res);
+    }
+
+    // Shift reports select shifts by the day they started on, so a night
+    // shift keeps the hours it works after midnight
+    if (startDate || endDate) {
+      const dateField = groupBy === "shift" ? "shifts.date" : "date";
+      filter[dateField] = {};
+      if (startDate) filter[dateField].$gte = startDate;
+      if (endDate) filter[dateField].$lte = endDate;
+    }
+
+    scopeMachineFilter(filter, req.user);
+
+    const rollup = ROLLUP_LEVELS.includes(groupBy)
+      ? await plantService.getRollup(groupBy)
+      : undefined;
+
+    const analytics = await aggregateSegmentAnalytics(filter, groupBy, rollup);
+
+    res.status(200).json({
+      success: true,
+      data: analytics,
+    });
+  } catch (error) {
+    logger.error("Error fetching segment analytics", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get timeline data for visualization, for one machine or every machine under
+ * a node of the plant hierarchy
+ * @route GET /api/segments/timeline/:machineName
+ * @route GET /api/segments/timeline?node=
+ * @access Private (segments:read)
+ */
+exports.getTimelineData = async (req, res) => {
+  try {
+    const { machineName } = req.params;
+    const { node, startDate, endDate, tz, populate } = req.query;
+
+    logger.info(
+      `Fetching timeline data for ${machineName ? "machine" : "plant node"}: ${
+        machineName || node
+      }`
+    );
+
+    // Build filter object
+    const filter = machineName ? { machineName } : {};
+
+    if (!(await filterByPlantNode(filter, node))) {
+      return sendNodeNotFound(res);
+    }
+
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = startDate;
+      if (endDate) filter.date.$lte = endDate;
+    }
+
+    scopeMachineFilter(filter, req.user);
+
+    // Get segments sorted by machine and start timestamp
+    const query = Segment.find(filter)
+      .sort({ machineName: 1, startAt: 1 })
+      .lean();
+
+    if (populate === "machine") {
+      query.populate("machine", MACHINE_DETAILS);
+    }
+
+    const segments = await query;
+
+    // Transform data for timeline visualization
+    const timelineData = segments.map((segment) => {
+      const { start, end } = getSegmentRange(segment);
+      const minutes = Math.round(end.diff(start) / 60000);
+      const open = isOpenSegment(segment);
+
+      // Render in the viewer's timezone if requested, otherwise the plant's
+      const timezone = tz || segment.timezone;
+
+      return {
+        id: segment._id,
+        start: start.clone().tz(timezone).format(),
+        // Open segments have no end yet; their duration runs until now
+        end: open ? null : end.clone().tz(timezone).format(),
+        open,
+        timezone,
+        type: segment.segmentType,
+        machine: segment.machineName,
+        // The machine reference, or the machine's details with populate=machine
+        machineId: segment.machine ? segment.machine._id : null,
+        ...(populate === "machine" && {
+          machineDetails: segment.machine || null,
+        }),
+        duration: {
+          minutes,
+          formatted: formatDuration(minutes),
+        },
+        shifts: (segment.shifts || []).map((shift) => ({
+          name: shift.name,
+          date: shift.date,
+          crew: shift.crew,
+          start: moment.tz(shift.startAt, timezone).format(),
+          end: moment.tz(shift.endAt, timezone).format(),
+          minutes: shift.minutes,
+        })),
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: timelineData.length,
+      data: timelineData,
+    });
+  } catch (error) {
+    logger.error(`Error fetching timeline data: ${error.message}`, error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get summary statistics
+ * @route GET /api/segments/stats
+ * @access Private (segments:read)
+ */
+exports.getStats = async (req, res) => {
+  try {
+    const { node, startDate, endDate, tz } = req.query;
+
+    logger.info("Fetching segment statistics");
+
+    // Build filter object
+    const filter = {};
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = startDate;
+      if (endDate) filter.date.$lte = endDate;
+    }
+
+    if (!(await filterByPlantNode(filter, node))) {
+      return sendNodeNotFound(res);
+    }
+
+    scopeMachineFilter(filter, req.user);
+
+    const formattedStats = await aggregateSegmentStats(filter, tz);
 
     res.status(200).json({
       success: true,
@@ -540,6 +1498,92 @@ exports.getStats = async (req, res) => {
   }
 };
 
+/**
+ * Get the gaps no segment accounts for in each machine's days
+ * @route GET /api/segments/gaps
+ * @access Private (segments:read)
+ */
+exports.getGaps = async (req, res) => {
+  try {
+    const { startDate, endDate, machineName, node, minMinutes } = req.query;
+
+    const machineNames = await getGapMachineScope(req.user, node);
+
+    if (machineNames === null) {
+      return sendNodeNotFound(res);
+    }
+
+    const report = await gapService.findGaps({
+      startDate,
+      endDate,
+      machineName,
+      machineNames,
+      minMinutes,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    logger.error("Error finding gaps", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Fill the gaps in each machine's days with segments of one type
+ * @route POST /api/segments/gaps/fill
+ * @access Private (segments:create)
+ */
+exports.fillGaps = async (req, res) => {
+  try {
+    const { startDate, endDate, machineName, node, minMinutes, segmentType } =
+      req.body;
+
+    if (machineName && !canAccessMachine(req.user, machineName)) {
+      return sendForbidden(
+        res,
+        `You do not have access to machine ${machineName}`
+      );
+    }
+
+    const machineNames = await getGapMachineScope(req.user, node);
+
+    if (machineNames === null) {
+      return sendNodeNotFound(res);
+    }
+
+    const { created, skipped } = await gapService.fillGaps({
+      startDate,
+      endDate,
+      machineName,
+      machineNames,
+      minMinutes,
+      segmentType,
+      ...auditService.getAuditContext(req),
+    });
+
+    res.status(created.length > 0 ? 201 : 200).json({
+      success: true,
+      count: created.length,
+      data: created,
+      skipped,
+    });
+  } catch (error) {
+    logger.error("Error filling gaps", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Helper function to format duration in minutes to HH:MM:SS
  * @param {Number} minutes - Duration in minutes
@@ -552,3 +1596,761 @@ const formatDuration = (minutes) => {
     .toString()
     .padStart(2, "0")}:00`;
 };
+
+/**
+ * Helper function to load the segments of the same machine whose time range
+ * intersects a given segment
+ * @param {Object} segment - Validated segment document (startAt/endAt populated)
+ * @param {Array} [ignoredIds] - Segments to leave out, by default the segment itself
+ * @returns {Promise<Array>} Neighbouring segment documents
+ */
+const findNeighbourSegments = (segment, ignoredIds = [segment._id]) =>
+  Segment.find({
+    _id: { $nin: ignoredIds },
+    machineName: segment.machineName,
+    // An open segment runs until now
+    startAt: { $lt: segment.endAt || new Date() },
+    $or: [{ endAt: { $gt: segment.startAt } }, { endAt: null }],
+  });
+
+/**
+ * Helper function to save a segment, rejecting or resolving its overlaps first
+ *
+ * Overlaps are rejected unless the request opts in with `allowOverlap=true`
+ * or asks for them to be resolved with `resolve=trim|split|replace`. They
+ * are only resolved if the user may write every overlapping segment. The
+ * neighbours and the segment are then written in one transaction, so a
+ * segment that fails to save leaves the timeline as it was.
+ * @param {Object} segment - Validated segment document to save
+ * @param {Object} query - Request query parameters
+ * @param {Object} context - Signed-in user and request id, see auditService.getAuditContext
+ * @param {Object} change - How the segment is saved
+ * @param {String} change.action - Audit action: create, update or restore
+ * @param {Object} [change.before] - Snapshot of the stored segment for an update
+ * @param {Function} change.save - Saves the segment with the session it is given
+ * @returns {Promise<Object>} `{ conflicts }` when rejected, otherwise `{ saved }`
+ * and `resolution` when overlaps were resolved
+ */
+const saveWithoutOverlap = async (
+  segment,
+  { allowOverlap, resolve } = {},
+  context,
+  { action, before, save }
+) => {
+  const overlaps =
+    String(allowOverlap) === "true"
+      ? []
+      : findOverlappingSegments(segment, await findNeighbourSegments(segment));
+
+  if (overlaps.length === 0) {
+    const saved = await save();
+    await auditService.recordChange({
+      entityType: "Segment",
+      action,
+      before,
+      after: saved,
+      ...context,
+    });
+
+    return { saved };
+  }
+
+  if (
+    !resolve ||
+    overlaps.some(({ segment: neighbour }) =>
+      getSegmentWriteError(context.user, neighbour)
+    )
+  ) {
+    return { conflicts: overlaps };
+  }
+
+  const plan = planOverlapResolution(segment, overlaps, resolve);
+  let changes;
+  let created;
+  let saved;
+
+  // Mongoose resets document state if the transaction has to be retried
+  await mongoose.connection.transaction(async (session) => {
+    changes = [];
+
+    for (const { segment: neighbour, changes: fields } of plan.update) {
+      const previous = auditService.snapshot(neighbour);
+      Object.assign(neighbour, fields);
+      await neighbour.save({ session });
+      changes.push({ action: "update", before: previous, after: neighbour });
+    }
+
+    created = await Segment.insertMany(plan.create, { session });
+    created.forEach((after) => changes.push({ action: "create", after }));
+
+    for (const neighbour of plan.remove) {
+      await neighbour.softDelete(context.user, { session });
+      changes.push({ action: "delete", before: neighbour });
+    }
+
+    saved = await save(session);
+    changes.push({ action, before, after: saved });
+
+    for (const change of changes) {
+      await auditService.recordChange(
+        { entityType: "Segment", ...change, ...context },
+        { session }
+      );
+    }
+  });
+
+  // Announce the writes only once the transaction has committed
+  changes.forEach((change) =>
+    eventService.publishChange({
+      entityType: "Segment",
+      action: change.action,
+      data: auditService.snapshot(change.after || change.before),
+    })
+  );
+
+  logger.info(
+    `Resolved ${overlaps.length} overlapping segment(s) using mode "${resolve}"`
+  );
+
+  return {
+    saved,
+    resolution: {
+      mode: resolve,
+      updated: plan.update.map(({ segment: neighbour }) => neighbour),
+      created,
+      deleted: plan.remove.map((neighbour) => neighbour._id),
+    },
+  };
+};
+
+/**
+ * Helper function to check that segments can be merged into one
+ * @param {Array} segments - Segment documents in time order
+ * @returns {String|null} Why the segments cannot be merged, or null
+ */
+const getMergeError = (segments) => {
+  const [first] = segments;
+
+  if (segments.some(({ machineName }) => machineName !== first.machineName)) {
+    return "Segments must belong to the same machine";
+  }
+
+  if (segments.some(({ segmentType }) => segmentType !== first.segmentType)) {
+    return "Segments must be of the same type";
+  }
+
+  if (
+    segments.some(
+      ({ reasonCode }) => (reasonCode || null) !== (first.reasonCode || null)
+    )
+  ) {
+    return "Segments must have the same reason code";
+  }
+
+  // Each segment must end where the next starts; only the last can be open
+  const contiguous = segments
+    .slice(1)
+    .every(
+      (segment, index) =>
+        segments[index].endAt &&
+        segments[index].endAt.getTime() === segment.startAt.getTime()
+    );
+
+  if (!contiguous) {
+    return "Segments must follow each other without gaps";
+  }
+
+  const { start } = getSegmentRange(first);
+  const { end } = getSegmentRange(segments[segments.length - 1]);
+
+  if (end.diff(start, "days", true) >= 1) {
+    return "Merged segment would last a day or longer";
+  }
+
+  return null;
+};
+
+/**
+ * Helper function to send a 409 response listing overlapping segments
+ * @param {Object} res - Express response object
+ * @param {Array} conflicts - Result of findOverlappingSegments
+ */
+const sendOverlapConflict = (res, conflicts) =>
+  res.status(409).json({
+    success: false,
+    message: OVERLAP_MESSAGE,
+    conflicts: formatConflicts(conflicts),
+  });
+
+/**
+ * Helper function to send a 409 response with the segment as stored now
+ * @param {Object} res - Express response object
+ * @param {Object} current - Current version of the segment
+ */
+const sendVersionConflict = (res, current) =>
+  setVersionTag(res, current).status(409).json({
+    success: false,
+    message: VERSION_CONFLICT_MESSAGE,
+    code: "VERSION_CONFLICT",
+    current,
+  });
+
+/**
+ * Helper function to send a 403 response for a segment the user may not access
+ * @param {Object} res - Express response object
+ * @param {String} message - Why access was denied
+ */
+const sendForbidden = (res, message) =>
+  res.status(403).json({
+    success: false,
+    message,
+    code: "FORBIDDEN",
+  });
+
+/**
+ * Helper function to send a 404 response for an unknown plant node
+ * @param {Object} res - Express response object
+ */
+const sendNodeNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Plant node not found",
+  });
+
+/**
+ * Helper function to restrict a segment filter to the machines under a plant node
+ * @param {Object} filter - Segment filter, modified in place
+ * @param {String} [node] - Plant node ID; without one the filter is left alone
+ * @returns {Promise<Object|null>} The filter, or null if the node does not exist
+ */
+const filterByPlantNode = async (filter, node) => {
+  if (!node) {
+    return filter;
+  }
+
+  const machineNames = await plantService.getNodeMachineNames(node);
+
+  if (!machineNames) {
+    return null;
+  }
+
+  // A machine outside the node matches nothing
+  if (typeof filter.machineName === "string") {
+    filter.machineName = machineNames.includes(filter.machineName)
+      ? filter.machineName
+      : { $in: [] };
+  } else {
+    filter.machineName = { $in: machineNames };
+  }
+
+  return filter;
+};
+
+/**
+ * Helper function to get the machines gaps are looked for in: those in the
+ * user's scope, limited to the machines under a plant node if one is given
+ * @param {Object} user - Signed-in user (req.user)
+ * @param {String} [node] - Plant node ID
+ * @returns {Promise<Array<String>|undefined|null>} Machine names, undefined for
+ * every machine, or null if the node does not exist
+ */
+const getGapMachineScope = async (user, node) => {
+  const scope = getMachineScope(user);
+
+  if (!node) {
+    return scope;
+  }
+
+  const machineNames = await plantService.getNodeMachineNames(node);
+
+  if (!machineNames || !scope) {
+    return machineNames;
+  }
+
+  return machineNames.filter((name) => scope.includes(name));
+};
+
+/**
+ * Helper function to build the aggregation expression naming the plant node a
+ * segment's machine rolls up to
+ * @param {Array<Object>} rollup - `{ name, machineNames }` per node
+ * @returns {Object} Expression evaluating to the node name, or "Unassigned"
+ */
+const getRollupExpression = (rollup) =>
+  rollup.length > 0
+    ? {
+        $switch: {
+          branches: rollup.map(({ name, machineNames }) => ({
+            case: { $in: ["$machineName", machineNames] },
+            then: name,
+          })),
+          default: plantService.UNASSIGNED,
+        },
+      }
+    : { $literal: plantService.UNASSIGNED };
+
+/**
+ * Helper function to describe overlapping segments in a response
+ * @param {Array} conflicts - Result of findOverlappingSegments
+ * @returns {Array} Conflicting segment summaries
+ */
+const formatConflicts = (conflicts) =>
+  conflicts.map(({ segment, overlapMinutes }) => ({
+    id: segment._id,
+    date: segment.date,
+    startTime: segment.startTime,
+    endTime: segment.endTime,
+    segmentType: segment.segmentType,
+    overlapMinutes,
+  }));
+
+/**
+ * Helper function to collect the messages of a validation or other error
+ * @param {Error} error - Error thrown while validating or saving
+ * @returns {Array<String>} Error messages
+ */
+const getErrorMessages = (error) =>
+  error.name === "ValidationError"
+    ? Object.values(error.errors).map((err) => err.message)
+    : [error.message];
+
+/**
+ * Helper function to turn a bulk request body into a list of operations
+ * @param {Object} body - `{ operations }` or the `{ ids, data }` shorthand
+ * @returns {Array<Object>} Operations with action, id and data
+ */
+const normaliseBulkOperations = ({ operations, ids, data }) =>
+  operations || ids.map((id) => ({ action: "update", id, data }));
+
+/**
+ * Helper function to load and validate every operation of a bulk request
+ * without writing anything
+ *
+ * Creates and updates are checked for overlaps against stored segments and
+ * against the other segments of the same batch. Segments updated or deleted
+ * by the batch are not checked against their stored time range.
+ * @param {Array<Object>} operations - Normalised operations
+ * @param {Object} query - Request query parameters
+ * @param {Object} user - Signed-in user; segments they may not write are rejected
+ * @returns {Promise<Array<Object>>} Operations with `segment` or `errors` set, and a
+ * snapshot of the stored segment as `before` for updates and deletes
+ */
+const prepareBulkOperations = async (
+  operations,
+  { allowOverlap } = {},
+  user
+) => {
+  const replacedIds = new Set(
+    operations
+      .filter((operation) => operation.action !== "create")
+      .map((operation) => String(operation.id))
+  );
+  const pending = [];
+  const prepared = [];
+
+  for (const [index, { action, id, data }] of operations.entries()) {
+    const operation = { index, action, id };
+    prepared.push(operation);
+
+    try {
+      const segment =
+        action === "create"
+          ? new Segment(withoutServerFields(data))
+          : await Segment.findById(id);
+
+      if (!segment) {
+        operation.errors = ["Segment not found"];
+        continue;
+      }
+
+      operation.segment = segment;
+
+      const storedAccessError =
+        action !== "create" && getSegmentWriteError(user, segment);
+      if (storedAccessError) {
+        operation.errors = [storedAccessError];
+        continue;
+      }
+
+      if (action !== "create") {
+        operation.before = auditService.snapshot(segment);
+      }
+
+      if (action === "delete") {
+        continue;
+      }
+
+      if (action === "update") {
+        const changes = withoutServerFields(data);
+        Object.keys(changes).forEach((key) => {
+          segment[key] = changes[key];
+        });
+      }
+
+      await segment.validate();
+
+      const accessError = getSegmentWriteError(user, segment);
+      if (accessError) {
+        operation.errors = [accessError];
+        continue;
+      }
+
+      if (String(allowOverlap) !== "true") {
+        const neighbours = (await findNeighbourSegments(segment)).filter(
+          (neighbour) => !replacedIds.has(String(neighbour._id))
+        );
+        const conflicts = findOverlappingSegments(segment, [
+          ...neighbours,
+          ...pending.filter(
+            (other) => other.machineName === segment.machineName
+          ),
+        ]);
+
+        if (conflicts.length > 0) {
+          operation.errors = [OVERLAP_MESSAGE];
+          operation.conflicts = formatConflicts(conflicts);
+          continue;
+        }
+      }
+
+      pending.push(segment);
+    } catch (error) {
+      operation.errors = getErrorMessages(error);
+    }
+  }
+
+  return prepared;
+};
+
+/**
+ * Helper function to write a prepared bulk operation and its audit entry
+ * @param {Object} operation - Operation returned by prepareBulkOperations
+ * @param {Object} context - Signed-in user and request id, see auditService.getAuditContext
+ * @param {Object} [session] - MongoDB session of the surrounding transaction
+ * @returns {Promise<void>}
+ */
+const applyBulkOperation = async (operation, context, session) => {
+  if (operation.action === "delete") {
+    await operation.segment.softDelete(context.user, { session });
+  } else {
+    operation.segment = await operation.segment.save({ session });
+  }
+
+  await auditService.recordChange(
+    {
+      entityType: "Segment",
+      action: operation.action,
+      before: operation.before,
+      after: operation.action === "delete" ? undefined : operation.segment,
+      ...context,
+    },
+    { session }
+  );
+};
+
+/**
+ * Helper function to build the per-item results of a bulk request
+ * @param {Array<Object>} operations - Prepared (and possibly applied) operations
+ * @returns {Object} `{ summary, results }`
+ */
+const summariseBulkOperations = (operations) => {
+  const results = operations.map(
+    ({ index, action, id, segment, errors, conflicts }) => ({
+      index,
+      action,
+      id: segment ? segment._id : id,
+      success: !errors,
+      ...(errors
+        ? { errors, ...(conflicts && { conflicts }) }
+        : action !== "delete" && { data: segment }),
+    })
+  );
+  const succeeded = results.filter((result) => result.success).length;
+
+  return {
+    summary: {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+    },
+    results,
+  };
+};
+
+/**
+ * Helper function to build the row report of an import
+ * @param {Array<Object>} rows - Checked (and possibly imported) import rows
+ * @returns {Array<Object>} Row number, normalised data, validity and errors
+ */
+const formatImportRows = (rows) =>
+  rows.map(({ row, data, errors, conflicts, imported, operation }) => ({
+    row,
+    data,
+    valid: errors.length === 0,
+    errors,
+    ...(conflicts && { conflicts }),
+    ...(imported && { id: operation.segment._id }),
+  }));
+
+/**
+ * Helper function to build a segment query from request filters
+ * @param {Object} query - Request query (machineName, segmentType, date, startDate, endDate, search)
+ * @returns {Object} MongoDB filter
+ */
+const buildSegmentFilter = ({
+  machineName,
+  segmentType,
+  date,
+  startDate,
+  endDate,
+  search,
+}) => {
+  const filter = {};
+
+  if (machineName) {
+    filter.machineName = machineName;
+  }
+
+  if (segmentType) {
+    filter.segmentType = segmentType;
+  }
+
+  if (date) {
+    filter.date = date;
+  } else if (startDate && endDate) {
+    filter.date = { $gte: startDate, $lte: endDate };
+  } else if (startDate) {
+    filter.date = { $gte: startDate };
+  } else if (endDate) {
+    filter.date = { $lte: endDate };
+  }
+
+  // Free-text search over the columns shown in the segment tables
+  if (search) {
+    const pattern = new RegExp(
+      search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+      "i"
+    );
+    filter.$or = [
+      { machineName: pattern },
+      { segmentType: pattern },
+      { date: pattern },
+    ];
+  }
+
+  return filter;
+};
+
+/**
+ * Helper function to count segments and sum their durations per machine or shift and type
+ * @param {Object} filter - Segment filter
+ * @param {String} [groupBy] - machine, shift to split segments across the shifts they were worked in,
+ * or site, area or line to roll up machines to the plant hierarchy
+ * @param {Array<Object>} [rollup] - `{ name, machineNames }` per node when rolling up
+ * @returns {Promise<Array>} One entry per machine, shift or node with per-type totals
+ */
+const aggregateSegmentAnalytics = (filter, groupBy = "machine", rollup) =>
+  Segment.aggregate([
+    { $match: filter },
+    ...(groupBy === "shift"
+      ? [
+          { $unwind: "$shifts" },
+          // Drop the parts of matched segments worked in shifts outside the range
+          ...(filter["shifts.date"]
+            ? [{ $match: { "shifts.date": filter["shifts.date"] } }]
+            : []),
+        ]
+      : []),
+    {
+      $group: {
+        _id: {
+          group: rollup
+            ? getRollupExpression(rollup)
+            : groupBy === "shift"
+              ? "$shifts.name"
+              : "$machineName",
+          segmentType: "$segmentType",
+        },
+        count: { $sum: 1 },
+        totalDuration: {
+          $sum:
+            groupBy === "shift"
+              ? "$shifts.minutes"
+              : DURATION_MINUTES_EXPRESSION,
+        },
+      },
+    },
+    {
+      $group: {
+        _id: "$_id.group",
+        segments: {
+          $push: {
+            type: "$_id.segmentType",
+            count: "$count",
+            totalDuration: "$totalDuration",
+            formattedDuration: {
+              $concat: [
+                {
+                  $toString: { $floor: { $divide: ["$totalDuration", 60] } },
+                },
+                ":",
+                {
+                  $toString: {
+                    $cond: {
+                      if: { $lt: [{ $mod: ["$totalDuration", 60] }, 10] },
+                      then: {
+                        $concat: [
+                          "0",
+                          { $toString: { $mod: ["$totalDuration", 60] } },
+                        ],
+                      },
+                      else: { $toString: { $mod: ["$totalDuration", 60] } },
+                    },
+                  },
+                },
+                ":00",
+              ],
+            },
+          },
+        },
+        totalSegments: { $sum: "$count" },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+/**
+ * Helper function to summarise segments by type, shift, machine and day
+ * @param {Object} filter - Segment filter
+ * @param {String} [tz] - Timezone whose calendar days are used for the daily counts
+ * @returns {Promise<Object>} byType, byShift, byMachine, byDate and totals
+ */
+const aggregateSegmentStats = async (filter, tz) => {
+  // Group by calendar day in the viewer's timezone if requested,
+  // otherwise by the plant-local date the segment was recorded on
+  const dayExpression = tz
+    ? {
+        $dateToString: { format: "%Y-%m-%d", date: "$startAt", timezone: tz },
+      }
+    : "$date";
+
+  // Get overall statistics
+  const stats = await Segment.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        // Count by segment type
+        byType: [
+          {
+            $group: {
+              _id: "$segmentType",
+              count: { $sum: 1 },
+              totalDuration: { $sum: DURATION_MINUTES_EXPRESSION },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+
+        // Count and time by shift, splitting segments across the shifts they were worked in
+        byShift: [
+          { $unwind: "$shifts" },
+          {
+            $group: {
+              _id: { shift: "$shifts.name", segmentType: "$segmentType" },
+              count: { $sum: 1 },
+              totalDuration: { $sum: "$shifts.minutes" },
+            },
+          },
+          {
+            $group: {
+              _id: "$_id.shift",
+              count: { $sum: "$count" },
+              totalDuration: { $sum: "$totalDuration" },
+              byType: {
+                $push: {
+                  type: "$_id.segmentType",
+                  count: "$count",
+                  totalDuration: "$totalDuration",
+                },
+              },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+
+        // Count by machine
+        byMachine: [
+          {
+            $group: {
+              _id: "$machineName",
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+
+        // Count by date
+        byDate: [
+          {
+            $group: {
+              _id: dayExpression,
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+
+        // Overall totals
+        totals: [
+          {
+            $group: {
+              _id: null,
+              totalSegments: { $sum: 1 },
+              uniqueMachines: { $addToSet: "$machineName" },
+              uniqueDates: { $addToSet: dayExpression },
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              totalSegments: 1,
+              uniqueMachineCount: { $size: "$uniqueMachines" },
+              uniqueDateCount: { $size: "$uniqueDates" },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  // Calculate percentages for segment types
+  const segmentTypes = stats[0].byType;
+  const totalDuration = segmentTypes.reduce(
+    (acc, type) => acc + type.totalDuration,
+    0
+  );
+
+  const segmentTypesWithPercentages = segmentTypes.map((type) => ({
+    ...type,
+    percentage: Math.round((type.totalDuration / totalDuration) * 100),
+    formattedDuration: formatDuration(type.totalDuration),
+  }));
+
+  // Format the final response
+  const formattedStats = {
+    byType: segmentTypesWithPercentages,
+    byShift: stats[0].byShift.map((shift) => ({
+      ...shift,
+      formattedDuration: formatDuration(shift.totalDuration),
+    })),
+    byMachine: stats[0].byMachine,
+    byDate: stats[0].byDate,
+    totals: stats[0].totals[0] || {
+      totalSegments: 0,
+      uniqueMachineCount: 0,
+      uniqueDateCount: 0,
+    },
+  };
+
+  return formattedStats;
+};
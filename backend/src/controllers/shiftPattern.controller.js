@@ -0,0 +1,290 @@
+/**
+ * Shift Pattern Controller
+ *
+ * Handles shift patterns and the shift calendar derived from them
+ */
+
+const moment = require("moment-timezone");
+const ShiftPattern = require("../models/ShiftPattern");
+const Machine = require("../models/Machine");
+const Segment = require("../models/Segment");
+const logger = require("../utils/logger");
+const { getPlantTimezone } = require("../utils/timeUtils");
+const { getShiftInstances } = require("../utils/shiftUtils");
+
+// Fields that can be set on a shift pattern
+const SHIFT_PATTERN_FIELDS = [
+  "name",
+  "description",
+  "machineNames",
+  "shifts",
+  "weeklySchedule",
+  "crews",
+  "rotationStartDate",
+  "rotationDays",
+  "holidays",
+  "active",
+];
+
+/**
+ * Get all shift patterns
+ * @route GET /api/shift-patterns
+ * @access Private
+ */
+exports.getShiftPatterns = async (req, res) => {
+  try {
+    const patterns = await ShiftPattern.find().sort({ name: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      count: patterns.length,
+      data: patterns,
+    });
+  } catch (error) {
+    logger.error("Error fetching shift patterns", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the shifts a machine works over a date range
+ * @route GET /api/shift-patterns/calendar
+ * @access Private
+ */
+exports.getShiftCalendar = async (req, res) => {
+  try {
+    const { machineName, startDate, endDate } = req.query;
+
+    const [pattern, machine] = await Promise.all([
+      ShiftPattern.findForMachine(machineName),
+      machineName
+        ? Machine.findOne({ name: machineName }, "timezone").lean()
+        : null,
+    ]);
+    const timezone = (machine && machine.timezone) || getPlantTimezone();
+
+    const shifts = getShiftInstances(pattern, startDate, endDate, timezone).map(
+      (instance) => ({
+        date: instance.date,
+        shift: instance.shift,
+        crew: instance.crew,
+        start: moment.tz(instance.start, timezone).format(),
+        end: moment.tz(instance.end, timezone).format(),
+      })
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        pattern: pattern.name,
+        timezone,
+        shifts,
+      },
+    });
+  } catch (error) {
+    logger.error("Error fetching shift calendar", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get shift pattern by ID
+ * @route GET /api/shift-patterns/:id
+ * @access Private
+ */
+exports.getShiftPatternById = async (req, res) => {
+  try {
+    const pattern = await ShiftPattern.findById(req.params.id);
+
+    if (!pattern) {
+      return res.status(404).json({
+        success: false,
+        message: "Shift pattern not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: pattern,
+    });
+  } catch (error) {
+    logger.error(
+      `Error fetching shift pattern with id ${req.params.id}`,
+      error
+    );
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create shift pattern and reassign the shifts of the segments it covers
+ * @route POST /api/shift-patterns
+ * @access Private (shift-patterns:write)
+ */
+exports.createShiftPattern = async (req, res) => {
+  try {
+    const pattern = await ShiftPattern.create(pickShiftPatternFields(req.body));
+
+    logger.info(`Created shift pattern ${pattern.name}`);
+    await resyncSegmentShifts(pattern.machineNames);
+
+    res.status(201).json({
+      success: true,
+      data: pattern,
+    });
+  } catch (error) {
+    logger.error("Error creating shift pattern", error);
+    sendShiftPatternError(res, error);
+  }
+};
+
+/**
+ * Update shift pattern and reassign the shifts of the segments it covers
+ * @route PUT /api/shift-patterns/:id
+ * @access Private (shift-patterns:write)
+ */
+exports.updateShiftPattern = async (req, res) => {
+  try {
+    const pattern = await ShiftPattern.findById(req.params.id);
+
+    if (!pattern) {
+      return res.status(404).json({
+        success: false,
+        message: "Shift pattern not found",
+      });
+    }
+
+    const previousMachineNames = [...pattern.machineNames];
+
+    pattern.set(pickShiftPatternFields(req.body));
+
+    const updatedPattern = await pattern.save();
+
+    logger.info(`Updated shift pattern ${updatedPattern.name}`);
+    await resyncSegmentShifts(
+      previousMachineNames,
+      updatedPattern.machineNames
+    );
+
+    res.status(200).json({
+      success: true,
+      data: updatedPattern,
+    });
+  } catch (error) {
+    logger.error(
+      `Error updating shift pattern with id ${req.params.id}`,
+      error
+    );
+    sendShiftPatternError(res, error);
+  }
+};
+
+/**
+ * Delete shift pattern; its machines fall back to the plant-wide or default pattern
+ * @route DELETE /api/shift-patterns/:id
+ * @access Private (shift-patterns:write)
+ */
+exports.deleteShiftPattern = async (req, res) => {
+  try {
+    const pattern = await ShiftPattern.findById(req.params.id);
+
+    if (!pattern) {
+      return res.status(404).json({
+        success: false,
+        message: "Shift pattern not found",
+      });
+    }
+
+    await pattern.deleteOne();
+
+    logger.info(`Deleted shift pattern ${pattern.name}`);
+    await resyncSegmentShifts(pattern.machineNames);
+
+    res.status(200).json({
+      success: true,
+      message: "Shift pattern deleted successfully",
+    });
+  } catch (error) {
+    logger.error(
+      `Error deleting shift pattern with id ${req.params.id}`,
+      error
+    );
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Helper function to keep only the shift pattern fields of a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Shift pattern fields that were sent
+ */
+const pickShiftPatternFields = (body) =>
+  Object.fromEntries(
+    SHIFT_PATTERN_FIELDS.filter((key) => body[key] !== undefined).map((key) => [
+      key,
+      body[key],
+    ])
+  );
+
+/**
+ * Helper function to reassign segment shifts after a pattern changed
+ * @param {...Array<String>} machineLists - Machine names of the pattern before and after
+ * the change; an empty list means the pattern was plant-wide and every segment is affected
+ */
+const resyncSegmentShifts = async (...machineLists) => {
+  const plantWide = machineLists.some((names) => names.length === 0);
+  const filter = plantWide
+    ? {}
+    : { machineName: { $in: [...new Set(machineLists.flat())] } };
+
+  const synced = await Segment.syncTimestamps(filter);
+
+  logger.info(`Reassigned shifts for ${synced} segments`);
+};
+
+/**
+ * Helper function to turn a failed shift-pattern save into a response
+ * @param {Object} res - Express response
+ * @param {Error} error - Save error
+ */
+const sendShiftPatternError = (res, error) => {
+  if (error.name === "ValidationError") {
+    const messages = Object.values(error.errors).map((err) => err.message);
+
+    return res.status(400).json({
+      success: false,
+      message: "Validation Error",
+      errors: messages,
+    });
+  }
+
+  // Duplicate name
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "Shift pattern already exists",
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: "Server Error",
+    error: error.message,
+  });
+};
@@ -1,21 +1,40 @@
-// Simple authentication middleware placeholder
-// In a real application, this would validate JWT tokens or other auth mechanisms
+/**
+ * Authentication Middleware
+ *
+ * Requires a valid access token in the Authorization header
+ */
 
+const { verifyAccessToken } = require('../services/authService');
+
+/**
+ * Verify the bearer token and attach the signed-in user to req.user; responds
+ * with 401 and a `code` the client can act on (TOKEN_EXPIRED means refresh and retry)
+ */
 const auth = (req, res, next) => {
-  // For now, just a placeholder that allows all requests to pass through
-  // In a real app, this would verify authentication tokens
+  const [scheme, token] = (req.header('Authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+      code: 'AUTH_REQUIRED',
+    });
+  }
 
-  // Example implementation with JWT would look like:
-  // try {
-  //   const token = req.header('Authorization').replace('Bearer ', '');
-  //   const decoded = jwt.verify(token, process.env.JWT_SECRET);
-  //   req.user = decoded;
-  //   next();
-  // } catch (error) {
-  //   res.status(401).send({ error: 'Please authenticate.' });
-  // }
+  try {
+    req.user = verifyAccessToken(token);
+    next();
+  } catch (error) {
+    if (error.name !== 'AuthError') {
+      return next(error);
+    }
 
-  next();
+    res.status(401).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
 };
 
 module.exports = auth;
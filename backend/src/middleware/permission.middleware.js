@@ -0,0 +1,53 @@
+/**
+ * Permission Middleware
+ *
+ * Role and machine checks for routes behind the auth middleware
+ */
+
+const { hasPermission } = require('../config/permissions');
+const { canAccessMachine } = require('../utils/accessUtils');
+
+/**
+ * Require every given permission; responds with 403 and code FORBIDDEN otherwise
+ * @param {...String} permissions - Permissions, e.g. "segments:delete"
+ * @returns {Function} Express middleware
+ */
+const authorize =
+  (...permissions) =>
+  (req, res, next) => {
+    const missing = permissions.find((permission) => !hasPermission(req.user.role, permission));
+
+    if (missing) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action',
+        code: 'FORBIDDEN',
+        permission: missing,
+      });
+    }
+
+    next();
+  };
+
+/**
+ * Reject a request for a machine outside the user's scope, named by the machineName
+ * route or query parameter; requests without one are left to the controller to scope
+ */
+const authorizeMachine = (req, res, next) => {
+  const machineName = req.params.machineName || req.query.machineName;
+
+  if (machineName && !canAccessMachine(req.user, machineName)) {
+    return res.status(403).json({
+      success: false,
+      message: `You do not have access to machine ${machineName}`,
+      code: 'FORBIDDEN',
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  authorize,
+  authorizeMachine,
+};
@@ -1,25 +1,36 @@
 /**
  * Request Logger Middleware
  *
- * Logs details about incoming HTTP requests
+ * Logs details about incoming HTTP requests and gives each one an id
  */
 
+const crypto = require('crypto');
 const logger = require('../utils/logger');
 
+// Longest request id accepted from a client or proxy
+const MAX_REQUEST_ID_LENGTH = 100;
+
 /**
  * Middleware to log HTTP requests
+ *
+ * Sets req.id from the X-Request-Id header (or a new UUID) and echoes it back,
+ * so log lines and audit entries can be traced to a request
  */
 const requestLogger = (req, res, next) => {
   // Start time of request
   const start = Date.now();
 
+  const requestId = req.header('X-Request-Id');
+  req.id = requestId && requestId.length <= MAX_REQUEST_ID_LENGTH ? requestId : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
   // Log request details
-  logger.request(req);
+  logger.request(req, req.id);
 
   // Log response details when the response is finished
   res.on('finish', () => {
     const duration = Date.now() - start;
-    const logMessage = `${req.method} ${req.originalUrl} ${res.statusCode} ${duration}ms`;
+    const logMessage = `${req.method} ${req.originalUrl} ${res.statusCode} ${duration}ms ${req.id}`;
 
     // Log based on status code
     if (res.statusCode >= 500) {
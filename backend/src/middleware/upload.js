@@ -0,0 +1,54 @@
+/**
+ * Upload Middleware
+ *
+ * Handles multipart file uploads
+ */
+
+const path = require('path');
+const multer = require('multer');
+
+// Largest accepted import file (5 MB)
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024;
+
+// File types the segment import understands
+const IMPORT_FILE_EXTENSIONS = ['.csv', '.xlsx'];
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!IMPORT_FILE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(new Error('Import file must be a .csv or .xlsx file'));
+    }
+    cb(null, true);
+  },
+}).single('file');
+
+/**
+ * Accept a single CSV or XLSX import file in the `file` field
+ */
+exports.uploadImportFile = (req, res, next) => {
+  importUpload(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload Error',
+        errors: [
+          err.code === 'LIMIT_FILE_SIZE'
+            ? `Import file must not be larger than ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)} MB`
+            : err.message,
+        ],
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload Error',
+        errors: ['An import file is required in the "file" field'],
+      });
+    }
+
+    next();
+  });
+};
@@ -6,6 +6,10 @@
 
 const { body, param, query, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const { isValidTimezone } = require('../utils/timeUtils');
+const { DEFAULT_COLUMN_MAPPING } = require('../utils/importUtils');
+const { decodeCursor } = require('../utils/cursorUtils');
 
 /**
  * Process validation results and return errors if any
@@ -22,6 +26,124 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+// Maximum number of operations accepted in one bulk segment request
+const MAX_BULK_OPERATIONS = 500;
+
+// Maximum number of segments merged in one request
+const MAX_MERGE_SEGMENTS = 100;
+
+// Longest date range an OEE report may cover
+const MAX_OEE_RANGE_DAYS = 366;
+
+// Longest date range a shift calendar may cover
+const MAX_SHIFT_CALENDAR_DAYS = 93;
+
+// Longest date range gaps are looked for in
+const MAX_GAP_RANGE_DAYS = 93;
+
+// Maximum number of machine state events accepted in one ingestion request
+const MAX_SIGNAL_EVENTS = 1000;
+
+// Machine fields the machine list can be sorted by; all are set on every machine
+const MACHINE_SORT_FIELDS = [
+  'name',
+  'serialNumber',
+  'type',
+  'status',
+  'installationDate',
+  'createdAt',
+  'updatedAt',
+];
+
+// Machine fields the machine list can be limited to
+const MACHINE_FIELDS = [
+  ...MACHINE_SORT_FIELDS,
+  'segments',
+  'location',
+  'line',
+  'timezone',
+  'plannedProductionMinutes',
+  'idealCycleTime',
+  'lastServiceDate',
+  'counters',
+];
+
+/**
+ * Check that a value is a valid segment ID
+ */
+const isSegmentId = (value) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new Error('Invalid segment ID format');
+  }
+  return true;
+};
+
+/**
+ * Opt-in to saving segments that overlap existing ones
+ */
+const allowOverlapQuery = query('allowOverlap')
+  .optional()
+  .isBoolean()
+  .withMessage('allowOverlap must be true or false');
+
+// Soft-delete marks; a segment is only deleted and restored by its own requests
+const DELETE_MARKS = ['deletedAt', 'deletedBy'];
+const DELETE_MARKS_MESSAGE = 'Segments are deleted and restored with their own requests';
+
+/**
+ * Throw if segment data sets a soft-delete mark
+ * @param {Object} data - Segment data
+ */
+const checkNoDeleteMarks = (data) => {
+  if (DELETE_MARKS.some((field) => data[field] != null)) {
+    throw new Error(DELETE_MARKS_MESSAGE);
+  }
+};
+
+/**
+ * Overlap handling options shared by segment create and update
+ */
+const overlapOptions = [
+  allowOverlapQuery,
+
+  query('resolve')
+    .optional()
+    .isIn(['trim', 'split', 'replace'])
+    .withMessage('Resolve must be one of: trim, split, replace'),
+];
+
+/**
+ * Optional viewer timezone used to render dates and times
+ */
+const timezoneQuery = query('tz')
+  .optional()
+  .custom((value) => {
+    if (!isValidTimezone(value)) {
+      throw new Error('tz must be a valid IANA timezone (e.g. Asia/Kolkata)');
+    }
+    return true;
+  });
+
+/**
+ * Optional related documents to include with each segment
+ */
+const populateQuery = query('populate')
+  .optional()
+  .isIn(['machine'])
+  .withMessage('populate must be: machine');
+
+/**
+ * Optional plant node whose machines a query is limited to
+ */
+const nodeQuery = query('node')
+  .optional()
+  .custom((value) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new Error('Invalid plant node ID format');
+    }
+    return true;
+  });
+
 /**
  * Validate segment ID parameter
  */
@@ -39,9 +161,44 @@ exports.validateSegmentId = [
 ];
 
 /**
- * Validate create segment request
+ * Optional production counts, reason code and notes recorded on a segment; the
+ * soft-delete marks cannot be set
+ */
+const segmentDetails = [
+  body('totalCount')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Total count must be a non-negative integer')
+    .toInt(),
+
+  body('rejectCount')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Reject count must be a non-negative integer')
+    .toInt(),
+
+  body('reasonCode')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Reason code must be a string')
+    .trim()
+    .isLength({ max: 40 })
+    .withMessage('Reason code cannot be longer than 40 characters'),
+
+  body('notes')
+    .optional()
+    .isString()
+    .withMessage('Notes must be a string')
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot be longer than 1000 characters'),
+
+  body(DELETE_MARKS).not().exists({ values: 'null' }).withMessage(DELETE_MARKS_MESSAGE),
+];
+
+/**
+ * Segment fields required to create a segment
  */
-exports.validateCreateSegment = [
+const createSegmentFields = [
   body('date')
     .notEmpty()
     .withMessage('Date is required')
@@ -54,9 +211,9 @@ exports.validateCreateSegment = [
     .matches(/^([01]\d|2[0-3]):([0-5]\d):([0-5]\d)$/)
     .withMessage('Start time must be in HH:MM:SS format'),
 
+  // Without an end time the segment stays open until it is closed
   body('endTime')
-    .notEmpty()
-    .withMessage('End time is required')
+    .optional({ values: 'null' })
     .matches(/^([01]\d|2[0-3]):([0-5]\d):([0-5]\d)$/)
     .withMessage('End time must be in HH:MM:SS format'),
 
@@ -68,9 +225,32 @@ exports.validateCreateSegment = [
     .isIn(['uptime', 'downtime', 'idle', 'select'])
     .withMessage('Segment type must be one of: uptime, downtime, idle, select'),
 
-  validateRequest,
+  ...segmentDetails,
 ];
 
+/**
+ * Validate create segment request
+ */
+exports.validateCreateSegment = [...createSegmentFields, ...overlapOptions, validateRequest];
+
+/**
+ * Check segment data against the create segment rules outside of a request,
+ * e.g. for rows of an import file
+ * @param {Object} data - Segment data
+ * @returns {Promise<Array<Object>>} `{ field, message }` for every failed rule
+ */
+exports.checkSegmentData = async (data) => {
+  const req = { body: data };
+
+  for (const chain of createSegmentFields) {
+    await chain.run(req);
+  }
+
+  return validationResult(req)
+    .array()
+    .map((err) => ({ field: err.path, message: err.msg }));
+};
+
 /**
  * Validate update segment request
  */
@@ -95,8 +275,9 @@ exports.validateUpdateSegment = [
     .matches(/^([01]\d|2[0-3]):([0-5]\d):([0-5]\d)$/)
     .withMessage('Start time must be in HH:MM:SS format'),
 
+  // null leaves the segment open
   body('endTime')
-    .optional()
+    .optional({ values: 'null' })
     .matches(/^([01]\d|2[0-3]):([0-5]\d):([0-5]\d)$/)
     .withMessage('End time must be in HH:MM:SS format'),
 
@@ -107,15 +288,221 @@ exports.validateUpdateSegment = [
     .isIn(['uptime', 'downtime', 'idle', 'select'])
     .withMessage('Segment type must be one of: uptime, downtime, idle, select'),
 
+  ...segmentDetails,
+
+  body('__v')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Version must be a non-negative integer')
+    .toInt(),
+
+  ...overlapOptions,
+
   validateRequest,
 ];
 
 /**
- * Validate timeline parameters
+ * Validate close segment request
  */
-exports.validateTimelineParams = [
-  param('machineName').notEmpty().withMessage('Machine name is required').trim(),
+exports.validateCloseSegment = [
+  param('id').custom(isSegmentId),
+
+  body('endAt').optional().isISO8601().withMessage('endAt must be an ISO 8601 date and time'),
+
+  validateRequest,
+];
+
+/**
+ * Validate split segment request
+ */
+exports.validateSplitSegment = [
+  param('id').custom(isSegmentId),
+
+  body('at')
+    .notEmpty()
+    .withMessage('Split time is required')
+    .bail()
+    .isISO8601()
+    .withMessage('at must be an ISO 8601 date and time'),
+
+  body('segmentType')
+    .optional()
+    .isIn(['uptime', 'downtime', 'idle', 'select'])
+    .withMessage('Segment type must be one of: uptime, downtime, idle, select'),
+
+  body('side')
+    .optional()
+    .isIn(['before', 'after'])
+    .withMessage('Side must be one of: before, after'),
+
+  validateRequest,
+];
+
+/**
+ * Validate merge segments request
+ */
+exports.validateMergeSegments = [
+  body('ids')
+    .isArray({ min: 2, max: MAX_MERGE_SEGMENTS })
+    .withMessage(`ids must be an array of 2 to ${MAX_MERGE_SEGMENTS} segment IDs`)
+    .bail()
+    .custom((ids) => {
+      if (new Set(ids.map(String)).size !== ids.length) {
+        throw new Error('ids must not contain duplicates');
+      }
+      return true;
+    }),
+
+  body('ids.*').custom(isSegmentId),
+
+  body('versions')
+    .optional()
+    .isArray()
+    .withMessage('versions must be an array')
+    .bail()
+    .custom((versions, { req }) => {
+      if (!Array.isArray(req.body.ids) || versions.length !== req.body.ids.length) {
+        throw new Error('versions must list a version for each of the ids');
+      }
+      return true;
+    }),
+
+  body('versions.*')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Each version must be a non-negative integer'),
+
+  validateRequest,
+];
+
+/**
+ * Validate bulk segment request
+ */
+exports.validateBulkSegments = [
+  body().custom((value) => {
+    if (!value?.operations && !value?.ids) {
+      throw new Error('Either operations or ids is required');
+    }
+    if (value?.operations && value?.ids) {
+      throw new Error('Provide either operations or ids, not both');
+    }
+    return true;
+  }),
+
+  body('mode')
+    .optional()
+    .isIn(['transactional', 'partial'])
+    .withMessage('Mode must be one of: transactional, partial'),
+
+  body('operations')
+    .optional()
+    .isArray({ min: 1, max: MAX_BULK_OPERATIONS })
+    .withMessage(`Operations must be an array of 1 to ${MAX_BULK_OPERATIONS} items`)
+    .bail()
+    .custom((operations) => {
+      const ids = operations
+        .filter((operation) => operation?.id)
+        .map((operation) => String(operation.id));
+      if (new Set(ids).size !== ids.length) {
+        throw new Error('Each segment can only appear in one operation');
+      }
+      return true;
+    }),
+
+  body('operations.*').custom((operation) => {
+    if (!['create', 'update', 'delete'].includes(operation?.action)) {
+      throw new Error('Operation action must be one of: create, update, delete');
+    }
+    if (operation.action !== 'create') {
+      isSegmentId(operation.id);
+    }
+    if (
+      operation.action !== 'delete' &&
+      (typeof operation.data !== 'object' ||
+        operation.data === null ||
+        Array.isArray(operation.data))
+    ) {
+      throw new Error('Operation data is required for create and update');
+    }
+    if (operation.action !== 'delete') {
+      checkNoDeleteMarks(operation.data);
+    }
+    return true;
+  }),
+
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: MAX_BULK_OPERATIONS })
+    .withMessage(`ids must be an array of 1 to ${MAX_BULK_OPERATIONS} segment IDs`)
+    .bail()
+    .custom((ids) => {
+      if (new Set(ids.map(String)).size !== ids.length) {
+        throw new Error('ids must not contain duplicates');
+      }
+      return true;
+    }),
+
+  body('ids.*').custom(isSegmentId),
+
+  body('data')
+    .if(body('ids').exists())
+    .isObject()
+    .withMessage('Data is required when updating segments by ids')
+    .bail()
+    .custom((data) => {
+      checkNoDeleteMarks(data);
+      return true;
+    }),
+
+  allowOverlapQuery,
+
+  validateRequest,
+];
+
+/**
+ * Validate segment import request
+ */
+exports.validateImportSegments = [
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+
+  query('skipInvalid').optional().isBoolean().withMessage('skipInvalid must be true or false'),
+
+  body('mapping')
+    .optional()
+    .custom((value) => {
+      let mapping;
+      try {
+        mapping = typeof value === 'string' ? JSON.parse(value) : value;
+      } catch (error) {
+        throw new Error('Mapping must be a JSON object');
+      }
+      if (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping)) {
+        throw new Error('Mapping must be a JSON object');
+      }
+      const unknownFields = Object.keys(mapping).filter(
+        (field) => !Object.keys(DEFAULT_COLUMN_MAPPING).includes(field)
+      );
+      if (unknownFields.length > 0) {
+        throw new Error(
+          `Mapping fields must be among: ${Object.keys(DEFAULT_COLUMN_MAPPING).join(', ')}`
+        );
+      }
+      if (Object.values(mapping).some((column) => typeof column !== 'string' || !column.trim())) {
+        throw new Error('Mapped column names must be non-empty strings');
+      }
+      return true;
+    })
+    .customSanitizer((value) => (typeof value === 'string' ? JSON.parse(value) : value)),
+
+  allowOverlapQuery,
+
+  validateRequest,
+];
 
+/**
+ * Timeline filters shared by the machine and plant node timelines
+ */
+const timelineFilters = [
   query('date')
     .optional()
     .matches(/^\d{4}-\d{2}-\d{2}$/)
@@ -131,15 +518,43 @@ exports.validateTimelineParams = [
     .matches(/^\d{4}-\d{2}-\d{2}$/)
     .withMessage('End date must be in YYYY-MM-DD format'),
 
+  timezoneQuery,
+
+  populateQuery,
+];
+
+/**
+ * Validate timeline parameters
+ */
+exports.validateTimelineParams = [
+  param('machineName').notEmpty().withMessage('Machine name is required').trim(),
+
+  ...timelineFilters,
+
   validateRequest,
 ];
 
 /**
- * Validate segment filters
+ * Validate plant node timeline parameters
  */
-exports.validateSegmentFilters = [
+exports.validatePlantTimelineParams = [
+  query('node').notEmpty().withMessage('Plant node is required'),
+
+  nodeQuery,
+
+  ...timelineFilters,
+
+  validateRequest,
+];
+
+/**
+ * Segment list filters shared by listing and export
+ */
+const segmentFilters = [
   query('machineName').optional().trim(),
 
+  nodeQuery,
+
   query('segmentType')
     .optional()
     .isIn(['uptime', 'downtime', 'idle', 'select', ''])
@@ -160,6 +575,21 @@ exports.validateSegmentFilters = [
     .matches(/^\d{4}-\d{2}-\d{2}$/)
     .withMessage('End date must be in YYYY-MM-DD format'),
 
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must be at most 100 characters'),
+
+  timezoneQuery,
+];
+
+/**
+ * Validate segment filters
+ */
+exports.validateSegmentFilters = [
+  ...segmentFilters,
+
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
 
   query('limit')
@@ -168,5 +598,761 @@ exports.validateSegmentFilters = [
     .withMessage('Limit must be between 1 and 100')
     .toInt(),
 
+  populateQuery,
+
+  validateRequest,
+];
+
+/**
+ * Validate segment analytics request
+ */
+exports.validateSegmentAnalytics = [
+  ...segmentFilters,
+
+  query('groupBy')
+    .optional()
+    .isIn(['machine', 'shift', 'site', 'area', 'line'])
+    .withMessage('Group by must be one of: machine, shift, site, area, line'),
+
+  validateRequest,
+];
+
+/**
+ * Validate segment export request
+ */
+exports.validateExportSegments = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx', 'pdf'])
+    .withMessage('Format must be one of: csv, xlsx, pdf'),
+
+  ...segmentFilters,
+
+  validateRequest,
+];
+
+/**
+ * Gap search fields shared by finding and filling gaps
+ * @param {Function} location - express-validator query or body
+ */
+const gapFields = (location) => [
+  location('machineName').optional().trim(),
+
+  location('node')
+    .optional()
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid plant node ID format');
+      }
+      return true;
+    }),
+
+  location('startDate')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Start date must be in YYYY-MM-DD format'),
+
+  location('endDate')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('End date must be in YYYY-MM-DD format')
+    .custom((value, { req, location: source }) => {
+      const { startDate } = req[source];
+
+      if (!startDate) {
+        return true;
+      }
+
+      const days = moment.utc(value).diff(moment.utc(startDate), 'days') + 1;
+
+      if (days < 1) {
+        throw new Error('End date must not be before start date');
+      }
+      if (days > MAX_GAP_RANGE_DAYS) {
+        throw new Error(`Date range cannot exceed ${MAX_GAP_RANGE_DAYS} days`);
+      }
+      return true;
+    }),
+
+  location('minMinutes')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('minMinutes must be a non-negative number')
+    .toFloat(),
+];
+
+/**
+ * Validate gap search request
+ */
+exports.validateGapParams = [...gapFields(query), validateRequest];
+
+/**
+ * Validate gap fill request
+ */
+exports.validateFillGaps = [
+  ...gapFields(body),
+
+  body('segmentType')
+    .optional()
+    .isIn(['select', 'idle', 'uptime', 'downtime'])
+    .withMessage('Segment type must be one of: select, idle, uptime, downtime'),
+
+  validateRequest,
+];
+
+/**
+ * Validate OEE request
+ */
+exports.validateOeeParams = [
+  query('machineName').optional().trim(),
+
+  query('startDate')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Start date must be in YYYY-MM-DD format'),
+
+  query('endDate')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('End date must be in YYYY-MM-DD format')
+    .custom((value, { req }) => {
+      if (!req.query.startDate) {
+        return true;
+      }
+
+      const days = moment.utc(value).diff(moment.utc(req.query.startDate), 'days') + 1;
+
+      if (days < 1) {
+        throw new Error('End date must not be before start date');
+      }
+      if (days > MAX_OEE_RANGE_DAYS) {
+        throw new Error(`Date range cannot exceed ${MAX_OEE_RANGE_DAYS} days`);
+      }
+      return true;
+    }),
+
+  validateRequest,
+];
+
+/**
+ * Reason code fields shared by create and update
+ */
+const reasonCodeFields = [
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be longer than 500 characters'),
+
+  body('planned').optional().isBoolean().withMessage('Planned must be true or false'),
+
+  body('active').optional().isBoolean().withMessage('Active must be true or false'),
+];
+
+/**
+ * Validate reason code ID parameter
+ */
+const reasonCodeId = param('id').custom((value) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new Error('Invalid reason code ID format');
+  }
+  return true;
+});
+
+/**
+ * Validate reason code list request
+ */
+exports.validateReasonCodeFilters = [
+  query('active').optional().isBoolean().withMessage('Active must be true or false'),
+
+  query('format')
+    .optional()
+    .isIn(['flat', 'tree'])
+    .withMessage('Format must be one of: flat, tree'),
+
+  validateRequest,
+];
+
+/**
+ * Validate create reason code request
+ */
+exports.validateCreateReasonCode = [
+  body('code')
+    .notEmpty()
+    .withMessage('Code is required')
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9_]{1,40}$/)
+    .withMessage('Code may only contain letters, digits and underscores (at most 40)'),
+
+  body('name').trim().notEmpty().withMessage('Name is required'),
+
+  body('parentCode').optional({ values: 'null' }).trim().toUpperCase(),
+
+  ...reasonCodeFields,
+
+  validateRequest,
+];
+
+/**
+ * Validate update reason code request
+ */
+exports.validateUpdateReasonCode = [
+  reasonCodeId,
+
+  body(['code', 'parentCode'])
+    .not()
+    .exists()
+    .withMessage('Code and parent cannot be changed; create a new reason code instead'),
+
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+
+  ...reasonCodeFields,
+
+  validateRequest,
+];
+
+/**
+ * Validate delete reason code request
+ */
+exports.validateReasonCodeId = [reasonCodeId, validateRequest];
+
+/**
+ * Validate machine list request
+ */
+exports.validateMachineFilters = [
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive', 'maintenance', 'decommissioned'])
+    .withMessage('Status must be one of: active, inactive, maintenance, decommissioned'),
+
+  query('type').optional().trim(),
+
+  query('location').optional().trim(),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must be at most 100 characters'),
+
+  nodeQuery,
+
+  query('sort')
+    .optional()
+    .isIn(MACHINE_SORT_FIELDS)
+    .withMessage(`Sort must be one of: ${MACHINE_SORT_FIELDS.join(', ')}`),
+
+  query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('cursor')
+    .optional()
+    .custom((value, { req }) => {
+      const cursor = decodeCursor(value);
+
+      if (!cursor || cursor.field !== (req.query.sort || 'name')) {
+        throw new Error('Invalid cursor; start again from the first page');
+      }
+      return true;
+    }),
+
+  query('fields')
+    .optional()
+    .custom((value) => {
+      const unknown = value.split(',').find((field) => !MACHINE_FIELDS.includes(field.trim()));
+
+      if (unknown !== undefined) {
+        throw new Error(`Unknown field ${unknown}; fields can be: ${MACHINE_FIELDS.join(', ')}`);
+      }
+      return true;
+    }),
+
+  validateRequest,
+];
+
+/**
+ * Validate plant node ID parameter
+ */
+const plantNodeId = param('id').custom((value) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new Error('Invalid plant node ID format');
+  }
+  return true;
+});
+
+/**
+ * Plant node fields shared by create and update
+ */
+const plantNodeFields = [
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be longer than 500 characters'),
+];
+
+/**
+ * Validate plant node list request
+ */
+exports.validatePlantNodeFilters = [
+  query('level')
+    .optional()
+    .isIn(['enterprise', 'site', 'area', 'line'])
+    .withMessage('Level must be one of: enterprise, site, area, line'),
+
+  query('format')
+    .optional()
+    .isIn(['flat', 'tree'])
+    .withMessage('Format must be one of: flat, tree'),
+
+  validateRequest,
+];
+
+/**
+ * Validate create plant node request; enterprises have no parent
+ */
+exports.validateCreatePlantNode = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+
+  body('parent')
+    .optional({ values: 'null' })
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid parent node ID format');
+      }
+      return true;
+    }),
+
+  ...plantNodeFields,
+
+  validateRequest,
+];
+
+/**
+ * Validate update plant node request
+ */
+exports.validateUpdatePlantNode = [
+  plantNodeId,
+
+  body(['parent', 'level', 'ancestors'])
+    .not()
+    .exists()
+    .withMessage('Nodes cannot be moved; create a new node instead'),
+
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+
+  ...plantNodeFields,
+
+  validateRequest,
+];
+
+/**
+ * Validate delete plant node request
+ */
+exports.validatePlantNodeId = [plantNodeId, validateRequest];
+
+/**
+ * Validate maintenance plan ID parameter
+ */
+const maintenancePlanId = param('id').custom((value) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new Error('Invalid maintenance plan ID format');
+  }
+  return true;
+});
+
+/**
+ * Maintenance plan fields shared by create and update
+ */
+const maintenancePlanFields = [
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be longer than 500 characters'),
+
+  body('component')
+    .optional({ values: 'null' })
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid component ID format');
+      }
+      return true;
+    }),
+
+  body('leadTime')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Lead time must be a non-negative number')
+    .toFloat(),
+
+  body('windowStartTime')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):([0-5]\d):([0-5]\d)$/)
+    .withMessage('Window start time must be in HH:MM:SS format'),
+
+  body('windowMinutes')
+    .optional()
+    .isInt({ min: 1, max: 1439 })
+    .withMessage('Window minutes must be between 1 and 1439')
+    .toInt(),
+
+  body('reasonCode').optional().trim().toUpperCase(),
+
+  body('lastServiceAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Last service must be an ISO 8601 date and time'),
+
+  body('active').optional().isBoolean().withMessage('Active must be true or false'),
+];
+
+/**
+ * Validate maintenance plan list request
+ */
+exports.validateMaintenancePlanFilters = [
+  query('machineName').optional().trim(),
+
+  query('active').optional().isBoolean().withMessage('Active must be true or false'),
+
+  validateRequest,
+];
+
+/**
+ * Validate create maintenance plan request
+ */
+exports.validateCreateMaintenancePlan = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+
+  body('machineName').notEmpty().withMessage('Machine name is required').trim(),
+
+  body('intervalType')
+    .isIn(['days', 'uptimeHours'])
+    .withMessage('Interval type must be one of: days, uptimeHours'),
+
+  body('interval')
+    .isFloat({ min: 1 })
+    .withMessage('Interval must be a number of at least 1')
+    .toFloat(),
+
+  ...maintenancePlanFields,
+
+  validateRequest,
+];
+
+/**
+ * Validate update maintenance plan request
+ */
+exports.validateUpdateMaintenancePlan = [
+  maintenancePlanId,
+
+  body(['machineName', 'machine'])
+    .not()
+    .exists()
+    .withMessage('Plans cannot be moved to another machine; create a new plan instead'),
+
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+
+  body('intervalType')
+    .optional()
+    .isIn(['days', 'uptimeHours'])
+    .withMessage('Interval type must be one of: days, uptimeHours'),
+
+  body('interval')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Interval must be a number of at least 1')
+    .toFloat(),
+
+  ...maintenancePlanFields,
+
+  validateRequest,
+];
+
+/**
+ * Validate get and delete maintenance plan requests
+ */
+exports.validateMaintenancePlanId = [maintenancePlanId, validateRequest];
+
+/**
+ * Validate due maintenance request
+ */
+exports.validateDueMaintenance = [
+  query('machineName').optional().trim(),
+
+  query('state').optional().isIn(['due', 'overdue']).withMessage('State must be due or overdue'),
+
+  validateRequest,
+];
+
+/**
+ * Validate work order list request
+ */
+exports.validateWorkOrderFilters = [
+  query('machineName').optional().trim(),
+
+  query('status')
+    .optional()
+    .isIn(['open', 'completed', 'cancelled'])
+    .withMessage('Status must be one of: open, completed, cancelled'),
+
+  validateRequest,
+];
+
+/**
+ * Validate complete work order request
+ */
+exports.validateCompleteWorkOrder = [
+  param('id').custom((value) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new Error('Invalid work order ID format');
+    }
+    return true;
+  }),
+
+  body('completedAt')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('completedAt must be an ISO 8601 date and time')
+    .bail()
+    .custom((value) => {
+      const completedAt = new Date(value);
+
+      // Week and ordinal dates pass isISO8601 but do not parse
+      if (Number.isNaN(completedAt.getTime())) {
+        throw new Error('completedAt must be an ISO 8601 date and time');
+      }
+      if (completedAt > new Date()) {
+        throw new Error('completedAt cannot be in the future');
+      }
+      return true;
+    }),
+
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot be longer than 1000 characters'),
+
+  validateRequest,
+];
+
+/**
+ * Validate downtime Pareto request
+ */
+exports.validateParetoParams = [
+  query('machineName').optional().trim(),
+
+  query('startDate')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Start date must be in YYYY-MM-DD format'),
+
+  query('endDate')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('End date must be in YYYY-MM-DD format'),
+
+  query('level')
+    .optional()
+    .isIn(['category', 'reason', 'subReason'])
+    .withMessage('Level must be one of: category, reason, subReason'),
+
+  query('planned').optional().isBoolean().withMessage('Planned must be true or false'),
+
+  validateRequest,
+];
+
+/**
+ * Shift pattern fields shared by create and update
+ */
+const shiftPatternFields = [
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be longer than 500 characters'),
+
+  body('machineNames').optional().isArray().withMessage('Machine names must be an array'),
+
+  body('machineNames.*').isString().withMessage('Machine names must be strings').trim(),
+
+  body('shifts.*.name').trim().notEmpty().withMessage('Shift name is required'),
+
+  body(['shifts.*.startTime', 'shifts.*.endTime'])
+    .matches(/^([01]\d|2[0-3]):([0-5]\d):([0-5]\d)$/)
+    .withMessage('Shift times must be in HH:MM:SS format'),
+
+  body('weeklySchedule').optional().isArray().withMessage('Weekly schedule must be an array'),
+
+  body('weeklySchedule.*.dayOfWeek')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+
+  body('weeklySchedule.*.shifts').isArray().withMessage('Scheduled shifts must be an array'),
+
+  body('crews').optional().isArray().withMessage('Crews must be an array'),
+
+  body('rotationStartDate')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Rotation start date must be in YYYY-MM-DD format'),
+
+  body('rotationDays')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Rotation days must be a positive integer')
+    .toInt(),
+
+  body('holidays').optional().isArray().withMessage('Holidays must be an array'),
+
+  body('holidays.*.date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Holiday date must be in YYYY-MM-DD format'),
+
+  body('active').optional().isBoolean().withMessage('Active must be true or false'),
+];
+
+/**
+ * Validate shift pattern ID parameter
+ */
+const shiftPatternId = param('id').custom((value) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new Error('Invalid shift pattern ID format');
+  }
+  return true;
+});
+
+/**
+ * Validate create shift pattern request
+ */
+exports.validateCreateShiftPattern = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+
+  body('shifts').isArray({ min: 1 }).withMessage('At least one shift is required'),
+
+  ...shiftPatternFields,
+
+  validateRequest,
+];
+
+/**
+ * Validate update shift pattern request
+ */
+exports.validateUpdateShiftPattern = [
+  shiftPatternId,
+
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+
+  body('shifts').optional().isArray({ min: 1 }).withMessage('At least one shift is required'),
+
+  ...shiftPatternFields,
+
+  validateRequest,
+];
+
+/**
+ * Validate get and delete shift pattern requests
+ */
+exports.validateShiftPatternId = [shiftPatternId, validateRequest];
+
+/**
+ * Validate shift calendar request
+ */
+exports.validateShiftCalendar = [
+  query('machineName').optional().trim(),
+
+  query('startDate')
+    .notEmpty()
+    .withMessage('Start date is required')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Start date must be in YYYY-MM-DD format'),
+
+  query('endDate')
+    .notEmpty()
+    .withMessage('End date is required')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('End date must be in YYYY-MM-DD format')
+    .custom((value, { req }) => {
+      const days = moment.utc(value).diff(moment.utc(req.query.startDate), 'days') + 1;
+
+      if (days < 1) {
+        throw new Error('End date must not be before start date');
+      }
+      if (days > MAX_SHIFT_CALENDAR_DAYS) {
+        throw new Error(`Date range cannot exceed ${MAX_SHIFT_CALENDAR_DAYS} days`);
+      }
+      return true;
+    }),
+
+  validateRequest,
+];
+
+/**
+ * Validate login request
+ */
+exports.validateLogin = [
+  body('username')
+    .isString()
+    .withMessage('Username is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Username is required'),
+
+  body('password')
+    .isString()
+    .withMessage('Password is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  validateRequest,
+];
+
+/**
+ * Validate refresh and logout requests
+ */
+exports.validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+
+  validateRequest,
+];
+
+/**
+ * Validate machine state ingestion request; the state and timestamp of each
+ * event are checked by the ingestion service, which rejects invalid events
+ * without failing the rest of the batch
+ */
+exports.validateSignalEvents = [
+  body('events')
+    .isArray({ min: 1, max: MAX_SIGNAL_EVENTS })
+    .withMessage(`Events must be an array of 1 to ${MAX_SIGNAL_EVENTS} items`),
+
+  body('events.*').custom((event) => {
+    if (typeof event !== 'object' || event === null || Array.isArray(event)) {
+      throw new Error('Each event must be an object');
+    }
+    if (typeof event.serialNumber !== 'string' || !event.serialNumber.trim()) {
+      throw new Error('Each event needs the serial number of its machine');
+    }
+    if (event.key !== undefined && (typeof event.key !== 'string' || event.key.length > 200)) {
+      throw new Error('Event keys must be strings of at most 200 characters');
+    }
+    return true;
+  }),
+
   validateRequest,
 ];
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+const AUDITED_MODELS = ['Segment', 'Machine', 'MaintenancePlan'];
+
+// Queries that would change or remove existing entries
+const MUTATING_QUERIES = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+];
+
+/**
+ * Audit Log Schema
+ *
+ * Append-only record of a create, update or delete of a segment, machine or
+ * maintenance plan
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Model of the changed document
+    entityType: {
+      type: String,
+      required: true,
+      enum: AUDITED_MODELS,
+    },
+
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    // Machine the document belongs to, for scoping history to a user's machines
+    machineName: {
+      type: String,
+    },
+
+    action: {
+      type: String,
+      required: true,
+      enum: AUDIT_ACTIONS,
+    },
+
+    // User who made the change; absent for changes made by scripts
+    actor: {
+      _id: false,
+      id: String,
+      username: String,
+      name: String,
+    },
+
+    // X-Request-Id of the request that made the change
+    requestId: {
+      type: String,
+    },
+
+    // Changed fields with their old and new values; creates and restores have no before, deletes no after
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+/**
+ * Index for reading the history of a document in order
+ */
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: 1 });
+
+/**
+ * Pre-save hook that only lets new entries be written
+ */
+auditLogSchema.pre('save', async function () {
+  if (!this.isNew) {
+    throw new Error('Audit log entries cannot be changed');
+  }
+});
+
+/**
+ * Reject queries that would change or delete entries
+ */
+auditLogSchema.pre(MUTATING_QUERIES, async function () {
+  throw new Error('Audit log entries cannot be changed');
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -1,4 +1,10 @@
 const mongoose = require("mongoose");
+const { isValidTimezone } = require("../utils/timeUtils");
+const softDelete = require("./plugins/softDelete");
+const PlantNode = require("./PlantNode");
+
+// Machine names are compared ignoring case, so "m1" and "M1" name one machine
+const NAME_COLLATION = { locale: "en", strength: 2 };
 
 const machineSchema = new mongoose.Schema(
   {
@@ -23,6 +29,8 @@ const machineSchema = new mongoose.Schema(
       enum: ["active", "inactive", "maintenance", "decommissioned"],
       default: "active",
     },
+    // Physical sections of the machine and their condition; the time segments
+    // recorded for the machine are Segment documents referencing it
     segments: [
       {
         name: {
@@ -45,6 +53,36 @@ const machineSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Line of the plant hierarchy the machine is on; analytics roll up through
+    // it to the area, site and enterprise
+    line: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PlantNode",
+      default: null,
+      index: true,
+    },
+    // IANA timezone of the plant the machine is in (e.g. "Asia/Kolkata");
+    // segment dates and times are interpreted in this zone
+    timezone: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: (v) => !v || isValidTimezone(v),
+        message: (props) => `${props.value} is not a valid IANA timezone`,
+      },
+    },
+    // Minutes per day the machine is scheduled to produce, the availability
+    // baseline for OEE; defaults to the recorded uptime, downtime and idle time
+    plannedProductionMinutes: {
+      type: Number,
+      min: [0, "Planned production time cannot be negative"],
+      max: [1440, "Planned production time cannot exceed 1440 minutes a day"],
+    },
+    // Ideal time to produce one unit in seconds, the performance baseline for OEE
+    idealCycleTime: {
+      type: Number,
+      min: [0, "Ideal cycle time cannot be negative"],
+    },
     installationDate: {
       type: Date,
       default: Date.now,
@@ -53,12 +91,111 @@ const machineSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // Running totals of the machine's uptime segments, updated as segments are
+    // saved and deleted; an uptime segment counts as a start when it is saved
+    // and adds its hours once it is closed
+    counters: {
+      runHours: {
+        type: Number,
+        default: 0,
+      },
+      // Uptime segments that do not carry on from an uptime segment ending
+      // where they start, e.g. at midnight
+      starts: {
+        type: Number,
+        default: 0,
+      },
+      // Run hours after lastServiceDate
+      hoursSinceService: {
+        type: Number,
+        default: 0,
+      },
+    },
   },
   {
     timestamps: true,
+    optimisticConcurrency: true,
   }
 );
 
+machineSchema.plugin(softDelete);
+
+/**
+ * Pre-validate hook to check that a machine is placed on a line
+ */
+machineSchema.pre("validate", async function () {
+  if (!this.line || !this.isModified("line")) {
+    return;
+  }
+
+  const node = await PlantNode.findById(this.line, "level").lean();
+
+  if (!node) {
+    this.invalidate(
+      "line",
+      `Plant node ${this.line} does not exist`,
+      this.line
+    );
+  } else if (node.level !== "line") {
+    this.invalidate(
+      "line",
+      `Machines can only be placed on lines, not on a ${node.level}`,
+      this.line
+    );
+  }
+});
+
+/**
+ * Pre-save hook to recount the run hours since the last service when the
+ * service date changes
+ */
+machineSchema.pre("save", async function () {
+  if (this.isNew || !this.isModified("lastServiceDate")) {
+    return;
+  }
+
+  // Looked up by name as the Segment model requires this one
+  const Segment = mongoose.model("Segment");
+
+  this.set(
+    "counters.hoursSinceService",
+    await Segment.getRunHoursSince(this._id, this.lastServiceDate, {
+      session: this.$session(),
+    })
+  );
+});
+
+/**
+ * Find a machine by name, ignoring case; an exact match wins over one that
+ * only differs in case
+ * @param {String} name - Machine name
+ * @returns {Promise<Object|null>} Plain machine with name, status and timezone
+ */
+machineSchema.statics.findByName = async function (name) {
+  const machines = await this.find({ name }, "name status timezone")
+    .collation(NAME_COLLATION)
+    .lean();
+
+  return (
+    machines.find((machine) => machine.name === name) || machines[0] || null
+  );
+};
+
+/**
+ * Check whether another machine already has a name, ignoring case
+ * @param {String} name - Machine name
+ * @param {Object} [excludeId] - Machine to leave out, e.g. the one being renamed
+ * @returns {Promise<Boolean>} True if the name is taken
+ */
+machineSchema.statics.isNameTaken = async function (name, excludeId) {
+  const machine = await this.exists({
+    name,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  }).collation(NAME_COLLATION);
+
+  return Boolean(machine);
+};
+
 const Machine = mongoose.model("Machine", machineSchema);
 
 module.exports = Machine;
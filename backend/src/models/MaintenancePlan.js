@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Machine = require('./Machine');
+
+// How a plan's interval is counted
+const INTERVAL_TYPES = ['days', 'uptimeHours'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d):([0-5]\d)$/;
+
+/**
+ * Maintenance Plan Schema
+ *
+ * Recurring preventive maintenance of a machine or one of its components: the
+ * service falls due a number of calendar days or uptime hours after the last
+ * one and is done in a planned downtime window
+ */
+const maintenancePlanSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot be longer than 100 characters'],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot be longer than 500 characters'],
+    },
+
+    // Name of the machine, resolved to the machine when the plan is saved and
+    // kept in step when the machine is renamed
+    machineName: {
+      type: String,
+      required: [true, 'Machine name is required'],
+      trim: true,
+      index: true,
+    },
+
+    machine: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Machine',
+      index: true,
+    },
+
+    // Id of the entry in the machine's segments (its components) the plan
+    // services; null services the whole machine
+    component: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
+    // Name of the component, copied from the machine
+    componentName: {
+      type: String,
+      default: null,
+    },
+
+    intervalType: {
+      type: String,
+      required: [true, 'Interval type is required'],
+      enum: {
+        values: INTERVAL_TYPES,
+        message: '{VALUE} is not a valid interval type',
+      },
+    },
+
+    // Calendar days or uptime hours between services
+    interval: {
+      type: Number,
+      required: [true, 'Interval is required'],
+      min: [1, 'Interval must be at least 1'],
+    },
+
+    // How early, in days or uptime hours, the plan is reported as due; a tenth
+    // of the interval when not set
+    leadTime: {
+      type: Number,
+      min: [0, 'Lead time cannot be negative'],
+    },
+
+    // Plant-local time the maintenance window starts (HH:MM:SS)
+    windowStartTime: {
+      type: String,
+      default: '06:00:00',
+      match: [TIME_PATTERN, 'Window start time must use HH:MM:SS'],
+    },
+
+    // Length of the planned downtime window in minutes
+    windowMinutes: {
+      type: Number,
+      default: 120,
+      min: [1, 'Window must be at least a minute long'],
+      max: [1439, 'Window must be shorter than a day'],
+    },
+
+    // Reason code recorded on the planned downtime window
+    reasonCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: 'PREVENTIVE_MAINTENANCE',
+    },
+
+    // When the machine or component was last serviced; the interval counts from here
+    lastServiceAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Inactive plans are not reported as due and get no new work orders
+    active: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Pre-validate hook to link the machine and component and default the lead time
+ */
+maintenancePlanSchema.pre('validate', async function () {
+  if (this.leadTime === undefined || this.leadTime === null) {
+    this.leadTime = Math.ceil((this.interval || 0) / 10);
+  }
+
+  if (
+    !this.machineName ||
+    (!this.isNew && !this.isModified('machineName') && !this.isModified('component'))
+  ) {
+    return;
+  }
+
+  const found = await Machine.findByName(this.machineName);
+  const machine = found && (await Machine.findById(found._id, 'name status segments').lean());
+
+  if (!machine) {
+    this.invalidate('machineName', `Machine ${this.machineName} does not exist`, this.machineName);
+    return;
+  }
+
+  if (machine.status === 'decommissioned') {
+    this.invalidate('machineName', `Machine ${machine.name} is decommissioned`, this.machineName);
+    return;
+  }
+
+  this.machine = machine._id;
+  this.machineName = machine.name;
+
+  const component =
+    this.component && machine.segments.find((entry) => entry._id.equals(this.component));
+
+  if (this.component && !component) {
+    this.invalidate(
+      'component',
+      `Component ${this.component} is not part of machine ${machine.name}`,
+      this.component
+    );
+  } else {
+    this.componentName = component ? component.name : null;
+  }
+});
+
+const MaintenancePlan = mongoose.model('MaintenancePlan', maintenancePlanSchema);
+
+module.exports = MaintenancePlan;
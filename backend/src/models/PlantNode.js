@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// Levels of the plant hierarchy, from the root down; machines belong to lines
+const PLANT_LEVELS = ['enterprise', 'site', 'area', 'line'];
+
+/**
+ * Plant Node Schema
+ *
+ * Node in the ISA-95 style plant hierarchy: an enterprise, a site within an
+ * enterprise, an area within a site or a line within an area
+ */
+const plantNodeSchema = new mongoose.Schema(
+  {
+    // Display name, unique among the children of a parent
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot be longer than 100 characters'],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot be longer than 500 characters'],
+    },
+
+    // Node this one belongs to; empty for enterprises
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PlantNode',
+      default: null,
+    },
+
+    // Nodes from the enterprise down to the parent, so a subtree is found with one query
+    ancestors: {
+      type: [mongoose.Schema.Types.ObjectId],
+      index: true,
+    },
+
+    // Position in the hierarchy, derived from the parent
+    level: {
+      type: String,
+      enum: PLANT_LEVELS,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+plantNodeSchema.index({ parent: 1, name: 1 }, { unique: true });
+
+/**
+ * Pre-validate hook to derive the level and ancestors from the parent
+ */
+plantNodeSchema.pre('validate', async function () {
+  if (!this.parent) {
+    this.parent = null;
+    this.ancestors = [];
+    this.level = PLANT_LEVELS[0];
+    return;
+  }
+
+  if (!this.isNew && !this.isModified('parent')) {
+    return;
+  }
+
+  const parent = await this.constructor.findById(this.parent).lean();
+
+  if (!parent) {
+    this.invalidate('parent', `Parent node ${this.parent} does not exist`, this.parent);
+    return;
+  }
+
+  const parentLevel = PLANT_LEVELS.indexOf(parent.level);
+
+  if (parentLevel === PLANT_LEVELS.length - 1) {
+    this.invalidate('parent', 'Lines cannot have child nodes; add machines to them', this.parent);
+    return;
+  }
+
+  this.ancestors = [...parent.ancestors, parent._id];
+  this.level = PLANT_LEVELS[parentLevel + 1];
+});
+
+/**
+ * Name a node by its path, e.g. "Pune / Assembly / Line 1"
+ * @param {Array<Object>} nodes - Nodes including the node's ancestors
+ * @param {Object} node - Node to name
+ * @returns {String} Names from the site down, or the node's name for an enterprise
+ */
+plantNodeSchema.statics.getPathName = function (nodes, node) {
+  const byId = new Map(nodes.map((entry) => [entry._id.toString(), entry]));
+  const names = node.ancestors
+    .map((id) => byId.get(id.toString()))
+    .filter((entry) => entry && entry.level !== PLANT_LEVELS[0])
+    .map((entry) => entry.name);
+
+  return [...names, node.name].join(' / ');
+};
+
+/**
+ * Nest a flat list of plant nodes under their parents
+ * @param {Array<Object>} nodes - Plant nodes
+ * @returns {Array<Object>} Enterprises with `children` arrays
+ */
+plantNodeSchema.statics.buildTree = function (nodes) {
+  const byId = new Map(nodes.map((node) => [node._id.toString(), { ...node, children: [] }]));
+  const roots = [];
+
+  byId.forEach((node) => {
+    const parent = node.parent && byId.get(node.parent.toString());
+    (parent ? parent.children : roots).push(node);
+  });
+
+  return roots;
+};
+
+const PlantNode = mongoose.model('PlantNode', plantNodeSchema);
+
+module.exports = PlantNode;
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+// Levels of the reason-code hierarchy, from the root down
+const REASON_CODE_LEVELS = ['category', 'reason', 'subReason'];
+
+/**
+ * Reason Code Schema
+ *
+ * Entry in the downtime reason-code catalog: a category, a reason within a
+ * category or a sub-reason within a reason
+ */
+const reasonCodeSchema = new mongoose.Schema(
+  {
+    // Stable code stored on segments (e.g. TOOL_CHANGE)
+    code: {
+      type: String,
+      required: [true, 'Code is required'],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      maxlength: [40, 'Code cannot be longer than 40 characters'],
+      match: [/^[A-Z0-9_]+$/, 'Code may only contain letters, digits and underscores'],
+    },
+
+    // Display name
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot be longer than 100 characters'],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot be longer than 500 characters'],
+    },
+
+    // Code of the category or reason this entry belongs to; empty for categories
+    parentCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+      index: true,
+    },
+
+    // Position in the hierarchy, derived from the parent
+    level: {
+      type: String,
+      enum: REASON_CODE_LEVELS,
+    },
+
+    // Planned stops (e.g. changeovers) are not counted as unplanned downtime;
+    // copied from the parent when the code is created without one
+    planned: {
+      type: Boolean,
+    },
+
+    // Inactive codes stay on existing segments but cannot be picked for new ones
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Pre-validate hook to derive the level and planned flag from the parent
+ */
+reasonCodeSchema.pre('validate', async function () {
+  if (!this.parentCode) {
+    this.parentCode = null;
+    this.level = REASON_CODE_LEVELS[0];
+    if (this.planned === undefined) {
+      this.planned = false;
+    }
+    return;
+  }
+
+  if (!this.isNew && !this.isModified('parentCode') && this.planned !== undefined) {
+    return;
+  }
+
+  const parent = await this.constructor.findOne({ code: this.parentCode }).lean();
+
+  if (!parent) {
+    this.invalidate('parentCode', `Parent code ${this.parentCode} does not exist`, this.parentCode);
+    return;
+  }
+
+  const parentLevel = REASON_CODE_LEVELS.indexOf(parent.level);
+
+  if (parentLevel === REASON_CODE_LEVELS.length - 1) {
+    this.invalidate('parentCode', 'Sub-reasons cannot have children', this.parentCode);
+    return;
+  }
+
+  this.level = REASON_CODE_LEVELS[parentLevel + 1];
+  if (this.planned === undefined) {
+    this.planned = parent.planned;
+  }
+});
+
+/**
+ * Resolve a code to its entry and ancestors
+ * @param {Array<Object>} catalog - All reason codes
+ * @param {String} code - Code to resolve
+ * @returns {Array<Object>} Entries from the category down to the code; empty if unknown
+ */
+reasonCodeSchema.statics.getPath = function (catalog, code) {
+  const byCode = new Map(catalog.map((entry) => [entry.code, entry]));
+  const path = [];
+
+  for (let entry = byCode.get(code); entry; entry = byCode.get(entry.parentCode)) {
+    path.unshift(entry);
+  }
+
+  return path;
+};
+
+/**
+ * Nest a flat list of reason codes under their parents
+ * @param {Array<Object>} catalog - All reason codes
+ * @returns {Array<Object>} Categories with `children` arrays
+ */
+reasonCodeSchema.statics.buildTree = function (catalog) {
+  const nodes = new Map(catalog.map((entry) => [entry.code, { ...entry, children: [] }]));
+  const roots = [];
+
+  nodes.forEach((node) => {
+    const parent = node.parentCode && nodes.get(node.parentCode);
+    (parent ? parent.children : roots).push(node);
+  });
+
+  return roots;
+};
+
+const ReasonCode = mongoose.model('ReasonCode', reasonCodeSchema);
+
+module.exports = ReasonCode;
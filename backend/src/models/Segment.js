@@ -1,5 +1,30 @@
 const mongoose = require('mongoose');
-const moment = require('moment');
+const moment = require('moment-timezone');
+const Machine = require('./Machine');
+const ReasonCode = require('./ReasonCode');
+const ShiftPattern = require('./ShiftPattern');
+const softDelete = require('./plugins/softDelete');
+const { allocateSegmentToShifts } = require('../utils/shiftUtils');
+const {
+  HOUR_MS,
+  getRuntimeState,
+  isSameRuntimeState,
+  countRuntime,
+} = require('../utils/runtimeUtils');
+const {
+  getPlantTimezone,
+  getSegmentRange,
+  isValidTimezone,
+  parseDateTime,
+  shareCounts,
+  splitRangeByDay,
+} = require('../utils/timeUtils');
+
+// Number of updates sent to MongoDB per bulk write when syncing timestamps
+const SYNC_BATCH_SIZE = 500;
+
+// MongoDB duplicate key error, raised by the one open segment per machine index
+const DUPLICATE_KEY = 11000;
 
 /**
  * Segment Schema
@@ -33,19 +58,20 @@ const segmentSchema = new mongoose.Schema(
       },
     },
 
-    // End time of the segment (HH:MM:SS)
+    // End time of the segment (HH:MM:SS); null while the segment is open, e.g.
+    // a machine that is down right now
     endTime: {
       type: String,
-      required: [true, 'End time is required'],
+      default: null,
       validate: {
         validator: function (v) {
-          return /^([01]\d|2[0-3]):([0-5]\d):([0-5]\d)$/.test(v);
+          return v === null || /^([01]\d|2[0-3]):([0-5]\d):([0-5]\d)$/.test(v);
         },
         message: (props) => `${props.value} is not a valid time format! Use HH:MM:SS`,
       },
     },
 
-    // Name of the machine
+    // Name of the machine, kept in step with the name of the referenced machine
     machineName: {
       type: String,
       required: [true, 'Machine name is required'],
@@ -53,6 +79,13 @@ const segmentSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Machine the segment was recorded for, resolved from machineName when not given
+    machine: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Machine',
+      index: true,
+    },
+
     // Type of segment (uptime, downtime, idle, select)
     segmentType: {
       type: String,
@@ -65,25 +98,102 @@ const segmentSchema = new mongoose.Schema(
       trim: true,
       index: true,
     },
+
+    // Units produced during the segment
+    totalCount: {
+      type: Number,
+      min: [0, 'Total count cannot be negative'],
+      default: 0,
+    },
+
+    // Units produced during the segment that failed quality checks
+    rejectCount: {
+      type: Number,
+      min: [0, 'Reject count cannot be negative'],
+      default: 0,
+      validate: {
+        validator: function (v) {
+          return v <= (this.totalCount || 0);
+        },
+        message: 'Reject count cannot exceed total count',
+      },
+    },
+
+    // Code from the reason-code catalog explaining a downtime segment
+    reasonCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+      index: true,
+    },
+
+    // Free-text remarks, e.g. what was repaired
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot be longer than 1000 characters'],
+    },
+
+    // Entered by a user, or recorded from the machine's state signal
+    source: {
+      type: String,
+      enum: ['manual', 'signal'],
+      default: 'manual',
+    },
+
+    // IANA timezone the date and time strings are in, taken from the machine
+    timezone: {
+      type: String,
+      validate: {
+        validator: (v) => !v || isValidTimezone(v),
+        message: (props) => `${props.value} is not a valid IANA timezone`,
+      },
+    },
+
+    // Canonical start of the segment, derived from date and startTime
+    startAt: {
+      type: Date,
+      index: true,
+    },
+
+    // Canonical end of the segment; on the next day when endTime is before startTime,
+    // null while the segment is open
+    endAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Share of the segment worked in each shift of the machine's shift pattern,
+    // so segments straddling a shift change count towards both shifts
+    shifts: [
+      {
+        _id: false,
+        name: String,
+        // Day the shift started on, which for night shifts can be the day before
+        date: String,
+        crew: String,
+        startAt: Date,
+        endAt: Date,
+        minutes: Number,
+      },
+    ],
   },
   {
     timestamps: true, // Adds createdAt and updatedAt fields
+    optimisticConcurrency: true, // Every save checks and bumps __v
     toJSON: { virtuals: true },
     toObject: { virtuals: true },
   }
 );
 
+segmentSchema.plugin(softDelete);
+
 /**
  * Virtual field for calculating duration in minutes
  */
 segmentSchema.virtual('durationMinutes').get(function () {
-  const start = moment(`${this.date}T${this.startTime}`);
-  const end = moment(`${this.date}T${this.endTime}`);
-
-  // Handle case where end time is on the next day
-  if (end.isBefore(start)) {
-    end.add(1, 'day');
-  }
+  const { start, end } = getSegmentRange(this);
 
   return end.diff(start, 'minutes');
 });
@@ -112,31 +222,533 @@ segmentSchema.virtual('durationFormatted').get(function () {
 segmentSchema.index({ machineName: 1, date: 1 });
 
 /**
- * Pre-save hook to validate that end time is after start time
+ * Compound index for querying a machine's segments by time range
  */
-segmentSchema.pre('save', function (next) {
-  const start = moment(`${this.date}T${this.startTime}`);
-  const end = moment(`${this.date}T${this.endTime}`);
+segmentSchema.index({ machineName: 1, startAt: 1 });
+
+/**
+ * Compound index for shift reports
+ */
+segmentSchema.index({ 'shifts.date': 1, 'shifts.name': 1 });
 
-  // Handle case where end time is on the next day
-  if (end.isBefore(start) && end.hour() < start.hour()) {
-    end.add(1, 'day');
+/**
+ * Unique index allowing at most one open segment per machine
+ */
+segmentSchema.index(
+  { machineName: 1 },
+  {
+    unique: true,
+    name: 'one_open_segment_per_machine',
+    partialFilterExpression: { endTime: { $type: 'null' }, deletedAt: { $type: 'null' } },
   }
+);
 
-  if (end.isSameOrBefore(start)) {
-    return next(new Error('End time must be after start time'));
+/**
+ * Pre-validate hook to link the machine, check the reason code and keep startAt,
+ * endAt and the shift allocation in sync with the date and time strings (runs
+ * before every save and for insertMany)
+ */
+segmentSchema.pre('validate', async function () {
+  const relinked = this.isNew || this.isModified('machine') || this.isModified('machineName');
+
+  // Segments saved before machines were referenced are linked when next saved
+  if ((relinked || !this.machine) && (this.machine || this.machineName)) {
+    // A changed machineName moves the segment to that machine
+    const byName = !this.machine || (this.isModified('machineName') && !this.isModified('machine'));
+    const machine = byName
+      ? await Machine.findByName(this.machineName)
+      : await Machine.findById(this.machine, 'name status timezone').lean();
+
+    if (relinked && !machine) {
+      this.invalidate(
+        'machineName',
+        `Machine ${this.machineName || this.machine} does not exist`,
+        this.machineName
+      );
+    } else if (relinked && machine.status === 'decommissioned') {
+      this.invalidate('machineName', `Machine ${machine.name} is decommissioned`, this.machineName);
+    } else if (machine) {
+      this.machine = machine._id;
+      this.machineName = machine.name;
+
+      if (relinked || !this.timezone) {
+        this.timezone = machine.timezone || getPlantTimezone();
+      }
+    }
   }
 
-  // Format machine name to always start with uppercase 'M'
-  if (this.machineName) {
-    if (this.machineName.toLowerCase().startsWith('m')) {
-      this.machineName = 'M' + this.machineName.substring(1);
+  if (!this.timezone) {
+    this.timezone = getPlantTimezone();
+  }
+
+  if (this.reasonCode && this.segmentType !== 'downtime') {
+    if (this.isModified('reasonCode')) {
+      this.invalidate('reasonCode', 'Reason codes can only be set on downtime segments');
+    } else {
+      // A segment that is no longer downtime drops its reason
+      this.reasonCode = null;
+    }
+  } else if (this.reasonCode && this.isModified('reasonCode')) {
+    const reason = await ReasonCode.findOne({ code: this.reasonCode }, 'active').lean();
+
+    if (!reason || !reason.active) {
+      this.invalidate(
+        'reasonCode',
+        `${this.reasonCode} is not an active reason code`,
+        this.reasonCode
+      );
     }
   }
 
+  if (
+    !this.endTime &&
+    this.machineName &&
+    !this.deletedAt &&
+    (this.isNew ||
+      this.isModified('endTime') ||
+      this.isModified('machineName') ||
+      this.isModified('deletedAt'))
+  ) {
+    const open = await this.constructor.exists({
+      _id: { $ne: this._id },
+      machineName: this.machineName,
+      endTime: null,
+    });
+
+    if (open) {
+      this.invalidate(
+        'endTime',
+        `Machine ${this.machineName} already has an open segment; close it first`
+      );
+    }
+  }
+
+  if (this.date && this.startTime && !this.endTime) {
+    const start = parseDateTime(this.date, this.startTime, this.timezone);
+
+    // Shifts are allocated once the segment is closed
+    if (start.isValid()) {
+      this.startAt = start.toDate();
+      this.endAt = null;
+      this.shifts = [];
+    }
+  } else if (this.date && this.startTime && this.endTime) {
+    const { start, end } = getSegmentRange({
+      date: this.date,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      timezone: this.timezone,
+    });
+
+    // Leave malformed dates and times to the field validators
+    if (start.isValid() && end.isValid()) {
+      this.startAt = start.toDate();
+      this.endAt = end.toDate();
+
+      if (
+        this.isNew ||
+        this.isModified('startAt') ||
+        this.isModified('endAt') ||
+        this.isModified('machineName')
+      ) {
+        const pattern = await ShiftPattern.findForMachine(this.machineName);
+        this.shifts = allocateSegmentToShifts(this, pattern);
+      }
+    }
+  }
+});
+
+/**
+ * Post-init hook to remember what a loaded segment counts towards its machine's
+ * runtime counters, so a save can apply the difference
+ */
+segmentSchema.post('init', function () {
+  this.$locals.runtimeState = getRuntimeState(this);
+});
+
+/**
+ * Post-save hook to keep the machine's runtime counters in step with a created,
+ * changed, deleted or restored segment
+ */
+segmentSchema.post('save', async function () {
+  const before = this.$locals.runtimeState || null;
+  const after = getRuntimeState(this);
+
+  if (isSameRuntimeState(before, after)) {
+    return;
+  }
+
+  const options = { session: this.$session() };
+
+  if (before) {
+    await this.constructor.applyRuntimeChange(before, -1, options);
+  }
+  if (after) {
+    await this.constructor.applyRuntimeChange(after, 1, options);
+  }
+
+  this.$locals.runtimeState = after;
+});
+
+/**
+ * Post-insertMany hook to count inserted uptime segments. They are counted one
+ * at a time as if inserted in turn, so the segments of the batch not counted yet
+ * are left out when finding the segments each one carries on from or into
+ */
+segmentSchema.post('insertMany', async function (docs) {
+  const pending = docs.map((doc) => doc._id);
+
+  for (const doc of docs) {
+    const after = getRuntimeState(doc);
+    pending.shift();
+
+    if (after) {
+      await this.applyRuntimeChange(after, 1, {
+        session: doc.$session(),
+        ignoredIds: pending,
+      });
+    }
+    doc.$locals.runtimeState = after;
+  }
+});
+
+/**
+ * Pre-save hook to validate that end time is after start time
+ */
+segmentSchema.pre('save', function (next) {
+  // An end time before the start time means the segment ends on the next day,
+  // so only identical times describe an empty segment
+  if (this.startTime === this.endTime) {
+    return next(new Error('End time must be after start time'));
+  }
+
   next();
 });
 
+/**
+ * Close an open segment; a segment closed on a later day than it started is
+ * cut at midnight, continuing in a new segment for each following day
+ * @param {Date} endAt - When the segment ended
+ * @returns {Array<Object>} Unsaved segments for the following days, in order
+ * @throws {Error} If the segment is already closed or endAt is not after its start
+ */
+segmentSchema.methods.closeAt = function (endAt) {
+  if (this.endTime) {
+    throw new Error('Segment is already closed');
+  }
+
+  const { start } = getSegmentRange(this);
+  const [first, ...following] = splitRangeByDay(start, moment.tz(endAt, start.tz()));
+
+  if (!first) {
+    throw new Error('End time must be after start time');
+  }
+
+  this.endTime = first.endTime;
+
+  return following.map(
+    (fields) =>
+      new this.constructor({
+        machineName: this.machineName,
+        machine: this.machine,
+        segmentType: this.segmentType,
+        reasonCode: this.reasonCode,
+        notes: this.notes,
+        source: this.source,
+        timezone: this.timezone,
+        ...fields,
+      })
+  );
+};
+
+/**
+ * Cut a segment in two; the segment keeps the part before the split and its
+ * production counts are shared between the parts by duration. The part after
+ * stays open if the segment is open, taking over as the machine's open segment
+ * @param {Date} at - When to split, rounded down to the second
+ * @returns {Object} Unsaved segment for the part after the split
+ * @throws {Error} If the split time is not inside the segment
+ */
+segmentSchema.methods.splitAt = function (at) {
+  const { start, end } = getSegmentRange(this);
+  const cut = moment.tz(at, start.tz()).startOf('second');
+
+  if (!cut.isAfter(start) || !cut.isBefore(end)) {
+    throw new Error('Split time must be inside the segment');
+  }
+
+  const [headCounts, tailCounts] = shareCounts(this, cut.diff(start) / end.diff(start));
+
+  const tail = new this.constructor({
+    machineName: this.machineName,
+    machine: this.machine,
+    segmentType: this.segmentType,
+    reasonCode: this.reasonCode,
+    notes: this.notes,
+    source: this.source,
+    timezone: this.timezone,
+    date: cut.format('YYYY-MM-DD'),
+    startTime: cut.format('HH:mm:ss'),
+    endTime: this.endTime,
+    ...tailCounts,
+  });
+
+  this.endTime = cut.format('HH:mm:ss');
+  this.endAt = cut.toDate();
+  this.totalCount = headCounts.totalCount;
+  this.rejectCount = headCounts.rejectCount;
+
+  return tail;
+};
+
+/**
+ * Extend a segment over the segments that follow it, adding up their production
+ * counts and notes; the caller checks they are contiguous and deletes them
+ * @param {Array<Object>} following - Segments to absorb, in time order
+ */
+segmentSchema.methods.mergeWith = function (following) {
+  const segments = [this, ...following];
+  const notes = [...new Set(segments.map((segment) => segment.notes).filter(Boolean))];
+  const last = following[following.length - 1];
+
+  this.endTime = last.endTime;
+  this.endAt = last.endAt;
+  this.totalCount = segments.reduce((total, segment) => total + (segment.totalCount || 0), 0);
+  this.rejectCount = segments.reduce((total, segment) => total + (segment.rejectCount || 0), 0);
+  this.notes = notes.length > 0 ? notes.join('\n') : this.notes;
+};
+
+/**
+ * Recompute timezone, startAt, endAt and the shift allocation for the segments
+ * matching a filter, using the current timezone and shift pattern of each
+ * segment's machine
+ * @param {Object} filter - Segment query filter
+ * @returns {Promise<Number>} Number of segments updated
+ */
+segmentSchema.statics.syncTimestamps = async function (filter = {}) {
+  const machines = await Machine.find({}, 'name timezone').lean();
+  const timezones = new Map(machines.map((machine) => [machine.name, machine.timezone]));
+  const getShiftPattern = await ShiftPattern.getResolver();
+
+  const cursor = this.find(filter).select('date startTime endTime machineName').lean().cursor();
+
+  let operations = [];
+  let synced = 0;
+
+  const flush = async () => {
+    if (operations.length > 0) {
+      await this.bulkWrite(operations);
+      synced += operations.length;
+      operations = [];
+    }
+  };
+
+  for await (const segment of cursor) {
+    const timezone = timezones.get(segment.machineName) || getPlantTimezone();
+    const { start, end } = getSegmentRange({ ...segment, timezone });
+    const startAt = start.toDate();
+
+    // Open segments get their end and shifts once they are closed
+    const endAt = segment.endTime ? end.toDate() : null;
+    const shifts = endAt
+      ? allocateSegmentToShifts(
+          { date: segment.date, startAt, endAt, timezone },
+          getShiftPattern(segment.machineName)
+        )
+      : [];
+
+    operations.push({
+      updateOne: {
+        filter: { _id: segment._id },
+        update: { $set: { timezone, startAt, endAt, shifts } },
+      },
+    });
+
+    if (operations.length === SYNC_BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  return synced;
+};
+
+/**
+ * Link the segments matching a filter to the machine their machineName names,
+ * ignoring case, and take over that machine's name
+ * @param {Object} filter - Segment query filter
+ * @returns {Promise<Object>} `{ linked, unresolved }`; unresolved lists each machine
+ * name without a machine as `{ machineName, count }`
+ */
+segmentSchema.statics.linkMachines = async function (filter = {}) {
+  const names = await this.distinct('machineName', filter);
+  const unresolved = [];
+  let linked = 0;
+
+  for (const name of names) {
+    const machine = await Machine.findByName(name);
+
+    if (!machine) {
+      unresolved.push({
+        machineName: name,
+        count: await this.countDocuments({ ...filter, machineName: name }),
+      });
+      continue;
+    }
+
+    const { modifiedCount } = await this.updateMany(
+      { ...filter, machineName: name },
+      { $set: { machine: machine._id, machineName: machine.name } }
+    );
+    linked += modifiedCount;
+  }
+
+  return { linked, unresolved };
+};
+
+/**
+ * Give segments saved before soft delete was added an explicit deletedAt of
+ * null, so the one open segment per machine index covers them. An open segment
+ * whose machine already has an open segment in the index is left alone and
+ * reported, to be closed or deleted first.
+ * @returns {Promise<Object>} `{ updated, conflicts }`; conflicts lists each such open
+ * segment as `{ id, machineName }`
+ */
+segmentSchema.statics.backfillDeletedAt = async function () {
+  const missing = { deletedAt: { $exists: false } };
+
+  // Closed segments are outside the index, so they can be updated together
+  const { modifiedCount } = await this.collection.updateMany(
+    { ...missing, endTime: { $ne: null } },
+    { $set: { deletedAt: null } }
+  );
+
+  let updated = modifiedCount;
+  const conflicts = [];
+  const open = await this.collection
+    .find({ ...missing, endTime: null }, { projection: { machineName: 1 } })
+    .toArray();
+
+  for (const { _id, machineName } of open) {
+    try {
+      await this.collection.updateOne({ _id }, { $set: { deletedAt: null } });
+      updated += 1;
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) {
+        throw error;
+      }
+      conflicts.push({ id: _id, machineName });
+    }
+  }
+
+  return { updated, conflicts };
+};
+
+/**
+ * Add an uptime segment to its machine's runtime counters, or take it off
+ * @param {Object} state - Result of getRuntimeState for the segment
+ * @param {Number} sign - 1 to add the segment, -1 to take it off
+ * @param {Object} [options] - Write options
+ * @param {Object} [options.session] - MongoDB session of the surrounding transaction
+ * @param {Array} [options.ignoredIds] - Stored segments not counted yet, e.g. the
+ * rest of an inserted batch
+ */
+segmentSchema.statics.applyRuntimeChange = async function (
+  { id, machine, startAt, endAt },
+  sign,
+  { session, ignoredIds = [] } = {}
+) {
+  const uptime = { _id: { $nin: [id, ...ignoredIds] }, machine, segmentType: 'uptime' };
+  const previous = await this.exists({ ...uptime, endAt: startAt }).session(session);
+  const next = endAt ? await this.exists({ ...uptime, startAt: endAt }).session(session) : null;
+
+  // The segment is a start unless it carries on from the previous one, and the
+  // next one carries on from it instead of starting
+  const starts = sign * ((previous ? 0 : 1) - (next ? 1 : 0));
+  const hours = endAt ? (sign * (endAt - startAt)) / HOUR_MS : 0;
+  const hoursSinceService = endAt
+    ? {
+        $multiply: [
+          sign / HOUR_MS,
+          {
+            $max: [
+              0,
+              {
+                $subtract: [endAt, { $max: [startAt, { $ifNull: ['$lastServiceDate', startAt] }] }],
+              },
+            ],
+          },
+        ],
+      }
+    : 0;
+
+  await Machine.updateOne(
+    { _id: machine },
+    [
+      {
+        $set: {
+          'counters.runHours': { $add: [{ $ifNull: ['$counters.runHours', 0] }, hours] },
+          'counters.starts': { $add: [{ $ifNull: ['$counters.starts', 0] }, starts] },
+          'counters.hoursSinceService': {
+            $add: [{ $ifNull: ['$counters.hoursSinceService', 0] }, hoursSinceService],
+          },
+        },
+      },
+    ],
+    { session }
+  );
+};
+
+/**
+ * Add up a machine's run hours after a time from its closed uptime segments
+ * @param {Object} machine - Machine id
+ * @param {Date} since - Start of the period, e.g. the last service
+ * @param {Object} [options] - Read options
+ * @param {Object} [options.session] - MongoDB session of the surrounding transaction
+ * @returns {Promise<Number>} Run hours
+ */
+segmentSchema.statics.getRunHoursSince = async function (machine, since, { session } = {}) {
+  const [result] = await this.aggregate([
+    { $match: { machine, segmentType: 'uptime', endAt: { $gt: since } } },
+    {
+      $group: {
+        _id: null,
+        milliseconds: { $sum: { $subtract: ['$endAt', { $max: ['$startAt', since] }] } },
+      },
+    },
+  ]).session(session);
+
+  return result ? result.milliseconds / HOUR_MS : 0;
+};
+
+/**
+ * Recount the runtime counters of the machines matching a filter from all of
+ * their uptime segments, for when the running totals have drifted, e.g. after
+ * segments were changed directly in the database
+ * @param {Object} [filter] - Machine query filter
+ * @returns {Promise<Number>} Number of machines recounted
+ */
+segmentSchema.statics.recomputeRuntimeCounters = async function (filter = {}) {
+  const machines = await Machine.find(filter, 'lastServiceDate').lean();
+
+  for (const machine of machines) {
+    const segments = await this.find(
+      { machine: machine._id, segmentType: 'uptime', startAt: { $ne: null } },
+      'startAt endAt'
+    )
+      .sort({ startAt: 1 })
+      .lean();
+
+    await Machine.updateOne(
+      { _id: machine._id },
+      { $set: { counters: countRuntime(segments, machine.lastServiceDate) } }
+    );
+  }
+
+  return machines.length;
+};
+
 const Segment = mongoose.model('Segment', segmentSchema);
 
 module.exports = Segment;
@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const { findOverlappingShifts, selectShiftPattern } = require('../utils/shiftUtils');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Shift Schema
+ *
+ * Named shift within a pattern; an end time not after the start time means the
+ * shift runs past midnight
+ */
+const shiftSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Shift name is required'],
+      trim: true,
+      maxlength: [50, 'Shift name cannot be longer than 50 characters'],
+    },
+
+    // Plant-local start time (HH:MM:SS)
+    startTime: {
+      type: String,
+      required: [true, 'Shift start time is required'],
+      match: [TIME_PATTERN, 'Shift start time must use HH:MM:SS'],
+    },
+
+    // Plant-local end time (HH:MM:SS)
+    endTime: {
+      type: String,
+      required: [true, 'Shift end time is required'],
+      match: [TIME_PATTERN, 'Shift end time must use HH:MM:SS'],
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Shift Pattern Schema
+ *
+ * Shift calendar for a set of machines: the shifts worked each day, which days
+ * run which shifts, the crews rotating through them and the plant holidays
+ */
+const shiftPatternSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      unique: true,
+      trim: true,
+      maxlength: [100, 'Name cannot be longer than 100 characters'],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot be longer than 500 characters'],
+    },
+
+    // Machines following this pattern; empty makes it the plant-wide pattern
+    machineNames: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+
+    shifts: {
+      type: [shiftSchema],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: 'At least one shift is required',
+      },
+    },
+
+    // Shifts run per day of the week (0 = Sunday); days not listed run every shift
+    weeklySchedule: [
+      {
+        _id: false,
+        dayOfWeek: {
+          type: Number,
+          required: [true, 'Day of week is required'],
+          min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+          max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+        },
+        shifts: {
+          type: [String],
+          default: [],
+        },
+      },
+    ],
+
+    // Crews in rotation order; the first crew works the first shift on rotationStartDate
+    crews: {
+      type: [String],
+      default: [],
+    },
+
+    // Day the crew rotation is counted from (YYYY-MM-DD)
+    rotationStartDate: {
+      type: String,
+      match: [DATE_PATTERN, 'Rotation start date must use YYYY-MM-DD'],
+    },
+
+    // Days each crew stays on a shift before moving to the next one
+    rotationDays: {
+      type: Number,
+      min: [1, 'Rotation days must be at least 1'],
+      default: 7,
+    },
+
+    // Days without shifts
+    holidays: [
+      {
+        _id: false,
+        date: {
+          type: String,
+          required: [true, 'Holiday date is required'],
+          match: [DATE_PATTERN, 'Holiday date must use YYYY-MM-DD'],
+        },
+        name: {
+          type: String,
+          trim: true,
+          maxlength: [100, 'Holiday name cannot be longer than 100 characters'],
+        },
+      },
+    ],
+
+    // Inactive patterns are kept but no longer assign shifts
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Pre-validate hook to check the shifts fit together and that no machine ends up
+ * with two active patterns
+ */
+shiftPatternSchema.pre('validate', async function () {
+  const shiftNames = this.shifts.map((shift) => shift.name);
+
+  if (new Set(shiftNames).size !== shiftNames.length) {
+    this.invalidate('shifts', 'Shift names must be unique within a pattern');
+  }
+
+  findOverlappingShifts(this.shifts).forEach(([a, b]) => {
+    this.invalidate('shifts', `Shifts ${a} and ${b} overlap`);
+  });
+
+  const days = this.weeklySchedule.map((day) => day.dayOfWeek);
+
+  if (new Set(days).size !== days.length) {
+    this.invalidate('weeklySchedule', 'Each day of the week can only be scheduled once');
+  }
+
+  this.weeklySchedule.forEach((day) => {
+    day.shifts
+      .filter((name) => !shiftNames.includes(name))
+      .forEach((name) => {
+        this.invalidate('weeklySchedule', `Weekly schedule uses unknown shift ${name}`, name);
+      });
+  });
+
+  if (!this.active) {
+    return;
+  }
+
+  const clash = await this.constructor
+    .findOne({
+      _id: { $ne: this._id },
+      active: true,
+      machineNames: this.machineNames.length > 0 ? { $in: this.machineNames } : { $size: 0 },
+    })
+    .lean();
+
+  if (clash) {
+    this.invalidate(
+      'machineNames',
+      this.machineNames.length > 0
+        ? `Machines already follow the active pattern ${clash.name}`
+        : `The active pattern ${clash.name} is already plant-wide`
+    );
+  }
+});
+
+/**
+ * Get the active shift pattern a machine follows
+ * @param {String} machineName - Machine name
+ * @returns {Promise<Object>} Machine or plant-wide pattern, or the default pattern
+ */
+shiftPatternSchema.statics.findForMachine = async function (machineName) {
+  const patterns = await this.find({
+    active: true,
+    $or: [{ machineNames: machineName }, { machineNames: { $size: 0 } }],
+  }).lean();
+
+  return selectShiftPattern(patterns, machineName);
+};
+
+/**
+ * Get a function resolving each machine to its active shift pattern, for
+ * assigning shifts to many segments at once
+ * @returns {Promise<Function>} Machine name to shift pattern
+ */
+shiftPatternSchema.statics.getResolver = async function () {
+  const patterns = await this.find({ active: true }).lean();
+
+  return (machineName) => selectShiftPattern(patterns, machineName);
+};
+
+const ShiftPattern = mongoose.model('ShiftPattern', shiftPatternSchema);
+
+module.exports = ShiftPattern;
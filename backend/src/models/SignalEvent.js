@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { SIGNAL_STATES } = require('../utils/signalUtils');
+
+/**
+ * Signal Event Schema
+ *
+ * A machine state event that has been ingested, kept for SIGNAL_KEY_RETENTION_DAYS
+ * so an event sent again, e.g. in a retried batch, is recognised by its key
+ */
+const signalEventSchema = new mongoose.Schema(
+  {
+    // Idempotency key sent with the event, or derived from machine, state and time
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    machine: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Machine',
+      required: true,
+    },
+
+    state: {
+      type: String,
+      required: true,
+      enum: SIGNAL_STATES,
+    },
+
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+
+    // How the event arrived
+    source: {
+      type: String,
+      enum: ['http', 'mqtt'],
+      required: true,
+    },
+
+    // MongoDB removes the event after this time
+    expireAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+/**
+ * TTL index removing events once their key no longer needs to be remembered
+ */
+signalEventSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+const SignalEvent = mongoose.model('SignalEvent', signalEventSchema);
+
+module.exports = SignalEvent;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { SIGNAL_STATES } = require('../utils/signalUtils');
+
+// Change of state waiting out the debounce period
+const pendingSchema = new mongoose.Schema(
+  {
+    state: { type: String, enum: SIGNAL_STATES, required: true },
+    // When the signal left the confirmed state
+    at: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * Signal State Schema
+ *
+ * Where a machine's state signal stands: the confirmed state and since when,
+ * and a change waiting out the debounce period (see utils/signalUtils)
+ */
+const signalStateSchema = new mongoose.Schema(
+  {
+    machine: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Machine',
+      required: true,
+      unique: true,
+    },
+
+    // Confirmed state and when the machine entered it
+    state: {
+      type: String,
+      required: true,
+      enum: SIGNAL_STATES,
+    },
+
+    since: {
+      type: Date,
+      required: true,
+    },
+
+    pending: {
+      type: pendingSchema,
+      default: null,
+    },
+
+    // Timestamp of the latest event applied; older events are ignored
+    lastEventAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    optimisticConcurrency: true,
+  }
+);
+
+/**
+ * Index for finding changes that have waited out the debounce period
+ */
+signalStateSchema.index({ 'pending.at': 1 });
+
+/**
+ * Get the plain state as used by utils/signalUtils
+ * @returns {Object} `{ state, since, pending, lastEventAt }`
+ */
+signalStateSchema.methods.toSignal = function () {
+  return {
+    state: this.state,
+    since: this.since,
+    pending: this.pending ? { state: this.pending.state, at: this.pending.at } : null,
+    lastEventAt: this.lastEventAt,
+  };
+};
+
+const SignalState = mongoose.model('SignalState', signalStateSchema);
+
+module.exports = SignalState;
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { ROLES, DEFAULT_ROLE } = require('../config/permissions');
+
+// bcrypt cost factor for password hashes
+const PASSWORD_SALT_ROUNDS = 12;
+
+// Shortest password accepted
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * User Schema
+ *
+ * Account that can sign in to the API
+ */
+const userSchema = new mongoose.Schema(
+  {
+    // Login name, stored in lower case
+    username: {
+      type: String,
+      required: [true, 'Username is required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: [50, 'Username cannot be longer than 50 characters'],
+      match: [
+        /^[a-z0-9._-]+$/,
+        'Username may only contain letters, digits, dots, dashes and underscores',
+      ],
+    },
+
+    // Display name
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Name cannot be longer than 100 characters'],
+    },
+
+    // Decides what the user may do, see config/permissions.js
+    role: {
+      type: String,
+      enum: {
+        values: ROLES,
+        message: `Role must be one of: ${ROLES.join(', ')}`,
+      },
+      default: DEFAULT_ROLE,
+    },
+
+    // Machines (the user's cell) the user can see and change; empty means every machine
+    machineNames: {
+      type: [{ type: String, trim: true }],
+      default: [],
+    },
+
+    // bcrypt hash; never returned unless explicitly selected
+    passwordHash: {
+      type: String,
+      required: [true, 'Password is required'],
+      select: false,
+    },
+
+    // Disabled users cannot sign in or refresh their session
+    active: {
+      type: Boolean,
+      default: true,
+    },
+
+    lastLoginAt: {
+      type: Date,
+    },
+
+    // Refresh tokens that have not been used yet, one per signed-in device
+    refreshTokens: {
+      type: [
+        {
+          _id: false,
+          tokenId: { type: String, required: true },
+          expiresAt: { type: Date, required: true },
+        },
+      ],
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.passwordHash;
+        delete ret.refreshTokens;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Hash and set a new password
+ * @param {String} password - Plain-text password
+ * @throws {Error} If the password is too short
+ */
+userSchema.methods.setPassword = async function (password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  this.passwordHash = await bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+};
+
+/**
+ * Check a password against the stored hash (select passwordHash when loading the user)
+ * @param {String} password - Plain-text password
+ * @returns {Promise<Boolean>} True if the password matches
+ */
+userSchema.methods.comparePassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash || '');
+};
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
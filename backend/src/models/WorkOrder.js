@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+/**
+ * Work Order Schema
+ *
+ * One service of a maintenance plan, opened when the plan falls due and closed
+ * when the work is done
+ */
+const workOrderSchema = new mongoose.Schema(
+  {
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenancePlan',
+      required: [true, 'Maintenance plan is required'],
+      index: true,
+    },
+
+    // Plan name, machine and component, copied from the plan when the order is opened
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+    },
+
+    machineName: {
+      type: String,
+      required: [true, 'Machine name is required'],
+      trim: true,
+      index: true,
+    },
+
+    machine: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Machine',
+      required: [true, 'Machine is required'],
+    },
+
+    component: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
+    componentName: {
+      type: String,
+      default: null,
+    },
+
+    // When the service falls due; null for uptime plans, whose due date depends
+    // on how the machine runs
+    dueAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Planned downtime segment reserved for the work; null when no window could
+    // be put on the timeline
+    segment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Segment',
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: ['open', 'completed', 'cancelled'],
+        message: '{VALUE} is not a valid work order status',
+      },
+      default: 'open',
+      index: true,
+    },
+
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // User who completed the work
+    completedBy: {
+      _id: false,
+      id: String,
+      username: String,
+      name: String,
+    },
+
+    // What was done, e.g. parts replaced
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot be longer than 1000 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Unique index allowing at most one open work order per plan, so a plan is not
+ * scheduled twice when several servers run the scheduling job
+ */
+workOrderSchema.index(
+  { plan: 1 },
+  {
+    unique: true,
+    name: 'one_open_work_order_per_plan',
+    partialFilterExpression: { status: 'open' },
+  }
+);
+
+const WorkOrder = mongoose.model('WorkOrder', workOrderSchema);
+
+module.exports = WorkOrder;
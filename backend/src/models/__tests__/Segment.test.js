@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Machine = require('../Machine');
+const Segment = require('../Segment');
+const { countRuntime } = require('../../utils/runtimeUtils');
+
+describe('Segment Model', () => {
+  describe('runtime counters', () => {
+    const machine = new mongoose.Types.ObjectId();
+    const at = (time) => new Date(`2025-07-20T${time}:00.000Z`);
+    let stored;
+    let counters;
+
+    // Apply the $add pipeline sent to Machine.updateOne to the counters
+    const applyUpdate = (filter, [{ $set }]) => {
+      Object.keys(counters).forEach((name) => {
+        const [, change] = $set[`counters.${name}`].$add;
+        counters[name] += typeof change === 'number' ? change : 0;
+      });
+      return Promise.resolve({ modifiedCount: 1 });
+    };
+
+    const uptime = (startTime, endTime) => ({
+      machineName: 'M1',
+      machine,
+      segmentType: 'uptime',
+      date: '2025-07-20',
+      startTime: `${startTime}:00`,
+      endTime: `${endTime}:00`,
+      timezone: 'UTC',
+      startAt: at(startTime),
+      endAt: at(endTime),
+    });
+
+    beforeEach(() => {
+      stored = [];
+      counters = { runHours: 0, starts: 0, hoursSinceService: 0 };
+
+      // Look the segments up in memory, as exists() would in the collection
+      jest.spyOn(Segment, 'exists').mockImplementation(({ _id, startAt, endAt }) => ({
+        session: () =>
+          Promise.resolve(
+            stored.find(
+              (segment) =>
+                !_id.$nin.some((id) => id.equals(segment._id)) &&
+                (startAt ? segment.startAt.getTime() === startAt.getTime() : true) &&
+                (endAt ? segment.endAt && segment.endAt.getTime() === endAt.getTime() : true)
+            ) || null
+          ),
+      }));
+      jest.spyOn(Machine, 'updateOne').mockImplementation(applyUpdate);
+      jest.spyOn(Segment.prototype, '$validate').mockResolvedValue();
+      jest.spyOn(Segment.collection, 'insertMany').mockImplementation((docs) => {
+        stored.push(...docs);
+        return Promise.resolve({ insertedCount: docs.length });
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should count adjacent segments inserted together as one start', async () => {
+      const segments = [uptime('22:00', '23:00'), uptime('23:00', '23:30')];
+
+      await Segment.insertMany(segments);
+
+      expect(counters.starts).toEqual(1);
+      expect(counters.runHours).toEqual(1.5);
+      expect(counters.starts).toEqual(countRuntime(stored).starts);
+    });
+
+    it('should count a batch carrying on from a stored segment as no new start', async () => {
+      await Segment.insertMany([uptime('06:00', '07:00')]);
+      await Segment.insertMany([uptime('08:00', '09:00'), uptime('07:00', '08:00')]);
+
+      expect(counters.starts).toEqual(1);
+      expect(counters.runHours).toEqual(3);
+    });
+  });
+
+  describe('backfillDeletedAt', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should mark segments without deletedAt as live and report second open segments', async () => {
+      const first = new mongoose.Types.ObjectId();
+      const second = new mongoose.Types.ObjectId();
+      const updateMany = jest
+        .spyOn(Segment.collection, 'updateMany')
+        .mockResolvedValue({ modifiedCount: 3 });
+      jest.spyOn(Segment.collection, 'find').mockReturnValue({
+        toArray: async () => [
+          { _id: first, machineName: 'M1' },
+          { _id: second, machineName: 'M1' },
+        ],
+      });
+      const updateOne = jest
+        .spyOn(Segment.collection, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockRejectedValueOnce(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      const result = await Segment.backfillDeletedAt();
+
+      expect(result).toEqual({ updated: 4, conflicts: [{ id: second, machineName: 'M1' }] });
+      expect(updateMany).toHaveBeenCalledWith(
+        { deletedAt: { $exists: false }, endTime: { $ne: null } },
+        { $set: { deletedAt: null } }
+      );
+      expect(updateOne).toHaveBeenCalledWith({ _id: first }, { $set: { deletedAt: null } });
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Soft Delete Plugin
+ *
+ * Deleted documents keep their data with deletedAt and deletedBy set until the
+ * retention job purges them. They are left out of finds, counts, updates and
+ * aggregations unless the query filters on deletedAt itself.
+ */
+
+// Query operations that skip deleted documents by default
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+];
+
+/**
+ * Check whether a filter already selects on deletedAt
+ * @param {Object} [filter] - Query filter or $match stage
+ * @returns {Boolean} True if the filter names deletedAt
+ */
+const filtersOnDeletedAt = (filter) =>
+  Boolean(filter) && Object.prototype.hasOwnProperty.call(filter, 'deletedAt');
+
+/**
+ * Add soft delete fields, filtering, and softDelete/restore methods to a schema
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+const softDelete = (schema) => {
+  schema.add({
+    // When the document was deleted; null while it is live
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+
+    // User who deleted the document
+    deletedBy: {
+      _id: false,
+      id: String,
+      username: String,
+      name: String,
+    },
+  });
+
+  schema.pre(FILTERED_QUERIES, async function () {
+    if (!filtersOnDeletedAt(this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre('aggregate', async function () {
+    const [first] = this.pipeline();
+
+    if (!filtersOnDeletedAt(first && first.$match)) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  /**
+   * Mark the document as deleted
+   * @param {Object} [user] - Signed-in user deleting it
+   * @param {Object} [options] - Save options, e.g. the session of a transaction
+   * @returns {Promise<Object>} The saved document
+   */
+  schema.methods.softDelete = function (user, options = {}) {
+    this.deletedAt = new Date();
+    this.deletedBy = user ? { id: user.id, username: user.username, name: user.name } : undefined;
+
+    // Records that no longer pass newer validation rules can still be deleted
+    return this.save({ ...options, validateModifiedOnly: true });
+  };
+
+  /**
+   * Bring a deleted document back
+   * @param {Object} [options] - Save options
+   * @returns {Promise<Object>} The saved document
+   */
+  schema.methods.restore = function (options = {}) {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+
+    return this.save({ ...options, validateModifiedOnly: true });
+  };
+
+  /**
+   * Permanently remove documents deleted before a cutoff
+   * @param {Date} cutoff - Documents deleted at or before this time are removed
+   * @returns {Promise<Number>} Number of documents removed
+   */
+  schema.statics.purgeDeleted = async function (cutoff) {
+    const { deletedCount } = await this.deleteMany({ deletedAt: { $ne: null, $lte: cutoff } });
+
+    return deletedCount;
+  };
+};
+
+module.exports = softDelete;
@@ -0,0 +1,34 @@
+/**
+ * Analytics Routes
+ *
+ * API routes for production analytics
+ */
+
+const express = require("express");
+const router = express.Router();
+const analyticsController = require("../controllers/analytics.controller");
+const {
+  validateOeeParams,
+  validateParetoParams,
+} = require("../middleware/validation");
+const { authorizeMachine } = require("../middleware/permission.middleware");
+
+// Get OEE per machine, shift and day
+// GET /api/analytics/oee
+router.get(
+  "/oee",
+  authorizeMachine,
+  validateOeeParams,
+  analyticsController.getOee
+);
+
+// Get downtime minutes by reason code, ranked
+// GET /api/analytics/downtime-pareto
+router.get(
+  "/downtime-pareto",
+  authorizeMachine,
+  validateParetoParams,
+  analyticsController.getDowntimePareto
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+/**
+ * Auth Routes
+ *
+ * API routes for signing in and out and refreshing sessions
+ */
+
+const express = require("express");
+const router = express.Router();
+const authController = require("../controllers/auth.controller");
+const auth = require("../middleware/auth.middleware");
+const {
+  validateLogin,
+  validateRefreshToken,
+} = require("../middleware/validation");
+
+// Sign in
+// POST /api/auth/login
+router.post("/login", validateLogin, authController.login);
+
+// Exchange a refresh token for a new token pair
+// POST /api/auth/refresh
+router.post("/refresh", validateRefreshToken, authController.refresh);
+
+// Sign out
+// POST /api/auth/logout
+router.post("/logout", validateRefreshToken, authController.logout);
+
+// Get the signed-in user
+// GET /api/auth/me
+router.get("/me", auth, authController.getCurrentUser);
+
+module.exports = router;
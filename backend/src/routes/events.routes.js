@@ -0,0 +1,16 @@
+/**
+ * Event Routes
+ *
+ * Server-Sent Events stream of segment and machine changes
+ */
+
+const express = require("express");
+const router = express.Router();
+const eventsController = require("../controllers/events.controller");
+const { authorizeMachine } = require("../middleware/permission.middleware");
+
+// Stream changes as they happen
+// GET /api/events
+router.get("/", authorizeMachine, eventsController.streamEvents);
+
+module.exports = router;
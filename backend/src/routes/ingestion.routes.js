@@ -0,0 +1,22 @@
+/**
+ * Ingestion Routes
+ *
+ * Machine state events from PLCs and IoT gateways
+ */
+
+const express = require("express");
+const router = express.Router();
+const ingestionController = require("../controllers/ingestion.controller");
+const { validateSignalEvents } = require("../middleware/validation");
+const { authorize } = require("../middleware/permission.middleware");
+
+// Ingest a batch of run/stop/fault events
+// POST /api/ingestion/events
+router.post(
+  "/events",
+  authorize("signals:ingest"),
+  validateSignalEvents,
+  ingestionController.ingestEvents
+);
+
+module.exports = router;
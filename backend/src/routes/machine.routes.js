@@ -1,17 +1,63 @@
 const express = require("express");
 const router = express.Router();
 const machineController = require("../controllers/machine.controller");
+const { authorize } = require("../middleware/permission.middleware");
+const { validateMachineFilters } = require("../middleware/validation");
 
 // Machine routes
-router.get("/", machineController.getAllMachines);
-router.get("/:id", machineController.getMachineById);
-router.post("/", machineController.createMachine);
-router.put("/:id", machineController.updateMachine);
-router.delete("/:id", machineController.deleteMachine);
+router.get(
+  "/",
+  authorize("machines:read"),
+  validateMachineFilters,
+  machineController.getAllMachines
+);
+router.get(
+  "/current-state",
+  authorize("machines:read", "segments:read"),
+  machineController.getCurrentStates
+);
+router.get(
+  "/deleted",
+  authorize("machines:delete"),
+  machineController.getDeletedMachines
+);
+router.get(
+  "/:id",
+  authorize("machines:read"),
+  machineController.getMachineById
+);
+router.post("/", authorize("machines:create"), machineController.createMachine);
+router.put(
+  "/:id",
+  authorize("machines:update"),
+  machineController.updateMachine
+);
+router.delete(
+  "/:id",
+  authorize("machines:delete"),
+  machineController.deleteMachine
+);
+router.post(
+  "/:id/restore",
+  authorize("machines:delete"),
+  machineController.restoreMachine
+);
 
 // Segment routes
-router.post("/:id/segments", machineController.addSegment);
-router.put("/:id/segments/:segmentId", machineController.updateSegment);
-router.delete("/:id/segments/:segmentId", machineController.deleteSegment);
+router.post(
+  "/:id/segments",
+  authorize("segments:create"),
+  machineController.addSegment
+);
+router.put(
+  "/:id/segments/:segmentId",
+  authorize("segments:update"),
+  machineController.updateSegment
+);
+router.delete(
+  "/:id/segments/:segmentId",
+  authorize("segments:delete"),
+  machineController.deleteSegment
+);
 
 module.exports = router;
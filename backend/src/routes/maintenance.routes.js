@@ -0,0 +1,97 @@
+/**
+ * Maintenance Routes
+ *
+ * API routes for preventive maintenance plans and work orders
+ */
+
+const express = require("express");
+const router = express.Router();
+const maintenanceController = require("../controllers/maintenance.controller");
+const {
+  validateMaintenancePlanFilters,
+  validateCreateMaintenancePlan,
+  validateUpdateMaintenancePlan,
+  validateMaintenancePlanId,
+  validateDueMaintenance,
+  validateWorkOrderFilters,
+  validateCompleteWorkOrder,
+} = require("../middleware/validation");
+const { authorize } = require("../middleware/permission.middleware");
+
+// Get all maintenance plans
+// GET /api/maintenance/plans
+router.get(
+  "/plans",
+  validateMaintenancePlanFilters,
+  maintenanceController.getMaintenancePlans
+);
+
+// Get maintenance plan by ID
+// GET /api/maintenance/plans/:id
+router.get(
+  "/plans/:id",
+  validateMaintenancePlanId,
+  maintenanceController.getMaintenancePlanById
+);
+
+// Create maintenance plan
+// POST /api/maintenance/plans
+router.post(
+  "/plans",
+  authorize("maintenance:plan"),
+  validateCreateMaintenancePlan,
+  maintenanceController.createMaintenancePlan
+);
+
+// Update maintenance plan
+// PUT /api/maintenance/plans/:id
+router.put(
+  "/plans/:id",
+  authorize("maintenance:plan"),
+  validateUpdateMaintenancePlan,
+  maintenanceController.updateMaintenancePlan
+);
+
+// Delete maintenance plan
+// DELETE /api/maintenance/plans/:id
+router.delete(
+  "/plans/:id",
+  authorize("maintenance:plan"),
+  validateMaintenancePlanId,
+  maintenanceController.deleteMaintenancePlan
+);
+
+// Get due and overdue maintenance
+// GET /api/maintenance/due
+router.get(
+  "/due",
+  validateDueMaintenance,
+  maintenanceController.getDueMaintenance
+);
+
+// Open work orders for the plans falling due
+// POST /api/maintenance/schedule
+router.post(
+  "/schedule",
+  authorize("maintenance:plan"),
+  maintenanceController.scheduleMaintenance
+);
+
+// Get work orders
+// GET /api/maintenance/work-orders
+router.get(
+  "/work-orders",
+  validateWorkOrderFilters,
+  maintenanceController.getWorkOrders
+);
+
+// Complete work order
+// POST /api/maintenance/work-orders/:id/complete
+router.post(
+  "/work-orders/:id/complete",
+  authorize("maintenance:complete"),
+  validateCompleteWorkOrder,
+  maintenanceController.completeWorkOrder
+);
+
+module.exports = router;
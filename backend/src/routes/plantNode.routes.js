@@ -0,0 +1,49 @@
+/**
+ * Plant Node Routes
+ *
+ * API routes for the plant hierarchy
+ */
+
+const express = require("express");
+const router = express.Router();
+const plantNodeController = require("../controllers/plantNode.controller");
+const {
+  validatePlantNodeFilters,
+  validateCreatePlantNode,
+  validateUpdatePlantNode,
+  validatePlantNodeId,
+} = require("../middleware/validation");
+const { authorize } = require("../middleware/permission.middleware");
+
+// Get the plant hierarchy, flat or as a tree
+// GET /api/plant-nodes
+router.get("/", validatePlantNodeFilters, plantNodeController.getPlantNodes);
+
+// Create plant node
+// POST /api/plant-nodes
+router.post(
+  "/",
+  authorize("plant-nodes:write"),
+  validateCreatePlantNode,
+  plantNodeController.createPlantNode
+);
+
+// Update plant node
+// PUT /api/plant-nodes/:id
+router.put(
+  "/:id",
+  authorize("plant-nodes:write"),
+  validateUpdatePlantNode,
+  plantNodeController.updatePlantNode
+);
+
+// Delete plant node without child nodes or machines
+// DELETE /api/plant-nodes/:id
+router.delete(
+  "/:id",
+  authorize("plant-nodes:write"),
+  validatePlantNodeId,
+  plantNodeController.deletePlantNode
+);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+/**
+ * Reason Code Routes
+ *
+ * API routes for the downtime reason-code catalog
+ */
+
+const express = require("express");
+const router = express.Router();
+const reasonCodeController = require("../controllers/reasonCode.controller");
+const {
+  validateReasonCodeFilters,
+  validateCreateReasonCode,
+  validateUpdateReasonCode,
+  validateReasonCodeId,
+} = require("../middleware/validation");
+const { authorize } = require("../middleware/permission.middleware");
+
+// Get the reason-code catalog, flat or as a tree
+// GET /api/reason-codes
+router.get("/", validateReasonCodeFilters, reasonCodeController.getReasonCodes);
+
+// Create reason code
+// POST /api/reason-codes
+router.post(
+  "/",
+  authorize("reason-codes:write"),
+  validateCreateReasonCode,
+  reasonCodeController.createReasonCode
+);
+
+// Update reason code
+// PUT /api/reason-codes/:id
+router.put(
+  "/:id",
+  authorize("reason-codes:write"),
+  validateUpdateReasonCode,
+  reasonCodeController.updateReasonCode
+);
+
+// Delete unused reason code
+// DELETE /api/reason-codes/:id
+router.delete(
+  "/:id",
+  authorize("reason-codes:write"),
+  validateReasonCodeId,
+  reasonCodeController.deleteReasonCode
+);
+
+module.exports = router;
@@ -11,48 +11,211 @@ const {
   validateCreateSegment,
   validateUpdateSegment,
   validateSegmentId,
+  validateCloseSegment,
+  validateSplitSegment,
+  validateMergeSegments,
+  validateBulkSegments,
+  validateImportSegments,
+  validateExportSegments,
   validateTimelineParams,
+  validatePlantTimelineParams,
   validateSegmentFilters,
+  validateSegmentAnalytics,
+  validateGapParams,
+  validateFillGaps,
 } = require("../middleware/validation");
+const { uploadImportFile } = require("../middleware/upload");
+const {
+  authorize,
+  authorizeMachine,
+} = require("../middleware/permission.middleware");
 
 // Get all segments with filtering and pagination
 // GET /api/segments
-router.get("/", validateSegmentFilters, segmentController.getAllSegments);
+router.get(
+  "/",
+  authorize("segments:read"),
+  authorizeMachine,
+  validateSegmentFilters,
+  segmentController.getAllSegments
+);
 
 // Get segment analytics
 // GET /api/segments/analytics
 router.get(
   "/analytics",
-  validateSegmentFilters,
+  authorize("segments:read"),
+  authorizeMachine,
+  validateSegmentAnalytics,
   segmentController.getSegmentAnalytics
 );
 
+// Get timeline data for every machine under a plant node
+// GET /api/segments/timeline?node=
+router.get(
+  "/timeline",
+  authorize("segments:read"),
+  validatePlantTimelineParams,
+  segmentController.getTimelineData
+);
+
 // Get timeline data for visualization
 // GET /api/segments/timeline/:machineName
 router.get(
   "/timeline/:machineName",
+  authorize("segments:read"),
+  authorizeMachine,
   validateTimelineParams,
+  validatePlantTimelineParams,
   segmentController.getTimelineData
 );
 
+// Export segments as CSV or XLSX, or a PDF report
+// GET /api/segments/export
+router.get(
+  "/export",
+  authorize("segments:read"),
+  authorizeMachine,
+  validateExportSegments,
+  segmentController.exportSegments
+);
+
 // Get summary statistics
 // GET /api/segments/stats
-router.get("/stats", validateSegmentFilters, segmentController.getStats);
+router.get(
+  "/stats",
+  authorize("segments:read"),
+  validateSegmentFilters,
+  segmentController.getStats
+);
+
+// Get the gaps between segments
+// GET /api/segments/gaps
+router.get(
+  "/gaps",
+  authorize("segments:read"),
+  authorizeMachine,
+  validateGapParams,
+  segmentController.getGaps
+);
+
+// Fill the gaps between segments
+// POST /api/segments/gaps/fill
+router.post(
+  "/gaps/fill",
+  authorize("segments:create"),
+  validateFillGaps,
+  segmentController.fillGaps
+);
+
+// Get recently deleted segments
+// GET /api/segments/deleted
+router.get(
+  "/deleted",
+  authorize("segments:delete"),
+  authorizeMachine,
+  validateSegmentFilters,
+  segmentController.getDeletedSegments
+);
 
 // Get segment by ID
 // GET /api/segments/:id
-router.get("/:id", validateSegmentId, segmentController.getSegmentById);
+router.get(
+  "/:id",
+  authorize("segments:read"),
+  validateSegmentId,
+  segmentController.getSegmentById
+);
+
+// Get the change history of a segment
+// GET /api/segments/:id/history
+router.get(
+  "/:id/history",
+  authorize("segments:read"),
+  validateSegmentId,
+  segmentController.getSegmentHistory
+);
 
 // Create new segment
 // POST /api/segments
-router.post("/", validateCreateSegment, segmentController.createSegment);
+router.post(
+  "/",
+  authorize("segments:create"),
+  validateCreateSegment,
+  segmentController.createSegment
+);
+
+// Create, update and delete segments in one request
+// POST /api/segments/bulk
+router.post(
+  "/bulk",
+  authorize("segments:bulk"),
+  validateBulkSegments,
+  segmentController.bulkSegments
+);
+
+// Merge contiguous segments into one
+// POST /api/segments/merge
+router.post(
+  "/merge",
+  authorize("segments:update"),
+  validateMergeSegments,
+  segmentController.mergeSegments
+);
+
+// Import segments from a CSV or XLSX file (dry run by default)
+// POST /api/segments/import
+router.post(
+  "/import",
+  authorize("segments:import"),
+  uploadImportFile,
+  validateImportSegments,
+  segmentController.importSegments
+);
 
 // Update segment
 // PUT /api/segments/:id
-router.put("/:id", validateUpdateSegment, segmentController.updateSegment);
+router.put(
+  "/:id",
+  authorize("segments:update"),
+  validateUpdateSegment,
+  segmentController.updateSegment
+);
+
+// Close an open segment
+// POST /api/segments/:id/close
+router.post(
+  "/:id/close",
+  authorize("segments:update"),
+  validateCloseSegment,
+  segmentController.closeSegment
+);
+
+// Split a segment in two
+// POST /api/segments/:id/split
+router.post(
+  "/:id/split",
+  authorize("segments:update"),
+  validateSplitSegment,
+  segmentController.splitSegment
+);
 
 // Delete segment
 // DELETE /api/segments/:id
-router.delete("/:id", validateSegmentId, segmentController.deleteSegment);
+router.delete(
+  "/:id",
+  authorize("segments:delete"),
+  validateSegmentId,
+  segmentController.deleteSegment
+);
+
+// Restore a deleted segment
+// POST /api/segments/:id/restore
+router.post(
+  "/:id/restore",
+  authorize("segments:delete"),
+  validateSegmentId,
+  segmentController.restoreSegment
+);
 
 module.exports = router;
@@ -0,0 +1,65 @@
+/**
+ * Shift Pattern Routes
+ *
+ * API routes for shift patterns and the shift calendar
+ */
+
+const express = require("express");
+const router = express.Router();
+const shiftPatternController = require("../controllers/shiftPattern.controller");
+const {
+  validateCreateShiftPattern,
+  validateUpdateShiftPattern,
+  validateShiftPatternId,
+  validateShiftCalendar,
+} = require("../middleware/validation");
+const { authorize } = require("../middleware/permission.middleware");
+
+// Get all shift patterns
+// GET /api/shift-patterns
+router.get("/", shiftPatternController.getShiftPatterns);
+
+// Get the shifts a machine works over a date range
+// GET /api/shift-patterns/calendar
+router.get(
+  "/calendar",
+  validateShiftCalendar,
+  shiftPatternController.getShiftCalendar
+);
+
+// Get shift pattern by ID
+// GET /api/shift-patterns/:id
+router.get(
+  "/:id",
+  validateShiftPatternId,
+  shiftPatternController.getShiftPatternById
+);
+
+// Create shift pattern
+// POST /api/shift-patterns
+router.post(
+  "/",
+  authorize("shift-patterns:write"),
+  validateCreateShiftPattern,
+  shiftPatternController.createShiftPattern
+);
+
+// Update shift pattern
+// PUT /api/shift-patterns/:id
+router.put(
+  "/:id",
+  authorize("shift-patterns:write"),
+  validateUpdateShiftPattern,
+  shiftPatternController.updateShiftPattern
+);
+
+// Delete shift pattern
+// DELETE /api/shift-patterns/:id
+router.delete(
+  "/:id",
+  authorize("shift-patterns:write"),
+  validateShiftPatternId,
+  shiftPatternController.deleteShiftPattern
+);
+
+module.exports = router;
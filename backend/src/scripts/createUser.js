@@ -0,0 +1,89 @@
+/**
+ * Script to create a user or reset an existing user's password
+ *
+ * Usage: npm run user:create -- <username> <password> [display name] [--role=<role>]
+ *   [--machines=<name,name>]
+ *
+ * --machines limits the user to those machines; --machines= removes the limit.
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const connectDB = require('../config/database');
+const logger = require('../utils/logger');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Create the user given on the command line, or set a new password if it exists
+ */
+const createUser = async () => {
+  try {
+    const args = process.argv.slice(2);
+    const options = Object.fromEntries(
+      args
+        .filter((arg) => arg.startsWith('--'))
+        .map((arg) => {
+          const [key, ...value] = arg.slice(2).split('=');
+          return [key, value.join('=')];
+        })
+    );
+    const [username, password, ...nameParts] = args.filter((arg) => !arg.startsWith('--'));
+
+    if (!username || !password) {
+      logger.error(
+        'Usage: npm run user:create -- <username> <password> [display name] [--role=<role>] [--machines=<name,name>]'
+      );
+      process.exit(1);
+    }
+
+    // Connect to MongoDB
+    await connectDB();
+    logger.info('Connected to MongoDB');
+
+    const user =
+      (await User.findOne({ username: username.toLowerCase() })) || new User({ username });
+
+    if (nameParts.length > 0) {
+      user.name = nameParts.join(' ');
+    }
+
+    if (options.role !== undefined) {
+      user.role = options.role;
+    }
+
+    if (options.machines !== undefined) {
+      user.machineNames = options.machines
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean);
+    }
+
+    await user.setPassword(password);
+
+    // A new password signs the user out everywhere
+    user.refreshTokens = [];
+    user.active = true;
+
+    const created = user.isNew;
+    await user.save();
+    logger.info(
+      `${created ? 'Created' : 'Updated'} ${user.role} ${user.username}` +
+        (user.machineNames.length > 0 ? ` for machines ${user.machineNames.join(', ')}` : '')
+    );
+
+    // Close connection
+    await mongoose.connection.close();
+    logger.info('Database connection closed');
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error creating user:', error);
+    process.exit(1);
+  }
+};
+
+// Create the user
+createUser();
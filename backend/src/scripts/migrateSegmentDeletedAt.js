@@ -0,0 +1,47 @@
+/**
+ * Migration script to give segments saved before soft delete was added an
+ * explicit deletedAt of null, so the one open segment per machine index covers
+ * them
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Segment = require('../models/Segment');
+const connectDB = require('../config/database');
+const logger = require('../utils/logger');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Set deletedAt on every segment without one
+ */
+const migrateSegmentDeletedAt = async () => {
+  try {
+    // Connect to MongoDB
+    await connectDB();
+    logger.info('Connected to MongoDB');
+
+    const { updated, conflicts } = await Segment.backfillDeletedAt();
+    logger.info(`Set deletedAt on ${updated} segments`);
+
+    // A machine with two open segments needs one of them closed or deleted first
+    conflicts.forEach(({ id, machineName }) => {
+      logger.warn(
+        `Segment ${id} is a second open segment of ${machineName}; close or delete it and run again`
+      );
+    });
+
+    // Close connection
+    await mongoose.connection.close();
+    logger.info('Database connection closed');
+
+    process.exit(conflicts.length > 0 ? 1 : 0);
+  } catch (error) {
+    logger.error('Error setting deletedAt on segments:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+migrateSegmentDeletedAt();
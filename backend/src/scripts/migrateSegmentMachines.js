@@ -0,0 +1,53 @@
+/**
+ * Migration script to link segments created before they referenced machines to
+ * the machine their machineName names
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Segment = require('../models/Segment');
+const connectDB = require('../config/database');
+const logger = require('../utils/logger');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Resolve the machineName of every unlinked segment to a machine
+ */
+const migrateSegmentMachines = async () => {
+  try {
+    // Connect to MongoDB
+    await connectDB();
+    logger.info('Connected to MongoDB');
+
+    // Pass --all to relink every segment instead of only the unlinked ones
+    const filter = process.argv.includes('--all') ? {} : { machine: null };
+
+    const { linked, unresolved } = await Segment.linkMachines(filter);
+    logger.info(`Linked ${linked} segments to their machines`);
+
+    // Segments of unknown machines keep their name until a machine with it is created
+    unresolved.forEach(({ machineName, count }) => {
+      logger.warn(`No machine named ${machineName} for ${count} segments`);
+    });
+
+    // Segments linked here were not counted towards their machine's runtime yet
+    if (linked > 0) {
+      const machines = await Segment.recomputeRuntimeCounters();
+      logger.info(`Recomputed runtime counters of ${machines} machines`);
+    }
+
+    // Close connection
+    await mongoose.connection.close();
+    logger.info('Database connection closed');
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error linking segments to machines:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+migrateSegmentMachines();
@@ -0,0 +1,51 @@
+/**
+ * Migration script to populate the canonical startAt/endAt timestamps, timezone
+ * and shift allocation on segments created before they were introduced
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Segment = require('../models/Segment');
+const connectDB = require('../config/database');
+const logger = require('../utils/logger');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Recompute timezone, startAt, endAt and shifts from the date and time strings of every segment
+ */
+const migrateSegmentTimestamps = async () => {
+  try {
+    // Connect to MongoDB
+    await connectDB();
+    logger.info('Connected to MongoDB');
+
+    // Pass --all to recompute every segment instead of only the missing ones
+    const filter = process.argv.includes('--all')
+      ? {}
+      : {
+          $or: [
+            { startAt: { $exists: false } },
+            { endAt: { $exists: false } },
+            { timezone: { $exists: false } },
+            { shifts: { $exists: false } },
+          ],
+        };
+
+    const migrated = await Segment.syncTimestamps(filter);
+    logger.info(`Migrated timestamps for ${migrated} segments`);
+
+    // Close connection
+    await mongoose.connection.close();
+    logger.info('Database connection closed');
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error migrating segment timestamps:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+migrateSegmentTimestamps();
@@ -0,0 +1,50 @@
+/**
+ * Script to permanently remove segments and machines deleted longer ago than
+ * the retention period, for running from cron when the server's job is off
+ *
+ * Usage: npm run purge:deleted -- [--days=<days>]
+ *
+ * --days overrides DELETED_RETENTION_DAYS; --days=0 purges everything deleted.
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const connectDB = require('../config/database');
+const { purgeDeletedRecords } = require('../services/retentionService');
+const logger = require('../utils/logger');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Purge deleted records older than the retention period
+ */
+const purgeDeleted = async () => {
+  try {
+    const daysArg = process.argv.find((arg) => arg.startsWith('--days='));
+    const retentionDays = daysArg ? Number(daysArg.slice('--days='.length)) : undefined;
+
+    if (retentionDays !== undefined && !(retentionDays >= 0)) {
+      logger.error('Usage: npm run purge:deleted -- [--days=<days>]');
+      process.exit(1);
+    }
+
+    // Connect to MongoDB
+    await connectDB();
+    logger.info('Connected to MongoDB');
+
+    await purgeDeletedRecords(retentionDays);
+
+    // Close connection
+    await mongoose.connection.close();
+    logger.info('Database connection closed');
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error purging deleted records:', error);
+    process.exit(1);
+  }
+};
+
+// Run the purge
+purgeDeleted();
@@ -0,0 +1,57 @@
+/**
+ * Script to recount the run hours, starts and hours since service of machines
+ * from all of their uptime segments, for when the counters have drifted
+ *
+ * Usage: npm run recompute:runtime-counters -- [--machine=<name>]
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Machine = require('../models/Machine');
+const Segment = require('../models/Segment');
+const connectDB = require('../config/database');
+const logger = require('../utils/logger');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Recompute the runtime counters of every machine, or of the one named
+ */
+const recomputeRuntimeCounters = async () => {
+  try {
+    const machineArg = process.argv.find((arg) => arg.startsWith('--machine='));
+    const machineName = machineArg && machineArg.slice('--machine='.length);
+
+    // Connect to MongoDB
+    await connectDB();
+    logger.info('Connected to MongoDB');
+
+    let filter = {};
+
+    if (machineArg) {
+      const machine = await Machine.findByName(machineName);
+
+      if (!machine) {
+        throw new Error(`No machine named ${machineName}`);
+      }
+
+      filter = { _id: machine._id };
+    }
+
+    const count = await Segment.recomputeRuntimeCounters(filter);
+    logger.info(`Recomputed runtime counters of ${count} machines`);
+
+    // Close connection
+    await mongoose.connection.close();
+    logger.info('Database connection closed');
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error recomputing runtime counters:', error);
+    process.exit(1);
+  }
+};
+
+// Run the recount
+recomputeRuntimeCounters();
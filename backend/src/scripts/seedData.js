@@ -4,13 +4,78 @@
 
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
+const Machine = require('../models/Machine');
+const PlantNode = require('../models/PlantNode');
 const Segment = require('../models/Segment');
+const ReasonCode = require('../models/ReasonCode');
+const ShiftPattern = require('../models/ShiftPattern');
+const { DEFAULT_REASON_CODES } = require('../config/reasonCodes');
+const { DEFAULT_SHIFTS } = require('../config/shifts');
 const connectDB = require('../config/database');
 const logger = require('../utils/logger');
 
 // Load environment variables
 dotenv.config();
 
+// Plant-wide three-shift pattern with four rotating crews and Sundays off
+const initialShiftPattern = {
+  name: 'Three shifts',
+  description: 'Three 8-hour shifts, crews rotate weekly',
+  shifts: DEFAULT_SHIFTS,
+  weeklySchedule: [{ dayOfWeek: 0, shifts: [] }],
+  crews: ['Crew 1', 'Crew 2', 'Crew 3', 'Crew 4'],
+  rotationStartDate: '2025-07-14',
+  rotationDays: 7,
+};
+
+// Plant hierarchy from the enterprise down to the lines, and the lines' machines
+const initialPlant = {
+  name: 'PatternLab',
+  children: [
+    {
+      name: 'Main Plant',
+      children: [
+        {
+          name: 'Machining',
+          children: [
+            { name: 'Line 1', machines: ['M1', 'M2'] },
+            { name: 'Line 2', machines: ['M3', 'M4'] },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+// Machines the initial segments are recorded for
+const initialMachines = ['M1', 'M2', 'M3', 'M4'].map((name, index) => ({
+  name,
+  serialNumber: `SN-000${index + 1}`,
+  type: 'CNC',
+}));
+
+/**
+ * Create a plant node and the nodes below it, placing machines on the lines
+ * @param {Object} entry - Node with name and children or machines
+ * @param {Object} [parent] - Parent node
+ * @returns {Promise<Number>} Number of nodes created
+ */
+const createPlantNodes = async ({ name, children = [], machines = [] }, parent) => {
+  const node = await PlantNode.create({ name, parent: parent ? parent._id : null });
+
+  initialMachines
+    .filter((machine) => machines.includes(machine.name))
+    .forEach((machine) => {
+      machine.line = node._id;
+    });
+
+  let count = 1;
+  for (const child of children) {
+    count += await createPlantNodes(child, node);
+  }
+  return count;
+};
+
 // Initial segments data
 const initialSegments = [
   {
@@ -33,6 +98,7 @@ const initialSegments = [
     endTime: '09:15:00',
     machineName: 'M3',
     segmentType: 'downtime',
+    reasonCode: 'TOOL_CHANGE',
   },
   {
     date: '2025-07-15',
@@ -61,6 +127,8 @@ const initialSegments = [
     endTime: '22:16:00',
     machineName: 'M1',
     segmentType: 'downtime',
+    reasonCode: 'SPINDLE',
+    notes: 'Spindle bearing replaced',
   },
   {
     date: '2025-07-15',
@@ -105,6 +173,29 @@ const seedDatabase = async () => {
     await Segment.deleteMany({});
     logger.info('Cleared existing segments data');
 
+    // Reload the reason-code catalog one entry at a time, since every entry
+    // is checked against its parent
+    await ReasonCode.deleteMany({});
+    for (const reasonCode of DEFAULT_REASON_CODES) {
+      await ReasonCode.create(reasonCode);
+    }
+    logger.info(`Inserted ${DEFAULT_REASON_CODES.length} reason codes`);
+
+    // Load the shift pattern before the segments so they get their shifts assigned
+    await ShiftPattern.deleteMany({});
+    await ShiftPattern.create(initialShiftPattern);
+    logger.info('Inserted shift pattern');
+
+    // Create the plant hierarchy top down, since every node is checked against its parent
+    await PlantNode.deleteMany({});
+    const plantNodes = await createPlantNodes(initialPlant);
+    logger.info(`Inserted ${plantNodes} plant nodes`);
+
+    // Segments can only be recorded for existing machines
+    await Machine.deleteMany({});
+    await Machine.insertMany(initialMachines);
+    logger.info(`Inserted ${initialMachines.length} machines`);
+
     // Insert new data
     const segments = await Segment.insertMany(initialSegments);
     logger.info(`Inserted ${segments.length} segments`);
@@ -13,6 +13,29 @@ const requestLogger = require('./middleware/requestLogger');
 const { notFound, errorHandler } = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
 const connectDB = require('./config/database');
+const { getAuthConfig } = require('./config/auth');
+const { getRetentionConfig } = require('./config/retention');
+const { getIngestionConfig } = require('./config/ingestion');
+const { getMaintenanceConfig } = require('./config/maintenance');
+const auth = require('./middleware/auth.middleware');
+const { startRetentionJob } = require('./services/retentionService');
+const eventService = require('./services/eventService');
+const { startIngestionJob } = require('./services/ingestionService');
+const { startMqttIngestion } = require('./services/mqttService');
+const { startMaintenanceJob } = require('./services/maintenanceService');
+
+// Refuse to start without token secrets or with unusable retention, signal or
+// maintenance settings rather than failing on the first login, purge, ingested
+// event or scheduling run
+try {
+  getAuthConfig();
+  getRetentionConfig();
+  getIngestionConfig();
+  getMaintenanceConfig();
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
 
 // Initialize express app
 const app = express();
@@ -24,7 +47,8 @@ app.use(helmet());
 const corsOptions = {
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'Idempotency-Key'],
+  exposedHeaders: ['ETag'],
   credentials: true,
   maxAge: 86400,
 };
@@ -47,10 +71,23 @@ if (process.env.NODE_ENV === 'production') {
 }
 app.use(requestLogger);
 
+// MQTT client for machine state messages, when MQTT_URL is set
+let mqttClient = null;
+
 // Connect to MongoDB
 connectDB()
   .then(() => {
     logger.info('Database connection established');
+
+    // Purge deleted segments and machines once their retention period is over
+    startRetentionJob();
+
+    // Record segments from machine state signals
+    startIngestionJob();
+    mqttClient = startMqttIngestion();
+
+    // Open work orders and maintenance windows for plans falling due
+    startMaintenanceJob();
   })
   .catch((err) => {
     logger.error('Database connection failed:', err);
@@ -58,12 +95,28 @@ connectDB()
   });
 
 // Import routes
+const authRoutes = require('./routes/auth.routes');
 const machineRoutes = require('./routes/machine.routes');
 const segmentRoutes = require('./routes/segment.routes');
-
-// Use routes
-app.use('/api/machines', machineRoutes);
-app.use('/api/segments', segmentRoutes);
+const analyticsRoutes = require('./routes/analytics.routes');
+const reasonCodeRoutes = require('./routes/reasonCode.routes');
+const shiftPatternRoutes = require('./routes/shiftPattern.routes');
+const plantNodeRoutes = require('./routes/plantNode.routes');
+const maintenanceRoutes = require('./routes/maintenance.routes');
+const eventRoutes = require('./routes/events.routes');
+const ingestionRoutes = require('./routes/ingestion.routes');
+
+// Use routes; everything except signing in requires an access token
+app.use('/api/auth', authRoutes);
+app.use('/api/machines', auth, machineRoutes);
+app.use('/api/segments', auth, segmentRoutes);
+app.use('/api/analytics', auth, analyticsRoutes);
+app.use('/api/reason-codes', auth, reasonCodeRoutes);
+app.use('/api/shift-patterns', auth, shiftPatternRoutes);
+app.use('/api/plant-nodes', auth, plantNodeRoutes);
+app.use('/api/maintenance', auth, maintenanceRoutes);
+app.use('/api/events', auth, eventRoutes);
+app.use('/api/ingestion', auth, ingestionRoutes);
 
 // Default route
 app.get('/', (req, res) => {
@@ -141,6 +194,12 @@ process.on('uncaughtException', (error) => {
  */
 const shutDown = () => {
   logger.info('Closing HTTP server...');
+
+  // Event streams stay open until told to end
+  eventService.closeAll();
+  if (mqttClient) {
+    mqttClient.end();
+  }
   server.close(() => {
     logger.info('HTTP server closed.');
 
@@ -0,0 +1,112 @@
+const AuditLog = require('../../models/AuditLog');
+const Segment = require('../../models/Segment');
+const { diffSnapshots, recordChange } = require('../auditService');
+const { subscribe } = require('../eventService');
+
+describe('Audit Service', () => {
+  const user = { id: '64b000000000000000000001', username: 'operator', name: 'Line operator' };
+
+  const segment = (changes = {}) =>
+    new Segment({
+      _id: '64b0000000000000000000aa',
+      date: '2025-07-11',
+      machineName: 'M1',
+      segmentType: 'downtime',
+      startTime: '08:00:00',
+      endTime: '09:00:00',
+      reasonCode: 'TOOL_CHANGE',
+      ...changes,
+    });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('diffSnapshots', () => {
+    it('should list changed fields with their old and new values', () => {
+      expect(
+        diffSnapshots(
+          { _id: '1', segmentType: 'downtime', notes: 'jam', updatedAt: 'a' },
+          { _id: '1', segmentType: 'downtime', notes: 'tool change', updatedAt: 'b' }
+        )
+      ).toEqual([{ field: 'notes', before: 'jam', after: 'tool change' }]);
+    });
+
+    it('should list every field of a created document', () => {
+      expect(diffSnapshots(undefined, { _id: '1', machineName: 'M1' })).toEqual([
+        { field: 'machineName', before: undefined, after: 'M1' },
+      ]);
+    });
+  });
+
+  describe('recordChange', () => {
+    it('should store the actor, request id and diff of an update', async () => {
+      const create = jest.spyOn(AuditLog, 'create').mockImplementation(async (entries) => entries);
+
+      const entry = await recordChange({
+        entityType: 'Segment',
+        action: 'update',
+        before: segment(),
+        after: segment({ reasonCode: 'SPINDLE' }),
+        user,
+        requestId: 'req-1',
+      });
+
+      expect(entry).toEqual({
+        entityType: 'Segment',
+        entityId: '64b0000000000000000000aa',
+        machineName: 'M1',
+        action: 'update',
+        actor: user,
+        requestId: 'req-1',
+        changes: [{ field: 'reasonCode', before: 'TOOL_CHANGE', after: 'SPINDLE' }],
+      });
+      expect(create).toHaveBeenCalledWith(expect.any(Array), { session: undefined });
+    });
+
+    it('should skip an update that changed nothing', async () => {
+      const create = jest.spyOn(AuditLog, 'create');
+
+      await expect(
+        recordChange({
+          entityType: 'Segment',
+          action: 'update',
+          before: segment(),
+          after: segment(),
+        })
+      ).resolves.toBeNull();
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should publish the change to the event stream', async () => {
+      jest.spyOn(AuditLog, 'create').mockImplementation(async (entries) => entries);
+      const listener = jest.fn();
+      const unsubscribe = subscribe(listener);
+
+      await recordChange({ entityType: 'Segment', action: 'delete', before: segment() });
+      unsubscribe();
+
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({
+          event: 'segment.delete',
+          id: '64b0000000000000000000aa',
+          machineName: 'M1',
+        })
+      );
+    });
+
+    it('should leave publishing a transaction to the caller', async () => {
+      jest.spyOn(AuditLog, 'create').mockImplementation(async (entries) => entries);
+      const listener = jest.fn();
+      const unsubscribe = subscribe(listener);
+
+      await recordChange(
+        { entityType: 'Segment', action: 'create', after: segment() },
+        { session: {} }
+      );
+      unsubscribe();
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+});
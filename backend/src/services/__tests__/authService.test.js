@@ -0,0 +1,101 @@
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const {
+  signAccessToken,
+  verifyAccessToken,
+  signRefreshToken,
+  login,
+  refreshSession,
+} = require('../authService');
+
+describe('Auth Service', () => {
+  const user = {
+    _id: '64b000000000000000000001',
+    username: 'operator',
+    name: 'Line operator',
+    role: 'operator',
+    machineNames: ['M1'],
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'access-secret';
+    process.env.JWT_REFRESH_SECRET = 'refresh-secret';
+    process.env.ACCESS_TOKEN_TTL = '15m';
+    process.env.REFRESH_TOKEN_TTL = '7d';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('verifyAccessToken', () => {
+    it('should return the user an access token was issued to', () => {
+      expect(verifyAccessToken(signAccessToken(user))).toEqual({
+        id: user._id,
+        username: 'operator',
+        name: 'Line operator',
+        role: 'operator',
+        machineNames: ['M1'],
+      });
+    });
+
+    it('should tell expired tokens apart from invalid ones', () => {
+      const expired = jwt.sign({ username: 'operator' }, 'access-secret', {
+        subject: user._id,
+        expiresIn: -10,
+      });
+
+      expect(() => verifyAccessToken(expired)).toThrow(
+        expect.objectContaining({ name: 'AuthError', code: 'TOKEN_EXPIRED' })
+      );
+      expect(() => verifyAccessToken(signRefreshToken(user).token)).toThrow(
+        expect.objectContaining({ code: 'INVALID_TOKEN' })
+      );
+    });
+  });
+
+  describe('login', () => {
+    const mockUser = async (password) => {
+      const doc = new User({ username: 'operator', refreshTokens: [] });
+      await doc.setPassword(password);
+      jest.spyOn(doc, 'save').mockResolvedValue(doc);
+      jest.spyOn(User, 'findOne').mockReturnValue({ select: async () => doc });
+      return doc;
+    };
+
+    it('should issue a token pair and store the refresh token', async () => {
+      const doc = await mockUser('correct horse');
+
+      const session = await login('Operator', 'correct horse');
+
+      expect(verifyAccessToken(session.accessToken).username).toEqual('operator');
+      expect(session.expiresIn).toEqual(900);
+      expect(session.user.passwordHash).toBeUndefined();
+      expect(session.user.permissions).toContain('segments:create');
+      expect(session.user.permissions).not.toContain('segments:delete');
+      expect(doc.refreshTokens).toHaveLength(1);
+      expect(doc.refreshTokens[0].tokenId).toEqual(jwt.decode(session.refreshToken).jti);
+    });
+
+    it('should reject a wrong password', async () => {
+      await mockUser('correct horse');
+
+      await expect(login('operator', 'wrong horse')).rejects.toMatchObject({
+        code: 'INVALID_CREDENTIALS',
+      });
+    });
+  });
+
+  describe('refreshSession', () => {
+    it('should revoke every session when a used refresh token comes back', async () => {
+      const { token } = signRefreshToken(user);
+      jest.spyOn(User, 'findOneAndUpdate').mockReturnValue({ select: async () => null });
+      const revoke = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+      await expect(refreshSession(token)).rejects.toMatchObject({
+        code: 'REFRESH_TOKEN_REUSED',
+      });
+      expect(revoke).toHaveBeenCalledWith({ _id: user._id }, { $set: { refreshTokens: [] } });
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const { buildDowntimePareto } = require('../downtimeService');
+
+describe('Downtime Service', () => {
+  const catalog = [
+    { code: 'PLANNED', name: 'Planned stop', level: 'category', parentCode: null, planned: true },
+    {
+      code: 'CHANGEOVER',
+      name: 'Changeover',
+      level: 'reason',
+      parentCode: 'PLANNED',
+      planned: true,
+    },
+    {
+      code: 'TOOL_CHANGE',
+      name: 'Tool change',
+      level: 'subReason',
+      parentCode: 'CHANGEOVER',
+      planned: true,
+    },
+    { code: 'BREAKDOWN', name: 'Breakdown', level: 'category', parentCode: null, planned: false },
+    {
+      code: 'ELECTRICAL',
+      name: 'Electrical failure',
+      level: 'reason',
+      parentCode: 'BREAKDOWN',
+      planned: false,
+    },
+  ];
+
+  const rows = [
+    { _id: 'TOOL_CHANGE', minutes: 30, count: 1 },
+    { _id: 'ELECTRICAL', minutes: 120, count: 2 },
+    { _id: 'BREAKDOWN', minutes: 10, count: 1 },
+    { _id: null, minutes: 40, count: 2 },
+  ];
+
+  describe('buildDowntimePareto', () => {
+    it('should rank reasons by minutes with cumulative percentages', () => {
+      const { totalMinutes, entries } = buildDowntimePareto(rows, catalog);
+
+      expect(totalMinutes).toEqual(200);
+      expect(entries.map((entry) => entry.code)).toEqual([
+        'ELECTRICAL',
+        null,
+        'CHANGEOVER',
+        'BREAKDOWN',
+      ]);
+      expect(entries[0]).toMatchObject({
+        path: ['Breakdown', 'Electrical failure'],
+        percentage: 60,
+        cumulativePercentage: 60,
+      });
+      expect(entries[1]).toMatchObject({ name: 'Unassigned', planned: false });
+      expect(entries[3].cumulativePercentage).toEqual(100);
+    });
+
+    it('should roll reasons up to their category', () => {
+      const { entries } = buildDowntimePareto(rows, catalog, { level: 'category' });
+
+      expect(entries.map((entry) => [entry.code, entry.minutes, entry.count])).toEqual([
+        ['BREAKDOWN', 130, 3],
+        [null, 40, 2],
+        ['PLANNED', 30, 1],
+      ]);
+    });
+
+    it('should keep only planned or unplanned reasons', () => {
+      const { totalMinutes, entries } = buildDowntimePareto(rows, catalog, {
+        level: 'category',
+        planned: true,
+      });
+
+      expect(totalMinutes).toEqual(30);
+      expect(entries).toHaveLength(1);
+      expect(entries[0].percentage).toEqual(100);
+    });
+  });
+});
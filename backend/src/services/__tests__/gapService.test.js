@@ -0,0 +1,133 @@
+const Machine = require('../../models/Machine');
+const Segment = require('../../models/Segment');
+const auditService = require('../auditService');
+const { findMachineGaps, fillGaps } = require('../gapService');
+
+describe('Gap Service', () => {
+  const segment = (date, startTime, endTime) => ({
+    date,
+    startTime,
+    endTime,
+    timezone: 'Asia/Kolkata',
+  });
+
+  const now = new Date('2025-07-20T00:00:00.000Z');
+
+  describe('findMachineGaps', () => {
+    it('should find the time between segments and to the end of the day', () => {
+      const gaps = findMachineGaps(
+        [
+          segment('2025-07-15', '00:00:00', '08:00:00'),
+          segment('2025-07-15', '09:30:00', '18:00:00'),
+        ],
+        '2025-07-15',
+        '2025-07-15',
+        'Asia/Kolkata',
+        { now }
+      );
+
+      expect(gaps.map(({ startTime, endTime, minutes }) => [startTime, endTime, minutes])).toEqual([
+        ['08:00:00', '09:30:00', 90],
+        ['18:00:00', '00:00:00', 360],
+      ]);
+      expect(gaps[0].start).toEqual('2025-07-15T08:00:00+05:30');
+    });
+
+    it('should count a segment running past midnight towards the next day', () => {
+      const gaps = findMachineGaps(
+        [
+          segment('2025-07-15', '00:00:00', '22:00:00'),
+          segment('2025-07-15', '22:00:00', '02:00:00'),
+        ],
+        '2025-07-15',
+        '2025-07-16',
+        'Asia/Kolkata',
+        { now }
+      );
+
+      expect(gaps).toEqual([
+        expect.objectContaining({ date: '2025-07-16', startTime: '02:00:00', endTime: '00:00:00' }),
+      ]);
+    });
+
+    it('should stop at the current time and skip short gaps', () => {
+      const gaps = findMachineGaps(
+        [
+          segment('2025-07-20', '00:00:00', '04:00:00'),
+          segment('2025-07-20', '04:00:30', '05:00:00'),
+        ],
+        '2025-07-20',
+        '2025-07-21',
+        'Asia/Kolkata',
+        { now: new Date('2025-07-20T00:30:00.000Z') }
+      );
+
+      expect(gaps.map(({ startTime, endTime }) => [startTime, endTime])).toEqual([
+        ['05:00:00', '06:00:00'],
+      ]);
+    });
+
+    it('should report a whole day without segments', () => {
+      const [gap] = findMachineGaps([], '2025-07-15', '2025-07-15', 'UTC', { now });
+
+      expect(gap).toMatchObject({ startTime: '00:00:00', endTime: '00:00:00', minutes: 1440 });
+    });
+  });
+
+  describe('fillGaps', () => {
+    const lean = (value) => ({ lean: () => Promise.resolve(value) });
+    let saved;
+
+    beforeEach(() => {
+      saved = [];
+      jest.spyOn(Machine, 'find').mockImplementation(() => lean([{ name: 'M1', timezone: 'UTC' }]));
+      jest.spyOn(Segment, 'distinct').mockResolvedValue([]);
+      jest.spyOn(Segment, 'find').mockImplementation(() => lean([]));
+      jest.spyOn(Segment, 'exists').mockResolvedValue(null);
+      jest.spyOn(Segment.prototype, 'validate').mockResolvedValue();
+      jest.spyOn(Segment.prototype, 'save').mockImplementation(function () {
+        saved.push(this);
+        return Promise.resolve(this);
+      });
+      jest.spyOn(auditService, 'recordChange').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should fill a day without segments with two segments of the chosen type', async () => {
+      const user = { role: 'admin', machineNames: [] };
+      const { created, skipped } = await fillGaps({
+        startDate: '2025-07-15',
+        endDate: '2025-07-15',
+        segmentType: 'idle',
+        user,
+      });
+
+      expect(skipped).toEqual([]);
+      expect(
+        created.map(({ startTime, endTime, segmentType }) => [startTime, endTime, segmentType])
+      ).toEqual([
+        ['00:00:00', '12:00:00', 'idle'],
+        ['12:00:00', '00:00:00', 'idle'],
+      ]);
+      expect(auditService.recordChange).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip gaps the user may not write', async () => {
+      const user = { role: 'operator', machineNames: [] };
+      const { created, skipped } = await fillGaps({
+        startDate: '2025-07-15',
+        endDate: '2025-07-15',
+        user,
+      });
+
+      expect(created).toEqual([]);
+      expect(skipped[0]).toMatchObject({
+        machineName: 'M1',
+        message: 'You can only change segments dated today',
+      });
+    });
+  });
+});
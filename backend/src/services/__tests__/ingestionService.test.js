@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const Machine = require('../../models/Machine');
+const Segment = require('../../models/Segment');
+const SignalState = require('../../models/SignalState');
+const SignalEvent = require('../../models/SignalEvent');
+const auditService = require('../auditService');
+const { ingestEvents } = require('../ingestionService');
+
+describe('Ingestion Service', () => {
+  const machine = {
+    _id: '64b000000000000000000001',
+    name: 'M1',
+    serialNumber: 'SN-001',
+    status: 'active',
+    timezone: 'UTC',
+  };
+
+  const event = (state, time, extra = {}) => ({
+    serialNumber: 'SN-001',
+    state,
+    timestamp: `2025-07-15T${time}.000Z`,
+    ...extra,
+  });
+
+  const lean = (value) => ({ lean: () => Promise.resolve(value) });
+
+  let saved;
+  let stored;
+  let knownKeys;
+  let existingSegments;
+  let openSegment;
+
+  const latestSegment = (after) =>
+    existingSegments.filter(({ endAt }) => endAt > after).sort((a, b) => b.endAt - a.endAt)[0] ||
+    null;
+
+  beforeEach(() => {
+    saved = [];
+    stored = null;
+    knownKeys = [];
+    existingSegments = [];
+    openSegment = null;
+
+    jest.spyOn(Machine, 'find').mockResolvedValue([machine]);
+    // Roll the stored state back when the transaction fails
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => {
+      const before = stored;
+      try {
+        await fn({});
+      } catch (error) {
+        stored = before;
+        throw error;
+      }
+    });
+    jest.spyOn(SignalEvent, 'find').mockImplementation(() => lean(knownKeys));
+    jest.spyOn(SignalEvent, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(SignalState, 'findOne').mockImplementation(() => Promise.resolve(stored));
+    jest.spyOn(SignalState.prototype, 'save').mockImplementation(function () {
+      stored = this;
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Segment, 'find').mockImplementation(() => lean(existingSegments));
+    jest
+      .spyOn(Segment, 'findOne')
+      .mockImplementation((query) =>
+        query.endTime === null
+          ? Promise.resolve(openSegment)
+          : { sort: () => lean(latestSegment(query.endAt.$gt)) }
+      );
+    jest.spyOn(Segment, 'exists').mockImplementation(() => Promise.resolve(openSegment));
+    jest.spyOn(Segment.prototype, 'save').mockImplementation(function () {
+      saved.push(this);
+      openSegment = this.endTime ? (openSegment === this ? null : openSegment) : this;
+      return Promise.resolve(this);
+    });
+    jest.spyOn(auditService, 'recordChange').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should record the interval closed by a confirmed change of state', async () => {
+    const result = await ingestEvents(
+      [event('run', '08:00:00'), event('fault', '09:00:00'), event('fault', '09:01:00')],
+      { source: 'http' }
+    );
+
+    expect(result).toMatchObject({ accepted: 3, duplicates: 0, late: 0, segments: 2 });
+    expect(saved).toHaveLength(2);
+    expect(saved[0]).toMatchObject({
+      machineName: 'M1',
+      date: '2025-07-15',
+      startTime: '08:00:00',
+      endTime: '09:00:00',
+      segmentType: 'uptime',
+      source: 'signal',
+    });
+    expect(saved[1]).toMatchObject({
+      startTime: '09:00:00',
+      endTime: null,
+      segmentType: 'downtime',
+      source: 'signal',
+    });
+    expect(auditService.recordChange).toHaveBeenCalledWith(
+      expect.objectContaining({ entityType: 'Segment', action: 'create' })
+    );
+    expect(SignalEvent.insertMany.mock.calls[0][0]).toHaveLength(3);
+  });
+
+  it('should close the open segment when the state changes', async () => {
+    await ingestEvents([event('run', '08:00:00')], { source: 'http' });
+    const running = openSegment;
+
+    expect(running).toMatchObject({ startTime: '08:00:00', endTime: null, segmentType: 'uptime' });
+
+    const result = await ingestEvents([event('stop', '09:00:00'), event('stop', '09:00:30')], {
+      source: 'http',
+    });
+
+    expect(result.segments).toBe(2);
+    expect(running.endTime).toBe('09:00:00');
+    expect(openSegment).toMatchObject({ startTime: '09:00:00', segmentType: 'idle' });
+    expect(auditService.recordChange).toHaveBeenCalledWith(
+      expect.objectContaining({ action: 'update', after: running })
+    );
+  });
+
+  it('should skip events whose keys were already ingested', async () => {
+    knownKeys = [{ key: `${machine._id}:batch-1:0` }];
+
+    const result = await ingestEvents(
+      [
+        event('run', '08:00:00', { key: 'batch-1:0' }),
+        event('run', '08:05:00', { key: 'batch-1:1' }),
+      ],
+      { source: 'http' }
+    );
+
+    expect(result).toMatchObject({ accepted: 1, duplicates: 1 });
+  });
+
+  it('should reject unknown machines and invalid events without failing the batch', async () => {
+    const result = await ingestEvents(
+      [
+        event('run', '08:00:00'),
+        event('jam', '08:00:00'),
+        event('run', '08:00:00', { serialNumber: 'SN-404' }),
+        event('run', '08:00:00', { timestamp: '2099-01-01T00:00:00.000Z' }),
+      ],
+      { source: 'mqtt' }
+    );
+
+    expect(result.accepted).toBe(1);
+    expect(result.rejected).toEqual([
+      { index: 1, serialNumber: 'SN-001', message: 'State must be one of: run, stop, fault' },
+      { index: 2, serialNumber: 'SN-404', message: 'No machine has serial number SN-404' },
+      { index: 3, serialNumber: 'SN-001', message: 'Timestamp is in the future' },
+    ]);
+  });
+
+  it('should leave time covered by existing segments to them', async () => {
+    existingSegments = [
+      {
+        date: '2025-07-15',
+        startTime: '08:00:00',
+        endTime: '08:30:00',
+        endAt: new Date('2025-07-15T08:30:00.000Z'),
+        timezone: 'UTC',
+      },
+    ];
+
+    await ingestEvents([event('run', '08:00:00'), event('stop', '09:00:00')], {
+      source: 'http',
+    });
+    await ingestEvents([event('stop', '09:00:30')], { source: 'http' });
+
+    expect([...new Set(saved)].map(({ startTime, endTime }) => [startTime, endTime])).toEqual([
+      ['08:30:00', '09:00:00'],
+      ['09:00:00', null],
+    ]);
+  });
+
+  it('should keep the state where it was when the keys cannot be saved', async () => {
+    SignalEvent.insertMany.mockRejectedValueOnce(new Error('write failed'));
+    const batch = [
+      event('run', '08:00:00', { key: 'batch-1:0' }),
+      event('stop', '09:00:00', { key: 'batch-1:1' }),
+    ];
+
+    await expect(ingestEvents(batch, { source: 'http' })).rejects.toThrow('write failed');
+    expect(stored).toBeNull();
+
+    const result = await ingestEvents(batch, { source: 'http' });
+
+    expect(result).toMatchObject({ accepted: 2, duplicates: 0, late: 0 });
+    expect(SignalState.prototype.save).toHaveBeenLastCalledWith({ session: {} });
+    expect(SignalEvent.insertMany).toHaveBeenLastCalledWith(expect.any(Array), { session: {} });
+  });
+});
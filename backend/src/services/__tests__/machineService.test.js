@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const MaintenancePlan = require('../../models/MaintenancePlan');
+const Segment = require('../../models/Segment');
+const ShiftPattern = require('../../models/ShiftPattern');
+const User = require('../../models/User');
+const WorkOrder = require('../../models/WorkOrder');
+const { propagateRename } = require('../machineService');
+
+describe('Machine Service', () => {
+  describe('propagateRename', () => {
+    const machine = { _id: new mongoose.Types.ObjectId(), name: 'Press 1' };
+
+    beforeEach(() => {
+      jest.spyOn(Segment, 'bulkWrite').mockResolvedValue({ modifiedCount: 12 });
+      jest.spyOn(ShiftPattern, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(User, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+      jest.spyOn(MaintenancePlan, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+      jest.spyOn(WorkOrder, 'updateMany').mockResolvedValue({ modifiedCount: 4 });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should rename the machine on its segments, shift patterns, users and maintenance', async () => {
+      const result = await propagateRename(machine, 'M1');
+
+      expect(result).toEqual({
+        segments: 12,
+        shiftPatterns: 1,
+        users: 2,
+        maintenancePlans: 3,
+        workOrders: 4,
+      });
+
+      const [[[{ updateMany }]]] = Segment.bulkWrite.mock.calls;
+      expect(updateMany.filter).toEqual({
+        $or: [{ machine: machine._id }, { machine: null, machineName: 'M1' }],
+      });
+      expect(updateMany.update).toEqual({
+        $set: { machine: machine._id, machineName: 'Press 1' },
+      });
+
+      expect(ShiftPattern.updateMany).toHaveBeenCalledWith(
+        { machineNames: 'M1' },
+        { $set: { 'machineNames.$': 'Press 1' } }
+      );
+      expect(User.updateMany).toHaveBeenCalledWith(
+        { machineNames: 'M1' },
+        { $set: { 'machineNames.$': 'Press 1' } }
+      );
+      expect(MaintenancePlan.updateMany).toHaveBeenCalledWith(
+        { machine: machine._id },
+        { $set: { machineName: 'Press 1' } }
+      );
+      expect(WorkOrder.updateMany).toHaveBeenCalledWith(
+        { machine: machine._id },
+        { $set: { machineName: 'Press 1' } }
+      );
+    });
+
+    it('should pass on errors', async () => {
+      User.updateMany.mockRejectedValue(new Error('Connection lost'));
+
+      await expect(propagateRename(machine, 'M1')).rejects.toThrow('Connection lost');
+    });
+  });
+});
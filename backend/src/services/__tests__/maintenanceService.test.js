@@ -0,0 +1,315 @@
+const mongoose = require('mongoose');
+const Machine = require('../../models/Machine');
+const MaintenancePlan = require('../../models/MaintenancePlan');
+const Segment = require('../../models/Segment');
+const WorkOrder = require('../../models/WorkOrder');
+const auditService = require('../auditService');
+const eventService = require('../eventService');
+const {
+  getUptimeHours,
+  getPlanStatus,
+  getWindowStart,
+  scheduleMaintenance,
+  completeWorkOrder,
+  deletePlan,
+} = require('../maintenanceService');
+
+describe('Maintenance Service', () => {
+  const lean = (value) => ({ lean: () => Promise.resolve(value) });
+  const now = new Date('2025-07-20T10:00:00.000Z');
+
+  const calendarPlan = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Lubrication',
+    machineName: 'M1',
+    machine: new mongoose.Types.ObjectId(),
+    component: null,
+    componentName: null,
+    intervalType: 'days',
+    interval: 30,
+    leadTime: 3,
+    windowStartTime: '06:00:00',
+    windowMinutes: 90,
+    reasonCode: 'PREVENTIVE_MAINTENANCE',
+    lastServiceAt: new Date('2025-06-22T10:00:00.000Z'),
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getPlanStatus', () => {
+    it('should count calendar days from the last service', () => {
+      expect(getPlanStatus(calendarPlan, { now })).toEqual({
+        state: 'due',
+        dueAt: new Date('2025-07-22T10:00:00.000Z'),
+        remaining: 2,
+        unit: 'days',
+      });
+      expect(
+        getPlanStatus(calendarPlan, { now: new Date('2025-07-10T10:00:00.000Z') }).state
+      ).toEqual('ok');
+      expect(getPlanStatus(calendarPlan, { now: new Date('2025-07-23T10:00:00.000Z') })).toEqual(
+        expect.objectContaining({ state: 'overdue', remaining: -1 })
+      );
+    });
+
+    it('should count uptime hours against the interval', () => {
+      const plan = { ...calendarPlan, intervalType: 'uptimeHours', interval: 500, leadTime: 50 };
+
+      expect(getPlanStatus(plan, { uptimeHours: 420.04, now })).toEqual({
+        state: 'ok',
+        dueAt: null,
+        remaining: 80,
+        unit: 'hours',
+        uptimeHours: 420,
+      });
+      expect(getPlanStatus(plan, { uptimeHours: 460, now }).state).toEqual('due');
+      expect(getPlanStatus(plan, { uptimeHours: 512, now }).state).toEqual('overdue');
+    });
+  });
+
+  describe('getWindowStart', () => {
+    it('should start the window on the day the plan falls due', () => {
+      const start = getWindowStart(calendarPlan, new Date('2025-07-22T10:00:00.000Z'), 'UTC', now);
+
+      expect(start.format()).toEqual('2025-07-22T06:00:00Z');
+    });
+
+    it('should move a window whose time has passed to the next day', () => {
+      expect(getWindowStart(calendarPlan, null, 'UTC', now).format()).toEqual(
+        '2025-07-21T06:00:00Z'
+      );
+      expect(getWindowStart(calendarPlan, null, 'Asia/Kolkata', now).format()).toEqual(
+        '2025-07-21T06:00:00+05:30'
+      );
+    });
+  });
+
+  describe('getUptimeHours', () => {
+    it('should add up uptime segments clipped to the period', async () => {
+      const since = new Date('2025-07-19T00:00:00.000Z');
+      jest.spyOn(Segment, 'aggregate').mockResolvedValue([{ _id: null, milliseconds: 9000000 }]);
+
+      expect(await getUptimeHours('M1', since, now)).toEqual(2.5);
+
+      const [[[{ $match }, { $group }]]] = Segment.aggregate.mock.calls;
+      expect($match).toEqual(expect.objectContaining({ machineName: 'M1', segmentType: 'uptime' }));
+      expect($group.milliseconds.$sum.$subtract[1]).toEqual({ $max: ['$startAt', since] });
+    });
+
+    it('should return 0 without uptime segments', async () => {
+      jest.spyOn(Segment, 'aggregate').mockResolvedValue([]);
+
+      expect(await getUptimeHours('M1', new Date(0), now)).toEqual(0);
+    });
+  });
+
+  describe('scheduleMaintenance', () => {
+    let saved;
+
+    beforeEach(() => {
+      saved = [];
+      jest.spyOn(MaintenancePlan, 'find').mockResolvedValue([calendarPlan]);
+      jest.spyOn(WorkOrder, 'distinct').mockResolvedValue([]);
+      jest
+        .spyOn(WorkOrder, 'create')
+        .mockImplementation((fields) => Promise.resolve(new WorkOrder(fields)));
+      jest.spyOn(WorkOrder.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(Machine, 'findById').mockReturnValue(lean({ timezone: 'UTC' }));
+      jest.spyOn(Segment, 'exists').mockResolvedValue(null);
+      jest.spyOn(Segment.prototype, 'validate').mockResolvedValue();
+      jest.spyOn(Segment.prototype, 'save').mockImplementation(function () {
+        saved.push(this);
+        return Promise.resolve(this);
+      });
+      jest.spyOn(auditService, 'recordChange').mockResolvedValue();
+    });
+
+    it('should open a work order with a planned downtime window', async () => {
+      const { created, skipped } = await scheduleMaintenance({ aheadDays: 7, now });
+
+      expect(skipped).toEqual([]);
+      expect(created).toHaveLength(1);
+      expect(created[0]).toEqual(
+        expect.objectContaining({
+          title: 'Lubrication',
+          machineName: 'M1',
+          dueAt: new Date('2025-07-22T10:00:00.000Z'),
+          segment: saved[0]._id,
+        })
+      );
+      expect(saved[0]).toEqual(
+        expect.objectContaining({
+          date: '2025-07-22',
+          startTime: '06:00:00',
+          endTime: '07:30:00',
+          segmentType: 'downtime',
+          reasonCode: 'PREVENTIVE_MAINTENANCE',
+        })
+      );
+    });
+
+    it('should leave plans that are not due within the horizon or already open', async () => {
+      expect(
+        (await scheduleMaintenance({ aheadDays: 1, now: new Date('2025-07-10') })).created
+      ).toEqual([]);
+
+      WorkOrder.distinct.mockResolvedValue([calendarPlan._id]);
+      expect((await scheduleMaintenance({ aheadDays: 7, now })).created).toEqual([]);
+      expect(WorkOrder.create).not.toHaveBeenCalled();
+    });
+
+    it('should open the work order without a window when the time is taken', async () => {
+      Segment.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      const { created, skipped } = await scheduleMaintenance({ aheadDays: 7, now });
+
+      expect(created[0].segment).toBeNull();
+      expect(skipped).toEqual([
+        expect.objectContaining({
+          planName: 'Lubrication',
+          message: 'The window overlaps segments already on the timeline',
+        }),
+      ]);
+      expect(saved).toEqual([]);
+    });
+
+    it('should not put a window in the time of the open segment', async () => {
+      Segment.exists
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ _id: new mongoose.Types.ObjectId() });
+
+      const { created, skipped } = await scheduleMaintenance({ aheadDays: 7, now });
+
+      expect(created[0].segment).toBeNull();
+      expect(skipped[0].message).toEqual(
+        "The window falls in the time of the machine's open segment"
+      );
+      expect(Segment.exists.mock.calls[1][0]).toEqual(
+        expect.objectContaining({ machineName: 'M1', endAt: null })
+      );
+      expect(saved).toEqual([]);
+    });
+  });
+
+  describe('completeWorkOrder', () => {
+    it('should record the service on the machine, component and plan', async () => {
+      const component = new mongoose.Types.ObjectId();
+      const machine = new Machine({
+        name: 'M1',
+        serialNumber: 'SN1',
+        type: 'CNC',
+        segments: [{ _id: component, name: 'Spindle' }],
+      });
+      jest.spyOn(Machine, 'findById').mockResolvedValue(machine);
+      jest.spyOn(Machine.prototype, 'save').mockResolvedValue();
+      jest.spyOn(MaintenancePlan, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(WorkOrder.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(auditService, 'recordChange').mockResolvedValue();
+
+      const workOrder = new WorkOrder({
+        plan: calendarPlan._id,
+        title: 'Spindle bearings',
+        machineName: 'M1',
+        machine: machine._id,
+        component,
+      });
+      const user = { id: 'u1', username: 'tech', name: 'Tech' };
+
+      const completed = await completeWorkOrder(workOrder, {
+        completedAt: now,
+        notes: 'Replaced bearings',
+        user,
+      });
+
+      expect(completed.status).toEqual('completed');
+      expect(completed.completedBy).toEqual(expect.objectContaining({ username: 'tech' }));
+      expect(machine.lastServiceDate).toEqual(now);
+      expect(machine.segments.id(component).lastMaintenance).toEqual(now);
+      expect(MaintenancePlan.updateOne).toHaveBeenCalledWith(
+        { _id: calendarPlan._id },
+        { $set: { lastServiceAt: now } }
+      );
+      expect(auditService.recordChange).toHaveBeenCalledWith(
+        expect.objectContaining({ entityType: 'Machine', action: 'update', user })
+      );
+    });
+  });
+
+  describe('deletePlan', () => {
+    it('should cancel the work order, release the window and delete the plan in one transaction', async () => {
+      const session = { id: 'session' };
+      const plan = new MaintenancePlan(calendarPlan);
+      const startAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      const window = new Segment({
+        machineName: 'M1',
+        startAt,
+        endAt: new Date(startAt.getTime() + 90 * 60 * 1000),
+        segmentType: 'downtime',
+      });
+      const workOrder = new WorkOrder({
+        plan: plan._id,
+        title: plan.name,
+        machineName: 'M1',
+        machine: plan.machine,
+        segment: window._id,
+      });
+      const published = [];
+      let committed = false;
+
+      jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => {
+        await fn(session);
+        committed = true;
+      });
+      jest.spyOn(WorkOrder, 'find').mockReturnValue({ session: async () => [workOrder] });
+      jest.spyOn(Segment, 'findById').mockReturnValue({ session: async () => window });
+      jest.spyOn(Segment.prototype, 'softDelete').mockResolvedValue();
+      jest.spyOn(WorkOrder.prototype, 'save').mockResolvedValue();
+      jest.spyOn(MaintenancePlan.prototype, 'deleteOne').mockResolvedValue();
+      jest.spyOn(auditService, 'recordChange').mockResolvedValue();
+      jest.spyOn(eventService, 'publishChange').mockImplementation((change) => {
+        published.push({ ...change, committed });
+      });
+
+      await deletePlan(plan, { requestId: 'r1' });
+
+      expect(workOrder.status).toEqual('cancelled');
+      expect(WorkOrder.prototype.save).toHaveBeenCalledWith({ session });
+      expect(Segment.prototype.softDelete).toHaveBeenCalledWith(undefined, { session });
+      expect(MaintenancePlan.prototype.deleteOne).toHaveBeenCalledWith({ session });
+      expect(auditService.recordChange).toHaveBeenCalledWith(
+        expect.objectContaining({ entityType: 'Segment', action: 'delete', before: window }),
+        { session }
+      );
+      expect(auditService.recordChange).toHaveBeenCalledWith(
+        expect.objectContaining({ entityType: 'MaintenancePlan', action: 'delete', before: plan }),
+        { session }
+      );
+      expect(
+        published.map(({ entityType, action, committed }) => [entityType, action, committed])
+      ).toEqual([
+        ['Segment', 'delete', true],
+        ['MaintenancePlan', 'delete', true],
+      ]);
+    });
+
+    it('should announce nothing when the transaction fails', async () => {
+      const plan = new MaintenancePlan(calendarPlan);
+
+      jest.spyOn(mongoose.connection, 'transaction').mockImplementation((fn) => fn({}));
+      jest.spyOn(WorkOrder, 'find').mockReturnValue({ session: async () => [] });
+      jest
+        .spyOn(MaintenancePlan.prototype, 'deleteOne')
+        .mockRejectedValue(new Error('write failed'));
+      jest.spyOn(eventService, 'publishChange');
+
+      await expect(deletePlan(plan)).rejects.toThrow('write failed');
+      expect(eventService.publishChange).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,31 @@
+const { parseMessage } = require('../mqttService');
+
+describe('MQTT Service', () => {
+  describe('parseMessage', () => {
+    it('should take the serial number from the topic', () => {
+      const payload = Buffer.from('{"state":"run","timestamp":"2025-07-15T08:00:00Z"}');
+
+      expect(parseMessage('machines/+/state', 'machines/SN-001/state', payload)).toEqual([
+        { serialNumber: 'SN-001', state: 'run', timestamp: '2025-07-15T08:00:00Z' },
+      ]);
+    });
+
+    it('should accept an array of events', () => {
+      const payload = JSON.stringify([
+        { state: 'run', timestamp: '2025-07-15T08:00:00Z' },
+        { state: 'stop', timestamp: '2025-07-15T08:10:00Z', key: 'plc-42' },
+      ]);
+
+      const events = parseMessage('plant/+/state', 'plant/SN-002/state', payload);
+
+      expect(events.map((event) => event.serialNumber)).toEqual(['SN-002', 'SN-002']);
+      expect(events[1].key).toBe('plc-42');
+    });
+
+    it('should reject a payload that is not an event', () => {
+      expect(() => parseMessage('machines/+/state', 'machines/SN-001/state', '42')).toThrow(
+        'Message must be a JSON event or an array of events'
+      );
+    });
+  });
+});
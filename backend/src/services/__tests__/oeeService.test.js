@@ -0,0 +1,136 @@
+const {
+  buildPeriods,
+  totalPeriod,
+  computeOeeMetrics,
+  calculateTrend,
+  calculateMachineOee,
+} = require('../oeeService');
+
+describe('OEE Service', () => {
+  const timezone = 'Asia/Kolkata';
+
+  const segment = (startAt, endAt, segmentType, totalCount = 0, rejectCount = 0) => ({
+    startAt: new Date(startAt),
+    endAt: new Date(endAt),
+    segmentType,
+    totalCount,
+    rejectCount,
+  });
+
+  describe('buildPeriods', () => {
+    it('should build plant-local days and shifts, with overnight shifts ending the next day', () => {
+      const { days, shifts } = buildPeriods('2025-07-15', '2025-07-16', timezone);
+
+      expect(days.map((day) => day.date)).toEqual(['2025-07-15', '2025-07-16']);
+      expect(new Date(days[0].start).toISOString()).toEqual('2025-07-14T18:30:00.000Z');
+      expect(shifts).toHaveLength(6);
+
+      const nightShift = shifts[2];
+      expect(nightShift.shift).toEqual('C');
+      expect(new Date(nightShift.start).toISOString()).toEqual('2025-07-15T16:30:00.000Z');
+      expect(new Date(nightShift.end).toISOString()).toEqual('2025-07-16T00:30:00.000Z');
+    });
+  });
+
+  describe('totalPeriod', () => {
+    const { days } = buildPeriods('2025-07-15', '2025-07-15', timezone);
+
+    it('should split time and counts of segments crossing the period boundary', () => {
+      // 22:00 to 02:00 plant time, half of it on the 15th
+      const totals = totalPeriod(
+        days[0],
+        [segment('2025-07-15T16:30:00Z', '2025-07-15T20:30:00Z', 'uptime', 100, 10)],
+        { plannedProductionMinutes: 1440, idealCycleTime: 60 }
+      );
+
+      expect(totals.runMinutes).toEqual(120);
+      expect(totals.totalCount).toEqual(50);
+      expect(totals.rejectCount).toEqual(5);
+      expect(totals.plannedMinutes).toEqual(1440);
+      expect(totals.idealRunMinutes).toEqual(50);
+    });
+
+    it('should fall back to the recorded time when no planned time is set', () => {
+      const totals = totalPeriod(
+        days[0],
+        [
+          segment('2025-07-15T02:30:00Z', '2025-07-15T04:30:00Z', 'uptime'),
+          segment('2025-07-15T04:30:00Z', '2025-07-15T05:30:00Z', 'downtime'),
+          segment('2025-07-15T05:30:00Z', '2025-07-15T06:00:00Z', 'select'),
+        ],
+        {}
+      );
+
+      expect(totals.plannedMinutes).toEqual(180);
+      expect(totals.idealRunMinutes).toEqual(0);
+    });
+  });
+
+  describe('computeOeeMetrics', () => {
+    it('should multiply availability, performance and quality', () => {
+      const metrics = computeOeeMetrics({
+        plannedMinutes: 480,
+        runMinutes: 360,
+        downtimeMinutes: 120,
+        idleMinutes: 0,
+        totalCount: 300,
+        rejectCount: 15,
+        idealRunMinutes: 270,
+      });
+
+      expect(metrics.availability).toEqual(0.75);
+      expect(metrics.performance).toEqual(0.75);
+      expect(metrics.quality).toEqual(0.95);
+      expect(metrics.oee).toEqual(0.5344);
+      expect(metrics.goodCount).toEqual(285);
+    });
+
+    it('should leave ratios without inputs empty', () => {
+      const metrics = computeOeeMetrics({
+        plannedMinutes: 0,
+        runMinutes: 0,
+        downtimeMinutes: 0,
+        idleMinutes: 0,
+        totalCount: 0,
+        rejectCount: 0,
+        idealRunMinutes: null,
+      });
+
+      expect(metrics.availability).toBeNull();
+      expect(metrics.performance).toBeNull();
+      expect(metrics.quality).toBeNull();
+      expect(metrics.oee).toBeNull();
+    });
+  });
+
+  describe('calculateTrend', () => {
+    it('should report the daily OEE slope and direction', () => {
+      expect(calculateTrend([{ oee: 0.5 }, { oee: null }, { oee: 0.7 }])).toEqual({
+        slope: 0.1,
+        direction: 'up',
+      });
+      expect(calculateTrend([{ oee: 0.5 }])).toEqual({ slope: null, direction: null });
+    });
+  });
+
+  describe('calculateMachineOee', () => {
+    it('should report overall, per-day and per-shift OEE', () => {
+      const report = calculateMachineOee(
+        { name: 'M1', timezone, plannedProductionMinutes: 480, idealCycleTime: 60 },
+        [
+          // 06:00 to 12:00 plant time on the 15th
+          segment('2025-07-15T00:30:00Z', '2025-07-15T06:30:00Z', 'uptime', 300, 15),
+        ],
+        '2025-07-15',
+        '2025-07-16'
+      );
+
+      expect(report.byDay).toHaveLength(2);
+      expect(report.byDay[0].availability).toEqual(0.75);
+      expect(report.byDay[1].runMinutes).toEqual(0);
+      expect(report.byShift[0]).toMatchObject({ date: '2025-07-15', shift: 'A', runMinutes: 360 });
+      expect(report.overall.runMinutes).toEqual(360);
+      expect(report.overall.plannedMinutes).toEqual(960);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Machine = require('../../models/Machine');
+const PlantNode = require('../../models/PlantNode');
+const { getNodeMachineNames, getRollup } = require('../plantService');
+
+describe('Plant Service', () => {
+  const lean = (value) => ({ lean: () => Promise.resolve(value) });
+  const id = () => new mongoose.Types.ObjectId();
+
+  const enterprise = { _id: id(), name: 'Acme', level: 'enterprise', ancestors: [] };
+  const site = { _id: id(), name: 'Pune', level: 'site', ancestors: [enterprise._id] };
+  const area = {
+    _id: id(),
+    name: 'Assembly',
+    level: 'area',
+    ancestors: [enterprise._id, site._id],
+  };
+  const line1 = {
+    _id: id(),
+    name: 'Line 1',
+    level: 'line',
+    ancestors: [enterprise._id, site._id, area._id],
+  };
+  const line2 = { ...line1, _id: id(), name: 'Line 2' };
+  const nodes = [enterprise, site, area, line1, line2];
+
+  const machines = [
+    { name: 'M1', line: line1._id },
+    { name: 'M2', line: line1._id },
+    { name: 'M3', line: line2._id },
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getNodeMachineNames', () => {
+    it('should find the machines on the lines under a node', async () => {
+      jest.spyOn(PlantNode, 'findById').mockReturnValue(lean(area));
+      jest.spyOn(PlantNode, 'find').mockReturnValue(lean([line1, line2]));
+      jest.spyOn(Machine, 'find').mockReturnValue(lean(machines));
+
+      expect(await getNodeMachineNames(area._id)).toEqual(['M1', 'M2', 'M3']);
+      expect(PlantNode.find).toHaveBeenCalledWith({ ancestors: area._id, level: 'line' }, '_id');
+      expect(Machine.find).toHaveBeenCalledWith({ line: { $in: [line1._id, line2._id] } }, 'name');
+    });
+
+    it('should use a line as it is', async () => {
+      jest.spyOn(PlantNode, 'findById').mockReturnValue(lean(line2));
+      jest.spyOn(PlantNode, 'find');
+      jest.spyOn(Machine, 'find').mockReturnValue(lean([machines[2]]));
+
+      expect(await getNodeMachineNames(line2._id)).toEqual(['M3']);
+      expect(PlantNode.find).not.toHaveBeenCalled();
+    });
+
+    it('should return null for an unknown node', async () => {
+      jest.spyOn(PlantNode, 'findById').mockReturnValue(lean(null));
+
+      expect(await getNodeMachineNames(id())).toBeNull();
+    });
+  });
+
+  describe('getRollup', () => {
+    beforeEach(() => {
+      jest.spyOn(PlantNode, 'find').mockReturnValue(lean(nodes));
+      jest.spyOn(Machine, 'find').mockReturnValue(lean(machines));
+    });
+
+    it('should group machines by line, named by their path', async () => {
+      expect(await getRollup('line')).toEqual([
+        { id: line1._id, name: 'Pune / Assembly / Line 1', machineNames: ['M1', 'M2'] },
+        { id: line2._id, name: 'Pune / Assembly / Line 2', machineNames: ['M3'] },
+      ]);
+    });
+
+    it('should roll machines up to their site', async () => {
+      expect(await getRollup('site')).toEqual([
+        { id: site._id, name: 'Pune', machineNames: ['M1', 'M2', 'M3'] },
+      ]);
+    });
+  });
+});
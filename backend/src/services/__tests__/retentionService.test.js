@@ -0,0 +1,44 @@
+const Segment = require('../../models/Segment');
+const Machine = require('../../models/Machine');
+const { purgeDeletedRecords } = require('../retentionService');
+
+describe('Retention Service', () => {
+  const now = new Date('2025-07-31T00:00:00.000Z');
+
+  afterEach(() => {
+    delete process.env.DELETED_RETENTION_DAYS;
+    jest.restoreAllMocks();
+  });
+
+  describe('purgeDeletedRecords', () => {
+    it('should purge segments and machines deleted before the retention period', async () => {
+      const purgeSegments = jest.spyOn(Segment, 'purgeDeleted').mockResolvedValue(3);
+      const purgeMachines = jest.spyOn(Machine, 'purgeDeleted').mockResolvedValue(1);
+
+      const result = await purgeDeletedRecords(30, now);
+
+      const cutoff = new Date('2025-07-01T00:00:00.000Z');
+      expect(purgeSegments).toHaveBeenCalledWith(cutoff);
+      expect(purgeMachines).toHaveBeenCalledWith(cutoff);
+      expect(result).toEqual({ cutoff, segments: 3, machines: 1 });
+    });
+
+    it('should default to DELETED_RETENTION_DAYS', async () => {
+      process.env.DELETED_RETENTION_DAYS = '7';
+      const purgeSegments = jest.spyOn(Segment, 'purgeDeleted').mockResolvedValue(0);
+      jest.spyOn(Machine, 'purgeDeleted').mockResolvedValue(0);
+
+      await purgeDeletedRecords(undefined, now);
+
+      expect(purgeSegments).toHaveBeenCalledWith(new Date('2025-07-24T00:00:00.000Z'));
+    });
+
+    it('should reject a negative retention period', async () => {
+      process.env.DELETED_RETENTION_DAYS = '-1';
+
+      await expect(purgeDeletedRecords(undefined, now)).rejects.toThrow(
+        'DELETED_RETENTION_DAYS must be a non-negative number of days'
+      );
+    });
+  });
+});
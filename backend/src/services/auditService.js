@@ -0,0 +1,144 @@
+/**
+ * Audit Service
+ *
+ * Records who created, changed or deleted segments and machines, and reads the
+ * history back
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { publishChange } = require('./eventService');
+const logger = require('../utils/logger');
+
+// Bookkeeping fields that are never part of a diff; deletes and restores are
+// recorded by their action instead of as a change of deletedAt
+const IGNORED_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy'];
+
+// Fields recomputed from other fields on save; the fields they come from show the change
+const DERIVED_FIELDS = {
+  Segment: ['timezone', 'startAt', 'endAt', 'shifts'],
+  Machine: ['counters'],
+};
+
+/**
+ * Take a plain JSON copy of a document's stored fields (no virtuals)
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Object|undefined} Snapshot with dates as ISO strings and ids as strings
+ */
+const snapshot = (doc) => {
+  if (!doc) {
+    return undefined;
+  }
+
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ virtuals: false }) : doc;
+
+  return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * List the fields that differ between two snapshots
+ * @param {Object} [before] - Snapshot before the change, empty for a create
+ * @param {Object} [after] - Snapshot after the change, empty for a delete
+ * @param {Array<String>} [ignoredFields] - Fields to leave out
+ * @returns {Array<Object>} `{ field, before, after }` per changed field
+ */
+const diffSnapshots = (before = {}, after = {}, ignoredFields = IGNORED_FIELDS) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields
+    .filter((field) => !ignoredFields.includes(field))
+    .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map((field) => ({ field, before: before[field], after: after[field] }));
+};
+
+/**
+ * Get who is making a request, to spread into recordChange
+ * @param {Object} req - Express request with the signed-in user and request id
+ * @returns {Object} `{ user, requestId }`
+ */
+const getAuditContext = (req) => ({ user: req.user, requestId: req.id });
+
+/**
+ * Record a create, update, delete or restore of a segment, machine or
+ * maintenance plan and publish it to the event stream; a change written in a
+ * transaction is only recorded, the caller publishes it once the transaction
+ * has committed
+ * @param {Object} change - The change
+ * @param {String} change.entityType - "Segment", "Machine" or "MaintenancePlan"
+ * @param {String} change.action - "create", "update", "delete" or "restore"
+ * @param {Object} [change.before] - Document or snapshot before the change; omitted for creates and restores
+ * @param {Object} [change.after] - Document or snapshot after the change; omitted for deletes
+ * @param {Object} [change.user] - Signed-in user who made the change
+ * @param {String} [change.requestId] - Id of the request that made the change
+ * @param {Object} [options] - Write options
+ * @param {Object} [options.session] - MongoDB session of the surrounding transaction
+ * @returns {Promise<Object|null>} Audit entry, or null for an update that changed nothing
+ */
+const recordChange = async (
+  { entityType, action, before, after, user, requestId },
+  { session } = {}
+) => {
+  try {
+    const beforeSnapshot = snapshot(before);
+    const afterSnapshot = snapshot(after);
+    const changes = diffSnapshots(beforeSnapshot, afterSnapshot, [
+      ...IGNORED_FIELDS,
+      ...(DERIVED_FIELDS[entityType] || []),
+    ]);
+
+    if (action === 'update' && changes.length === 0) {
+      return null;
+    }
+
+    const current = afterSnapshot || beforeSnapshot;
+    const [entry] = await AuditLog.create(
+      [
+        {
+          entityType,
+          entityId: current._id,
+          machineName: entityType === 'Machine' ? current.name : current.machineName,
+          action,
+          actor: user && { id: user.id, username: user.username, name: user.name },
+          requestId,
+          changes,
+        },
+      ],
+      { session }
+    );
+
+    if (!session) {
+      publishChange({ entityType, action, data: current });
+    }
+
+    return entry;
+  } catch (error) {
+    logger.error(`Error recording ${action} of ${entityType}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the change history of a segment or machine, oldest first
+ * @param {String} entityType - "Segment" or "Machine"
+ * @param {String} entityId - Document id
+ * @returns {Promise<Array<Object>>} Audit entries numbered from revision 1
+ */
+const getHistory = async (entityType, entityId) => {
+  try {
+    const entries = await AuditLog.find({ entityType, entityId })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+
+    return entries.map((entry, index) => ({ revision: index + 1, ...entry }));
+  } catch (error) {
+    logger.error(`Error fetching history of ${entityType} ${entityId}: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  snapshot,
+  diffSnapshots,
+  getAuditContext,
+  recordChange,
+  getHistory,
+};
@@ -0,0 +1,251 @@
+/**
+ * Auth Service
+ *
+ * Password login with short-lived access tokens and single-use refresh tokens
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { MAX_SESSIONS_PER_USER, getAuthConfig } = require('../config/auth');
+const { DEFAULT_ROLE, getPermissions } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+// Compared against when the username is unknown, so a failed login takes as
+// long whether or not the user exists
+const DUMMY_PASSWORD_HASH = '$2a$12$qFUkKDkv6F1EnnNH5IPMWe8E32y/pl.AYV52.zV7l97htFTelgtb.';
+
+/**
+ * Authentication failure, answered with 401
+ */
+class AuthError extends Error {
+  /**
+   * @param {String} message - Message for the client
+   * @param {String} code - Machine-readable reason (e.g. TOKEN_EXPIRED)
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+/**
+ * Sign an access token for a user
+ * @param {Object} user - User document
+ * @returns {String} Signed JWT
+ */
+const signAccessToken = (user) => {
+  const { accessTokenSecret, accessTokenTtl } = getAuthConfig();
+
+  // Role and machine scope travel in the token, so a change applies from the next refresh
+  return jwt.sign(
+    {
+      username: user.username,
+      name: user.name,
+      role: user.role,
+      machineNames: user.machineNames || [],
+    },
+    accessTokenSecret,
+    {
+      subject: String(user._id),
+      expiresIn: accessTokenTtl,
+    }
+  );
+};
+
+/**
+ * Check an access token
+ * @param {String} token - Bearer token
+ * @returns {Object} `{ id, username, name, role, machineNames }` of the user it was issued to
+ * @throws {AuthError} TOKEN_EXPIRED or INVALID_TOKEN
+ */
+const verifyAccessToken = (token) => {
+  const { accessTokenSecret } = getAuthConfig();
+
+  try {
+    const payload = jwt.verify(token, accessTokenSecret);
+
+    return {
+      id: payload.sub,
+      username: payload.username,
+      name: payload.name,
+      role: payload.role || DEFAULT_ROLE,
+      machineNames: payload.machineNames || [],
+    };
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AuthError('Access token expired', 'TOKEN_EXPIRED');
+    }
+    throw new AuthError('Invalid access token', 'INVALID_TOKEN');
+  }
+};
+
+/**
+ * Sign a refresh token for a user
+ * @param {Object} user - User document
+ * @returns {Object} `{ token, tokenId, expiresAt }`; tokenId identifies the token on the user
+ */
+const signRefreshToken = (user) => {
+  const { refreshTokenSecret, refreshTokenTtl } = getAuthConfig();
+  const tokenId = crypto.randomUUID();
+
+  const token = jwt.sign({}, refreshTokenSecret, {
+    subject: String(user._id),
+    jwtid: tokenId,
+    expiresIn: refreshTokenTtl,
+  });
+
+  return { token, tokenId, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+/**
+ * Decode a refresh token
+ * @param {String} token - Refresh token
+ * @param {Object} [options] - jsonwebtoken verify options
+ * @returns {Object} Token payload with sub and jti
+ * @throws {AuthError} INVALID_REFRESH_TOKEN
+ */
+const verifyRefreshToken = (token, options = {}) => {
+  const { refreshTokenSecret } = getAuthConfig();
+
+  try {
+    return jwt.verify(token, refreshTokenSecret, options);
+  } catch (error) {
+    throw new AuthError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+};
+
+/**
+ * Issue an access and refresh token pair, storing the refresh token on the user
+ * @param {Object} user - User document loaded with refreshTokens
+ * @returns {Promise<Object>} `{ accessToken, refreshToken, expiresIn, user }`; expiresIn is
+ * the access token lifetime in seconds
+ */
+const issueTokens = async (user) => {
+  const accessToken = signAccessToken(user);
+  const refresh = signRefreshToken(user);
+  const { exp, iat } = jwt.decode(accessToken);
+
+  // Drop expired sessions and the oldest ones beyond the limit
+  user.refreshTokens = [
+    ...(user.refreshTokens || []).filter((session) => session.expiresAt > new Date()),
+    { tokenId: refresh.tokenId, expiresAt: refresh.expiresAt },
+  ].slice(-MAX_SESSIONS_PER_USER);
+
+  await user.save();
+
+  return {
+    accessToken,
+    refreshToken: refresh.token,
+    expiresIn: exp - iat,
+    user: formatUser(user),
+  };
+};
+
+/**
+ * Format a user for the client, with the permissions of their role
+ * @param {Object} user - User document
+ * @returns {Object} User without secrets
+ */
+const formatUser = (user) => ({ ...user.toJSON(), permissions: getPermissions(user.role) });
+
+/**
+ * Sign in with a username and password
+ * @param {String} username - Username
+ * @param {String} password - Password
+ * @returns {Promise<Object>} Token pair and user
+ * @throws {AuthError} INVALID_CREDENTIALS
+ */
+const login = async (username, password) => {
+  try {
+    const user = await User.findOne({ username: String(username).toLowerCase() }).select(
+      '+passwordHash +refreshTokens'
+    );
+
+    const valid = user
+      ? await user.comparePassword(password)
+      : await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+
+    if (!user || !valid || !user.active) {
+      throw new AuthError('Invalid username or password', 'INVALID_CREDENTIALS');
+    }
+
+    user.lastLoginAt = new Date();
+
+    return await issueTokens(user);
+  } catch (error) {
+    logger.error(`Error signing in ${username}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair; the old refresh token can no longer be used.
+ * Presenting a refresh token that was already used signs the user out everywhere, since it
+ * may have been stolen.
+ * @param {String} refreshToken - Refresh token
+ * @returns {Promise<Object>} Token pair and user
+ * @throws {AuthError} INVALID_REFRESH_TOKEN or REFRESH_TOKEN_REUSED
+ */
+const refreshSession = async (refreshToken) => {
+  try {
+    const { sub: userId, jti: tokenId } = verifyRefreshToken(refreshToken);
+
+    // Consume the token atomically so it cannot be used twice
+    const user = await User.findOneAndUpdate(
+      { _id: userId, active: true, 'refreshTokens.tokenId': tokenId },
+      { $pull: { refreshTokens: { tokenId } } },
+      { new: true }
+    ).select('+refreshTokens');
+
+    if (!user) {
+      await User.updateOne({ _id: userId }, { $set: { refreshTokens: [] } });
+      logger.warn(`Refresh token reuse for user ${userId}; all sessions revoked`);
+      throw new AuthError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+    }
+
+    return await issueTokens(user);
+  } catch (error) {
+    logger.error(`Error refreshing session: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Sign out a device by revoking its refresh token; unknown or expired tokens are ignored
+ * @param {String} refreshToken - Refresh token
+ * @returns {Promise<void>}
+ */
+const logout = async (refreshToken) => {
+  try {
+    let payload;
+
+    try {
+      payload = verifyRefreshToken(refreshToken, { ignoreExpiration: true });
+    } catch (error) {
+      return;
+    }
+
+    await User.updateOne(
+      { _id: payload.sub },
+      { $pull: { refreshTokens: { tokenId: payload.jti } } }
+    );
+  } catch (error) {
+    logger.error(`Error signing out: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  AuthError,
+  signAccessToken,
+  verifyAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+  formatUser,
+  login,
+  refreshSession,
+  logout,
+};
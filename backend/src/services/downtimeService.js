@@ -0,0 +1,148 @@
+/**
+ * Downtime Service
+ *
+ * Pareto analysis of downtime minutes by reason code
+ */
+
+const ReasonCode = require('../models/ReasonCode');
+const Segment = require('../models/Segment');
+const logger = require('../utils/logger');
+
+// Levels a Pareto can roll reasons up to
+const PARETO_LEVELS = ['category', 'reason', 'subReason'];
+
+/**
+ * Round a value to two decimals
+ * @param {Number} value - Value to round
+ * @returns {Number} Rounded value
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Roll downtime totals per reason code up to a level of the catalog and rank them
+ *
+ * Codes below the level count towards their ancestor at that level; codes above
+ * it, unknown codes and segments without a code keep their own bar. Downtime
+ * without a reason is treated as unplanned.
+ *
+ * @param {Array<Object>} rows - `{ _id: reasonCode, minutes, count }` per reason code
+ * @param {Array<Object>} catalog - All reason codes
+ * @param {Object} [options] - Pareto options
+ * @param {String} [options.level] - Level to roll up to (default: reason)
+ * @param {Boolean} [options.planned] - Only keep planned (true) or unplanned (false) reasons
+ * @returns {Object} Ranked entries with cumulative percentages and the total minutes
+ */
+const buildDowntimePareto = (rows, catalog, { level = 'reason', planned } = {}) => {
+  const depth = PARETO_LEVELS.indexOf(level);
+  const entries = new Map();
+
+  rows.forEach(({ _id: reasonCode, minutes, count }) => {
+    const path = reasonCode ? ReasonCode.getPath(catalog, reasonCode) : [];
+    const entry = path[Math.min(depth, path.length - 1)];
+    const key = entry ? entry.code : reasonCode || null;
+
+    if (!entries.has(key)) {
+      entries.set(key, {
+        code: key,
+        name: entry ? entry.name : key || 'Unassigned',
+        level: entry ? entry.level : null,
+        path: path.slice(0, Math.min(depth, path.length - 1) + 1).map((item) => item.name),
+        planned: entry ? Boolean(entry.planned) : false,
+        minutes: 0,
+        count: 0,
+      });
+    }
+
+    const total = entries.get(key);
+    total.minutes += minutes;
+    total.count += count;
+  });
+
+  const ranked = [...entries.values()]
+    .filter((entry) => planned === undefined || entry.planned === planned)
+    .sort((a, b) => b.minutes - a.minutes);
+
+  const totalMinutes = ranked.reduce((sum, entry) => sum + entry.minutes, 0);
+  let cumulativeMinutes = 0;
+
+  return {
+    totalMinutes: round(totalMinutes),
+    entries: ranked.map((entry) => {
+      cumulativeMinutes += entry.minutes;
+
+      return {
+        ...entry,
+        minutes: round(entry.minutes),
+        percentage: totalMinutes > 0 ? round((entry.minutes / totalMinutes) * 100) : 0,
+        cumulativePercentage:
+          totalMinutes > 0 ? round((cumulativeMinutes / totalMinutes) * 100) : 0,
+      };
+    }),
+  };
+};
+
+/**
+ * Build a downtime Pareto from the segments matching a filter
+ * @param {Object} filters - Report filters
+ * @param {String} [filters.startDate] - First segment date (YYYY-MM-DD)
+ * @param {String} [filters.endDate] - Last segment date (YYYY-MM-DD)
+ * @param {String} [filters.machineName] - Only count this machine
+ * @param {Array<String>} [filters.machineNames] - Only count these machines
+ * @param {String} [filters.level] - Level to roll up to
+ * @param {Boolean} [filters.planned] - Only keep planned or unplanned reasons
+ * @returns {Promise<Object>} Ranked entries with cumulative percentages and the total minutes
+ */
+const getDowntimePareto = async ({
+  startDate,
+  endDate,
+  machineName,
+  machineNames,
+  level,
+  planned,
+} = {}) => {
+  try {
+    const match = { segmentType: 'downtime' };
+
+    if (machineName) {
+      match.machineName = machineName;
+    } else if (machineNames) {
+      match.machineName = { $in: machineNames };
+    }
+
+    if (startDate || endDate) {
+      match.date = {};
+      if (startDate) match.date.$gte = startDate;
+      if (endDate) match.date.$lte = endDate;
+    }
+
+    const [rows, catalog] = await Promise.all([
+      Segment.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$reasonCode',
+            // Open segments count until now
+            minutes: {
+              $sum: {
+                $divide: [{ $subtract: [{ $ifNull: ['$endAt', '$$NOW'] }, '$startAt'] }, 60000],
+              },
+            },
+            count: { $sum: 1 },
+          },
+        },
+      ]),
+      ReasonCode.find().lean(),
+    ]);
+
+    return buildDowntimePareto(rows, catalog, { level, planned });
+  } catch (error) {
+    logger.error(`Error building downtime Pareto: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  PARETO_LEVELS,
+  buildDowntimePareto,
+  getDowntimePareto,
+};
@@ -0,0 +1,68 @@
+/**
+ * Event Service
+ *
+ * Broadcasts segment and machine changes to the clients listening on the event
+ * stream. Events only reach clients of this server process.
+ */
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+
+// One listener per open event stream
+emitter.setMaxListeners(0);
+
+/**
+ * Announce a create, update, delete or restore of a segment or machine
+ * @param {Object} change - The change
+ * @param {String} change.entityType - "Segment" or "Machine"
+ * @param {String} change.action - "create", "update", "delete" or "restore"
+ * @param {Object} change.data - Snapshot of the record after the change, or
+ * before it for a delete (see auditService.snapshot)
+ * @returns {Object} The event, e.g. `{ event: "segment.update", id, machineName, data }`
+ */
+const publishChange = ({ entityType, action, data }) => {
+  const event = {
+    event: `${entityType.toLowerCase()}.${action}`,
+    id: data._id,
+    machineName: entityType === 'Machine' ? data.name : data.machineName,
+    data,
+  };
+
+  emitter.emit('change', event);
+
+  return event;
+};
+
+/**
+ * Listen to every change published from now on
+ * @param {Function} listener - Called with each event
+ * @param {Function} [onClose] - Called when the server shuts the streams down
+ * @returns {Function} Stops listening
+ */
+const subscribe = (listener, onClose) => {
+  emitter.on('change', listener);
+  if (onClose) {
+    emitter.on('close', onClose);
+  }
+
+  return () => {
+    emitter.off('change', listener);
+    if (onClose) {
+      emitter.off('close', onClose);
+    }
+  };
+};
+
+/**
+ * Ask every open event stream to end, so the server can shut down
+ */
+const closeAll = () => {
+  emitter.emit('close');
+};
+
+module.exports = {
+  publishChange,
+  subscribe,
+  closeAll,
+};
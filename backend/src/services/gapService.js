@@ -0,0 +1,246 @@
+/**
+ * Gap Service
+ *
+ * Finds the time in each machine's days that no segment accounts for, and fills
+ * it with segments
+ */
+
+const moment = require('moment-timezone');
+const Machine = require('../models/Machine');
+const Segment = require('../models/Segment');
+const auditService = require('./auditService');
+const {
+  getPlantTimezone,
+  getSegmentRange,
+  splitRangeByDay,
+  subtractRanges,
+} = require('../utils/timeUtils');
+const { getSegmentWriteError } = require('../utils/accessUtils');
+const logger = require('../utils/logger');
+
+// Shorter gaps are left out, e.g. the seconds between segments entered by hand
+const DEFAULT_MIN_GAP_MINUTES = 1;
+
+/**
+ * Round a value to two decimals
+ * @param {Number} value - Value to round
+ * @returns {Number} Rounded value
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Find the gaps between a machine's segments, day by day; time still to come is
+ * not a gap
+ * @param {Array<Object>} segments - The machine's segments in the range
+ * @param {String} startDate - First day in YYYY-MM-DD format
+ * @param {String} endDate - Last day in YYYY-MM-DD format
+ * @param {String} timezone - IANA timezone the days are in
+ * @param {Object} [options] - Gap options
+ * @param {Number} [options.minMinutes] - Shortest gap to report (default: 1)
+ * @param {Date} [options.now] - Current time
+ * @returns {Array<Object>} `{ date, startTime, endTime, start, end, minutes }` per gap in time
+ * order; a gap running to midnight ends at "00:00:00"
+ */
+const findMachineGaps = (
+  segments,
+  startDate,
+  endDate,
+  timezone,
+  { minMinutes = DEFAULT_MIN_GAP_MINUTES, now = new Date() } = {}
+) => {
+  const ranges = segments.map((segment) => getSegmentRange(segment));
+  const lastDay = moment.tz(endDate, 'YYYY-MM-DD', timezone);
+  const current = moment.tz(now, timezone);
+  const gaps = [];
+
+  for (
+    let day = moment.tz(startDate, 'YYYY-MM-DD', timezone);
+    !day.isAfter(lastDay) && day.isBefore(current);
+    day = day.clone().add(1, 'day')
+  ) {
+    const dayEnd = moment.min(day.clone().add(1, 'day'), current);
+
+    subtractRanges(day, dayEnd, ranges).forEach(({ start, end }) => {
+      const minutes = end.diff(start, 'minutes', true);
+
+      if (minutes >= minMinutes) {
+        gaps.push({
+          date: day.format('YYYY-MM-DD'),
+          startTime: start.clone().tz(timezone).format('HH:mm:ss'),
+          endTime: end.clone().tz(timezone).format('HH:mm:ss'),
+          start: start.clone().tz(timezone).format(),
+          end: end.clone().tz(timezone).format(),
+          minutes: round(minutes),
+        });
+      }
+    });
+  }
+
+  return gaps;
+};
+
+/**
+ * Find the gaps in the timelines of every machine over a date range
+ * @param {Object} options - Report options
+ * @param {String} [options.startDate] - First day, defaults to the end date
+ * @param {String} [options.endDate] - Last day, defaults to today in the plant timezone
+ * @param {String} [options.machineName] - Only report this machine
+ * @param {Array<String>} [options.machineNames] - Only report these machines, e.g. the user's
+ * scope or the machines under a plant node
+ * @param {Number} [options.minMinutes] - Shortest gap to report
+ * @returns {Promise<Object>} Date range, total gap minutes and the gaps of every machine that
+ * is not decommissioned or has segments in the range, with machineName and timezone
+ */
+const findGaps = async ({
+  startDate,
+  endDate,
+  machineName,
+  machineNames: scope,
+  minMinutes,
+} = {}) => {
+  try {
+    const lastDate = endDate || moment.tz(getPlantTimezone()).format('YYYY-MM-DD');
+    const firstDate = startDate || lastDate;
+
+    // Widen the query by a day on both sides to cover every plant timezone
+    const rangeFilter = {
+      startAt: { $lt: moment.utc(lastDate).add(2, 'days').toDate() },
+      $or: [{ endAt: { $gt: moment.utc(firstDate).subtract(1, 'day').toDate() } }, { endAt: null }],
+    };
+    // A machine outside the given machines matches nothing
+    let nameFilter = scope && { $in: scope };
+    if (machineName) {
+      nameFilter = !scope || scope.includes(machineName) ? machineName : { $in: [] };
+    }
+
+    const [machines, segmentMachineNames] = await Promise.all([
+      Machine.find(
+        {
+          status: { $ne: 'decommissioned' },
+          ...(nameFilter && { name: nameFilter }),
+        },
+        'name timezone'
+      ).lean(),
+      Segment.distinct('machineName', {
+        ...rangeFilter,
+        ...(nameFilter && { machineName: nameFilter }),
+      }),
+    ]);
+    const timezones = new Map(machines.map((machine) => [machine.name, machine.timezone]));
+    const names = [...new Set([...timezones.keys(), ...segmentMachineNames])].sort();
+    const now = new Date();
+
+    const gaps = [];
+
+    for (const name of names) {
+      const timezone = timezones.get(name) || getPlantTimezone();
+      const segments = await Segment.find(
+        { ...rangeFilter, machineName: name },
+        'date startTime endTime startAt endAt timezone'
+      ).lean();
+
+      findMachineGaps(segments, firstDate, lastDate, timezone, { minMinutes, now }).forEach((gap) =>
+        gaps.push({ machineName: name, timezone, ...gap })
+      );
+    }
+
+    return {
+      startDate: firstDate,
+      endDate: lastDate,
+      count: gaps.length,
+      totalMinutes: round(gaps.reduce((total, gap) => total + gap.minutes, 0)),
+      gaps,
+    };
+  } catch (error) {
+    logger.error(`Error finding gaps: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Fill the gaps in the timelines of every machine over a date range with segments
+ * @param {Object} options - Gap options as for findGaps
+ * @param {String} [options.segmentType] - Type of the new segments (default: select, to be
+ * classified later)
+ * @param {Object} options.user - Signed-in user; gaps the user may not write are skipped
+ * @param {String} [options.requestId] - Request id for the audit trail
+ * @returns {Promise<Object>} `{ created, skipped }`; skipped gaps carry the reason as message
+ */
+const fillGaps = async ({ segmentType = 'select', user, requestId, ...options }) => {
+  const { gaps } = await findGaps(options);
+  const created = [];
+  const skipped = [];
+
+  // A whole day without segments is filled with two, as a segment cannot last a day
+  const parts = gaps.flatMap(({ machineName, timezone, start, end }) =>
+    splitRangeByDay(moment.tz(start, timezone), moment.tz(end, timezone)).map((fields) => ({
+      machineName,
+      timezone,
+      ...fields,
+    }))
+  );
+
+  for (const { machineName, timezone, date, startTime, endTime } of parts) {
+    const segment = new Segment({
+      date,
+      startTime,
+      endTime,
+      machineName,
+      segmentType,
+      timezone,
+    });
+
+    const accessError = getSegmentWriteError(user, segment);
+    if (accessError) {
+      skipped.push({ machineName, date, startTime, endTime, message: accessError });
+      continue;
+    }
+
+    try {
+      await segment.validate();
+
+      // Leave gaps that were filled since they were found
+      const filled = await Segment.exists({
+        machineName,
+        startAt: { $lt: segment.endAt },
+        $or: [{ endAt: { $gt: segment.startAt } }, { endAt: null }],
+      });
+      if (filled) {
+        skipped.push({
+          machineName,
+          date,
+          startTime,
+          endTime,
+          message: 'Gap was filled meanwhile',
+        });
+        continue;
+      }
+
+      const saved = await segment.save();
+      await auditService.recordChange({
+        entityType: 'Segment',
+        action: 'create',
+        after: saved,
+        user,
+        requestId,
+      });
+      created.push(saved);
+    } catch (error) {
+      // Report the gap instead of failing the rest
+      skipped.push({ machineName, date, startTime, endTime, message: error.message });
+    }
+  }
+
+  logger.info(
+    `Filled ${created.length} of ${parts.length} gaps with ${segmentType} segments, ${skipped.length} skipped`
+  );
+
+  return { created, skipped };
+};
+
+module.exports = {
+  DEFAULT_MIN_GAP_MINUTES,
+  findMachineGaps,
+  findGaps,
+  fillGaps,
+};
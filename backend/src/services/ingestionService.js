@@ -0,0 +1,486 @@
+/**
+ * Ingestion Service
+ *
+ * Records timestamped run/stop/fault events from machines as segments: the
+ * state a machine is in is kept as an open uptime, idle or downtime segment,
+ * which each confirmed change of state closes before opening the next one
+ * (see utils/signalUtils)
+ */
+
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const Machine = require('../models/Machine');
+const Segment = require('../models/Segment');
+const SignalState = require('../models/SignalState');
+const SignalEvent = require('../models/SignalEvent');
+const auditService = require('./auditService');
+const { getIngestionConfig } = require('../config/ingestion');
+const {
+  STATE_SEGMENT_TYPES,
+  SIGNAL_STATES,
+  applySignal,
+  settleSignal,
+} = require('../utils/signalUtils');
+const {
+  getPlantTimezone,
+  getSegmentRange,
+  splitRangeByDay,
+  subtractRanges,
+} = require('../utils/timeUtils');
+const { canAccessMachine } = require('../utils/accessUtils');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Events stamped further ahead than this are rejected as clock errors
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Shortest time between checks for changes that have waited out the debounce period
+const MIN_SETTLE_INTERVAL_MS = 5000;
+
+// MongoDB duplicate key error
+const DUPLICATE_KEY = 11000;
+
+// Work queued per machine, so one machine's events are applied one batch at a time
+const machineQueues = new Map();
+
+/**
+ * Run a task after the tasks already queued for a machine
+ * @param {Object} machineId - Machine id
+ * @param {Function} task - Async task
+ * @returns {Promise} Result of the task
+ */
+const runForMachine = (machineId, task) => {
+  const key = String(machineId);
+  const queued = (machineQueues.get(key) || Promise.resolve()).catch(() => {}).then(task);
+
+  machineQueues.set(key, queued);
+  queued
+    .finally(() => {
+      if (machineQueues.get(key) === queued) {
+        machineQueues.delete(key);
+      }
+    })
+    .catch(() => {});
+
+  return queued;
+};
+
+/**
+ * Get why an event cannot be ingested
+ * @param {Object} event - Event as received
+ * @param {Object} [machine] - Machine with the event's serial number
+ * @param {Object} [user] - User sending the event; absent for MQTT
+ * @param {Date} now - Current time
+ * @returns {String|null} Error message, or null for a valid event
+ */
+const getEventError = (event, machine, user, now) => {
+  const timestamp = new Date(event.timestamp);
+
+  if (!SIGNAL_STATES.includes(event.state)) {
+    return `State must be one of: ${SIGNAL_STATES.join(', ')}`;
+  }
+  if (!event.timestamp || Number.isNaN(timestamp.getTime())) {
+    return 'Timestamp must be an ISO 8601 date';
+  }
+  if (timestamp.getTime() - now.getTime() > MAX_CLOCK_SKEW_MS) {
+    return 'Timestamp is in the future';
+  }
+  if (!machine) {
+    return `No machine has serial number ${event.serialNumber}`;
+  }
+  if (machine.status === 'decommissioned') {
+    return `Machine ${machine.name} is decommissioned`;
+  }
+  if (user && !canAccessMachine(user, machine.name)) {
+    return `You do not have access to machine ${machine.name}`;
+  }
+
+  return null;
+};
+
+/**
+ * Get the idempotency key of an event; without one, an event is identified by
+ * its machine, state and time
+ * @param {Object} machine - Machine document
+ * @param {Object} event - Event with a Date timestamp
+ * @returns {String} Key
+ */
+const getEventKey = (machine, event) =>
+  event.key
+    ? `${machine._id}:${event.key}`
+    : `${machine._id}:${event.state}:${event.timestamp.toISOString()}`;
+
+/**
+ * Save the time a machine spent in a state as segments, split at local
+ * midnight; time already covered by other segments, e.g. entered by hand, is
+ * left to them
+ * @param {Object} machine - Machine document
+ * @param {Object} interval - `{ state, from, to }` from utils/signalUtils
+ * @param {Object} context - `{ user, requestId }` for the audit trail
+ * @returns {Promise<Number>} Number of segments created
+ */
+const recordInterval = async (machine, interval, context) => {
+  const timezone = machine.timezone || getPlantTimezone();
+  const from = moment.tz(interval.from, timezone);
+  const to = moment.tz(interval.to, timezone);
+
+  const covered = await Segment.find(
+    {
+      machineName: machine.name,
+      startAt: { $lt: interval.to },
+      $or: [{ endAt: { $gt: interval.from } }, { endAt: null }],
+    },
+    'date startTime endTime startAt endAt timezone'
+  ).lean();
+
+  const chunks = subtractRanges(
+    from,
+    to,
+    covered.map((segment) => getSegmentRange(segment))
+  ).flatMap(({ start, end }) => splitRangeByDay(start, end));
+
+  for (const chunk of chunks) {
+    const segment = await new Segment({
+      ...chunk,
+      machineName: machine.name,
+      machine: machine._id,
+      segmentType: STATE_SEGMENT_TYPES[interval.state],
+      timezone,
+      source: 'signal',
+    }).save();
+
+    await auditService.recordChange({
+      entityType: 'Segment',
+      action: 'create',
+      after: segment,
+      ...context,
+    });
+  }
+
+  return chunks.length;
+};
+
+/**
+ * Close the interval of a machine's previous state: the open segment recorded
+ * for it is closed, otherwise the interval is saved around the segments
+ * covering it, e.g. an open segment entered by hand
+ * @param {Object} machine - Machine document
+ * @param {Object} interval - `{ state, from, to }` from utils/signalUtils
+ * @param {Object} context - `{ user, requestId }` for the audit trail
+ * @returns {Promise<Number>} Number of segments closed or created
+ */
+const closeInterval = async (machine, interval, context) => {
+  const open = await Segment.findOne({ machineName: machine.name, endTime: null });
+
+  if (!open || open.source !== 'signal' || !getSegmentRange(open).start.isBefore(interval.to)) {
+    return recordInterval(machine, interval, context);
+  }
+
+  const before = auditService.snapshot(open);
+  const following = open.closeAt(interval.to);
+
+  await open.save();
+  await auditService.recordChange({
+    entityType: 'Segment',
+    action: 'update',
+    before,
+    after: open,
+    ...context,
+  });
+
+  for (const next of following) {
+    await next.save();
+    await auditService.recordChange({
+      entityType: 'Segment',
+      action: 'create',
+      after: next,
+      ...context,
+    });
+  }
+
+  return 1 + following.length;
+};
+
+/**
+ * Open a segment for the state a machine is in now, unless it already has an
+ * open segment; one entered by hand is left to describe the machine
+ * @param {Object} machine - Machine document
+ * @param {Object} signal - State from utils/signalUtils
+ * @param {Object} context - `{ user, requestId }` for the audit trail
+ * @returns {Promise<Number>} Number of segments opened
+ */
+const openCurrentSegment = async (machine, signal, context) => {
+  const open = await Segment.exists({ machineName: machine.name, endTime: null });
+
+  if (open) {
+    return 0;
+  }
+
+  // Start after any segment recorded since the state began
+  const latest = await Segment.findOne(
+    { machineName: machine.name, endAt: { $gt: signal.since } },
+    'endAt'
+  )
+    .sort({ endAt: -1 })
+    .lean();
+
+  const timezone = machine.timezone || getPlantTimezone();
+  const since = moment.tz(latest ? latest.endAt : signal.since, timezone);
+
+  const segment = await new Segment({
+    date: since.format('YYYY-MM-DD'),
+    startTime: since.format('HH:mm:ss'),
+    endTime: null,
+    machineName: machine.name,
+    machine: machine._id,
+    segmentType: STATE_SEGMENT_TYPES[signal.state],
+    timezone,
+    source: 'signal',
+  }).save();
+
+  await auditService.recordChange({
+    entityType: 'Segment',
+    action: 'create',
+    after: segment,
+    ...context,
+  });
+
+  return 1;
+};
+
+/**
+ * Apply a machine's events in time order and save the segments they close
+ * @param {Object} machine - Machine document
+ * @param {Array<Object>} events - Valid events of the machine with Date timestamps
+ * @param {Object} options - `{ source, user, requestId }`
+ * @returns {Promise<Object>} `{ accepted, duplicates, late, segments }`; segments
+ * counts the segments opened, closed or created
+ */
+const applyMachineEvents = async (machine, events, { source, user, requestId }) => {
+  const { debounceSeconds, keyRetentionDays } = getIngestionConfig();
+  const counts = { accepted: 0, duplicates: 0, late: 0, segments: 0 };
+
+  const keyed = events.map((event) => ({ ...event, key: getEventKey(machine, event) }));
+  const known = await SignalEvent.find(
+    { key: { $in: keyed.map((event) => event.key) } },
+    'key'
+  ).lean();
+  const seen = new Set(known.map((event) => event.key));
+
+  const doc = await SignalState.findOne({ machine: machine._id });
+  let current = doc ? doc.toSignal() : null;
+  const applied = [];
+
+  for (const event of keyed.sort((a, b) => a.timestamp - b.timestamp)) {
+    if (seen.has(event.key)) {
+      counts.duplicates += 1;
+      continue;
+    }
+    seen.add(event.key);
+
+    const { next, intervals, late } = applySignal(current, event, debounceSeconds * 1000);
+
+    if (late) {
+      counts.late += 1;
+      continue;
+    }
+
+    for (const interval of intervals) {
+      counts.segments += await closeInterval(machine, interval, { user, requestId });
+    }
+
+    current = next;
+    counts.accepted += 1;
+    applied.push(event);
+  }
+
+  if (applied.length === 0) {
+    return counts;
+  }
+
+  counts.segments += await openCurrentSegment(machine, current, { user, requestId });
+
+  // Advance the state and remember the keys together, so a batch that failed
+  // part way is applied again from the old state when retried; segments it
+  // already saved cover their time and are not repeated
+  const expireAt = new Date(Date.now() + keyRetentionDays * DAY_MS);
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      await saveSignalState(doc, machine, current, { session });
+      await SignalEvent.insertMany(
+        applied.map(({ key, state, timestamp }) => ({
+          key,
+          machine: machine._id,
+          state,
+          timestamp,
+          source,
+          expireAt,
+        })),
+        { session }
+      );
+    });
+  } catch (error) {
+    // Another server process ingested some of them at the same time and saved
+    // the state they lead to
+    if (error.code !== DUPLICATE_KEY) {
+      throw error;
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Save a machine's signal state
+ * @param {Object|null} doc - Stored state, null for a machine seen for the first time
+ * @param {Object} machine - Machine document
+ * @param {Object} signal - State from utils/signalUtils
+ * @param {Object} [options] - Save options, e.g. the session of a transaction
+ * @returns {Promise<Object>} Saved document
+ */
+const saveSignalState = (doc, machine, signal, options = {}) => {
+  if (!doc) {
+    return new SignalState({ machine: machine._id, ...signal }).save(options);
+  }
+
+  doc.set(signal);
+  return doc.save(options);
+};
+
+/**
+ * Ingest a batch of machine state events
+ * @param {Array<Object>} events - `{ serialNumber, state, timestamp, key? }` with
+ * state one of run, stop or fault and key an optional idempotency key
+ * @param {Object} options - Ingestion options
+ * @param {String} options.source - "http" or "mqtt"
+ * @param {Object} [options.user] - User sending the events, limited to their machines
+ * @param {String} [options.requestId] - Id of the request, for the audit trail
+ * @returns {Promise<Object>} `{ accepted, duplicates, late, segments, rejected }`;
+ * rejected lists `{ index, serialNumber, message }` per invalid event
+ */
+const ingestEvents = async (events, { source, user, requestId } = {}) => {
+  try {
+    const now = new Date();
+    const result = { accepted: 0, duplicates: 0, late: 0, segments: 0, rejected: [] };
+
+    const serialNumbers = [...new Set(events.map((event) => event.serialNumber))];
+    const machines = await Machine.find({ serialNumber: { $in: serialNumbers } });
+    const machinesBySerial = new Map(machines.map((machine) => [machine.serialNumber, machine]));
+
+    const eventsByMachine = new Map();
+    events.forEach((event, index) => {
+      const machine = machinesBySerial.get(event.serialNumber);
+      const message = getEventError(event, machine, user, now);
+
+      if (message) {
+        result.rejected.push({ index, serialNumber: event.serialNumber, message });
+        return;
+      }
+
+      if (!eventsByMachine.has(machine.serialNumber)) {
+        eventsByMachine.set(machine.serialNumber, []);
+      }
+      eventsByMachine.get(machine.serialNumber).push({
+        state: event.state,
+        timestamp: new Date(event.timestamp),
+        key: event.key,
+      });
+    });
+
+    for (const [serialNumber, machineEvents] of eventsByMachine) {
+      const machine = machinesBySerial.get(serialNumber);
+      const counts = await runForMachine(machine._id, () =>
+        applyMachineEvents(machine, machineEvents, { source, user, requestId })
+      );
+
+      result.accepted += counts.accepted;
+      result.duplicates += counts.duplicates;
+      result.late += counts.late;
+      result.segments += counts.segments;
+    }
+
+    logger.info(
+      `Ingested ${result.accepted} of ${events.length} ${source} signal events, ${result.segments} segments recorded`
+    );
+
+    return result;
+  } catch (error) {
+    logger.error(`Error ingesting signal events: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Confirm the changes of state that have waited out the debounce period
+ * without a further event
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Number>} Number of segments recorded
+ */
+const settlePendingSignals = async (now = new Date()) => {
+  try {
+    const debounceMs = getIngestionConfig().debounceSeconds * 1000;
+    const settled = await SignalState.find(
+      { 'pending.at': { $lte: new Date(now.getTime() - debounceMs) } },
+      'machine'
+    ).lean();
+
+    let segments = 0;
+
+    for (const { machine: machineId } of settled) {
+      segments += await runForMachine(machineId, async () => {
+        const [doc, machine] = await Promise.all([
+          SignalState.findOne({ machine: machineId }),
+          Machine.findById(machineId),
+        ]);
+
+        if (!doc || !machine) {
+          return 0;
+        }
+
+        const { next, intervals } = settleSignal(doc.toSignal(), now, debounceMs);
+        let recorded = 0;
+
+        for (const interval of intervals) {
+          recorded += await closeInterval(machine, interval, {});
+        }
+
+        recorded += await openCurrentSegment(machine, next, {});
+        await saveSignalState(doc, machine, next);
+        return recorded;
+      });
+    }
+
+    return segments;
+  } catch (error) {
+    logger.error(`Error settling signal states: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Settle pending changes of state periodically while the server runs
+ * @returns {Object|null} Interval timer, or null without a debounce period
+ */
+const startIngestionJob = () => {
+  const { debounceSeconds } = getIngestionConfig();
+
+  if (debounceSeconds === 0) {
+    return null;
+  }
+
+  // Failures are logged by settlePendingSignals; the next run tries again
+  const run = () => settlePendingSignals().catch(() => {});
+  const timer = setInterval(run, Math.max(debounceSeconds * 1000, MIN_SETTLE_INTERVAL_MS));
+
+  // Do not keep the process alive for the job alone
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  ingestEvents,
+  settlePendingSignals,
+  startIngestionJob,
+};
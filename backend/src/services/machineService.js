@@ -0,0 +1,70 @@
+/**
+ * Machine Service
+ *
+ * Keeps the records that name a machine in step with it
+ */
+
+const MaintenancePlan = require('../models/MaintenancePlan');
+const Segment = require('../models/Segment');
+const ShiftPattern = require('../models/ShiftPattern');
+const User = require('../models/User');
+const WorkOrder = require('../models/WorkOrder');
+const logger = require('../utils/logger');
+
+/**
+ * Carry a machine's new name over to its segments, the shift patterns it is
+ * assigned to, the users it is scoped to and its maintenance plans and work
+ * orders. The audit trail is append-only and keeps the old name
+ * @param {Object} machine - Renamed machine
+ * @param {String} previousName - Name before the rename
+ * @returns {Promise<Object>} Number of segments, shift patterns, users, maintenance
+ * plans and work orders updated
+ */
+const propagateRename = async (machine, previousName) => {
+  try {
+    const [segments, shiftPatterns, users, maintenancePlans, workOrders] = await Promise.all([
+      // bulkWrite skips the soft delete filter, so deleted segments are renamed
+      // too; segments not linked yet are linked on the way
+      Segment.bulkWrite([
+        {
+          updateMany: {
+            filter: {
+              $or: [{ machine: machine._id }, { machine: null, machineName: previousName }],
+            },
+            update: { $set: { machine: machine._id, machineName: machine.name } },
+          },
+        },
+      ]),
+      ShiftPattern.updateMany(
+        { machineNames: previousName },
+        { $set: { 'machineNames.$': machine.name } }
+      ),
+      User.updateMany({ machineNames: previousName }, { $set: { 'machineNames.$': machine.name } }),
+      MaintenancePlan.updateMany({ machine: machine._id }, { $set: { machineName: machine.name } }),
+      WorkOrder.updateMany({ machine: machine._id }, { $set: { machineName: machine.name } }),
+    ]);
+
+    const result = {
+      segments: segments.modifiedCount,
+      shiftPatterns: shiftPatterns.modifiedCount,
+      users: users.modifiedCount,
+      maintenancePlans: maintenancePlans.modifiedCount,
+      workOrders: workOrders.modifiedCount,
+    };
+
+    logger.info(
+      `Renamed machine ${previousName} to ${machine.name} on ${result.segments} segments, ` +
+        `${result.shiftPatterns} shift patterns, ${result.users} users, ` +
+        `${result.maintenancePlans} maintenance plans and ${result.workOrders} work orders`
+    );
+
+    return result;
+  } catch (error) {
+    logger.error(`Error renaming machine ${previousName}: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  propagateRename,
+};
@@ -0,0 +1,533 @@
+/**
+ * Maintenance Service
+ *
+ * Works out when maintenance plans fall due, opens work orders for them with a
+ * planned downtime window on the timeline, and records completed work on the
+ * machine
+ */
+
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const Machine = require('../models/Machine');
+const MaintenancePlan = require('../models/MaintenancePlan');
+const Segment = require('../models/Segment');
+const WorkOrder = require('../models/WorkOrder');
+const auditService = require('./auditService');
+const eventService = require('./eventService');
+const { getMaintenanceConfig } = require('../config/maintenance');
+const { getPlantTimezone, parseDateTime } = require('../utils/timeUtils');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Order of the states in the due list, most urgent first
+const STATE_ORDER = ['overdue', 'due', 'ok'];
+
+/**
+ * Round a value to one decimal
+ * @param {Number} value - Value to round
+ * @returns {Number} Rounded value
+ */
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Add up the hours a machine was up between two times, from its uptime segments;
+ * an open segment counts until now
+ * @param {String} machineName - Machine name
+ * @param {Date} since - Start of the period
+ * @param {Date} [now] - End of the period
+ * @returns {Promise<Number>} Uptime hours
+ */
+const getUptimeHours = async (machineName, since, now = new Date()) => {
+  try {
+    const [result] = await Segment.aggregate([
+      {
+        $match: {
+          machineName,
+          segmentType: 'uptime',
+          startAt: { $lt: now },
+          $or: [{ endAt: { $gt: since } }, { endAt: null }],
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          milliseconds: {
+            $sum: {
+              $subtract: [
+                { $min: [{ $ifNull: ['$endAt', now] }, now] },
+                { $max: ['$startAt', since] },
+              ],
+            },
+          },
+        },
+      },
+    ]);
+
+    return result ? result.milliseconds / HOUR_MS : 0;
+  } catch (error) {
+    logger.error(`Error adding up uptime of ${machineName}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Work out where a plan stands: ok, due within its lead time, or overdue
+ * @param {Object} plan - Maintenance plan
+ * @param {Object} [options] - Status options
+ * @param {Number} [options.uptimeHours] - Uptime since the last service, for uptime plans
+ * @param {Date} [options.now] - Current time
+ * @returns {Object} `{ state, dueAt, remaining, unit }`; remaining is in days or
+ * uptime hours and negative once overdue, and uptime plans add `uptimeHours`
+ */
+const getPlanStatus = (plan, { uptimeHours = 0, now = new Date() } = {}) => {
+  const leadTime = plan.leadTime || 0;
+  const getState = (remaining) => {
+    if (remaining < 0) {
+      return 'overdue';
+    }
+    return remaining <= leadTime ? 'due' : 'ok';
+  };
+
+  if (plan.intervalType === 'uptimeHours') {
+    const remaining = plan.interval - uptimeHours;
+
+    return {
+      state: getState(remaining),
+      dueAt: null,
+      remaining: round(remaining),
+      unit: 'hours',
+      uptimeHours: round(uptimeHours),
+    };
+  }
+
+  const dueAt = new Date(new Date(plan.lastServiceAt).getTime() + plan.interval * DAY_MS);
+  const remaining = (dueAt.getTime() - now.getTime()) / DAY_MS;
+
+  return { state: getState(remaining), dueAt, remaining: round(remaining), unit: 'days' };
+};
+
+/**
+ * Get the status of a plan, adding up the machine's uptime for uptime plans
+ * @param {Object} plan - Maintenance plan
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Result of getPlanStatus
+ */
+const getStatus = async (plan, now) => {
+  const uptimeHours =
+    plan.intervalType === 'uptimeHours'
+      ? await getUptimeHours(plan.machineName, plan.lastServiceAt, now)
+      : 0;
+
+  return getPlanStatus(plan, { uptimeHours, now });
+};
+
+/**
+ * Pick the start of a plan's maintenance window: its start time on the day the
+ * plan falls due, or on the first day still to come if that time has passed
+ * @param {Object} plan - Maintenance plan with windowStartTime
+ * @param {Date|null} dueAt - When the plan falls due; null to start as soon as possible
+ * @param {String} timezone - IANA timezone of the machine
+ * @param {Date} [now] - Current time
+ * @returns {Object} Moment in the machine's timezone
+ */
+const getWindowStart = (plan, dueAt, timezone, now = new Date()) => {
+  const day = moment.tz(dueAt && dueAt > now ? dueAt : now, timezone).format('YYYY-MM-DD');
+  const start = parseDateTime(day, plan.windowStartTime, timezone);
+
+  if (start.isAfter(now)) {
+    return start;
+  }
+
+  const nextDay = moment.utc(day).add(1, 'day').format('YYYY-MM-DD');
+
+  return parseDateTime(nextDay, plan.windowStartTime, timezone);
+};
+
+/**
+ * List the active plans that are due or overdue, most urgent first
+ * @param {Object} [options] - Due list options
+ * @param {String} [options.machineName] - Only plans for this machine
+ * @param {Array<String>} [options.machineNames] - Machines the caller may see; all when omitted
+ * @param {String} [options.state] - Only "due" or only "overdue" plans
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Array<Object>>} Plans with their `status` and open `workOrder`
+ */
+const findDuePlans = async ({ machineName, machineNames: scope, state, now = new Date() } = {}) => {
+  try {
+    // A machine outside the given machines matches nothing
+    let nameFilter = scope && { $in: scope };
+    if (machineName) {
+      nameFilter = !scope || scope.includes(machineName) ? machineName : { $in: [] };
+    }
+
+    const plans = await MaintenancePlan.find({
+      active: true,
+      ...(nameFilter && { machineName: nameFilter }),
+    })
+      .sort({ machineName: 1, name: 1 })
+      .lean();
+    const workOrders = await WorkOrder.find({
+      status: 'open',
+      plan: { $in: plans.map((plan) => plan._id) },
+    }).lean();
+    const openOrders = new Map(workOrders.map((order) => [String(order.plan), order]));
+
+    const duePlans = [];
+
+    for (const plan of plans) {
+      const status = await getStatus(plan, now);
+
+      if (status.state !== 'ok' && (!state || status.state === state)) {
+        duePlans.push({ ...plan, status, workOrder: openOrders.get(String(plan._id)) || null });
+      }
+    }
+
+    // Within a state, the plan with the smallest share of its interval left comes first
+    return duePlans.sort(
+      (a, b) =>
+        STATE_ORDER.indexOf(a.status.state) - STATE_ORDER.indexOf(b.status.state) ||
+        a.status.remaining / a.interval - b.status.remaining / b.interval
+    );
+  } catch (error) {
+    logger.error(`Error finding due maintenance: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Put a plan's maintenance window on the timeline as a planned downtime segment
+ * @param {Object} plan - Maintenance plan
+ * @param {Date|null} dueAt - When the plan falls due
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} `{ segment }`, or `{ message }` saying why no window was made
+ */
+const reserveWindow = async (plan, dueAt, now) => {
+  const machine = await Machine.findById(plan.machine, 'timezone').lean();
+  const timezone = (machine && machine.timezone) || getPlantTimezone();
+  const start = getWindowStart(plan, dueAt, timezone, now);
+  const end = start.clone().add(plan.windowMinutes, 'minutes');
+
+  const segment = new Segment({
+    date: start.format('YYYY-MM-DD'),
+    startTime: start.format('HH:mm:ss'),
+    endTime: end.format('HH:mm:ss'),
+    machineName: plan.machineName,
+    segmentType: 'downtime',
+    reasonCode: plan.reasonCode,
+    notes: `Preventive maintenance: ${plan.name}`,
+    timezone,
+  });
+
+  try {
+    await segment.validate();
+
+    const taken = await Segment.exists({
+      machineName: segment.machineName,
+      startAt: { $lt: segment.endAt },
+      endAt: { $gt: segment.startAt },
+    });
+    if (taken) {
+      return { message: 'The window overlaps segments already on the timeline' };
+    }
+
+    // An open segment runs on until it is closed, so one started before the
+    // window ends would run into it
+    const running = await Segment.exists({
+      machineName: segment.machineName,
+      startAt: { $lt: segment.endAt },
+      endAt: null,
+    });
+    if (running) {
+      return { message: "The window falls in the time of the machine's open segment" };
+    }
+
+    const saved = await segment.save();
+    await auditService.recordChange({ entityType: 'Segment', action: 'create', after: saved });
+
+    return { segment: saved };
+  } catch (error) {
+    return { message: error.message };
+  }
+};
+
+/**
+ * Remove a work order's window from the timeline if it has not started yet
+ * @param {Object} workOrder - Work order
+ * @param {Date} at - Time the window is no longer needed from
+ * @param {Object} [context] - `{ user, requestId }` for the audit trail
+ * @param {Object} [options] - Write options
+ * @param {Object} [options.session] - MongoDB session of the surrounding transaction
+ * @returns {Promise<Object|null>} The removed window, or null if there was none
+ */
+const releaseWindow = async (workOrder, at, { user, requestId } = {}, { session } = {}) => {
+  const segment = workOrder.segment && (await Segment.findById(workOrder.segment).session(session));
+
+  if (!segment || segment.startAt <= at) {
+    return null;
+  }
+
+  await segment.softDelete(user, { session });
+  await auditService.recordChange(
+    {
+      entityType: 'Segment',
+      action: 'delete',
+      before: segment,
+      user,
+      requestId,
+    },
+    { session }
+  );
+
+  return segment;
+};
+
+/**
+ * Open a work order with a maintenance window for every active plan that falls
+ * due soon; plans that already have an open work order are left alone
+ * @param {Object} [options] - Scheduling options
+ * @param {Number} [options.aheadDays] - Days before a calendar plan falls due that it is
+ * scheduled; defaults to MAINTENANCE_SCHEDULE_AHEAD_DAYS
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} `{ created, skipped }`; skipped lists the work orders that got
+ * no window as `{ workOrder, planName, machineName, message }`
+ */
+const scheduleMaintenance = async ({
+  aheadDays = getMaintenanceConfig().scheduleAheadDays,
+  now = new Date(),
+} = {}) => {
+  try {
+    const [plans, scheduledPlans] = await Promise.all([
+      MaintenancePlan.find({ active: true }),
+      WorkOrder.distinct('plan', { status: 'open' }),
+    ]);
+    const scheduled = new Set(scheduledPlans.map(String));
+    const horizon = new Date(now.getTime() + aheadDays * DAY_MS);
+    const created = [];
+    const skipped = [];
+
+    for (const plan of plans) {
+      if (scheduled.has(String(plan._id))) {
+        continue;
+      }
+
+      const status = await getStatus(plan, now);
+      if (status.state === 'ok' && !(status.dueAt && status.dueAt <= horizon)) {
+        continue;
+      }
+
+      let workOrder;
+      try {
+        workOrder = await WorkOrder.create({
+          plan: plan._id,
+          title: plan.name,
+          machineName: plan.machineName,
+          machine: plan.machine,
+          component: plan.component,
+          componentName: plan.componentName,
+          dueAt: status.dueAt,
+        });
+      } catch (error) {
+        // Another server opened it first
+        if (error.code === 11000) {
+          continue;
+        }
+        throw error;
+      }
+
+      const { segment, message } = await reserveWindow(plan, status.dueAt, now);
+      if (segment) {
+        workOrder.segment = segment._id;
+        await workOrder.save();
+      } else {
+        skipped.push({
+          workOrder: workOrder._id,
+          planName: plan.name,
+          machineName: plan.machineName,
+          message,
+        });
+      }
+
+      created.push(workOrder);
+    }
+
+    logger.info(
+      `Opened ${created.length} maintenance work orders, ${skipped.length} without a window`
+    );
+
+    return { created, skipped };
+  } catch (error) {
+    logger.error(`Error scheduling maintenance: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Complete a work order: the machine's lastServiceDate, the serviced component's
+ * lastMaintenance and the plan's lastServiceAt move to the completion time, and a
+ * window that has not started yet is taken off the timeline
+ * @param {Object} workOrder - Open work order
+ * @param {Object} [options] - Completion details
+ * @param {Date} [options.completedAt] - When the work was done (default: now)
+ * @param {String} [options.notes] - What was done
+ * @param {Object} [options.user] - Signed-in user who did the work
+ * @param {String} [options.requestId] - Request id for the audit trail
+ * @returns {Promise<Object>} The completed work order
+ */
+const completeWorkOrder = async (
+  workOrder,
+  { completedAt = new Date(), notes, user, requestId } = {}
+) => {
+  try {
+    const machine = await Machine.findById(workOrder.machine);
+
+    if (machine) {
+      const before = auditService.snapshot(machine);
+      const component = workOrder.component && machine.segments.id(workOrder.component);
+
+      machine.lastServiceDate = completedAt;
+      if (component) {
+        component.lastMaintenance = completedAt;
+      }
+
+      await machine.save();
+      await auditService.recordChange({
+        entityType: 'Machine',
+        action: 'update',
+        before,
+        after: machine,
+        user,
+        requestId,
+      });
+    }
+
+    await MaintenancePlan.updateOne(
+      { _id: workOrder.plan },
+      { $set: { lastServiceAt: completedAt } }
+    );
+    await releaseWindow(workOrder, completedAt, { user, requestId });
+
+    workOrder.status = 'completed';
+    workOrder.completedAt = completedAt;
+    workOrder.completedBy = user && { id: user.id, username: user.username, name: user.name };
+    workOrder.notes = notes;
+
+    const completed = await workOrder.save();
+
+    logger.info(`Completed work order ${completed.title} on ${completed.machineName}`);
+
+    return completed;
+  } catch (error) {
+    logger.error(`Error completing work order ${workOrder._id}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Cancel the open work order of a plan and take its window off the timeline if
+ * it has not started yet
+ * @param {Object} plan - Maintenance plan
+ * @param {Object} [context] - `{ user, requestId }` for the audit trail
+ * @param {Object} [options] - Write options
+ * @param {Object} [options.session] - MongoDB session of the surrounding transaction
+ * @returns {Promise<Array<Object>>} The windows taken off the timeline
+ */
+const cancelWorkOrders = async (plan, context = {}, { session } = {}) => {
+  try {
+    const workOrders = await WorkOrder.find({ plan: plan._id, status: 'open' }).session(session);
+    const now = new Date();
+    const released = [];
+
+    for (const workOrder of workOrders) {
+      const segment = await releaseWindow(workOrder, now, context, { session });
+      if (segment) {
+        released.push(segment);
+      }
+
+      workOrder.status = 'cancelled';
+      await workOrder.save({ session });
+    }
+
+    return released;
+  } catch (error) {
+    logger.error(`Error cancelling work orders of plan ${plan.name}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Delete a maintenance plan, cancelling its open work order and taking its
+ * window off the timeline in the same transaction
+ * @param {Object} plan - Maintenance plan
+ * @param {Object} [context] - `{ user, requestId }` for the audit trail
+ */
+const deletePlan = async (plan, { user, requestId } = {}) => {
+  try {
+    let released = [];
+    await mongoose.connection.transaction(async (session) => {
+      released = await cancelWorkOrders(plan, { user, requestId }, { session });
+
+      await plan.deleteOne({ session });
+      await auditService.recordChange(
+        { entityType: 'MaintenancePlan', action: 'delete', before: plan, user, requestId },
+        { session }
+      );
+    });
+
+    // Announce the writes only once the transaction has committed
+    released.forEach((segment) =>
+      eventService.publishChange({
+        entityType: 'Segment',
+        action: 'delete',
+        data: auditService.snapshot(segment),
+      })
+    );
+    eventService.publishChange({
+      entityType: 'MaintenancePlan',
+      action: 'delete',
+      data: auditService.snapshot(plan),
+    });
+
+    logger.info(`Deleted maintenance plan ${plan.name}`);
+  } catch (error) {
+    logger.error(`Error deleting maintenance plan ${plan.name}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Schedule now and then every MAINTENANCE_SCHEDULE_INTERVAL_HOURS while the server runs
+ * @returns {Object|null} Interval timer, or null when the job is turned off
+ */
+const startMaintenanceJob = () => {
+  const { scheduleIntervalHours, scheduleAheadDays } = getMaintenanceConfig();
+
+  if (scheduleIntervalHours === 0) {
+    logger.info('Maintenance job disabled; schedule with POST /api/maintenance/schedule');
+    return null;
+  }
+
+  // Failures are logged by scheduleMaintenance; the next run tries again
+  const run = () => scheduleMaintenance({ aheadDays: scheduleAheadDays }).catch(() => {});
+
+  run();
+  const timer = setInterval(run, scheduleIntervalHours * HOUR_MS);
+
+  // Do not keep the process alive for the job alone
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  getUptimeHours,
+  getPlanStatus,
+  getWindowStart,
+  findDuePlans,
+  scheduleMaintenance,
+  completeWorkOrder,
+  cancelWorkOrders,
+  deletePlan,
+  startMaintenanceJob,
+};
@@ -0,0 +1,92 @@
+/**
+ * MQTT Service
+ *
+ * Subscribes to machine state messages published by PLCs and IoT gateways and
+ * passes them to the ingestion service
+ */
+
+const mqtt = require('mqtt');
+const { getIngestionConfig } = require('../config/ingestion');
+const { ingestEvents } = require('./ingestionService');
+const logger = require('../utils/logger');
+
+/**
+ * Find the serial number in a message topic, at the position of the + wildcard
+ * of the subscribed topic
+ * @param {String} pattern - Subscribed topic, e.g. "machines/+/state"
+ * @param {String} topic - Topic of the message, e.g. "machines/SN-001/state"
+ * @returns {String|undefined} Serial number, undefined if the pattern has no + level
+ */
+const getTopicSerialNumber = (pattern, topic) => {
+  const index = pattern.split('/').indexOf('+');
+
+  return index === -1 ? undefined : topic.split('/')[index];
+};
+
+/**
+ * Parse an MQTT message into state events
+ * @param {String} pattern - Subscribed topic
+ * @param {String} topic - Topic of the message
+ * @param {Buffer|String} payload - JSON event `{ state, timestamp, key?, serialNumber? }`
+ * or an array of them; the serial number defaults to the one in the topic
+ * @returns {Array<Object>} Events
+ * @throws {Error} If the payload is not a JSON object or array
+ */
+const parseMessage = (pattern, topic, payload) => {
+  const parsed = JSON.parse(payload.toString());
+  const events = Array.isArray(parsed) ? parsed : [parsed];
+  const serialNumber = getTopicSerialNumber(pattern, topic);
+
+  if (events.some((event) => !event || typeof event !== 'object')) {
+    throw new Error('Message must be a JSON event or an array of events');
+  }
+
+  return events.map((event) => ({ serialNumber, ...event }));
+};
+
+/**
+ * Connect to the MQTT broker and ingest the state messages it delivers
+ * @returns {Object|null} MQTT client, or null when MQTT_URL is not set
+ */
+const startMqttIngestion = () => {
+  const { mqttUrl, mqttTopic, mqttUsername, mqttPassword } = getIngestionConfig();
+
+  if (!mqttUrl) {
+    return null;
+  }
+
+  const client = mqtt.connect(mqttUrl, { username: mqttUsername, password: mqttPassword });
+
+  client.on('connect', () => {
+    logger.info(`Connected to MQTT broker, subscribing to ${mqttTopic}`);
+
+    // At least once delivery; repeated messages are recognised by their keys
+    client.subscribe(mqttTopic, { qos: 1 }, (error) => {
+      if (error) {
+        logger.error(`MQTT subscription failed: ${error.message}`);
+      }
+    });
+  });
+
+  client.on('message', async (topic, payload) => {
+    try {
+      const events = parseMessage(mqttTopic, topic, payload);
+      const { rejected } = await ingestEvents(events, { source: 'mqtt' });
+
+      rejected.forEach(({ serialNumber, message }) =>
+        logger.warn(`Rejected MQTT event from ${serialNumber} on ${topic}: ${message}`)
+      );
+    } catch (error) {
+      logger.error(`Error handling MQTT message on ${topic}: ${error.message}`);
+    }
+  });
+
+  client.on('error', (error) => logger.error(`MQTT error: ${error.message}`));
+
+  return client;
+};
+
+module.exports = {
+  parseMessage,
+  startMqttIngestion,
+};
@@ -0,0 +1,328 @@
+/**
+ * OEE Service
+ *
+ * Calculates Overall Equipment Effectiveness (availability x performance x quality)
+ * per machine, day and shift from uptime/downtime segments and production counts
+ */
+
+const moment = require('moment-timezone');
+const Machine = require('../models/Machine');
+const Segment = require('../models/Segment');
+const ShiftPattern = require('../models/ShiftPattern');
+const { getPlantTimezone } = require('../utils/timeUtils');
+const { DEFAULT_SHIFT_PATTERN, getShiftInstances } = require('../utils/shiftUtils');
+const logger = require('../utils/logger');
+
+// Number of days reported when no start date is given
+const DEFAULT_RANGE_DAYS = 7;
+
+// Daily OEE change (as a fraction) below which the trend counts as flat
+const TREND_THRESHOLD = 0.001;
+
+/**
+ * Round a value to a number of decimals, keeping null
+ * @param {Number|null} value - Value to round
+ * @param {Number} decimals - Decimal places
+ * @returns {Number|null} Rounded value
+ */
+const round = (value, decimals) =>
+  value === null ? null : Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Build the day and shift periods of a date range in a timezone
+ * @param {String} startDate - First day in YYYY-MM-DD format
+ * @param {String} endDate - Last day in YYYY-MM-DD format
+ * @param {String} timezone - IANA timezone the days and shifts are in
+ * @param {Object} [pattern] - Shift pattern the machine works
+ * @returns {Object} `{ days, shifts }` with `{ date, start, end }` epoch milliseconds per period;
+ * shifts also carry the shift name and crew
+ */
+const buildPeriods = (startDate, endDate, timezone, pattern = DEFAULT_SHIFT_PATTERN) => {
+  const days = [];
+
+  for (
+    const day = moment.tz(startDate, 'YYYY-MM-DD', timezone);
+    day.format('YYYY-MM-DD') <= endDate;
+    day.add(1, 'day')
+  ) {
+    const date = day.format('YYYY-MM-DD');
+
+    days.push({
+      date,
+      start: day.valueOf(),
+      end: day.clone().add(1, 'day').valueOf(),
+    });
+  }
+
+  return { days, shifts: getShiftInstances(pattern, startDate, endDate, timezone) };
+};
+
+/**
+ * Create empty OEE totals
+ * @returns {Object} Zeroed totals
+ */
+const emptyTotals = () => ({
+  plannedMinutes: 0,
+  runMinutes: 0,
+  downtimeMinutes: 0,
+  idleMinutes: 0,
+  totalCount: 0,
+  rejectCount: 0,
+  idealRunMinutes: 0,
+});
+
+/**
+ * Add up the segment time and production counts falling into a period; segments
+ * crossing the period boundary contribute their overlapping share of time and counts
+ * @param {Object} period - `{ start, end }` in epoch milliseconds
+ * @param {Array<Object>} segments - Segments with startAt, endAt, segmentType and counts
+ * @param {Object} machine - Machine with optional plannedProductionMinutes and idealCycleTime
+ * @returns {Object} Totals for the period
+ */
+const totalPeriod = (period, segments, machine) => {
+  const totals = emptyTotals();
+  const minutesByType = { uptime: 'runMinutes', downtime: 'downtimeMinutes', idle: 'idleMinutes' };
+
+  segments.forEach((segment) => {
+    const start = new Date(segment.startAt).getTime();
+    // Open segments count until now
+    const end = segment.endAt ? new Date(segment.endAt).getTime() : Date.now();
+    const overlap = Math.min(end, period.end) - Math.max(start, period.start);
+
+    if (overlap <= 0 || end <= start) {
+      return;
+    }
+
+    const share = overlap / (end - start);
+
+    if (minutesByType[segment.segmentType]) {
+      totals[minutesByType[segment.segmentType]] += overlap / 60000;
+    }
+
+    totals.totalCount += (segment.totalCount || 0) * share;
+    totals.rejectCount += (segment.rejectCount || 0) * share;
+  });
+
+  // Planned time is set per day, so periods get their share of it
+  totals.plannedMinutes =
+    typeof machine.plannedProductionMinutes === 'number'
+      ? (machine.plannedProductionMinutes * (period.end - period.start)) / 86400000
+      : totals.runMinutes + totals.downtimeMinutes + totals.idleMinutes;
+
+  // Without an ideal cycle time the ideal run time of produced units is unknown
+  if (typeof machine.idealCycleTime === 'number') {
+    totals.idealRunMinutes = (totals.totalCount * machine.idealCycleTime) / 60;
+  } else {
+    totals.idealRunMinutes = totals.totalCount > 0 ? null : 0;
+  }
+
+  return totals;
+};
+
+/**
+ * Add several totals together
+ * @param {Array<Object>} totalsList - Totals to add
+ * @returns {Object} Combined totals; idealRunMinutes is null if any part lacks it
+ */
+const combineTotals = (totalsList) =>
+  totalsList.reduce((combined, totals) => {
+    Object.keys(combined).forEach((key) => {
+      combined[key] =
+        combined[key] === null || totals[key] === null ? null : combined[key] + totals[key];
+    });
+    return combined;
+  }, emptyTotals());
+
+/**
+ * Compute availability, performance, quality and OEE from totals
+ * @param {Object} totals - Period totals
+ * @returns {Object} Rounded minutes and counts with the ratios; a ratio is null when its
+ * inputs are missing (no planned time, no run time or ideal cycle time, no units produced)
+ */
+const computeOeeMetrics = (totals) => {
+  const { plannedMinutes, runMinutes, totalCount, rejectCount, idealRunMinutes } = totals;
+
+  const availability = plannedMinutes > 0 ? Math.min(runMinutes / plannedMinutes, 1) : null;
+  const performance =
+    idealRunMinutes !== null && runMinutes > 0 ? Math.min(idealRunMinutes / runMinutes, 1) : null;
+  const quality = totalCount > 0 ? (totalCount - rejectCount) / totalCount : null;
+  const oee =
+    availability !== null && performance !== null && quality !== null
+      ? availability * performance * quality
+      : null;
+
+  return {
+    plannedMinutes: round(plannedMinutes, 2),
+    runMinutes: round(runMinutes, 2),
+    downtimeMinutes: round(totals.downtimeMinutes, 2),
+    idleMinutes: round(totals.idleMinutes, 2),
+    totalCount: round(totalCount, 2),
+    goodCount: round(totalCount - rejectCount, 2),
+    rejectCount: round(rejectCount, 2),
+    availability: round(availability, 4),
+    performance: round(performance, 4),
+    quality: round(quality, 4),
+    oee: round(oee, 4),
+  };
+};
+
+/**
+ * Fit a least-squares line through daily OEE values
+ * @param {Array<Object>} days - Daily metrics in date order
+ * @returns {Object} `{ slope, direction }`; slope is the OEE change per day, null with fewer
+ * than two days that have an OEE
+ */
+const calculateTrend = (days) => {
+  const points = days
+    .map((day, index) => ({ x: index, y: day.oee }))
+    .filter((point) => point.y !== null);
+
+  if (points.length < 2) {
+    return { slope: null, direction: null };
+  }
+
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  const covariance = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+  const variance = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  const slope = covariance / variance;
+
+  let direction = 'flat';
+  if (slope > TREND_THRESHOLD) {
+    direction = 'up';
+  } else if (slope < -TREND_THRESHOLD) {
+    direction = 'down';
+  }
+
+  return { slope: round(slope, 4), direction };
+};
+
+/**
+ * Calculate OEE for one machine over a date range
+ * @param {Object} machine - Machine name, timezone and OEE settings
+ * @param {Array<Object>} segments - The machine's segments in the range
+ * @param {String} startDate - First day in YYYY-MM-DD format
+ * @param {String} endDate - Last day in YYYY-MM-DD format
+ * @param {Object} [pattern] - Shift pattern the machine works
+ * @returns {Object} Overall, per-day and per-shift metrics with the daily trend, plus the
+ * overall totals for combining machines
+ */
+const calculateMachineOee = (
+  machine,
+  segments,
+  startDate,
+  endDate,
+  pattern = DEFAULT_SHIFT_PATTERN
+) => {
+  const timezone = machine.timezone || getPlantTimezone();
+  const periods = buildPeriods(startDate, endDate, timezone, pattern);
+
+  const dayTotals = periods.days.map((day) => totalPeriod(day, segments, machine));
+  const totals = combineTotals(dayTotals);
+  const byDay = periods.days.map((day, index) => ({
+    date: day.date,
+    ...computeOeeMetrics(dayTotals[index]),
+  }));
+
+  return {
+    machineName: machine.name,
+    timezone,
+    plannedProductionMinutes: machine.plannedProductionMinutes ?? null,
+    idealCycleTime: machine.idealCycleTime ?? null,
+    shiftPattern: pattern.name,
+    overall: computeOeeMetrics(totals),
+    byDay,
+    byShift: periods.shifts.map((shift) => ({
+      date: shift.date,
+      shift: shift.shift,
+      crew: shift.crew,
+      ...computeOeeMetrics(totalPeriod(shift, segments, machine)),
+    })),
+    trend: calculateTrend(byDay),
+    totals,
+  };
+};
+
+/**
+ * Calculate OEE for every machine with segments in a date range
+ * @param {Object} options - Report options
+ * @param {String} [options.startDate] - First day, defaults to a week before the end date
+ * @param {String} [options.endDate] - Last day, defaults to today in the plant timezone
+ * @param {String} [options.machineName] - Only report this machine
+ * @param {Array<String>} [options.machineNames] - Only report these machines
+ * @returns {Promise<Object>} Date range, combined metrics and per-machine reports; shifts
+ * follow each machine's shift pattern
+ */
+const calculateOee = async ({ startDate, endDate, machineName, machineNames: scope } = {}) => {
+  try {
+    const plantTimezone = getPlantTimezone();
+    const lastDate = endDate || moment.tz(plantTimezone).format('YYYY-MM-DD');
+    const firstDate =
+      startDate ||
+      moment(lastDate, 'YYYY-MM-DD')
+        .subtract(DEFAULT_RANGE_DAYS - 1, 'days')
+        .format('YYYY-MM-DD');
+
+    // Widen the query by a day on both sides to cover every plant timezone; each
+    // machine then only counts the part of a segment inside its own days
+    const rangeFilter = {
+      startAt: { $lt: moment.utc(lastDate).add(2, 'days').toDate() },
+      $or: [{ endAt: { $gt: moment.utc(firstDate).subtract(1, 'day').toDate() } }, { endAt: null }],
+    };
+
+    const machineNames = machineName
+      ? [machineName]
+      : (
+          await Segment.distinct('machineName', {
+            ...rangeFilter,
+            ...(scope && { machineName: { $in: scope } }),
+          })
+        ).sort();
+
+    const machines = await Machine.find(
+      { name: { $in: machineNames } },
+      'name timezone plannedProductionMinutes idealCycleTime'
+    ).lean();
+    const machinesByName = new Map(machines.map((machine) => [machine.name, machine]));
+    const getShiftPattern = await ShiftPattern.getResolver();
+
+    const reports = [];
+
+    for (const name of machineNames) {
+      const segments = await Segment.find(
+        { ...rangeFilter, machineName: name },
+        'startAt endAt segmentType totalCount rejectCount'
+      ).lean();
+
+      reports.push(
+        calculateMachineOee(
+          machinesByName.get(name) || { name },
+          segments,
+          firstDate,
+          lastDate,
+          getShiftPattern(name)
+        )
+      );
+    }
+
+    return {
+      startDate: firstDate,
+      endDate: lastDate,
+      overall: computeOeeMetrics(combineTotals(reports.map((report) => report.totals))),
+      machines: reports.map(({ totals: _totals, ...report }) => report),
+    };
+  } catch (error) {
+    logger.error(`Error calculating OEE: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  buildPeriods,
+  totalPeriod,
+  combineTotals,
+  computeOeeMetrics,
+  calculateTrend,
+  calculateMachineOee,
+  calculateOee,
+};
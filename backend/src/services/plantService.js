@@ -0,0 +1,111 @@
+/**
+ * Plant Service
+ *
+ * Resolves nodes of the plant hierarchy to the machines on their lines, for
+ * filtering and rolling up analytics
+ */
+
+const Machine = require('../models/Machine');
+const PlantNode = require('../models/PlantNode');
+const logger = require('../utils/logger');
+
+// Group name for machines not placed on a line
+const UNASSIGNED = 'Unassigned';
+
+/**
+ * Get the lines in a node's subtree
+ * @param {String|Object} nodeId - Plant node ID
+ * @returns {Promise<Array<Object>|null>} Line IDs, the node itself if it is a line; null if
+ * the node does not exist
+ */
+const getNodeLineIds = async (nodeId) => {
+  const node = await PlantNode.findById(nodeId, 'level').lean();
+
+  if (!node) {
+    return null;
+  }
+
+  if (node.level === 'line') {
+    return [node._id];
+  }
+
+  const lines = await PlantNode.find({ ancestors: node._id, level: 'line' }, '_id').lean();
+
+  return lines.map((line) => line._id);
+};
+
+/**
+ * Get the names of the machines on the lines in a node's subtree
+ * @param {String|Object} nodeId - Plant node ID
+ * @returns {Promise<Array<String>|null>} Machine names; null if the node does not exist
+ */
+const getNodeMachineNames = async (nodeId) => {
+  try {
+    const lineIds = await getNodeLineIds(nodeId);
+
+    if (!lineIds) {
+      return null;
+    }
+
+    const machines = await Machine.find({ line: { $in: lineIds } }, 'name').lean();
+
+    return machines.map((machine) => machine.name);
+  } catch (error) {
+    logger.error(`Error resolving machines of plant node ${nodeId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Group the machines by the node they belong to at one level of the hierarchy
+ * @param {String} level - Level to roll up to: site, area or line
+ * @returns {Promise<Array<Object>>} `{ id, name, machineNames }` per node with machines, named
+ * by its path
+ */
+const getRollup = async (level) => {
+  try {
+    const [nodes, machines] = await Promise.all([
+      PlantNode.find({}, 'name level ancestors').lean(),
+      Machine.find({ line: { $ne: null } }, 'name line').lean(),
+    ]);
+    const byId = new Map(nodes.map((node) => [node._id.toString(), node]));
+    const groups = new Map();
+
+    machines.forEach((machine) => {
+      const line = byId.get(machine.line.toString());
+      if (!line) {
+        return;
+      }
+
+      // The line itself, or its ancestor at the level
+      const node = [...line.ancestors.map((id) => byId.get(id.toString())), line].find(
+        (entry) => entry && entry.level === level
+      );
+      if (!node) {
+        return;
+      }
+
+      const id = node._id.toString();
+      if (!groups.has(id)) {
+        groups.set(id, {
+          id: node._id,
+          name: PlantNode.getPathName(nodes, node),
+          machineNames: [],
+        });
+      }
+      groups.get(id).machineNames.push(machine.name);
+    });
+
+    return [...groups.values()];
+  } catch (error) {
+    logger.error(`Error rolling up machines by ${level}: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  UNASSIGNED,
+  getNodeLineIds,
+  getNodeMachineNames,
+  getRollup,
+};
@@ -0,0 +1,69 @@
+/**
+ * Retention Service
+ *
+ * Permanently removes segments and machines that were deleted longer ago than
+ * the retention period; their audit history is kept
+ */
+
+const Segment = require('../models/Segment');
+const Machine = require('../models/Machine');
+const { getRetentionConfig } = require('../config/retention');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Purge segments and machines deleted before the retention period
+ * @param {Number} [retentionDays] - Days deleted records are kept; defaults to DELETED_RETENTION_DAYS
+ * @param {Date} [now] - Time to count the retention period back from
+ * @returns {Promise<Object>} `{ cutoff, segments, machines }` with the number of records purged
+ */
+const purgeDeletedRecords = async (
+  retentionDays = getRetentionConfig().retentionDays,
+  now = new Date()
+) => {
+  try {
+    const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+    const segments = await Segment.purgeDeleted(cutoff);
+    const machines = await Machine.purgeDeleted(cutoff);
+
+    logger.info(
+      `Purged ${segments} segments and ${machines} machines deleted before ${cutoff.toISOString()}`
+    );
+
+    return { cutoff, segments, machines };
+  } catch (error) {
+    logger.error(`Error purging deleted records: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Purge now and then every PURGE_INTERVAL_HOURS while the server runs
+ * @returns {Object|null} Interval timer, or null when the job is turned off
+ */
+const startRetentionJob = () => {
+  const { retentionDays, purgeIntervalHours } = getRetentionConfig();
+
+  if (purgeIntervalHours === 0) {
+    logger.info('Retention job disabled; purge deleted records with npm run purge:deleted');
+    return null;
+  }
+
+  // Failures are logged by purgeDeletedRecords; the next run tries again
+  const run = () => purgeDeletedRecords(retentionDays).catch(() => {});
+
+  run();
+  const timer = setInterval(run, purgeIntervalHours * HOUR_MS);
+
+  // Do not keep the process alive for the job alone
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  purgeDeletedRecords,
+  startRetentionJob,
+};
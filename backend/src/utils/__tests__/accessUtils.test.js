@@ -0,0 +1,59 @@
+const moment = require('moment-timezone');
+const { scopeMachineFilter, getSegmentWriteError } = require('../accessUtils');
+
+describe('Access Utilities', () => {
+  const operator = { role: 'operator', machineNames: ['M1', 'M2'] };
+  const supervisor = { role: 'supervisor', machineNames: [] };
+  const timezone = 'Europe/Berlin';
+  const today = moment.tz(timezone).format('YYYY-MM-DD');
+  const yesterday = moment.tz(timezone).subtract(1, 'day').format('YYYY-MM-DD');
+
+  describe('scopeMachineFilter', () => {
+    it('should limit an unfiltered query to the user machines', () => {
+      expect(scopeMachineFilter({ date: today }, operator)).toEqual({
+        date: today,
+        machineName: { $in: ['M1', 'M2'] },
+      });
+    });
+
+    it('should match nothing for a machine outside the scope', () => {
+      expect(scopeMachineFilter({ machineName: 'M1' }, operator)).toEqual({ machineName: 'M1' });
+      expect(scopeMachineFilter({ machineName: 'M9' }, operator)).toEqual({
+        machineName: { $in: [] },
+      });
+    });
+
+    it('should narrow a list of machines to the user machines', () => {
+      expect(scopeMachineFilter({ machineName: { $in: ['M2', 'M3'] } }, operator)).toEqual({
+        machineName: { $in: ['M2'] },
+      });
+    });
+
+    it('should leave the filter alone for an unscoped user', () => {
+      expect(scopeMachineFilter({ name: 'M9' }, supervisor, 'name')).toEqual({ name: 'M9' });
+    });
+  });
+
+  describe('getSegmentWriteError', () => {
+    it("should let an operator write today's segments on their machines", () => {
+      expect(
+        getSegmentWriteError(operator, { machineName: 'M1', date: today, timezone })
+      ).toBeNull();
+    });
+
+    it('should reject other machines and earlier days for an operator', () => {
+      expect(getSegmentWriteError(operator, { machineName: 'M9', date: today, timezone })).toMatch(
+        'machine M9'
+      );
+      expect(
+        getSegmentWriteError(operator, { machineName: 'M1', date: yesterday, timezone })
+      ).toMatch('dated today');
+    });
+
+    it('should let a supervisor write earlier days', () => {
+      expect(
+        getSegmentWriteError(supervisor, { machineName: 'M9', date: yesterday, timezone })
+      ).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, buildCursorFilter } = require('../cursorUtils');
+
+describe('Cursor Utilities', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  describe('encodeCursor and decodeCursor', () => {
+    it('should round-trip the sort field, value and id', () => {
+      const cursor = decodeCursor(encodeCursor({ _id: id, name: 'M1' }, 'name'));
+
+      expect(cursor).toEqual({ field: 'name', value: 'M1', id });
+    });
+
+    it('should keep dates as dates', () => {
+      const createdAt = new Date('2025-07-15T08:00:00.000Z');
+      const cursor = decodeCursor(encodeCursor({ _id: id, createdAt }, 'createdAt'));
+
+      expect(cursor.value).toEqual(createdAt);
+    });
+
+    it('should reject cursors it did not make', () => {
+      expect(decodeCursor('not a cursor')).toBeNull();
+      expect(
+        decodeCursor(Buffer.from(JSON.stringify({ field: 'name', id: 'x' })).toString('base64url'))
+      ).toBeNull();
+    });
+
+    it('should reject values that are not strings, numbers or dates', () => {
+      const cursor = (fields) =>
+        Buffer.from(JSON.stringify({ field: 'name', id: id.toString(), ...fields })).toString(
+          'base64url'
+        );
+
+      expect(decodeCursor(cursor({ value: { $ne: null } }))).toBeNull();
+      expect(decodeCursor(cursor({ value: ['M1'] }))).toBeNull();
+      expect(decodeCursor(cursor({ value: true }))).toBeNull();
+      expect(decodeCursor(cursor({ value: 'not a date', date: true }))).toBeNull();
+      expect(decodeCursor(cursor({ value: 42 }))).toEqual({ field: 'name', value: 42, id });
+    });
+
+    it('should keep a missing value as null', () => {
+      const cursor = decodeCursor(encodeCursor({ _id: id }, 'installationDate'));
+
+      expect(cursor.value).toBeNull();
+    });
+  });
+
+  describe('buildCursorFilter', () => {
+    it('should continue after the value, breaking ties by id', () => {
+      expect(buildCursorFilter({ field: 'name', value: 'M1', id })).toEqual({
+        $or: [{ name: { $gt: 'M1' } }, { name: 'M1', _id: { $gt: id } }],
+      });
+    });
+
+    it('should continue before the value in descending order', () => {
+      expect(buildCursorFilter({ field: 'name', value: 'M1', id }, 'desc')).toEqual({
+        $or: [{ name: { $lt: 'M1' } }, { name: 'M1', _id: { $lt: id } }],
+      });
+    });
+  });
+});
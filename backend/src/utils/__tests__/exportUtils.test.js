@@ -0,0 +1,72 @@
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { toExportRow, writeSegmentsCsv, writeSegmentsXlsx } = require('../exportUtils');
+
+describe('Export Utils', () => {
+  const segments = [
+    {
+      _id: 'a',
+      date: '2025-07-15',
+      startTime: '22:00:00',
+      endTime: '02:00:00',
+      machineName: 'M1',
+      segmentType: 'uptime',
+      timezone: 'Asia/Kolkata',
+      startAt: new Date('2025-07-15T16:30:00.000Z'),
+      endAt: new Date('2025-07-15T20:30:00.000Z'),
+    },
+  ];
+
+  // Collect everything written to a stream
+  const capture = () => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    return { stream, contents: () => Buffer.concat(chunks) };
+  };
+
+  describe('toExportRow', () => {
+    it('should render start and end in the segment timezone', () => {
+      const row = toExportRow(segments[0]);
+
+      expect(row.startAt).toEqual('2025-07-15T22:00:00+05:30');
+      expect(row.endAt).toEqual('2025-07-16T02:00:00+05:30');
+      expect(row.durationMinutes).toEqual(240);
+    });
+
+    it('should render start and end in a requested timezone', () => {
+      expect(toExportRow(segments[0], 'UTC').startAt).toEqual('2025-07-15T16:30:00Z');
+    });
+  });
+
+  describe('writeSegmentsCsv', () => {
+    it('should write a header row followed by one row per segment', async () => {
+      const { stream, contents } = capture();
+
+      await writeSegmentsCsv(segments, stream);
+
+      const lines = contents().toString().trim().split('\n');
+      expect(lines[0]).toEqual(
+        'ID,Date,Start Time,End Time,Machine,Type,Timezone,Start,End,Duration (min)'
+      );
+      expect(lines[1]).toEqual(
+        'a,2025-07-15,22:00:00,02:00:00,M1,uptime,Asia/Kolkata,2025-07-15T22:00:00+05:30,2025-07-16T02:00:00+05:30,240'
+      );
+    });
+  });
+
+  describe('writeSegmentsXlsx', () => {
+    it('should write a readable workbook with one row per segment', async () => {
+      const { stream, contents } = capture();
+
+      await writeSegmentsXlsx(segments, stream);
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(contents());
+      const worksheet = workbook.worksheets[0];
+
+      expect(worksheet.rowCount).toEqual(2);
+      expect(worksheet.getRow(2).getCell(5).value).toEqual('M1');
+    });
+  });
+});
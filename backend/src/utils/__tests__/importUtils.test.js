@@ -0,0 +1,111 @@
+const ExcelJS = require('exceljs');
+const {
+  parseImportFile,
+  resolveColumnMapping,
+  findMissingColumns,
+  normaliseDate,
+  normaliseTime,
+  mapImportRow,
+} = require('../importUtils');
+
+describe('Import Utils', () => {
+  describe('parseImportFile', () => {
+    it('should parse CSV rows keyed by header with their line numbers', async () => {
+      const csv =
+        'date,start,end,machine,type\n2025-07-15,08:00,09:00,M1,uptime\n\n16-07-2025,10:00,11:00,M2,idle\n';
+
+      const { headers, rows } = await parseImportFile(Buffer.from(csv), 'segments.csv');
+
+      expect(headers).toEqual(['date', 'start', 'end', 'machine', 'type']);
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toEqual({
+        row: 2,
+        values: { date: '2025-07-15', start: '08:00', end: '09:00', machine: 'M1', type: 'uptime' },
+      });
+      expect(rows[1].row).toEqual(4);
+    });
+
+    it('should parse the first worksheet of an XLSX file', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('Segments');
+      worksheet.addRow(['Date', 'Start', 'End', 'Machine', 'Type']);
+      worksheet.addRow([new Date(Date.UTC(2025, 6, 15)), '08:00', '09:00', 'M1', 'uptime']);
+      const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+      const { headers, rows } = await parseImportFile(buffer, 'segments.xlsx');
+
+      expect(headers).toEqual(['Date', 'Start', 'End', 'Machine', 'Type']);
+      expect(rows).toHaveLength(1);
+      expect(rows[0].row).toEqual(2);
+      expect(rows[0].values.Machine).toEqual('M1');
+      expect(rows[0].values.Date).toBeInstanceOf(Date);
+    });
+
+    it('should reject unsupported file types', async () => {
+      await expect(parseImportFile(Buffer.from(''), 'segments.txt')).rejects.toThrow(
+        'Unsupported import file type'
+      );
+    });
+  });
+
+  describe('findMissingColumns', () => {
+    it('should match headers regardless of case and whitespace', () => {
+      const mapping = resolveColumnMapping({ machineName: 'Machine ID' });
+
+      expect(findMissingColumns([' Date', 'START', 'end', 'machine id', 'Type'], mapping)).toEqual(
+        []
+      );
+      expect(findMissingColumns(['date', 'start', 'end', 'type'], mapping)).toEqual([
+        { field: 'machineName', column: 'Machine ID' },
+      ]);
+    });
+  });
+
+  describe('normaliseDate', () => {
+    it('should convert day-first and ISO dates to YYYY-MM-DD', () => {
+      expect(normaliseDate('15-07-2025')).toEqual('2025-07-15');
+      expect(normaliseDate('15/07/2025')).toEqual('2025-07-15');
+      expect(normaliseDate('2025-07-15')).toEqual('2025-07-15');
+      expect(normaliseDate(new Date(Date.UTC(2025, 6, 15)))).toEqual('2025-07-15');
+    });
+
+    it('should leave values it cannot parse for validation to report', () => {
+      expect(normaliseDate(' 31-02-2025 ')).toEqual('31-02-2025');
+      expect(normaliseDate(undefined)).toEqual('');
+    });
+  });
+
+  describe('normaliseTime', () => {
+    it('should convert HH:MM and spreadsheet times to HH:MM:SS', () => {
+      expect(normaliseTime('08:30')).toEqual('08:30:00');
+      expect(normaliseTime('8:30')).toEqual('08:30:00');
+      expect(normaliseTime('08:30:15')).toEqual('08:30:15');
+      expect(normaliseTime(0.75)).toEqual('18:00:00');
+    });
+
+    it('should leave values it cannot parse for validation to report', () => {
+      expect(normaliseTime('25:00')).toEqual('25:00');
+    });
+  });
+
+  describe('mapImportRow', () => {
+    it('should map columns to normalised segment fields', () => {
+      const mapping = resolveColumnMapping({ segmentType: 'Status' });
+      const values = {
+        Date: '15-07-2025',
+        Start: '22:00',
+        End: '02:00',
+        Machine: ' M1 ',
+        Status: 'Downtime',
+      };
+
+      expect(mapImportRow(values, mapping)).toEqual({
+        date: '2025-07-15',
+        startTime: '22:00:00',
+        endTime: '02:00:00',
+        machineName: 'M1',
+        segmentType: 'downtime',
+      });
+    });
+  });
+});
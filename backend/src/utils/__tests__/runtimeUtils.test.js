@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { getRuntimeState, isSameRuntimeState, countRuntime } = require('../runtimeUtils');
+
+describe('Runtime Utilities', () => {
+  const machine = new mongoose.Types.ObjectId();
+  const at = (time) => new Date(`2025-07-20T${time}:00.000Z`);
+  const uptime = (startTime, endTime) => ({
+    _id: new mongoose.Types.ObjectId(),
+    machine,
+    segmentType: 'uptime',
+    startAt: at(startTime),
+    endAt: endTime ? at(endTime) : null,
+  });
+
+  describe('getRuntimeState', () => {
+    it('should keep the machine and times of an uptime segment', () => {
+      const segment = uptime('06:00', '08:00');
+
+      expect(getRuntimeState(segment)).toEqual({
+        id: segment._id,
+        machine,
+        startAt: at('06:00'),
+        endAt: at('08:00'),
+      });
+    });
+
+    it('should not count downtime, deleted or unlinked segments', () => {
+      expect(getRuntimeState({ ...uptime('06:00', '08:00'), segmentType: 'downtime' })).toBeNull();
+      expect(getRuntimeState({ ...uptime('06:00', '08:00'), deletedAt: new Date() })).toBeNull();
+      expect(getRuntimeState({ ...uptime('06:00', '08:00'), machine: null })).toBeNull();
+    });
+  });
+
+  describe('isSameRuntimeState', () => {
+    it('should compare the machine and times', () => {
+      const state = getRuntimeState(uptime('06:00', '08:00'));
+
+      expect(isSameRuntimeState(state, { ...state, machine: String(machine) })).toBe(true);
+      expect(isSameRuntimeState(state, { ...state, endAt: null })).toBe(false);
+      expect(isSameRuntimeState(state, { ...state, startAt: at('06:30') })).toBe(false);
+      expect(isSameRuntimeState(state, null)).toBe(false);
+      expect(isSameRuntimeState(null, null)).toBe(true);
+    });
+  });
+
+  describe('countRuntime', () => {
+    it('should add up run hours and starts', () => {
+      expect(countRuntime([uptime('06:00', '08:00'), uptime('09:00', '10:30')])).toEqual({
+        runHours: 3.5,
+        starts: 2,
+        hoursSinceService: 3.5,
+      });
+    });
+
+    it('should not count a segment carrying on from the previous one as a start', () => {
+      const segments = [
+        { ...uptime('22:00'), endAt: new Date('2025-07-21T00:00:00.000Z') },
+        {
+          ...uptime('00:00', '02:00'),
+          startAt: new Date('2025-07-21T00:00:00.000Z'),
+          endAt: new Date('2025-07-21T02:00:00.000Z'),
+        },
+      ];
+
+      expect(countRuntime(segments).starts).toEqual(1);
+      expect(countRuntime(segments).runHours).toEqual(4);
+    });
+
+    it('should count an open segment as a start without hours', () => {
+      expect(countRuntime([uptime('06:00', '08:00'), uptime('09:00')])).toEqual({
+        runHours: 2,
+        starts: 2,
+        hoursSinceService: 2,
+      });
+    });
+
+    it('should count hours since service from the last service', () => {
+      const segments = [uptime('06:00', '08:00'), uptime('09:00', '10:30')];
+
+      expect(countRuntime(segments, at('07:30')).hoursSinceService).toEqual(2);
+      expect(countRuntime(segments, at('11:00')).hoursSinceService).toEqual(0);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const {
+  DEFAULT_SHIFT_PATTERN,
+  findOverlappingShifts,
+  selectShiftPattern,
+  getShiftsForDate,
+  getShiftInstances,
+  allocateSegmentToShifts,
+} = require('../shiftUtils');
+
+describe('Shift Utils', () => {
+  const timezone = 'Asia/Kolkata';
+
+  const pattern = {
+    name: 'Three shifts',
+    shifts: DEFAULT_SHIFT_PATTERN.shifts,
+    // 2025-07-19 is a Saturday and 2025-07-20 a Sunday
+    weeklySchedule: [
+      { dayOfWeek: 6, shifts: ['A'] },
+      { dayOfWeek: 0, shifts: [] },
+    ],
+    crews: ['Red', 'Blue', 'Green', 'White'],
+    rotationStartDate: '2025-07-14',
+    rotationDays: 7,
+    holidays: [{ date: '2025-08-15', name: 'Independence Day' }],
+  };
+
+  describe('findOverlappingShifts', () => {
+    it('should accept shifts that meet at midnight-crossing boundaries', () => {
+      expect(findOverlappingShifts(DEFAULT_SHIFT_PATTERN.shifts)).toEqual([]);
+    });
+
+    it('should report a night shift running into the next morning shift', () => {
+      expect(
+        findOverlappingShifts([
+          { name: 'Day', startTime: '07:00:00', endTime: '19:00:00' },
+          { name: 'Night', startTime: '19:00:00', endTime: '08:00:00' },
+        ])
+      ).toEqual([['Day', 'Night']]);
+    });
+  });
+
+  describe('selectShiftPattern', () => {
+    it('should prefer a machine pattern over the plant-wide one', () => {
+      const plantWide = { name: 'Plant', machineNames: [] };
+      const machine = { name: 'Press line', machineNames: ['M2'] };
+
+      expect(selectShiftPattern([plantWide, machine], 'M2')).toBe(machine);
+      expect(selectShiftPattern([plantWide, machine], 'M1')).toBe(plantWide);
+      expect(selectShiftPattern([machine], 'M1')).toBe(DEFAULT_SHIFT_PATTERN);
+    });
+  });
+
+  describe('getShiftsForDate', () => {
+    it('should follow the weekly schedule and skip holidays', () => {
+      const names = (date) => getShiftsForDate(pattern, date).map(({ shift }) => shift.name);
+
+      expect(names('2025-07-18')).toEqual(['A', 'B', 'C']);
+      expect(names('2025-07-19')).toEqual(['A']);
+      expect(names('2025-07-20')).toEqual([]);
+      expect(names('2025-08-15')).toEqual([]);
+    });
+
+    it('should rotate crews through the shifts', () => {
+      const crews = (date) => getShiftsForDate(pattern, date).map(({ crew }) => crew);
+
+      expect(crews('2025-07-14')).toEqual(['Red', 'Blue', 'Green']);
+      expect(crews('2025-07-21')).toEqual(['Blue', 'Green', 'White']);
+      expect(crews('2025-07-11')).toEqual(['White', 'Red', 'Blue']);
+    });
+  });
+
+  describe('getShiftInstances', () => {
+    it('should place night shifts on the day they start', () => {
+      const instances = getShiftInstances(pattern, '2025-07-18', '2025-07-20', timezone);
+
+      expect(instances.map((instance) => `${instance.date} ${instance.shift}`)).toEqual([
+        '2025-07-18 A',
+        '2025-07-18 B',
+        '2025-07-18 C',
+        '2025-07-19 A',
+      ]);
+      expect(new Date(instances[2].end).toISOString()).toEqual('2025-07-19T00:30:00.000Z');
+    });
+  });
+
+  describe('allocateSegmentToShifts', () => {
+    it('should split a segment straddling a shift change', () => {
+      // 21:00 to 23:30 plant time
+      const allocations = allocateSegmentToShifts(
+        {
+          date: '2025-07-15',
+          startAt: new Date('2025-07-15T15:30:00Z'),
+          endAt: new Date('2025-07-15T18:00:00Z'),
+          timezone,
+        },
+        pattern
+      );
+
+      expect(allocations).toEqual([
+        expect.objectContaining({ name: 'B', date: '2025-07-15', crew: 'Blue', minutes: 60 }),
+        expect.objectContaining({ name: 'C', date: '2025-07-15', crew: 'Green', minutes: 90 }),
+      ]);
+    });
+
+    it('should assign the early hours to the previous day night shift', () => {
+      // 02:00 to 07:00 plant time
+      const allocations = allocateSegmentToShifts(
+        {
+          date: '2025-07-16',
+          startAt: new Date('2025-07-15T20:30:00Z'),
+          endAt: new Date('2025-07-16T01:30:00Z'),
+          timezone,
+        },
+        DEFAULT_SHIFT_PATTERN
+      );
+
+      expect(allocations.map(({ name, date, minutes }) => [name, date, minutes])).toEqual([
+        ['C', '2025-07-15', 240],
+        ['A', '2025-07-16', 60],
+      ]);
+    });
+
+    it('should leave time outside every shift unallocated', () => {
+      // Sunday 10:00 to 12:00 plant time
+      const allocations = allocateSegmentToShifts(
+        {
+          date: '2025-07-20',
+          startAt: new Date('2025-07-20T04:30:00Z'),
+          endAt: new Date('2025-07-20T06:30:00Z'),
+          timezone,
+        },
+        pattern
+      );
+
+      expect(allocations).toEqual([]);
+    });
+  });
+});
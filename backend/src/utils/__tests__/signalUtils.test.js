@@ -0,0 +1,102 @@
+const { applySignal, settleSignal } = require('../signalUtils');
+
+describe('Signal Utilities', () => {
+  const debounceMs = 30000;
+  const at = (time) => new Date(`2025-07-15T${time}.000Z`);
+
+  // Apply events in order, collecting the closed intervals
+  const run = (events, current = null) =>
+    events.reduce(
+      (result, [state, time]) => {
+        const { next, intervals } = applySignal(
+          result.current,
+          { state, timestamp: at(time) },
+          debounceMs
+        );
+        return { current: next, intervals: [...result.intervals, ...intervals] };
+      },
+      { current, intervals: [] }
+    );
+
+  describe('applySignal', () => {
+    it('should start tracking on the first event', () => {
+      const { current, intervals } = run([['run', '08:00:00']]);
+
+      expect(current).toEqual({
+        state: 'run',
+        since: at('08:00:00'),
+        pending: null,
+        lastEventAt: at('08:00:00'),
+      });
+      expect(intervals).toEqual([]);
+    });
+
+    it('should close the interval once a change has held for the debounce period', () => {
+      const { current, intervals } = run([
+        ['run', '08:00:00'],
+        ['fault', '09:00:00'],
+        ['fault', '09:00:45'],
+      ]);
+
+      expect(intervals).toEqual([{ state: 'run', from: at('08:00:00'), to: at('09:00:00') }]);
+      expect(current.state).toBe('fault');
+      expect(current.since).toEqual(at('09:00:00'));
+    });
+
+    it('should ignore a signal that flaps back within the debounce period', () => {
+      const { current, intervals } = run([
+        ['run', '08:00:00'],
+        ['stop', '09:00:00'],
+        ['run', '09:00:10'],
+        ['run', '09:05:00'],
+      ]);
+
+      expect(intervals).toEqual([]);
+      expect(current).toMatchObject({ state: 'run', since: at('08:00:00'), pending: null });
+    });
+
+    it('should date a change from when the signal left the current state', () => {
+      const { intervals } = run([
+        ['run', '08:00:00'],
+        ['fault', '09:00:00'],
+        ['stop', '09:00:10'],
+        ['stop', '09:01:00'],
+      ]);
+
+      expect(intervals).toEqual([{ state: 'run', from: at('08:00:00'), to: at('09:00:00') }]);
+    });
+
+    it('should ignore events older than the last one applied', () => {
+      const { current } = run([['run', '08:00:00']]);
+      const result = applySignal(current, { state: 'fault', timestamp: at('07:00:00') }, 0);
+
+      expect(result.late).toBe(true);
+      expect(result.next).toBe(current);
+    });
+
+    it('should confirm every change at once without a debounce period', () => {
+      const { next, intervals } = applySignal(
+        { state: 'run', since: at('08:00:00'), pending: null, lastEventAt: at('08:00:00') },
+        { state: 'stop', timestamp: at('08:30:00') },
+        0
+      );
+
+      expect(intervals).toEqual([{ state: 'run', from: at('08:00:00'), to: at('08:30:00') }]);
+      expect(next.state).toBe('stop');
+    });
+  });
+
+  describe('settleSignal', () => {
+    it('should confirm a change that held without further events', () => {
+      const { current } = run([
+        ['run', '08:00:00'],
+        ['fault', '09:00:00'],
+      ]);
+
+      expect(settleSignal(current, at('09:00:20'), debounceMs).intervals).toEqual([]);
+      expect(settleSignal(current, at('09:00:30'), debounceMs).intervals).toEqual([
+        { state: 'run', from: at('08:00:00'), to: at('09:00:00') },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,244 @@
+const moment = require('moment-timezone');
+const {
+  calculateDuration,
+  isValidTimezone,
+  getSegmentRange,
+  splitRangeByDay,
+  subtractRanges,
+  findOverlappingSegments,
+  planOverlapResolution,
+} = require('../timeUtils');
+
+describe('Time Utils', () => {
+  const segment = (id, date, startTime, endTime, segmentType = 'uptime') => ({
+    _id: id,
+    date,
+    startTime,
+    endTime,
+    machineName: 'M1',
+    segmentType,
+    timezone: 'Asia/Kolkata',
+  });
+
+  describe('calculateDuration', () => {
+    it('should account for the short day when clocks go forward', () => {
+      expect(calculateDuration('22:00:00', '06:00:00', '2025-03-29', 'Europe/Berlin')).toEqual(420);
+    });
+
+    it('should account for the long day when clocks go back', () => {
+      expect(calculateDuration('22:00:00', '06:00:00', '2025-10-25', 'Europe/Berlin')).toEqual(540);
+    });
+
+    it('should interpret times in the given timezone', () => {
+      expect(calculateDuration('22:00:00', '06:00:00', '2025-03-29', 'Asia/Kolkata')).toEqual(480);
+    });
+  });
+
+  describe('isValidTimezone', () => {
+    it('should accept IANA timezones and reject unknown names', () => {
+      expect(isValidTimezone('Asia/Kolkata')).toBe(true);
+      expect(isValidTimezone('Europe/Berlin')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+    });
+  });
+
+  describe('getSegmentRange', () => {
+    it('should end on the next day when end time is before start time', () => {
+      const { start, end } = getSegmentRange(segment('a', '2025-07-15', '22:00:00', '02:00:00'));
+
+      expect(start.format('YYYY-MM-DD HH:mm')).toEqual('2025-07-15 22:00');
+      expect(end.format('YYYY-MM-DD HH:mm')).toEqual('2025-07-16 02:00');
+      expect(end.diff(start, 'minutes')).toEqual(240);
+    });
+
+    it('should prefer the canonical startAt and endAt timestamps', () => {
+      const startAt = new Date('2025-07-15T06:00:00.000Z');
+      const endAt = new Date('2025-07-15T07:30:00.000Z');
+      const { start, end } = getSegmentRange({ startAt, endAt });
+
+      expect(start.toDate()).toEqual(startAt);
+      expect(end.toDate()).toEqual(endAt);
+    });
+
+    it('should run an open segment until now', () => {
+      const startAt = new Date(Date.now() - 90 * 60 * 1000);
+      const { start, end } = getSegmentRange({ startAt, endTime: null, timezone: 'UTC' });
+
+      expect(start.toDate()).toEqual(startAt);
+      expect(Math.round(end.diff(start, 'minutes', true))).toEqual(90);
+    });
+  });
+
+  describe('splitRangeByDay', () => {
+    const at = (value) => moment.tz(value, 'Europe/Berlin');
+
+    it('should keep a range within one day whole, dropping fractions of a second', () => {
+      expect(splitRangeByDay(at('2025-07-15 08:00:00.250'), at('2025-07-15 09:30:00.900'))).toEqual(
+        [{ date: '2025-07-15', startTime: '08:00:00', endTime: '09:30:00' }]
+      );
+    });
+
+    it('should cut at local midnight and split whole days at noon', () => {
+      expect(splitRangeByDay(at('2025-07-15 22:00:00'), at('2025-07-17 01:00:00'))).toEqual([
+        { date: '2025-07-15', startTime: '22:00:00', endTime: '00:00:00' },
+        { date: '2025-07-16', startTime: '00:00:00', endTime: '12:00:00' },
+        { date: '2025-07-16', startTime: '12:00:00', endTime: '00:00:00' },
+        { date: '2025-07-17', startTime: '00:00:00', endTime: '01:00:00' },
+      ]);
+    });
+
+    it('should return nothing for an empty range', () => {
+      expect(splitRangeByDay(at('2025-07-15 08:00:00'), at('2025-07-15 08:00:00.500'))).toEqual([]);
+    });
+  });
+
+  describe('subtractRanges', () => {
+    const at = (time) => moment.tz(`2025-07-15 ${time}`, 'UTC');
+    const format = (ranges) =>
+      ranges.map(({ start, end }) => `${start.format('HH:mm')}-${end.format('HH:mm')}`);
+
+    it('should leave the parts of a range that other ranges do not cover', () => {
+      const covered = [
+        { start: at('09:00'), end: at('10:00') },
+        { start: at('07:00'), end: at('08:30') },
+        { start: at('09:30'), end: at('11:00') },
+      ];
+
+      expect(format(subtractRanges(at('08:00'), at('12:00'), covered))).toEqual([
+        '08:30-09:00',
+        '11:00-12:00',
+      ]);
+    });
+
+    it('should return nothing for a fully covered range', () => {
+      expect(
+        subtractRanges(at('08:00'), at('09:00'), [{ start: at('07:00'), end: at('10:00') }])
+      ).toEqual([]);
+    });
+  });
+
+  describe('findOverlappingSegments', () => {
+    it('should return overlapping segments with overlap minutes', () => {
+      const candidate = segment('new', '2025-07-15', '09:00:00', '10:00:00');
+      const existing = [
+        segment('a', '2025-07-15', '08:00:00', '09:30:00'),
+        segment('b', '2025-07-15', '10:00:00', '11:00:00'),
+      ];
+
+      const overlaps = findOverlappingSegments(candidate, existing);
+
+      expect(overlaps).toHaveLength(1);
+      expect(overlaps[0].segment._id).toEqual('a');
+      expect(overlaps[0].overlapMinutes).toEqual(30);
+    });
+
+    it('should detect overlaps with overnight segments from the previous day', () => {
+      const candidate = segment('new', '2025-07-16', '00:30:00', '02:00:00');
+      const existing = [segment('a', '2025-07-15', '22:00:00', '01:00:00')];
+
+      const overlaps = findOverlappingSegments(candidate, existing);
+
+      expect(overlaps).toHaveLength(1);
+      expect(overlaps[0].overlapMinutes).toEqual(30);
+    });
+
+    it('should ignore the candidate itself', () => {
+      const candidate = segment('a', '2025-07-15', '08:00:00', '09:00:00');
+
+      expect(findOverlappingSegments(candidate, [candidate])).toEqual([]);
+    });
+  });
+
+  describe('planOverlapResolution', () => {
+    const candidate = segment('new', '2025-07-15', '10:00:00', '11:00:00', 'downtime');
+    const enclosing = segment('a', '2025-07-15', '08:00:00', '12:00:00');
+
+    it('should trim an enclosing segment to the part before the candidate', () => {
+      const overlaps = findOverlappingSegments(candidate, [enclosing]);
+      const plan = planOverlapResolution(candidate, overlaps, 'trim');
+
+      expect(plan.update[0].changes).toEqual({
+        date: '2025-07-15',
+        startTime: '08:00:00',
+        endTime: '10:00:00',
+      });
+      expect(plan.create).toEqual([]);
+      expect(plan.remove).toEqual([]);
+    });
+
+    it('should split an enclosing segment around the candidate', () => {
+      const overlaps = findOverlappingSegments(candidate, [enclosing]);
+      const plan = planOverlapResolution(candidate, overlaps, 'split');
+
+      expect(plan.update[0].changes.endTime).toEqual('10:00:00');
+      expect(plan.create).toEqual([
+        {
+          machineName: 'M1',
+          segmentType: 'uptime',
+          timezone: 'Asia/Kolkata',
+          date: '2025-07-15',
+          startTime: '11:00:00',
+          endTime: '12:00:00',
+          totalCount: 0,
+          rejectCount: 0,
+        },
+      ]);
+    });
+
+    it('should carry the data of a split segment over to its tail', () => {
+      const counted = {
+        ...enclosing,
+        machine: 'machine-1',
+        reasonCode: 'SETUP',
+        notes: 'Tool change',
+        source: 'signal',
+        totalCount: 90,
+        rejectCount: 6,
+      };
+      const overlaps = findOverlappingSegments(candidate, [counted]);
+      const plan = planOverlapResolution(candidate, overlaps, 'split');
+
+      // Two hours before the candidate and one after share the counts
+      expect(plan.update[0].changes).toMatchObject({ totalCount: 60, rejectCount: 4 });
+      expect(plan.create[0]).toMatchObject({
+        machine: 'machine-1',
+        reasonCode: 'SETUP',
+        notes: 'Tool change',
+        source: 'signal',
+        totalCount: 30,
+        rejectCount: 2,
+      });
+    });
+
+    it('should move the start of a segment overlapping the candidate end', () => {
+      const later = segment('b', '2025-07-15', '10:30:00', '12:00:00');
+      const overlaps = findOverlappingSegments(candidate, [later]);
+      const plan = planOverlapResolution(candidate, overlaps, 'trim');
+
+      expect(plan.update[0].changes.startTime).toEqual('11:00:00');
+      expect(plan.update[0].changes.endTime).toEqual('12:00:00');
+    });
+
+    it('should keep the tail of a split open segment open', () => {
+      const open = segment('c', '2025-07-15', '08:00:00', null);
+      const overlaps = findOverlappingSegments(candidate, [open]);
+      const plan = planOverlapResolution(candidate, overlaps, 'split');
+
+      expect(plan.update[0].changes.endTime).toEqual('10:00:00');
+      expect(plan.create[0]).toMatchObject({ startTime: '11:00:00', endTime: null });
+    });
+
+    it('should remove overlapping segments in replace mode', () => {
+      const overlaps = findOverlappingSegments(candidate, [enclosing]);
+      const plan = planOverlapResolution(candidate, overlaps, 'replace');
+
+      expect(plan.remove).toEqual([enclosing]);
+      expect(plan.update).toEqual([]);
+    });
+
+    it('should throw for an unknown mode', () => {
+      expect(() => planOverlapResolution(candidate, [], 'merge')).toThrow();
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { getExpectedVersion, isVersionConflict, withoutServerFields } = require('../versionUtils');
+
+const request = (headers = {}, body = {}) => ({
+  body,
+  get: (name) => headers[name],
+});
+
+describe('Version Utilities', () => {
+  describe('getExpectedVersion', () => {
+    it('should read strong, weak and bare If-Match values', () => {
+      expect(getExpectedVersion(request({ 'If-Match': '"3"' }))).toBe(3);
+      expect(getExpectedVersion(request({ 'If-Match': 'W/"4"' }))).toBe(4);
+      expect(getExpectedVersion(request({ 'If-Match': '5' }))).toBe(5);
+    });
+
+    it('should prefer If-Match over the body version', () => {
+      expect(getExpectedVersion(request({ 'If-Match': '"2"' }, { __v: 7 }))).toBe(2);
+      expect(getExpectedVersion(request({}, { __v: 7 }))).toBe(7);
+    });
+
+    it('should not expect a version for a wildcard or a missing one', () => {
+      expect(getExpectedVersion(request({ 'If-Match': '*' }))).toBeUndefined();
+      expect(getExpectedVersion(request())).toBeUndefined();
+    });
+
+    it('should never match an unrecognised If-Match value', () => {
+      const expected = getExpectedVersion(request({ 'If-Match': '"abc"' }));
+      expect(isVersionConflict({ __v: 0 }, expected)).toBe(true);
+    });
+  });
+
+  describe('isVersionConflict', () => {
+    it('should only conflict when the stored version differs', () => {
+      expect(isVersionConflict({ __v: 3 }, 3)).toBe(false);
+      expect(isVersionConflict({ __v: 4 }, 3)).toBe(true);
+      expect(isVersionConflict({ __v: 4 }, undefined)).toBe(false);
+    });
+  });
+
+  describe('withoutServerFields', () => {
+    it('should drop __v and leave the body alone', () => {
+      const body = { segmentType: 'idle', __v: 2 };
+      expect(withoutServerFields(body)).toEqual({ segmentType: 'idle' });
+      expect(body.__v).toBe(2);
+    });
+
+    it('should drop the id, timestamps and soft-delete marks', () => {
+      const body = {
+        _id: '64b000000000000000000001',
+        segmentType: 'idle',
+        createdAt: '2025-07-01T00:00:00.000Z',
+        updatedAt: '2025-07-01T00:00:00.000Z',
+        deletedAt: '2025-07-02T00:00:00.000Z',
+        deletedBy: { username: 'operator' },
+      };
+      expect(withoutServerFields(body)).toEqual({ segmentType: 'idle' });
+    });
+  });
+});
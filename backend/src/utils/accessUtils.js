@@ -0,0 +1,83 @@
+/**
+ * Access Utility Functions
+ *
+ * Machine scoping and write rules for the signed-in user; a user with machineNames
+ * only sees and changes those machines (their cell)
+ */
+
+const moment = require('moment-timezone');
+const { hasPermission } = require('../config/permissions');
+const { getPlantTimezone } = require('./timeUtils');
+
+/**
+ * Check whether a user can access a machine
+ * @param {Object} user - Signed-in user (req.user)
+ * @param {String} machineName - Machine name
+ * @returns {Boolean} True if the machine is in the user's scope
+ */
+const canAccessMachine = (user, machineName) =>
+  !user.machineNames || user.machineNames.length === 0 || user.machineNames.includes(machineName);
+
+/**
+ * Restrict a query to the machines a user can access
+ * @param {Object} filter - MongoDB filter, modified in place
+ * @param {Object} user - Signed-in user (req.user)
+ * @param {String} [field='machineName'] - Field holding the machine name
+ * @returns {Object} The filter; a machine outside the scope matches nothing, and a list of
+ * machines (`$in`) is narrowed to those in the scope
+ */
+const scopeMachineFilter = (filter, user, field = 'machineName') => {
+  if (!user.machineNames || user.machineNames.length === 0) {
+    return filter;
+  }
+
+  const requested = filter[field];
+
+  if (typeof requested === 'string') {
+    filter[field] = canAccessMachine(user, requested) ? requested : { $in: [] };
+  } else if (requested && Array.isArray(requested.$in)) {
+    filter[field] = { $in: requested.$in.filter((name) => canAccessMachine(user, name)) };
+  } else {
+    filter[field] = { $in: user.machineNames };
+  }
+
+  return filter;
+};
+
+/**
+ * Get the machines a user is limited to
+ * @param {Object} user - Signed-in user (req.user)
+ * @returns {Array<String>|undefined} Machine names, or undefined for every machine
+ */
+const getMachineScope = (user) =>
+  user.machineNames && user.machineNames.length > 0 ? user.machineNames : undefined;
+
+/**
+ * Check whether a user may write a segment as it stands
+ *
+ * Call it with the stored segment before applying changes and again with the
+ * changes applied, so both the old and the new machine and date are checked.
+ * @param {Object} user - Signed-in user (req.user)
+ * @param {Object} segment - Segment with machineName, date and timezone
+ * @returns {String|null} Why the write is not allowed, or null if it is
+ */
+const getSegmentWriteError = (user, segment) => {
+  if (!canAccessMachine(user, segment.machineName)) {
+    return `You do not have access to machine ${segment.machineName}`;
+  }
+
+  const today = moment.tz(segment.timezone || getPlantTimezone()).format('YYYY-MM-DD');
+
+  if (segment.date < today && !hasPermission(user.role, 'segments:edit-past')) {
+    return 'You can only change segments dated today';
+  }
+
+  return null;
+};
+
+module.exports = {
+  canAccessMachine,
+  scopeMachineFilter,
+  getMachineScope,
+  getSegmentWriteError,
+};
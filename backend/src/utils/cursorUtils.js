@@ -0,0 +1,92 @@
+/**
+ * Cursor Utility Functions
+ *
+ * Cursor pagination for lists sorted by one field: the cursor names the sort
+ * field and the last item's value and id, so the next page starts right after
+ * it even while items are added or removed
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Encode the position after an item as an opaque cursor
+ * @param {Object} item - Last item of a page
+ * @param {String} field - Field the list is sorted by
+ * @returns {String} URL-safe cursor
+ */
+const encodeCursor = (item, field) => {
+  const value = item[field];
+
+  return Buffer.from(
+    JSON.stringify({
+      field,
+      value: value instanceof Date ? value.toISOString() : (value ?? null),
+      date: value instanceof Date,
+      id: item._id.toString(),
+    })
+  ).toString('base64url');
+};
+
+/**
+ * Check that a decoded value can only be compared, not read as a query
+ * operator: a string, a finite number, null for an item without the field,
+ * or an ISO date for a date cursor
+ * @param {*} value - Value from a cursor
+ * @param {Boolean} date - Whether the cursor was made for a date
+ * @returns {Boolean} True if the value is safe to query with
+ */
+const isCursorValue = (value, date) => {
+  if (date) {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+  }
+
+  return value === null || typeof value === 'string' || Number.isFinite(value);
+};
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {String} cursor - Cursor from a previous page
+ * @returns {Object|null} `{ field, value, id }`, or null if the cursor is not valid
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { field, value, date, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+
+    if (
+      typeof field !== 'string' ||
+      !isCursorValue(value, date) ||
+      !mongoose.Types.ObjectId.isValid(id)
+    ) {
+      return null;
+    }
+
+    return {
+      field,
+      value: date ? new Date(value) : value,
+      id: new mongoose.Types.ObjectId(id),
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the filter for the items after a cursor; ties on the sort field are
+ * broken by id, which the list must be sorted by second
+ * @param {Object} cursor - Result of decodeCursor
+ * @param {String} [order='asc'] - Sort order: asc or desc
+ * @returns {Object} MongoDB filter
+ */
+const buildCursorFilter = ({ field, value, id }, order = 'asc') => {
+  const after = order === 'desc' ? '$lt' : '$gt';
+
+  return {
+    $or: [{ [field]: { [after]: value } }, { [field]: value, _id: { [after]: id } }],
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+};
@@ -0,0 +1,238 @@
+/**
+ * Export Utility Functions
+ *
+ * Writes segments to CSV and XLSX streams and renders PDF segment reports
+ */
+
+const { Readable } = require('stream');
+const { pipeline, finished } = require('stream/promises');
+const { stringify } = require('csv-stringify');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const moment = require('moment-timezone');
+const { getPlantTimezone } = require('./timeUtils');
+const logger = require('./logger');
+
+// Columns of the raw segment export, in order
+const EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', width: 26 },
+  { key: 'date', header: 'Date', width: 12 },
+  { key: 'startTime', header: 'Start Time', width: 11 },
+  { key: 'endTime', header: 'End Time', width: 11 },
+  { key: 'machineName', header: 'Machine', width: 14 },
+  { key: 'segmentType', header: 'Type', width: 11 },
+  { key: 'timezone', header: 'Timezone', width: 18 },
+  { key: 'startAt', header: 'Start', width: 26 },
+  { key: 'endAt', header: 'End', width: 26 },
+  { key: 'durationMinutes', header: 'Duration (min)', width: 14 },
+];
+
+/**
+ * Flatten a segment into an export row
+ * @param {Object} segment - Lean segment document
+ * @param {String} [timezone] - Timezone to render start and end in, defaults to the segment's
+ * @returns {Object} Row keyed by export column
+ */
+const toExportRow = (segment, timezone) => {
+  const zone = timezone || segment.timezone || getPlantTimezone();
+
+  return {
+    id: String(segment._id),
+    date: segment.date,
+    startTime: segment.startTime,
+    endTime: segment.endTime,
+    machineName: segment.machineName,
+    segmentType: segment.segmentType,
+    timezone: segment.timezone,
+    startAt: segment.startAt ? moment.tz(segment.startAt, zone).format() : '',
+    endAt: segment.endAt ? moment.tz(segment.endAt, zone).format() : '',
+    durationMinutes:
+      segment.startAt && segment.endAt ? Math.round((segment.endAt - segment.startAt) / 60000) : '',
+  };
+};
+
+/**
+ * Turn a segment cursor into export rows
+ * @param {AsyncIterable} segments - Segment cursor
+ * @param {String} [timezone] - Timezone to render start and end in
+ */
+async function* exportRows(segments, timezone) {
+  for await (const segment of segments) {
+    yield toExportRow(segment, timezone);
+  }
+}
+
+/**
+ * Stream segments to a writable stream as CSV
+ * @param {AsyncIterable} segments - Segment cursor
+ * @param {Writable} stream - Destination, e.g. the HTTP response
+ * @param {String} [timezone] - Timezone to render start and end in
+ * @returns {Promise<void>} Resolves when the stream is finished
+ */
+const writeSegmentsCsv = async (segments, stream, timezone) => {
+  try {
+    await pipeline(
+      Readable.from(exportRows(segments, timezone)),
+      stringify({
+        header: true,
+        columns: EXPORT_COLUMNS.map(({ key, header }) => ({ key, header })),
+      }),
+      stream
+    );
+  } catch (error) {
+    logger.error(`Error writing CSV export: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Stream segments to a writable stream as an XLSX workbook
+ * @param {AsyncIterable} segments - Segment cursor
+ * @param {Writable} stream - Destination, e.g. the HTTP response
+ * @param {String} [timezone] - Timezone to render start and end in
+ * @returns {Promise<void>} Resolves when the workbook is written
+ */
+const writeSegmentsXlsx = async (segments, stream, timezone) => {
+  try {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const worksheet = workbook.addWorksheet('Segments');
+    worksheet.columns = EXPORT_COLUMNS;
+    worksheet.getRow(1).font = { bold: true };
+
+    for await (const row of exportRows(segments, timezone)) {
+      worksheet.addRow(row).commit();
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+  } catch (error) {
+    logger.error(`Error writing XLSX export: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Write a simple table to a PDF document
+ * @param {PDFDocument} doc - PDF document
+ * @param {Array<String>} headers - Column headers
+ * @param {Array<Array>} rows - Cell values
+ * @param {Array<Number>} widths - Column widths in points
+ */
+const writePdfTable = (doc, headers, rows, widths) => {
+  const left = doc.page.margins.left;
+
+  const writeRow = (cells, font) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+      doc.addPage();
+    }
+
+    const y = doc.y;
+    doc.font(font);
+    cells.forEach((cell, index) => {
+      const x = left + widths.slice(0, index).reduce((sum, width) => sum + width, 0);
+      doc.text(String(cell ?? ''), x, y, { width: widths[index] - 6, lineBreak: false });
+    });
+    doc.x = left;
+    doc.y = y + 16;
+  };
+
+  writeRow(headers, 'Helvetica-Bold');
+  rows.forEach((row) => writeRow(row, 'Helvetica'));
+
+  if (rows.length === 0) {
+    doc.font('Helvetica-Oblique').text('No segments', left);
+  }
+
+  doc.moveDown();
+};
+
+/**
+ * Render a segment report from statistics and per-machine analytics as a PDF
+ * @param {Object} report - Report contents
+ * @param {Object} report.stats - Output of the segment statistics aggregation
+ * @param {Array} report.analytics - Output of the segment analytics aggregation
+ * @param {Object} report.filters - Filters the report was built with
+ * @param {String} report.generatedAt - Formatted generation time
+ * @param {Writable} stream - Destination, e.g. the HTTP response
+ * @returns {Promise<void>} Resolves when the document is written
+ */
+const writeReportPdf = async ({ stats, analytics, filters, generatedAt }, stream) => {
+  try {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    doc.pipe(stream);
+
+    doc.font('Helvetica-Bold').fontSize(18).text('Segment Report');
+    doc.font('Helvetica').fontSize(9).fillColor('#555555');
+    doc.text(`Generated ${generatedAt}`);
+
+    const appliedFilters = Object.entries(filters).filter(([, value]) => value);
+    doc.text(
+      appliedFilters.length > 0
+        ? `Filters: ${appliedFilters.map(([key, value]) => `${key}=${value}`).join(', ')}`
+        : 'Filters: none'
+    );
+    doc.fillColor('#000000').fontSize(10).moveDown();
+
+    const { totals } = stats;
+    doc.font('Helvetica-Bold').fontSize(12).text('Summary');
+    doc.font('Helvetica').fontSize(10);
+    doc.text(`Segments: ${totals.totalSegments}`);
+    doc.text(`Machines: ${totals.uniqueMachineCount}`);
+    doc.text(`Days: ${totals.uniqueDateCount}`);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(12).text('By Segment Type');
+    doc.fontSize(10);
+    writePdfTable(
+      doc,
+      ['Type', 'Segments', 'Duration', 'Share'],
+      stats.byType.map((type) => [
+        type._id,
+        type.count,
+        type.formattedDuration,
+        `${type.percentage}%`,
+      ]),
+      [140, 100, 120, 100]
+    );
+
+    doc.font('Helvetica-Bold').fontSize(12).text('By Machine');
+    doc.fontSize(10);
+    const types = ['uptime', 'downtime', 'idle', 'select'];
+    writePdfTable(
+      doc,
+      ['Machine', 'Segments', ...types.map((type) => `${type} (h:mm)`)],
+      analytics.map((machine) => [
+        machine._id,
+        machine.totalSegments,
+        ...types.map((type) => {
+          const segment = machine.segments.find((entry) => entry.type === type);
+          return segment ? segment.formattedDuration.replace(/:00$/, '') : '-';
+        }),
+      ]),
+      [95, 70, 95, 95, 85, 75]
+    );
+
+    doc.font('Helvetica-Bold').fontSize(12).text('By Day');
+    doc.fontSize(10);
+    writePdfTable(
+      doc,
+      ['Day', 'Segments'],
+      stats.byDate.map((day) => [day._id, day.count]),
+      [140, 100]
+    );
+
+    doc.end();
+    await finished(stream);
+  } catch (error) {
+    logger.error(`Error writing PDF report: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  toExportRow,
+  writeSegmentsCsv,
+  writeSegmentsXlsx,
+  writeReportPdf,
+};
@@ -0,0 +1,252 @@
+/**
+ * Import Utility Functions
+ *
+ * Parses uploaded CSV and XLSX files and maps their rows to segment fields
+ */
+
+const path = require('path');
+const { parse } = require('csv-parse');
+const ExcelJS = require('exceljs');
+const moment = require('moment-timezone');
+const logger = require('./logger');
+
+// Column each segment field is read from unless the request maps it elsewhere
+const DEFAULT_COLUMN_MAPPING = {
+  date: 'date',
+  startTime: 'start',
+  endTime: 'end',
+  machineName: 'machine',
+  segmentType: 'type',
+};
+
+// Accepted date and time formats; day-first dates are assumed for DD-MM-YYYY style values
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD-MM-YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'YYYY/MM/DD'];
+const TIME_FORMATS = ['HH:mm:ss', 'H:mm:ss', 'HH:mm', 'H:mm'];
+
+/**
+ * Compare column headers regardless of case and surrounding whitespace
+ * @param {String} header - Column header
+ * @returns {String} Normalised header
+ */
+const normaliseHeader = (header) =>
+  String(header ?? '')
+    .trim()
+    .toLowerCase();
+
+/**
+ * Read the plain value of an ExcelJS cell, unwrapping formulas, rich text and hyperlinks
+ * @param {Object} cell - ExcelJS cell
+ * @returns {*} String, number, Date or undefined
+ */
+const getCellValue = (cell) => {
+  const { value } = cell;
+
+  if (value === null || value === undefined || value instanceof Date) {
+    return value ?? undefined;
+  }
+
+  if (typeof value === 'object') {
+    if (value.richText) {
+      return value.richText.map((part) => part.text).join('');
+    }
+    return value.result ?? value.text;
+  }
+
+  return value;
+};
+
+/**
+ * Parse a CSV file into rows keyed by column header
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} Headers and rows with their line numbers
+ */
+const parseCsv = (buffer) =>
+  new Promise((resolve, reject) => {
+    let headers = [];
+
+    const options = {
+      bom: true,
+      columns: (header) => {
+        headers = header.map((column) => String(column).trim());
+        return headers;
+      },
+      info: true,
+      relax_column_count: true,
+      skip_empty_lines: true,
+      trim: true,
+    };
+
+    parse(buffer, options, (err, records) => {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve({
+        headers,
+        rows: records.map(({ record, info }) => ({ row: info.lines, values: record })),
+      });
+    });
+  });
+
+/**
+ * Parse the first worksheet of an XLSX file into rows keyed by column header
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} Headers and rows with their row numbers
+ */
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  const headers = [];
+  const rows = [];
+
+  if (!worksheet) {
+    return { headers, rows };
+  }
+
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) {
+      row.eachCell((cell, columnNumber) => {
+        headers[columnNumber - 1] = String(getCellValue(cell) ?? '').trim();
+      });
+      return;
+    }
+
+    const values = {};
+    headers.forEach((header, index) => {
+      if (header) {
+        values[header] = getCellValue(row.getCell(index + 1));
+      }
+    });
+
+    rows.push({ row: rowNumber, values });
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+/**
+ * Parse an uploaded CSV or XLSX file; the first row must hold the column headers
+ * @param {Buffer} buffer - File contents
+ * @param {String} filename - Original file name, used to pick the parser
+ * @returns {Promise<Object>} `{ headers, rows: [{ row, values }] }`
+ */
+const parseImportFile = async (buffer, filename) => {
+  try {
+    const extension = path.extname(filename || '').toLowerCase();
+
+    if (extension === '.csv') {
+      return await parseCsv(buffer);
+    }
+
+    if (extension === '.xlsx') {
+      return await parseXlsx(buffer);
+    }
+
+    throw new Error(`Unsupported import file type "${extension}"`);
+  } catch (error) {
+    logger.error(`Error parsing import file: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Merge a requested column mapping over the default one
+ * @param {Object} [mapping] - Segment field to column header
+ * @returns {Object} Complete column mapping
+ */
+const resolveColumnMapping = (mapping = {}) => ({ ...DEFAULT_COLUMN_MAPPING, ...mapping });
+
+/**
+ * List the mapped columns that are not present in a file
+ * @param {Array<String>} headers - Column headers of the file
+ * @param {Object} mapping - Complete column mapping
+ * @returns {Array<Object>} `{ field, column }` for every missing column
+ */
+const findMissingColumns = (headers, mapping) => {
+  const available = new Set(headers.map(normaliseHeader));
+
+  return Object.entries(mapping)
+    .filter(([, column]) => !available.has(normaliseHeader(column)))
+    .map(([field, column]) => ({ field, column }));
+};
+
+/**
+ * Convert a date cell to YYYY-MM-DD
+ * @param {*} value - String or Date read from the file
+ * @returns {String} Normalised date, or the trimmed input if it cannot be parsed
+ */
+const normaliseDate = (value) => {
+  if (value instanceof Date) {
+    // Spreadsheet dates carry no timezone and are read as UTC
+    return moment.utc(value).format('YYYY-MM-DD');
+  }
+
+  const text = String(value ?? '').trim();
+  const parsed = moment(text, DATE_FORMATS, true);
+
+  return parsed.isValid() ? parsed.format('YYYY-MM-DD') : text;
+};
+
+/**
+ * Convert a time cell to HH:MM:SS
+ * @param {*} value - String, Date or fraction of a day read from the file
+ * @returns {String} Normalised time, or the trimmed input if it cannot be parsed
+ */
+const normaliseTime = (value) => {
+  if (value instanceof Date) {
+    return moment.utc(value).format('HH:mm:ss');
+  }
+
+  // Unformatted spreadsheet times are stored as a fraction of a day
+  if (typeof value === 'number' && value >= 0 && value < 1) {
+    return moment
+      .utc(0)
+      .add(Math.round(value * 86400), 'seconds')
+      .format('HH:mm:ss');
+  }
+
+  const text = String(value ?? '').trim();
+  const parsed = moment(text, TIME_FORMATS, true);
+
+  return parsed.isValid() ? parsed.format('HH:mm:ss') : text;
+};
+
+/**
+ * Map a parsed row to segment fields using a column mapping
+ * @param {Object} values - Row values keyed by column header
+ * @param {Object} mapping - Complete column mapping
+ * @returns {Object} Segment data with normalised date, times and type
+ */
+const mapImportRow = (values, mapping) => {
+  const headers = Object.keys(values).reduce((lookup, header) => {
+    lookup[normaliseHeader(header)] = header;
+    return lookup;
+  }, {});
+
+  const read = (field) => {
+    const header = headers[normaliseHeader(mapping[field])];
+    return header === undefined ? undefined : values[header];
+  };
+
+  return {
+    date: normaliseDate(read('date')),
+    startTime: normaliseTime(read('startTime')),
+    endTime: normaliseTime(read('endTime')),
+    machineName: String(read('machineName') ?? '').trim(),
+    segmentType: String(read('segmentType') ?? '')
+      .trim()
+      .toLowerCase(),
+  };
+};
+
+module.exports = {
+  DEFAULT_COLUMN_MAPPING,
+  parseImportFile,
+  resolveColumnMapping,
+  findMissingColumns,
+  normaliseDate,
+  normaliseTime,
+  mapImportRow,
+};
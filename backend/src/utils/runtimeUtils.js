@@ -0,0 +1,81 @@
+/**
+ * Runtime Utility Functions
+ *
+ * Run hours, starts and hours since the last service of a machine, counted from
+ * its uptime segments
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get the part of a segment its machine's runtime counters are kept from
+ * @param {Object} segment - Segment
+ * @returns {Object|null} `{ id, machine, startAt, endAt }` for a live uptime segment,
+ * otherwise null as the segment does not count
+ */
+const getRuntimeState = (segment) =>
+  segment.segmentType === 'uptime' && !segment.deletedAt && segment.machine && segment.startAt
+    ? {
+        id: segment._id,
+        machine: segment.machine,
+        startAt: segment.startAt,
+        endAt: segment.endAt || null,
+      }
+    : null;
+
+/**
+ * Check whether two runtime states count the same towards the counters
+ * @param {Object|null} a - Result of getRuntimeState
+ * @param {Object|null} b - Result of getRuntimeState
+ * @returns {Boolean} True if they are the same
+ */
+const isSameRuntimeState = (a, b) => {
+  if (!a || !b) {
+    return a === b;
+  }
+
+  return (
+    String(a.machine) === String(b.machine) &&
+    a.startAt.getTime() === b.startAt.getTime() &&
+    (a.endAt && a.endAt.getTime()) === (b.endAt && b.endAt.getTime())
+  );
+};
+
+/**
+ * Count the runtime of a machine from all of its uptime segments. A segment
+ * carrying on from one that ends where it starts, e.g. at midnight, is not a
+ * new start, and open segments add no hours until they are closed
+ * @param {Array<Object>} segments - Uptime segments with startAt and endAt, by start time
+ * @param {Date} [lastServiceDate] - Last service; hours since service count from here
+ * @returns {Object} `{ runHours, starts, hoursSinceService }`
+ */
+const countRuntime = (segments, lastServiceDate) => {
+  const since = lastServiceDate ? new Date(lastServiceDate).getTime() : 0;
+  const ends = new Set();
+  const counters = { runHours: 0, starts: 0, hoursSinceService: 0 };
+
+  segments.forEach((segment) => {
+    const startAt = segment.startAt.getTime();
+
+    if (!ends.has(startAt)) {
+      counters.starts += 1;
+    }
+
+    if (segment.endAt) {
+      const endAt = segment.endAt.getTime();
+
+      ends.add(endAt);
+      counters.runHours += (endAt - startAt) / HOUR_MS;
+      counters.hoursSinceService += Math.max(0, endAt - Math.max(startAt, since)) / HOUR_MS;
+    }
+  });
+
+  return counters;
+};
+
+module.exports = {
+  HOUR_MS,
+  getRuntimeState,
+  isSameRuntimeState,
+  countRuntime,
+};
@@ -0,0 +1,214 @@
+/**
+ * Shift Utility Functions
+ *
+ * Turns a shift pattern into concrete shift instances and splits segment time
+ * across the shifts it falls into
+ */
+
+const moment = require('moment-timezone');
+const { DEFAULT_SHIFTS } = require('../config/shifts');
+const { parseDateTime } = require('./timeUtils');
+
+const MINUTES_PER_DAY = 1440;
+
+// Pattern used for machines without an active shift pattern
+const DEFAULT_SHIFT_PATTERN = {
+  name: 'Default',
+  shifts: DEFAULT_SHIFTS,
+  weeklySchedule: [],
+  crews: [],
+  holidays: [],
+};
+
+/**
+ * Convert an HH:MM:SS time to minutes after midnight
+ * @param {String} time - Time in HH:MM:SS format
+ * @returns {Number} Minutes after midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+
+  return hours * 60 + minutes + seconds / 60;
+};
+
+/**
+ * Find shifts of a pattern whose hours overlap; a shift whose end is not after
+ * its start runs into the next day
+ * @param {Array<Object>} shifts - Shifts `{ name, startTime, endTime }`
+ * @returns {Array<Array<String>>} Names of each overlapping pair
+ */
+const findOverlappingShifts = (shifts) => {
+  const ranges = shifts.map((shift) => {
+    const start = toMinutes(shift.startTime);
+    const end = toMinutes(shift.endTime);
+
+    return { name: shift.name, start, end: end > start ? end : end + MINUTES_PER_DAY };
+  });
+
+  const overlaps = [];
+
+  ranges.forEach((a, i) => {
+    ranges.slice(i + 1).forEach((b) => {
+      // Compare against the other shift on the previous, same and next day
+      const overlapping = [-MINUTES_PER_DAY, 0, MINUTES_PER_DAY].some(
+        (offset) => a.start < b.end + offset && b.start + offset < a.end
+      );
+
+      if (overlapping) {
+        overlaps.push([a.name, b.name]);
+      }
+    });
+  });
+
+  return overlaps;
+};
+
+/**
+ * Pick the pattern that applies to a machine: one listing the machine, otherwise a
+ * plant-wide pattern (no machines listed), otherwise the default pattern
+ * @param {Array<Object>} patterns - Active shift patterns
+ * @param {String} machineName - Machine name
+ * @returns {Object} Shift pattern
+ */
+const selectShiftPattern = (patterns, machineName) =>
+  patterns.find((pattern) => (pattern.machineNames || []).includes(machineName)) ||
+  patterns.find((pattern) => !pattern.machineNames || pattern.machineNames.length === 0) ||
+  DEFAULT_SHIFT_PATTERN;
+
+/**
+ * Get the crew working a shift on a date; crews rotate one place every
+ * rotationDays days counted from rotationStartDate
+ * @param {Object} pattern - Shift pattern
+ * @param {Number} shiftIndex - Position of the shift in the pattern
+ * @param {String} date - Date the shift starts on (YYYY-MM-DD)
+ * @returns {String|null} Crew name, or null when the pattern has no crews
+ */
+const getCrew = (pattern, shiftIndex, date) => {
+  const crews = pattern.crews || [];
+
+  if (crews.length === 0) {
+    return null;
+  }
+
+  const rotationDays = pattern.rotationDays || 7;
+  const elapsedDays = pattern.rotationStartDate
+    ? moment.utc(date).diff(moment.utc(pattern.rotationStartDate), 'days')
+    : 0;
+  const rotation = Math.floor(elapsedDays / rotationDays);
+
+  return crews[(((shiftIndex + rotation) % crews.length) + crews.length) % crews.length];
+};
+
+/**
+ * Get the shifts of a pattern that run on a date: none on holidays, the weekly
+ * schedule's shifts on days it lists, otherwise every shift
+ * @param {Object} pattern - Shift pattern
+ * @param {String} date - Date in YYYY-MM-DD format
+ * @returns {Array<Object>} `{ shift, crew }` per running shift
+ */
+const getShiftsForDate = (pattern, date) => {
+  if ((pattern.holidays || []).some((holiday) => holiday.date === date)) {
+    return [];
+  }
+
+  const dayOfWeek = moment.utc(date).day();
+  const schedule = (pattern.weeklySchedule || []).find((day) => day.dayOfWeek === dayOfWeek);
+
+  return pattern.shifts
+    .map((shift, index) => ({ shift, crew: getCrew(pattern, index, date) }))
+    .filter(({ shift }) => !schedule || schedule.shifts.includes(shift.name));
+};
+
+/**
+ * List the shifts of a pattern starting on each day of a date range
+ * @param {Object} pattern - Shift pattern
+ * @param {String} startDate - First day in YYYY-MM-DD format
+ * @param {String} endDate - Last day in YYYY-MM-DD format
+ * @param {String} timezone - IANA timezone the shift times are in
+ * @returns {Array<Object>} `{ date, shift, crew, start, end }` with epoch milliseconds; a
+ * shift belongs to the day it starts on
+ */
+const getShiftInstances = (pattern, startDate, endDate, timezone) => {
+  const instances = [];
+
+  for (
+    const day = moment.utc(startDate, 'YYYY-MM-DD');
+    day.format('YYYY-MM-DD') <= endDate;
+    day.add(1, 'day')
+  ) {
+    const date = day.format('YYYY-MM-DD');
+
+    getShiftsForDate(pattern, date).forEach(({ shift, crew }) => {
+      const start = parseDateTime(date, shift.startTime, timezone);
+      const end = parseDateTime(date, shift.endTime, timezone);
+
+      if (!end.isAfter(start)) {
+        end.add(1, 'day');
+      }
+
+      instances.push({ date, shift: shift.name, crew, start: start.valueOf(), end: end.valueOf() });
+    });
+  }
+
+  return instances;
+};
+
+/**
+ * Split a time range across the shift instances it overlaps; time outside every
+ * shift (days off, holidays, gaps between shifts) is not allocated
+ * @param {Date|Number} start - Start of the range
+ * @param {Date|Number} end - End of the range
+ * @param {Array<Object>} instances - Shift instances from getShiftInstances
+ * @returns {Array<Object>} `{ name, date, crew, startAt, endAt, minutes }` in time order
+ */
+const allocateToShifts = (start, end, instances) => {
+  const rangeStart = new Date(start).getTime();
+  const rangeEnd = new Date(end).getTime();
+
+  return instances
+    .filter((instance) => instance.start < rangeEnd && rangeStart < instance.end)
+    .sort((a, b) => a.start - b.start)
+    .map((instance) => {
+      const startAt = Math.max(rangeStart, instance.start);
+      const endAt = Math.min(rangeEnd, instance.end);
+
+      return {
+        name: instance.shift,
+        date: instance.date,
+        crew: instance.crew,
+        startAt: new Date(startAt),
+        endAt: new Date(endAt),
+        minutes: Math.round((endAt - startAt) / 600) / 100,
+      };
+    });
+};
+
+/**
+ * Allocate a segment's time to the shifts of a pattern
+ * @param {Object} segment - Segment with date, startAt, endAt and timezone
+ * @param {Object} pattern - Shift pattern
+ * @returns {Array<Object>} Shift allocations from allocateToShifts
+ */
+const allocateSegmentToShifts = (segment, pattern) => {
+  // Shifts starting the day before can run into the segment's date, and the
+  // segment itself can run into the next day
+  const instances = getShiftInstances(
+    pattern,
+    moment.utc(segment.date).subtract(1, 'day').format('YYYY-MM-DD'),
+    moment.utc(segment.date).add(1, 'day').format('YYYY-MM-DD'),
+    segment.timezone
+  );
+
+  return allocateToShifts(segment.startAt, segment.endAt, instances);
+};
+
+module.exports = {
+  DEFAULT_SHIFT_PATTERN,
+  findOverlappingShifts,
+  selectShiftPattern,
+  getCrew,
+  getShiftsForDate,
+  getShiftInstances,
+  allocateToShifts,
+  allocateSegmentToShifts,
+};
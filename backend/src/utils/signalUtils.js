@@ -0,0 +1,118 @@
+/**
+ * Signal Utility Functions
+ *
+ * State machine turning a machine's run/stop/fault signal into the intervals
+ * it spent in each state. A change of state is only confirmed once the new
+ * state has held for the debounce period, so a signal flapping back within it
+ * is ignored.
+ */
+
+// Segment type recorded for the time a machine spends in each signal state
+const STATE_SEGMENT_TYPES = {
+  run: 'uptime',
+  stop: 'idle',
+  fault: 'downtime',
+};
+
+const SIGNAL_STATES = Object.keys(STATE_SEGMENT_TYPES);
+
+/**
+ * Confirm a pending change of state, closing the interval of the current state
+ * @param {Object} current - Signal state `{ state, since, pending, lastEventAt }`
+ * @returns {Object} `{ next, interval }`; interval is `{ state, from, to }`
+ */
+const confirmTransition = (current) => {
+  const { state, at } = current.pending;
+
+  return {
+    next: { ...current, state, since: at, pending: null },
+    interval: { state: current.state, from: current.since, to: at },
+  };
+};
+
+/**
+ * Check whether a pending change has held for the debounce period
+ * @param {Object} current - Signal state
+ * @param {Date} time - Time to check at
+ * @param {Number} debounceMs - Debounce period in milliseconds
+ * @returns {Boolean} True if the change can be confirmed
+ */
+const hasSettled = (current, time, debounceMs) =>
+  Boolean(current.pending) && time.getTime() - current.pending.at.getTime() >= debounceMs;
+
+/**
+ * Apply one signal event to a machine's signal state
+ * @param {Object|null} current - Signal state, null before the machine's first event
+ * @param {Object} event - `{ state, timestamp }` with timestamp a Date
+ * @param {Number} debounceMs - Debounce period in milliseconds
+ * @returns {Object} `{ next, intervals, late }`; intervals lists the closed
+ * `{ state, from, to }` intervals, late is true for an event older than the last
+ * one applied (which leaves the state unchanged)
+ */
+const applySignal = (current, event, debounceMs) => {
+  const { state, timestamp } = event;
+
+  if (!current) {
+    return {
+      next: { state, since: timestamp, pending: null, lastEventAt: timestamp },
+      intervals: [],
+      late: false,
+    };
+  }
+
+  if (timestamp < current.lastEventAt) {
+    return { next: current, intervals: [], late: true };
+  }
+
+  const intervals = [];
+  let next = { ...current, lastEventAt: timestamp };
+
+  if (hasSettled(next, timestamp, debounceMs)) {
+    const confirmed = confirmTransition(next);
+    next = confirmed.next;
+    intervals.push(confirmed.interval);
+  }
+
+  if (state === next.state) {
+    // Back to the current state within the debounce period
+    next.pending = null;
+  } else if (next.pending) {
+    // Still away from the current state; the change dates from when it left it
+    next.pending = { ...next.pending, state };
+  } else {
+    next.pending = { state, at: timestamp };
+  }
+
+  if (hasSettled(next, timestamp, debounceMs)) {
+    const confirmed = confirmTransition(next);
+    next = confirmed.next;
+    intervals.push(confirmed.interval);
+  }
+
+  return { next, intervals, late: false };
+};
+
+/**
+ * Confirm a pending change that has held for the debounce period without a
+ * further event, e.g. from a signal that only reports changes
+ * @param {Object} current - Signal state
+ * @param {Date} now - Current time
+ * @param {Number} debounceMs - Debounce period in milliseconds
+ * @returns {Object} `{ next, intervals }`
+ */
+const settleSignal = (current, now, debounceMs) => {
+  if (!hasSettled(current, now, debounceMs)) {
+    return { next: current, intervals: [] };
+  }
+
+  const { next, interval } = confirmTransition(current);
+
+  return { next, intervals: [interval] };
+};
+
+module.exports = {
+  STATE_SEGMENT_TYPES,
+  SIGNAL_STATES,
+  applySignal,
+  settleSignal,
+};
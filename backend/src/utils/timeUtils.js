@@ -4,21 +4,62 @@
  * Utility functions for time calculations and validations
  */
 
-const moment = require("moment");
+const moment = require("moment-timezone");
 const logger = require("./logger");
 
+// Fields the tail of a split segment carries on; times and counts are set apart
+const SEGMENT_DATA_FIELDS = [
+  "machineName",
+  "machine",
+  "segmentType",
+  "reasonCode",
+  "notes",
+  "source",
+  "timezone",
+];
+
+/**
+ * Get the IANA timezone of the plant, used for machines without their own
+ * timezone (PLANT_TIMEZONE, falling back to the server's zone)
+ *
+ * @returns {String} Timezone name
+ */
+const getPlantTimezone = () => process.env.PLANT_TIMEZONE || moment.tz.guess();
+
+/**
+ * Check if a string is a known IANA timezone (e.g. "Asia/Kolkata")
+ *
+ * @param {String} timezone - Timezone name
+ * @returns {Boolean} True if valid, false if invalid
+ */
+const isValidTimezone = (timezone) =>
+  Boolean(timezone && moment.tz.zone(timezone));
+
+/**
+ * Interpret a date and time string as wall-clock time in a timezone
+ *
+ * @param {String} date - Date in YYYY-MM-DD format
+ * @param {String} time - Time in HH:MM:SS format
+ * @param {String} timezone - IANA timezone (defaults to the plant timezone)
+ * @returns {Object} Moment in the given timezone
+ */
+const parseDateTime = (date, time, timezone = getPlantTimezone()) =>
+  moment.tz(`${date}T${time}`, "YYYY-MM-DDTHH:mm:ss", timezone);
+
 /**
  * Calculate duration between two times in minutes
  *
  * @param {String} startTime - Start time in HH:MM:SS format
  * @param {String} endTime - End time in HH:MM:SS format
  * @param {String} date - Date in YYYY-MM-DD format (for context)
+ * @param {String} timezone - IANA timezone the times are in (for DST transitions)
  * @returns {Number} Duration in minutes
  */
 const calculateDuration = (
   startTime,
   endTime,
-  date = moment().format("YYYY-MM-DD")
+  date = moment.tz(getPlantTimezone()).format("YYYY-MM-DD"),
+  timezone = getPlantTimezone()
 ) => {
   try {
     if (!startTime || !endTime) {
@@ -30,13 +71,12 @@ const calculateDuration = (
       throw new Error("Invalid time format. Use HH:MM:SS");
     }
 
-    const start = moment(`${date}T${startTime}`);
-    const end = moment(`${date}T${endTime}`);
-
-    // Handle case where end time is on the next day
-    if (end.isBefore(start)) {
-      end.add(1, "day");
-    }
+    const { start, end } = getSegmentRange({
+      date,
+      startTime,
+      endTime,
+      timezone,
+    });
 
     return end.diff(start, "minutes");
   } catch (error) {
@@ -79,12 +119,14 @@ const formatDuration = (minutes) => {
  * @param {String} startTime - Start time in HH:MM:SS format
  * @param {String} endTime - End time in HH:MM:SS format
  * @param {String} date - Date in YYYY-MM-DD format (for context)
+ * @param {String} timezone - IANA timezone the times are in
  * @returns {Boolean} True if valid, throws error if invalid
  */
 const validateTimeRange = (
   startTime,
   endTime,
-  date = moment().format("YYYY-MM-DD")
+  date = moment.tz(getPlantTimezone()).format("YYYY-MM-DD"),
+  timezone = getPlantTimezone()
 ) => {
   try {
     if (!startTime || !endTime) {
@@ -96,8 +138,8 @@ const validateTimeRange = (
       throw new Error("Invalid time format. Use HH:MM:SS");
     }
 
-    const start = moment(`${date}T${startTime}`);
-    const end = moment(`${date}T${endTime}`);
+    const start = parseDateTime(date, startTime, timezone);
+    const end = parseDateTime(date, endTime, timezone);
 
     // Handle case where end time is on the next day
     let endAdjusted = end.clone();
@@ -148,19 +190,8 @@ const checkOverlaps = (segments, machineName) => {
       const current = sortedSegments[i];
       const next = sortedSegments[i + 1];
 
-      const currentStart = moment(`${current.date}T${current.startTime}`);
-      const currentEnd = moment(`${current.date}T${current.endTime}`);
-      const nextStart = moment(`${next.date}T${next.startTime}`);
-      const nextEnd = moment(`${next.date}T${next.endTime}`);
-
-      // Handle case where end time is on the next day
-      if (currentEnd.isBefore(currentStart)) {
-        currentEnd.add(1, "day");
-      }
-
-      if (nextEnd.isBefore(nextStart)) {
-        nextEnd.add(1, "day");
-      }
+      const { end: currentEnd } = getSegmentRange(current);
+      const { start: nextStart } = getSegmentRange(next);
 
       // Check if segments overlap
       if (currentEnd.isAfter(nextStart)) {
@@ -226,11 +257,8 @@ const calculateTotalDurations = (segments) => {
     };
 
     segments.forEach((segment) => {
-      const duration = calculateDuration(
-        segment.startTime,
-        segment.endTime,
-        segment.date
-      );
+      const { start, end } = getSegmentRange(segment);
+      const duration = end.diff(start, "minutes");
 
       if (segment.segmentType in totals) {
         totals[segment.segmentType] += duration;
@@ -283,6 +311,289 @@ const sortSegmentsChronologically = (segments) => {
   }
 };
 
+/**
+ * Get the start and end moments of a segment
+ *
+ * Uses the canonical startAt/endAt timestamps when present, otherwise derives
+ * them from the date and time strings (an end time before the start time means
+ * the segment ends on the next day). An open segment, without an end time,
+ * runs until now. Both moments are in the segment's timezone, falling back to
+ * the plant timezone.
+ *
+ * @param {Object} segment - Segment object with startAt/endAt or date, startTime and endTime
+ * @returns {Object} Object with start and end moments
+ */
+const getSegmentRange = (segment) => {
+  const timezone = segment.timezone || getPlantTimezone();
+
+  if (isOpenSegment(segment)) {
+    const start = segment.startAt
+      ? moment.tz(segment.startAt, timezone)
+      : parseDateTime(segment.date, segment.startTime, timezone);
+
+    return { start, end: moment.max(start, moment.tz(timezone)) };
+  }
+
+  if (segment.startAt && segment.endAt) {
+    return {
+      start: moment.tz(segment.startAt, timezone),
+      end: moment.tz(segment.endAt, timezone),
+    };
+  }
+
+  const start = parseDateTime(segment.date, segment.startTime, timezone);
+  const end = parseDateTime(segment.date, segment.endTime, timezone);
+
+  // Handle case where end time is on the next day
+  if (end.isBefore(start)) {
+    end.add(1, "day");
+  }
+
+  return { start, end };
+};
+
+/**
+ * Check whether a segment is still open, i.e. has no end time yet
+ *
+ * @param {Object} segment - Segment object
+ * @returns {Boolean} True if the segment is open
+ */
+const isOpenSegment = (segment) => !segment.endTime && !segment.endAt;
+
+/**
+ * Convert a start/end moment pair back into segment date and time fields
+ *
+ * @param {Object} start - Start moment
+ * @param {Object} end - End moment
+ * @returns {Object} Object with date, startTime and endTime
+ */
+const toSegmentFields = (start, end) => ({
+  date: start.format("YYYY-MM-DD"),
+  startTime: start.format("HH:mm:ss"),
+  endTime: end.format("HH:mm:ss"),
+});
+
+/**
+ * Get the date and time fields of the part of a segment left after a cut;
+ * the part left of an open segment stays open
+ *
+ * @param {Object} segment - Segment being cut
+ * @param {Object} start - Start moment of the part left
+ * @param {Object} end - End moment of the part left
+ * @returns {Object} Object with date, startTime and endTime
+ */
+const toTailFields = (segment, start, end) =>
+  isOpenSegment(segment)
+    ? { ...toSegmentFields(start, end), endTime: null }
+    : toSegmentFields(start, end);
+
+/**
+ * Share a segment's production counts between the two parts it is cut into,
+ * by duration; neither part ends up with more rejects than units
+ *
+ * @param {Object} segment - Segment being cut, with totalCount and rejectCount
+ * @param {Number} share - Fraction of the duration that goes to the first part
+ * @returns {Array} `[head, tail]`, each with totalCount and rejectCount
+ */
+const shareCounts = (segment, share) => {
+  const totalCount = segment.totalCount || 0;
+  const rejectCount = segment.rejectCount || 0;
+  const headTotal = Math.round(totalCount * share);
+  const headRejects = Math.min(
+    Math.max(
+      Math.round(rejectCount * share),
+      rejectCount - (totalCount - headTotal)
+    ),
+    headTotal
+  );
+
+  return [
+    { totalCount: headTotal, rejectCount: headRejects },
+    {
+      totalCount: totalCount - headTotal,
+      rejectCount: rejectCount - headRejects,
+    },
+  ];
+};
+
+/**
+ * Split a time range into segment date and time fields, one per local day
+ *
+ * Segments cannot last a whole day or longer, so the range is cut at midnight
+ * in the moments' timezone and a whole day is cut again at noon.
+ *
+ * @param {Object} start - Start moment, in the timezone to split in
+ * @param {Object} end - End moment
+ * @returns {Array} Array of { date, startTime, endTime } objects, in order
+ */
+const splitRangeByDay = (start, end) => {
+  const chunks = [];
+  let chunkStart = start.clone().startOf("second");
+  const rangeEnd = end.clone().startOf("second");
+
+  while (chunkStart.isBefore(rangeEnd)) {
+    const midnight = chunkStart.clone().add(1, "day").startOf("day");
+    const chunkEnd = moment.min(rangeEnd, midnight);
+
+    if (chunkStart.format("HH:mm:ss") === chunkEnd.format("HH:mm:ss")) {
+      const noon = chunkStart.clone().hour(12);
+      chunks.push(
+        toSegmentFields(chunkStart, noon),
+        toSegmentFields(noon, chunkEnd)
+      );
+    } else {
+      chunks.push(toSegmentFields(chunkStart, chunkEnd));
+    }
+
+    chunkStart = chunkEnd;
+  }
+
+  return chunks;
+};
+
+/**
+ * Remove the parts of a time range covered by other ranges
+ *
+ * @param {Object} start - Start moment
+ * @param {Object} end - End moment
+ * @param {Array} ranges - Array of { start, end } moments to leave out
+ * @returns {Array} Array of { start, end } moments left uncovered, in order
+ */
+const subtractRanges = (start, end, ranges) => {
+  const free = [];
+  let cursor = start.clone();
+
+  [...ranges]
+    .sort((a, b) => a.start.valueOf() - b.start.valueOf())
+    .forEach((range) => {
+      if (range.start.isAfter(cursor)) {
+        free.push({ start: cursor, end: moment.min(range.start, end) });
+      }
+      cursor = moment.max(cursor, range.end);
+    });
+
+  if (cursor.isBefore(end)) {
+    free.push({ start: cursor, end: end.clone() });
+  }
+
+  return free.filter((range) => range.start.isBefore(range.end));
+};
+
+/**
+ * Find the existing segments that overlap a candidate segment
+ *
+ * @param {Object} candidate - Segment being created or updated
+ * @param {Array} segments - Existing segments of the same machine
+ * @returns {Array} Array of { segment, overlapMinutes } objects
+ */
+const findOverlappingSegments = (candidate, segments) => {
+  try {
+    if (!Array.isArray(segments)) {
+      throw new Error("Segments must be an array");
+    }
+
+    const { start, end } = getSegmentRange(candidate);
+
+    return sortSegmentsChronologically(segments)
+      .filter(
+        (segment) =>
+          !candidate._id || String(segment._id) !== String(candidate._id)
+      )
+      .map((segment) => {
+        const range = getSegmentRange(segment);
+        const overlapStart = moment.max(start, range.start);
+        const overlapEnd = moment.min(end, range.end);
+
+        return {
+          segment,
+          overlapMinutes: overlapEnd.diff(overlapStart, "minutes", true),
+        };
+      })
+      .filter((overlap) => overlap.overlapMinutes > 0)
+      .map((overlap) => ({
+        ...overlap,
+        overlapMinutes: Math.round(overlap.overlapMinutes),
+      }));
+  } catch (error) {
+    logger.error(`Error finding overlapping segments: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Plan how to resolve overlaps between a candidate and its neighbours
+ *
+ * Modes:
+ * - trim: shorten neighbours so they stop at the candidate's edges. A neighbour
+ *   that encloses the candidate keeps only the part before it.
+ * - split: like trim, but a neighbour that encloses the candidate is split in
+ *   two around it.
+ * - replace: remove every overlapping neighbour.
+ *
+ * Neighbours that lie entirely within the candidate are removed in every mode.
+ *
+ * @param {Object} candidate - Segment being created or updated
+ * @param {Array} overlaps - Result of findOverlappingSegments
+ * @param {String} mode - One of trim, split or replace
+ * @returns {Object} Object with update, create and remove arrays
+ */
+const planOverlapResolution = (candidate, overlaps, mode) => {
+  try {
+    if (!["trim", "split", "replace"].includes(mode)) {
+      throw new Error(`Unknown overlap resolution mode: ${mode}`);
+    }
+
+    const { start, end } = getSegmentRange(candidate);
+    const plan = { update: [], create: [], remove: [] };
+
+    overlaps.forEach(({ segment }) => {
+      const range = getSegmentRange(segment);
+      const hasHead = range.start.isBefore(start);
+      const hasTail = range.end.isAfter(end);
+
+      if (mode === "replace" || (!hasHead && !hasTail)) {
+        plan.remove.push(segment);
+      } else if (hasHead && hasTail && mode === "split") {
+        // The tail carries on the segment, sharing its counts with the head
+        const [headCounts, tailCounts] = shareCounts(
+          segment,
+          start.diff(range.start) /
+            (start.diff(range.start) + range.end.diff(end))
+        );
+
+        plan.update.push({
+          segment,
+          changes: { ...toSegmentFields(range.start, start), ...headCounts },
+        });
+        plan.create.push({
+          ...Object.fromEntries(
+            SEGMENT_DATA_FIELDS.filter(
+              (field) => segment[field] !== undefined
+            ).map((field) => [field, segment[field]])
+          ),
+          ...toTailFields(segment, end, range.end),
+          ...tailCounts,
+        });
+      } else if (hasHead) {
+        plan.update.push({
+          segment,
+          changes: toSegmentFields(range.start, start),
+        });
+      } else {
+        plan.update.push({
+          segment,
+          changes: toTailFields(segment, end, range.end),
+        });
+      }
+    });
+
+    return plan;
+  } catch (error) {
+    logger.error(`Error planning overlap resolution: ${error.message}`);
+    throw error;
+  }
+};
+
 /**
  * Helper function to validate time format (HH:MM:SS)
  *
@@ -294,6 +605,9 @@ const isValidTimeFormat = (time) => {
 };
 
 module.exports = {
+  getPlantTimezone,
+  isValidTimezone,
+  parseDateTime,
   calculateDuration,
   formatDuration,
   validateTimeRange,
@@ -301,4 +615,11 @@ module.exports = {
   groupByMachine,
   calculateTotalDurations,
   sortSegmentsChronologically,
+  getSegmentRange,
+  isOpenSegment,
+  splitRangeByDay,
+  shareCounts,
+  subtractRanges,
+  findOverlappingSegments,
+  planOverlapResolution,
 };
@@ -0,0 +1,71 @@
+/**
+ * Version Utility Functions
+ *
+ * Optimistic concurrency for segment and machine updates: a client sends the
+ * version (__v) it edited as an If-Match header or a __v body field, and an
+ * update of a document someone else has changed since is refused. The version
+ * and the other fields only the server sets are dropped from request bodies.
+ */
+
+// If-Match value for a version, optionally weak and quoted: 3, "3" or W/"3"
+const VERSION_TAG_PATTERN = /^(?:W\/)?"?(\d+)"?$/;
+
+/**
+ * Get the version a client expects to update
+ * @param {Object} req - Express request object
+ * @returns {Number|undefined} Expected version, NaN for an unrecognised If-Match
+ * value, undefined when the client did not send one
+ */
+const getExpectedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+
+  if (ifMatch && ifMatch.trim() !== '*') {
+    const match = VERSION_TAG_PATTERN.exec(ifMatch.trim());
+    return match ? Number(match[1]) : NaN;
+  }
+
+  if (req.body && req.body.__v !== undefined && req.body.__v !== null) {
+    return Number(req.body.__v);
+  }
+
+  return undefined;
+};
+
+/**
+ * Check whether a document has changed since the version a client expects
+ * @param {Object} doc - Stored document
+ * @param {Number|undefined} expectedVersion - Result of getExpectedVersion
+ * @returns {Boolean} True if the client edited an older version
+ */
+const isVersionConflict = (doc, expectedVersion) =>
+  expectedVersion !== undefined && doc.__v !== expectedVersion;
+
+// Fields only the server sets: the id, the version, the timestamps and the
+// soft-delete marks, which only delete and restore requests change
+const SERVER_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy'];
+
+/**
+ * Copy the fields of a request body without those only the server sets
+ * @param {Object} body - Request body
+ * @returns {Object} Fields to apply
+ */
+const withoutServerFields = (body = {}) => {
+  const fields = { ...body };
+  SERVER_FIELDS.forEach((field) => delete fields[field]);
+  return fields;
+};
+
+/**
+ * Send a document's version as its ETag
+ * @param {Object} res - Express response object
+ * @param {Object} doc - Document being returned
+ * @returns {Object} The response
+ */
+const setVersionTag = (res, doc) => res.set('ETag', `"${doc.__v}"`);
+
+module.exports = {
+  getExpectedVersion,
+  isVersionConflict,
+  withoutServerFields,
+  setVersionTag,
+};
@@ -1,7 +1,12 @@
+import { useState } from 'react';
 import './App.css';
+import CurrentStateBoard from './components/CurrentStateBoard';
 import FormTable from './components/FormTable';
 import MachineTimeline from './components/MachineTimeline';
+import PlantTree from './components/PlantTree';
+import useMachines from './hooks/useMachines';
 import useSegments from './hooks/useSegments';
+import { useAuth } from './contexts/AuthContext';
 import logo from './assets/patternlab-real-logo.png';
 
 import { MdLogout } from 'react-icons/md';
@@ -10,8 +15,25 @@ import { MdLogout } from 'react-icons/md';
 import './styles/customScrollbar.css';
 
 function App() {
-  const { segments, formRows, isLoading, error, handleSegmentTypeChange, handleSave } =
-    useSegments();
+  const { user, logout } = useAuth();
+  const {
+    segments,
+    formRows,
+    reasonCodes,
+    gaps,
+    isLoading,
+    error,
+    handleSegmentTypeChange,
+    handleSegmentFieldChange,
+    handleSave,
+    handleClose,
+    handleFillGaps,
+  } = useSegments();
+
+  // Plant node picked in the navigator; the current state and timeline only show its machines
+  const [plantNode, setPlantNode] = useState(null);
+  const machines = useMachines(plantNode);
+  const inPlantNode = item => !plantNode || machines.includes(item.machineName);
 
   return (
     <div className="bg-gray-100 font-sans antialiased text-gray-800 min-h-screen flex flex-col">
@@ -20,8 +42,13 @@ function App() {
         <div className="flex items-center space-x-2">
           <img src={logo} alt="PatternLab AI Logo" className="h-8 cursor-pointer" title="Home" />
         </div>
-        <div>
-          <MdLogout className="h-6 w-6 text-gray-600 cursor-pointer" title="Logout" />
+        <div className="flex items-center space-x-3">
+          <span className="text-sm text-gray-600">{user.name || user.username}</span>
+          <MdLogout
+            className="h-6 w-6 text-gray-600 cursor-pointer"
+            title="Logout"
+            onClick={logout}
+          />
         </div>
       </header>
 
@@ -33,6 +60,18 @@ function App() {
           </div>
         )}
 
+        {/* Plant Section */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          <h2 className="text-xl font-semibold text-gray-700 mb-4">Plant</h2>
+          <PlantTree selected={plantNode} onSelect={setPlantNode} />
+        </div>
+
+        {/* Current State Section */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          <h2 className="text-xl font-semibold text-gray-700 mb-4">Current State</h2>
+          <CurrentStateBoard machineNames={plantNode ? machines : undefined} />
+        </div>
+
         <div className="flex flex-col lg:flex-row lg:space-x-8 space-y-8 lg:space-y-0">
           {/* Form Section */}
           <div className="lg:w-1/2 bg-white rounded-lg shadow-md p-6 flex flex-col">
@@ -43,14 +82,19 @@ function App() {
 
             <FormTable
               rows={formRows}
+              reasonCodes={reasonCodes}
               onSave={handleSave}
+              onClose={handleClose}
               onSegmentTypeChange={handleSegmentTypeChange}
+              onFieldChange={handleSegmentFieldChange}
             />
           </div>
 
           {/* Timeline Section */}
           <div className="lg:w-1/2 bg-white rounded-lg shadow-md p-6 flex flex-col">
-            <h2 className="text-xl font-semibold text-gray-700 mb-2">Machine Timeline</h2>
+            <h2 className="text-xl font-semibold text-gray-700 mb-2">
+              Machine Timeline{plantNode && ` - ${plantNode.name}`}
+            </h2>
             <h3 className="text-lg font-medium text-gray-600 mb-4">Downtime Analytics</h3>
 
             {isLoading ? (
@@ -58,7 +102,13 @@ function App() {
                 <span className="text-blue-500">Loading timeline data...</span>
               </div>
             ) : (
-              <MachineTimeline segments={segments} />
+              <MachineTimeline
+                segments={segments.filter(inPlantNode)}
+                machines={machines}
+                reasonCodes={reasonCodes}
+                gaps={gaps.filter(inPlantNode)}
+                onFillGaps={(segmentType, gap) => handleFillGaps(segmentType, gap, plantNode)}
+              />
             )}
           </div>
         </div>
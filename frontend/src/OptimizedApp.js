@@ -23,9 +23,12 @@ import designSystem from "./styles/designSystem";
 import PatternLabLogo from "./assets/patternlab-real-logo.png";
 import { useMachines, useSegments, useCreateSegment } from "./hooks/useApi";
 import { useToast } from "./contexts/ToastContext";
+import { useAuth } from "./contexts/AuthContext";
 import ErrorBoundary from "./components/ErrorBoundary";
 import TableSkeleton from "./components/TableSkeleton";
 import ConfirmationDialog from "./components/ConfirmationDialog";
+import ExportButton from "./components/ExportButton";
+import apiService from "./services/apiService";
 
 // Lazy loaded components
 const EnhancedSegmentForm = lazy(() =>
@@ -132,6 +135,12 @@ function OptimizedApp() {
   // Get toast notifications
   const { showSuccess, showError } = useToast();
 
+  // Controls the signed-in user cannot use are hidden
+  const { can } = useAuth();
+  const canCreate = can("segments:create");
+  const canDelete = can("segments:delete");
+  const canUpdate = can("segments:update");
+
   // API hooks
   const {
     data: machines,
@@ -199,9 +208,11 @@ function OptimizedApp() {
           );
 
           if (machineIndex !== -1) {
-            // Calculate duration in minutes
+            // Calculate duration in minutes; an open segment runs until now
             const startTime = new Date(`${segment.date}T${segment.startTime}`);
-            const endTime = new Date(`${segment.date}T${segment.endTime}`);
+            const endTime = segment.endTime
+              ? new Date(`${segment.date}T${segment.endTime}`)
+              : new Date();
             const durationMinutes = Math.round((endTime - startTime) / 60000);
 
             // Add new segment to machine
@@ -210,6 +221,10 @@ function OptimizedApp() {
               duration: durationMinutes,
               startTime: segment.startTime,
               endTime: segment.endTime,
+              open: !segment.endTime,
+              start: startTime.toISOString(),
+              reasonCode: segment.reasonCode,
+              notes: segment.notes,
             });
           }
         }
@@ -226,17 +241,58 @@ function OptimizedApp() {
     setDeleteDialogOpen(true);
   }, []);
 
-  // Confirm delete segment
-  const handleConfirmDelete = useCallback(() => {
-    // In a real app, this would call the API
-    showSuccess("Segment deleted successfully");
+  // Confirm delete segment; deleted segments can be restored until purged
+  const handleConfirmDelete = useCallback(async () => {
+    try {
+      await apiService.deleteSegment(itemToDelete.id);
+      showSuccess("Segment deleted; it can be restored until it is purged");
+    } catch (error) {
+      showError("Failed to delete segment: " + error.message);
+    }
     setDeleteDialogOpen(false);
     setItemToDelete(null);
 
     // Refresh data
     fetchMachines();
     fetchSegments();
-  }, [fetchMachines, fetchSegments, showSuccess]);
+  }, [itemToDelete, fetchMachines, fetchSegments, showSuccess, showError]);
+
+  // Split a segment dragged across in the advanced timeline
+  const handleSplitSegment = useCallback(
+    async (segment, at) => {
+      try {
+        await apiService.splitSegment(segment.id, { at: at.toISOString() });
+        showSuccess("Segment split");
+      } catch (error) {
+        showError("Failed to split segment: " + error.message);
+      }
+
+      // Refresh data
+      fetchMachines();
+      fetchSegments();
+    },
+    [fetchMachines, fetchSegments, showSuccess, showError]
+  );
+
+  // Merge the segments selected in the advanced timeline
+  const handleMergeSegments = useCallback(
+    async (selected) => {
+      try {
+        await apiService.mergeSegments(
+          selected.map((segment) => segment.id),
+          selected.map((segment) => segment.__v ?? null)
+        );
+        showSuccess(`Merged ${selected.length} segments`);
+      } catch (error) {
+        showError("Failed to merge segments: " + error.message);
+      }
+
+      // Refresh data
+      fetchMachines();
+      fetchSegments();
+    },
+    [fetchMachines, fetchSegments, showSuccess, showError]
+  );
 
   // Cancel delete
   const handleCancelDelete = useCallback(() => {
@@ -261,6 +317,21 @@ function OptimizedApp() {
     setPage(0); // Reset to first page when changing page size
   }, []);
 
+  // Export the segments matching the current search
+  const handleExport = useCallback(
+    async (format) => {
+      try {
+        const filename = await apiService.exportSegments(format, {
+          search: searchQuery,
+        });
+        showSuccess(`Exported ${filename}`);
+      } catch (error) {
+        showError("Failed to export segments: " + error.message);
+      }
+    },
+    [searchQuery, showSuccess, showError]
+  );
+
   // Filter segments based on search query
   const filteredSegments = useMemo(() => {
     if (!searchQuery) return segments;
@@ -295,32 +366,38 @@ function OptimizedApp() {
         width: "10%",
         renderCell: (row) => {
           const startTime = new Date(`${row.date}T${row.startTime}`);
-          const endTime = new Date(`${row.date}T${row.endTime}`);
+          const endTime = row.endTime
+            ? new Date(`${row.date}T${row.endTime}`)
+            : new Date();
           const durationMinutes = Math.round((endTime - startTime) / 60000);
           const hours = Math.floor(durationMinutes / 60);
           const minutes = durationMinutes % 60;
           return `${hours}h ${minutes}m`;
         },
       },
-      {
-        field: "actions",
-        headerName: "Actions",
-        width: "10%",
-        renderCell: (row) => (
-          <Button
-            size="small"
-            color="error"
-            onClick={(e) => {
-              e.stopPropagation();
-              handleDeleteClick(row);
-            }}
-          >
-            Delete
-          </Button>
-        ),
-      },
+      ...(canDelete
+        ? [
+            {
+              field: "actions",
+              headerName: "Actions",
+              width: "10%",
+              renderCell: (row) => (
+                <Button
+                  size="small"
+                  color="error"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleDeleteClick(row);
+                  }}
+                >
+                  Delete
+                </Button>
+              ),
+            },
+          ]
+        : []),
     ],
-    [handleDeleteClick]
+    [canDelete, handleDeleteClick]
   );
 
   // Show errors if any
@@ -343,15 +420,17 @@ function OptimizedApp() {
       </Header>
 
       <MainContent>
-        <ErrorBoundary>
-          <Suspense fallback={<LoadingFallback />}>
-            <EnhancedSegmentForm
-              onSave={handleSaveSegment}
-              existingSegments={segments}
-              saveStatus={createLoading ? "saving" : "idle"}
-            />
-          </Suspense>
-        </ErrorBoundary>
+        {canCreate && (
+          <ErrorBoundary>
+            <Suspense fallback={<LoadingFallback />}>
+              <EnhancedSegmentForm
+                onSave={handleSaveSegment}
+                existingSegments={segments}
+                saveStatus={createLoading ? "saving" : "idle"}
+              />
+            </Suspense>
+          </ErrorBoundary>
+        )}
 
         <Tabs
           value={tabValue}
@@ -377,6 +456,7 @@ function OptimizedApp() {
                 totalCount={filteredSegments.length}
                 onPageChange={handlePageChange}
                 onPageSizeChange={handlePageSizeChange}
+                onExport={handleExport}
               />
             </Suspense>
           </ErrorBoundary>
@@ -388,22 +468,27 @@ function OptimizedApp() {
               sx={{ mb: 2, display: "flex", justifyContent: "space-between" }}
             >
               <SectionTitle variant="h6">Timeline View</SectionTitle>
-              <ViewToggle>
-                <Button
-                  variant={timelineView === "simple" ? "contained" : "outlined"}
-                  onClick={() => handleToggleTimelineView("simple")}
-                >
-                  Simple
-                </Button>
-                <Button
-                  variant={
-                    timelineView === "advanced" ? "contained" : "outlined"
-                  }
-                  onClick={() => handleToggleTimelineView("advanced")}
-                >
-                  Advanced
-                </Button>
-              </ViewToggle>
+              <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                <ExportButton onExport={handleExport} size="medium" />
+                <ViewToggle>
+                  <Button
+                    variant={
+                      timelineView === "simple" ? "contained" : "outlined"
+                    }
+                    onClick={() => handleToggleTimelineView("simple")}
+                  >
+                    Simple
+                  </Button>
+                  <Button
+                    variant={
+                      timelineView === "advanced" ? "contained" : "outlined"
+                    }
+                    onClick={() => handleToggleTimelineView("advanced")}
+                  >
+                    Advanced
+                  </Button>
+                </ViewToggle>
+              </Box>
             </Box>
 
             <ErrorBoundary>
@@ -418,6 +503,8 @@ function OptimizedApp() {
                     machines={machines}
                     segments={segments}
                     loading={machinesLoading || segmentsLoading}
+                    onSplit={canUpdate ? handleSplitSegment : undefined}
+                    onMerge={canUpdate ? handleMergeSegments : undefined}
                   />
                 )}
               </Suspense>
@@ -0,0 +1,12 @@
+import React from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import LoginPage from '../pages/LoginPage';
+
+// Render the app for a signed-in user, the login page otherwise
+const AuthGate = ({ children }) => {
+  const { user } = useAuth();
+
+  return user ? children : <LoginPage />;
+};
+
+export default AuthGate;
@@ -0,0 +1,167 @@
+import React, { useEffect, useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  Radio,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from "@mui/material";
+
+/**
+ * Compare two field values, treating missing and empty values as equal
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if the values are the same
+ */
+const isSameValue = (a, b) => String(a ?? "") === String(b ?? "");
+
+/**
+ * Show a field value in the comparison
+ * @param {*} value - Field value
+ * @returns {string} - Display text, a dash when the field is not set
+ */
+const formatValue = (value) =>
+  value === undefined || value === null || value === "" ? "—" : String(value);
+
+/**
+ * ConflictDialog Component
+ *
+ * Shown when a save was refused because someone else changed the record
+ * first. Lists the fields where the two versions differ side by side and lets
+ * the user pick a value per field; a field only one side changed defaults to
+ * that side's value.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.yours - Record as the user tried to save it; the dialog
+ * is closed without one
+ * @param {Object} props.theirs - Record as currently stored on the server
+ * @param {Object} props.base - Record as it was when the user started editing
+ * @param {Array} props.fields - Fields to compare
+ * @param {Function} props.onResolve - Called with the merged record, carrying
+ * the server version so it can be saved again
+ * @param {Function} props.onDiscard - Called to drop the user's changes
+ */
+const ConflictDialog = ({
+  yours = null,
+  theirs = null,
+  base = null,
+  fields,
+  onResolve,
+  onDiscard,
+}) => {
+  const differing = useMemo(
+    () =>
+      yours && theirs
+        ? fields.filter((field) => !isSameValue(yours[field], theirs[field]))
+        : [],
+    [yours, theirs, fields]
+  );
+
+  const [choices, setChoices] = useState({});
+
+  // Keep the user's value where they changed it, theirs everywhere else
+  useEffect(() => {
+    setChoices(
+      Object.fromEntries(
+        differing.map((field) => [
+          field,
+          !base || !isSameValue(yours[field], base[field]) ? "yours" : "theirs",
+        ])
+      )
+    );
+  }, [differing, yours, base]);
+
+  const handleChoice = (field, side) => {
+    setChoices((prev) => ({ ...prev, [field]: side }));
+  };
+
+  const handleResolve = () => {
+    const merged = { ...theirs };
+
+    differing.forEach((field) => {
+      if (choices[field] === "yours") {
+        merged[field] = yours[field];
+      }
+    });
+
+    onResolve({ ...merged, __v: theirs.__v });
+  };
+
+  return (
+    <Dialog
+      open={Boolean(yours && theirs)}
+      onClose={onDiscard}
+      maxWidth="sm"
+      fullWidth
+    >
+      <DialogTitle>Changed by someone else</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          This record was saved by someone else while you were editing it.
+          Choose which value to keep for each field that differs.
+        </DialogContentText>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Field</TableCell>
+              <TableCell>Yours</TableCell>
+              <TableCell>Theirs</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {differing.map((field) => (
+              <TableRow key={field}>
+                <TableCell>{field}</TableCell>
+                {["yours", "theirs"].map((side) => (
+                  <TableCell key={side}>
+                    <Radio
+                      size="small"
+                      checked={choices[field] === side}
+                      onChange={() => handleChoice(field, side)}
+                      inputProps={{ "aria-label": `${field} ${side}` }}
+                    />
+                    {formatValue((side === "yours" ? yours : theirs)[field])}
+                  </TableCell>
+                ))}
+              </TableRow>
+            ))}
+
+            {differing.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={3} align="center">
+                  Both versions have the same values
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onDiscard}>Discard my changes</Button>
+        <Button onClick={handleResolve} variant="contained" color="primary">
+          Save selection
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+ConflictDialog.propTypes = {
+  yours: PropTypes.object,
+  theirs: PropTypes.object,
+  base: PropTypes.object,
+  fields: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onResolve: PropTypes.func.isRequired,
+  onDiscard: PropTypes.func.isRequired,
+};
+
+export default ConflictDialog;
@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import { machineAPI } from '../services/api';
+import { subscribeToChanges, RESYNC_EVENT } from '../services/liveUpdates';
+import useNow from '../hooks/useNow';
+import { calculateElapsedMinutes, formatDuration } from '../utils/timeUtils';
+
+// Label and colour of each state a machine can be in
+const STATES = {
+  uptime: { label: 'Running', className: 'bg-green-500' },
+  idle: { label: 'Idle', className: 'bg-yellow-400' },
+  downtime: { label: 'Down', className: 'bg-red-500' },
+};
+
+const UNKNOWN_STATE = { label: 'No open segment', className: 'bg-gray-300' };
+
+// Shows every machine in scope, or only the given machines
+const CurrentStateBoard = ({ machineNames }) => {
+  const [machines, setMachines] = useState([]);
+  const [error, setError] = useState(null);
+  const now = useNow();
+
+  // Fetch the state every machine is in now
+  const fetchCurrentState = async () => {
+    try {
+      setMachines(await machineAPI.getCurrentState());
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching current machine states:', err);
+      setError('Failed to load the current machine states.');
+    }
+  };
+
+  // Fetch on mount and again whenever a segment or machine changes, or after a reconnect
+  useEffect(() => {
+    fetchCurrentState();
+
+    return subscribeToChanges(({ event }) => {
+      if (event === RESYNC_EVENT || event.startsWith('segment.') || event.startsWith('machine.')) {
+        fetchCurrentState();
+      }
+    });
+  }, []);
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  const shownMachines = machineNames
+    ? machines.filter(machine => machineNames.includes(machine.machineName))
+    : machines;
+
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3">
+      {shownMachines.map(machine => {
+        const state = STATES[machine.state] || UNKNOWN_STATE;
+
+        return (
+          <div key={machine.machineName} className="border border-gray-200 rounded-md p-3">
+            <div className="flex justify-between items-center">
+              <span className="text-sm font-medium text-gray-900">{machine.machineName}</span>
+              <span
+                className={`h-3 w-3 rounded-full ${state.className}${
+                  machine.state ? ' animate-pulse' : ''
+                }`}
+              />
+            </div>
+            <p className="text-xs text-gray-600 mt-1">{state.label}</p>
+            {machine.since && (
+              <p className="text-sm font-mono text-gray-800" title={`Since ${machine.since}`}>
+                {formatDuration(calculateElapsedMinutes(machine.since, now))}
+              </p>
+            )}
+            {machine.status && machine.status !== 'active' && (
+              <p className="text-xs text-gray-400 capitalize">{machine.status}</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default CurrentStateBoard;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useMemo } from "react";
 import PropTypes from "prop-types";
+import { useAuth } from "../contexts/AuthContext";
 import {
   Box,
   Paper,
@@ -40,8 +41,10 @@ import {
   FilterList as FilterListIcon,
   Search as SearchIcon,
   ArrowDownward as ArrowDownwardIcon,
+  History as HistoryIcon,
 } from "@mui/icons-material";
 import designSystem from "../styles/designSystem";
+import SegmentHistoryDrawer from "./SegmentHistoryDrawer";
 import {
   isValidTimeFormat,
   isEndTimeAfterStartTime,
@@ -206,6 +209,16 @@ const DataTable = ({
   onBulkUpdate,
   title = "Data Table",
 }) => {
+  const { can } = useAuth();
+  const canBulkUpdate = can("segments:bulk");
+  const canDelete = can("segments:delete");
+  const today = new Date().toLocaleDateString("en-CA");
+
+  // Rows dated before today need the edit-past permission
+  const canEditRow = (row) =>
+    can("segments:update") &&
+    (can("segments:edit-past") || !row.date || row.date >= today);
+
   // State
   const [rows, setRows] = useState([]);
   const [order, setOrder] = useState("asc");
@@ -223,6 +236,7 @@ const DataTable = ({
   const [rowToDelete, setRowToDelete] = useState(null);
   const [bulkAction, setBulkAction] = useState("");
   const [confirmBulkOpen, setConfirmBulkOpen] = useState(false);
+  const [historyId, setHistoryId] = useState(null);
 
   // Initialize rows from data
   useEffect(() => {
@@ -286,7 +300,7 @@ const DataTable = ({
 
   // Handle cell edit
   const handleEditStart = (row) => {
-    if (editingId !== null) return;
+    if (editingId !== null || !canEditRow(row)) return;
     setEditingId(row.id);
     setEditingData({ ...row });
     setValidationErrors({});
@@ -452,7 +466,7 @@ const DataTable = ({
         <TableToolbarTitle variant="h6">{title}</TableToolbarTitle>
       )}
 
-      {selected.length > 0 && (
+      {canBulkUpdate && selected.length > 0 && (
         <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
           <FormControl variant="outlined" size="small" sx={{ minWidth: 120 }}>
             <InputLabel>Bulk Action</InputLabel>
@@ -665,18 +679,21 @@ const DataTable = ({
         <Table size="medium" aria-label="data table">
           <TableHead>
             <TableRow>
-              <StyledTableCell padding="checkbox">
-                <Checkbox
-                  indeterminate={
-                    selected.length > 0 && selected.length < filteredRows.length
-                  }
-                  checked={
-                    filteredRows.length > 0 &&
-                    selected.length === filteredRows.length
-                  }
-                  onChange={handleSelectAllClick}
-                />
-              </StyledTableCell>
+              {canBulkUpdate && (
+                <StyledTableCell padding="checkbox">
+                  <Checkbox
+                    indeterminate={
+                      selected.length > 0 &&
+                      selected.length < filteredRows.length
+                    }
+                    checked={
+                      filteredRows.length > 0 &&
+                      selected.length === filteredRows.length
+                    }
+                    onChange={handleSelectAllClick}
+                  />
+                </StyledTableCell>
+              )}
 
               <StyledTableCell>
                 <TableSortLabel
@@ -745,13 +762,15 @@ const DataTable = ({
                   status={row.segmentType}
                   isSelected={isItemSelected}
                 >
-                  <StyledTableCell padding="checkbox">
-                    <Checkbox
-                      checked={isItemSelected}
-                      onClick={() => handleSelectRow(row.id)}
-                      disabled={isItemEditing}
-                    />
-                  </StyledTableCell>
+                  {canBulkUpdate && (
+                    <StyledTableCell padding="checkbox">
+                      <Checkbox
+                        checked={isItemSelected}
+                        onClick={() => handleSelectRow(row.id)}
+                        disabled={isItemEditing}
+                      />
+                    </StyledTableCell>
+                  )}
 
                   <StyledTableCell>
                     <EditableCell
@@ -818,24 +837,38 @@ const DataTable = ({
                       </Box>
                     ) : (
                       <Box sx={{ display: "flex", justifyContent: "flex-end" }}>
-                        <Tooltip title="Edit">
-                          <IconButton
-                            size="small"
-                            onClick={() => handleEditStart(row)}
-                            disabled={editingId !== null}
-                          >
-                            <EditIcon fontSize="small" />
-                          </IconButton>
-                        </Tooltip>
-                        <Tooltip title="Delete">
-                          <IconButton
-                            size="small"
-                            onClick={() => handleDeleteClick(row)}
-                            disabled={editingId !== null}
-                          >
-                            <DeleteIcon fontSize="small" />
-                          </IconButton>
-                        </Tooltip>
+                        {row._id && (
+                          <Tooltip title="History">
+                            <IconButton
+                              size="small"
+                              onClick={() => setHistoryId(row._id)}
+                            >
+                              <HistoryIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        {canEditRow(row) && (
+                          <Tooltip title="Edit">
+                            <IconButton
+                              size="small"
+                              onClick={() => handleEditStart(row)}
+                              disabled={editingId !== null}
+                            >
+                              <EditIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        {canDelete && (
+                          <Tooltip title="Delete">
+                            <IconButton
+                              size="small"
+                              onClick={() => handleDeleteClick(row)}
+                              disabled={editingId !== null}
+                            >
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
                       </Box>
                     )}
                   </StyledTableCell>
@@ -845,7 +878,11 @@ const DataTable = ({
 
             {sortedRows.length === 0 && (
               <TableRow>
-                <StyledTableCell colSpan={7} align="center" sx={{ py: 3 }}>
+                <StyledTableCell
+                  colSpan={canBulkUpdate ? 7 : 6}
+                  align="center"
+                  sx={{ py: 3 }}
+                >
                   <Typography variant="body1" color="textSecondary">
                     No data available
                   </Typography>
@@ -864,8 +901,8 @@ const DataTable = ({
         <DialogTitle>Confirm Delete</DialogTitle>
         <DialogContent>
           <DialogContentText>
-            Are you sure you want to delete this row? This action cannot be
-            undone.
+            Are you sure you want to delete this row? It can be restored from
+            Recently Deleted until it is purged.
           </DialogContentText>
         </DialogContent>
         <DialogActions>
@@ -892,6 +929,12 @@ const DataTable = ({
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* Revision history of a saved row */}
+      <SegmentHistoryDrawer
+        segmentId={historyId}
+        onClose={() => setHistoryId(null)}
+      />
     </DataTableContainer>
   );
 };
@@ -30,6 +30,7 @@ import CheckCircleIcon from "@mui/icons-material/CheckCircle";
 import ErrorIcon from "@mui/icons-material/Error";
 import InfoIcon from "@mui/icons-material/Info";
 import designSystem from "../styles/designSystem";
+import ReasonCodePicker from "./ReasonCodePicker";
 import useRealTimeValidation from "../hooks/useRealTimeValidation";
 import {
   validateSegmentForm,
@@ -120,6 +121,8 @@ const EnhancedSegmentForm = ({
     endTime: formatTimeString(new Date(Date.now() + 60 * 60 * 1000)), // 1 hour later
     machineName: "",
     segmentType: "",
+    reasonCode: null,
+    notes: "",
   };
 
   // Use real-time validation hook
@@ -156,10 +159,16 @@ const EnhancedSegmentForm = ({
       .sort();
   }, [existingSegments]);
 
+  // Reason codes only apply to downtime segments
+  const isDowntime = String(values.segmentType).toLowerCase() === "downtime";
+
   // Handle form submission
   const submitForm = async (formData) => {
     if (onSave) {
-      await onSave(formData);
+      await onSave({
+        ...formData,
+        reasonCode: isDowntime ? formData.reasonCode : null,
+      });
       resetForm();
     }
   };
@@ -382,6 +391,31 @@ const EnhancedSegmentForm = ({
               </Box>
             </Grid>
 
+            {isDowntime && (
+              <Grid item xs={12} sm={6} md={3}>
+                <ReasonCodePicker
+                  size="small"
+                  value={values.reasonCode}
+                  onChange={(code) => handleChange("reasonCode", code)}
+                  onBlur={() => handleBlur("reasonCode")}
+                />
+              </Grid>
+            )}
+
+            <Grid item xs={12} sm={6} md={isDowntime ? 6 : 9}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Notes"
+                value={values.notes}
+                onChange={(e) => handleChange("notes", e.target.value)}
+                onBlur={() => handleBlur("notes")}
+                error={hasError("notes")}
+                helperText={getErrorMessage("notes")}
+                inputProps={{ maxLength: 1000 }}
+              />
+            </Grid>
+
             <Grid item xs={12} sm={6} md={3}>
               <SaveButton
                 variant="contained"
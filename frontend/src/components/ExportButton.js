@@ -0,0 +1,68 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { Button, Menu, MenuItem, CircularProgress } from "@mui/material";
+import FileDownloadIcon from "@mui/icons-material/FileDownload";
+
+const exportFormats = [
+  { format: "csv", label: "CSV" },
+  { format: "xlsx", label: "Excel (XLSX)" },
+  { format: "pdf", label: "PDF report" },
+];
+
+/**
+ * ExportButton Component
+ *
+ * Button with a menu of export formats; calls onExport with the chosen format
+ * and shows a spinner until the returned promise settles
+ */
+const ExportButton = ({ onExport, disabled = false, size = "small" }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const handleSelect = async (format) => {
+    setAnchorEl(null);
+    setExporting(true);
+
+    try {
+      await onExport(format);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        size={size}
+        startIcon={
+          exporting ? <CircularProgress size={16} /> : <FileDownloadIcon />
+        }
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        disabled={disabled || exporting}
+        aria-haspopup="true"
+      >
+        Export
+      </Button>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+      >
+        {exportFormats.map(({ format, label }) => (
+          <MenuItem key={format} onClick={() => handleSelect(format)}>
+            {label}
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+};
+
+ExportButton.propTypes = {
+  onExport: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+  size: PropTypes.oneOf(["small", "medium", "large"]),
+};
+
+export default ExportButton;
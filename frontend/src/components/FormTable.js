@@ -1,7 +1,14 @@
 import React from 'react';
 import { formatDateForDisplay } from '../utils/timeUtils';
 
-const FormTable = ({ rows, onSave, onSegmentTypeChange }) => {
+const FormTable = ({
+  rows,
+  reasonCodes = [],
+  onSave,
+  onClose,
+  onSegmentTypeChange,
+  onFieldChange,
+}) => {
   const segmentOptions = [
     { value: 'select', label: 'Select Segment' },
     { value: 'idle', label: 'Idle' },
@@ -29,6 +36,20 @@ const FormTable = ({ rows, onSave, onSegmentTypeChange }) => {
     }
   };
 
+  // Label every reason code with its path and group it under its category
+  const reasonsByCode = new Map(reasonCodes.map(reason => [reason.code, reason]));
+  const reasonGroups = reasonCodes.reduce((groups, reason) => {
+    const path = [];
+    for (let current = reason; current; current = reasonsByCode.get(current.parentCode)) {
+      path.unshift(current.name);
+    }
+
+    const [category] = path;
+    groups[category] = groups[category] || [];
+    groups[category].push({ ...reason, label: path.slice(1).join(' › ') || reason.name });
+    return groups;
+  }, {});
+
   return (
     <div className="overflow-x-auto overflow-y-auto custom-scroll flex-grow">
       <table className="min-w-full divide-y divide-gray-200">
@@ -64,6 +85,18 @@ const FormTable = ({ rows, onSave, onSegmentTypeChange }) => {
             >
               Segment type
             </th>
+            <th
+              scope="col"
+              className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+            >
+              Reason
+            </th>
+            <th
+              scope="col"
+              className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+            >
+              Notes
+            </th>
             <th
               scope="col"
               className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
@@ -79,7 +112,9 @@ const FormTable = ({ rows, onSave, onSegmentTypeChange }) => {
                 {formatDateForDisplay(row.date)}
               </td>
               <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">{row.startTime}</td>
-              <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">{row.endTime}</td>
+              <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">
+                {row.endTime || <span className="text-green-600 font-medium">Running</span>}
+              </td>
               <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">
                 {row.machineName}
               </td>
@@ -99,6 +134,39 @@ const FormTable = ({ rows, onSave, onSegmentTypeChange }) => {
                   </select>
                 </div>
               </td>
+              <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">
+                {row.segmentType === 'downtime' ? (
+                  <select
+                    className="block w-full py-1 px-2 border border-gray-300 bg-white rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    value={row.reasonCode || ''}
+                    onChange={e => onFieldChange(row.id, 'reasonCode', e.target.value || null)}
+                  >
+                    <option value="">Select Reason</option>
+                    {Object.entries(reasonGroups).map(([category, reasons]) => (
+                      <optgroup key={category} label={category}>
+                        {reasons.map(reason => (
+                          <option key={reason.code} value={reason.code}>
+                            {reason.label}
+                            {reason.planned ? ' (planned)' : ''}
+                          </option>
+                        ))}
+                      </optgroup>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="text-gray-400">-</span>
+                )}
+              </td>
+              <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">
+                <input
+                  type="text"
+                  className="block w-full py-1 px-2 border border-gray-300 bg-white rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                  value={row.notes || ''}
+                  maxLength={1000}
+                  placeholder="Notes"
+                  onChange={e => onFieldChange(row.id, 'notes', e.target.value)}
+                />
+              </td>
               <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">
                 <div className="flex items-center space-x-2">
                   <button
@@ -107,6 +175,15 @@ const FormTable = ({ rows, onSave, onSegmentTypeChange }) => {
                   >
                     Save
                   </button>
+                  {!row.endTime && onClose && (
+                    <button
+                      className="text-gray-500 hover:text-gray-700 focus:outline-none text-xs px-2 py-1 border rounded"
+                      title="End the segment now"
+                      onClick={() => onClose(row)}
+                    >
+                      Close
+                    </button>
+                  )}
                 </div>
               </td>
             </tr>
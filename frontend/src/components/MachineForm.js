@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import {
   Box,
   TextField,
@@ -12,7 +12,8 @@ import {
   Grid,
   Alert,
 } from "@mui/material";
-import { machineApi } from "../services/api";
+import { machineAPI } from "../services/api";
+import { formatHours } from "../utils/helpers";
 
 const initialFormData = {
   name: "",
@@ -20,14 +21,74 @@ const initialFormData = {
   type: "",
   status: "active",
   location: "",
+  timezone: "",
+  plannedProductionMinutes: "",
+  idealCycleTime: "",
 };
 
-const MachineForm = ({ onSuccess }) => {
+// Runtime counters kept by the server from uptime segments, shown read-only
+const COUNTER_FIELDS = [
+  { name: "runHours", label: "Run Hours", format: formatHours },
+  { name: "starts", label: "Starts", format: (starts) => String(starts || 0) },
+  {
+    name: "hoursSinceService",
+    label: "Hours Since Service",
+    format: formatHours,
+  },
+];
+
+// Form values of a stored machine
+const toFormData = (machine) =>
+  Object.fromEntries(
+    Object.keys(initialFormData).map((name) => [name, machine[name] ?? ""])
+  );
+
+/**
+ * Form to add a machine, or with machineId to view and edit a stored one with
+ * its runtime counters
+ */
+const MachineForm = ({ machineId, onSuccess, onCancel }) => {
   const [formData, setFormData] = useState(initialFormData);
+  const [machine, setMachine] = useState(null);
+  const [loadError, setLoadError] = useState(null);
   const [errors, setErrors] = useState({});
   const [submitting, setSubmitting] = useState(false);
   const [submitError, setSubmitError] = useState(null);
   const [submitSuccess, setSubmitSuccess] = useState(false);
+  const editing = Boolean(machineId);
+
+  // Load the machine the form is opened for, with its runtime counters
+  useEffect(() => {
+    setMachine(null);
+    setLoadError(null);
+    setSubmitSuccess(false);
+    setSubmitError(null);
+
+    if (!machineId) {
+      setFormData(initialFormData);
+      return;
+    }
+
+    let cancelled = false;
+
+    machineAPI
+      .getById(machineId)
+      .then((loaded) => {
+        if (!cancelled) {
+          setMachine(loaded);
+          setFormData(toFormData(loaded));
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          setLoadError(error.message || "Failed to load machine.");
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [machineId]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -76,17 +137,28 @@ const MachineForm = ({ onSuccess }) => {
     setSubmitSuccess(false);
 
     try {
-      await machineApi.create(formData);
+      if (editing) {
+        // Sent with the version loaded, so changes made meanwhile are not overwritten
+        const saved = await machineAPI.update(machineId, {
+          ...formData,
+          __v: machine.__v,
+        });
+        setMachine(saved);
+        setFormData(toFormData(saved));
+      } else {
+        await machineAPI.create(formData);
+        setFormData(initialFormData);
+      }
+
       setSubmitSuccess(true);
-      setFormData(initialFormData);
 
       if (onSuccess) {
         onSuccess();
       }
     } catch (error) {
       setSubmitError(
-        error.response?.data?.message ||
-          "Failed to create machine. Please try again."
+        error.message ||
+          `Failed to ${editing ? "update" : "create"} machine. Please try again.`
       );
     } finally {
       setSubmitting(false);
@@ -96,12 +168,18 @@ const MachineForm = ({ onSuccess }) => {
   return (
     <Paper sx={{ p: 3, mt: 3 }}>
       <Typography variant="h6" gutterBottom>
-        Add New Machine
+        {editing ? "Edit Machine" : "Add New Machine"}
       </Typography>
 
       {submitSuccess && (
         <Alert severity="success" sx={{ mb: 2 }}>
-          Machine created successfully!
+          Machine {editing ? "updated" : "created"} successfully!
+        </Alert>
+      )}
+
+      {loadError && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {loadError}
         </Alert>
       )}
 
@@ -111,6 +189,27 @@ const MachineForm = ({ onSuccess }) => {
         </Alert>
       )}
 
+      {machine && (
+        <Box sx={{ mb: 2 }}>
+          <Typography variant="subtitle2" color="text.secondary">
+            Runtime (counted from uptime segments)
+          </Typography>
+          <Grid container spacing={2}>
+            {COUNTER_FIELDS.map(({ name, label, format }) => (
+              <Grid item xs={12} sm={4} key={name}>
+                <TextField
+                  fullWidth
+                  label={label}
+                  value={format(machine.counters?.[name])}
+                  margin="normal"
+                  InputProps={{ readOnly: true }}
+                />
+              </Grid>
+            ))}
+          </Grid>
+        </Box>
+      )}
+
       <form onSubmit={handleSubmit}>
         <Grid container spacing={2}>
           <Grid item xs={12} sm={6}>
@@ -183,13 +282,60 @@ const MachineForm = ({ onSuccess }) => {
             />
           </Grid>
 
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="Timezone"
+              name="timezone"
+              value={formData.timezone}
+              onChange={handleChange}
+              margin="normal"
+              helperText="IANA timezone of the plant, e.g. Asia/Kolkata (defaults to the plant timezone)"
+            />
+          </Grid>
+
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              type="number"
+              label="Planned Production (min/day)"
+              name="plannedProductionMinutes"
+              value={formData.plannedProductionMinutes}
+              onChange={handleChange}
+              margin="normal"
+              inputProps={{ min: 0, max: 1440 }}
+              helperText="Scheduled production time per day, used for OEE availability"
+            />
+          </Grid>
+
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              type="number"
+              label="Ideal Cycle Time (s)"
+              name="idealCycleTime"
+              value={formData.idealCycleTime}
+              onChange={handleChange}
+              margin="normal"
+              inputProps={{ min: 0, step: "any" }}
+              helperText="Fastest time to produce one unit, used for OEE performance"
+            />
+          </Grid>
+
           <Grid item xs={12}>
             <Box sx={{ display: "flex", justifyContent: "flex-end", mt: 2 }}>
+              {onCancel && (
+                <Button type="button" sx={{ mr: 1 }} onClick={onCancel}>
+                  Close
+                </Button>
+              )}
               <Button
                 type="button"
                 variant="outlined"
                 sx={{ mr: 1 }}
-                onClick={() => setFormData(initialFormData)}
+                onClick={() =>
+                  setFormData(machine ? toFormData(machine) : initialFormData)
+                }
               >
                 Reset
               </Button>
@@ -197,9 +343,13 @@ const MachineForm = ({ onSuccess }) => {
                 type="submit"
                 variant="contained"
                 color="primary"
-                disabled={submitting}
+                disabled={submitting || (editing && !machine)}
               >
-                {submitting ? "Submitting..." : "Add Machine"}
+                {submitting
+                  ? "Submitting..."
+                  : editing
+                    ? "Save Changes"
+                    : "Add Machine"}
               </Button>
             </Box>
           </Grid>
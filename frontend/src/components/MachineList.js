@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import {
   Box,
   Typography,
@@ -9,38 +9,95 @@ import {
   TableContainer,
   TableHead,
   TableRow,
+  TableSortLabel,
+  TextField,
+  MenuItem,
   Button,
   CircularProgress,
 } from "@mui/material";
-import { machineApi } from "../services/api";
+import { machineAPI } from "../services/api";
+import useDebounce from "../hooks/useDebounce";
+import { formatHours } from "../utils/helpers";
+import MachineForm from "./MachineForm";
+
+// Machines fetched per page
+const PAGE_SIZE = 25;
+
+const STATUSES = ["active", "inactive", "maintenance", "decommissioned"];
 
 const MachineList = () => {
   const [machines, setMachines] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
+  // Machine opened with View, shown with its runtime counters for editing
+  const [selectedId, setSelectedId] = useState(null);
+
+  // Filters and sort applied on the server
+  const [search, setSearch] = useState("");
+  const [status, setStatus] = useState("");
+  const [type, setType] = useState("");
+  const [location, setLocation] = useState("");
+  const [sort, setSort] = useState({ field: "name", order: "asc" });
+  const debouncedSearch = useDebounce(search, 300);
+  const debouncedType = useDebounce(type, 300);
+  const debouncedLocation = useDebounce(location, 300);
+
+  // Fetch the first page, or the page after a cursor to append to the list
+  const fetchMachines = useCallback(
+    async (cursor) => {
+      try {
+        if (cursor) {
+          setLoadingMore(true);
+        } else {
+          setLoading(true);
+        }
+
+        const response = await machineAPI.getAll({
+          search: debouncedSearch || undefined,
+          status: status || undefined,
+          type: debouncedType || undefined,
+          location: debouncedLocation || undefined,
+          sort: sort.field,
+          order: sort.order,
+          limit: PAGE_SIZE,
+          cursor: cursor || undefined,
+        });
+
+        setMachines((previous) =>
+          cursor ? [...previous, ...response.data] : response.data
+        );
+        setNextCursor(response.pagination.nextCursor);
+        setError(null);
+      } catch (err) {
+        setError("Failed to fetch machines. Please try again later.");
+        console.error("Error fetching machines:", err);
+      } finally {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    },
+    [debouncedSearch, status, debouncedType, debouncedLocation, sort]
+  );
 
   useEffect(() => {
     fetchMachines();
-  }, []);
-
-  const fetchMachines = async () => {
-    try {
-      setLoading(true);
-      const response = await machineApi.getAll();
-      setMachines(response.data);
-      setError(null);
-    } catch (err) {
-      setError("Failed to fetch machines. Please try again later.");
-      console.error("Error fetching machines:", err);
-    } finally {
-      setLoading(false);
-    }
+  }, [fetchMachines]);
+
+  // Sort by a column, or flip the order of the column sorted by
+  const handleSort = (field) => {
+    setSort((previous) => ({
+      field,
+      order:
+        previous.field === field && previous.order === "asc" ? "desc" : "asc",
+    }));
   };
 
   const handleDelete = async (id) => {
     if (window.confirm("Are you sure you want to delete this machine?")) {
       try {
-        await machineApi.delete(id);
+        await machineAPI.delete(id);
         setMachines(machines.filter((machine) => machine._id !== id));
       } catch (err) {
         setError("Failed to delete machine. Please try again later.");
@@ -49,45 +106,107 @@ const MachineList = () => {
     }
   };
 
-  if (loading) {
-    return (
-      <Box sx={{ display: "flex", justifyContent: "center", mt: 4 }}>
-        <CircularProgress />
-      </Box>
-    );
-  }
-
   if (error) {
     return (
       <Box sx={{ mt: 4 }}>
         <Typography color="error">{error}</Typography>
-        <Button variant="contained" onClick={fetchMachines} sx={{ mt: 2 }}>
+        <Button
+          variant="contained"
+          onClick={() => fetchMachines()}
+          sx={{ mt: 2 }}
+        >
           Retry
         </Button>
       </Box>
     );
   }
 
+  const filtered =
+    debouncedSearch || status || debouncedType || debouncedLocation;
+
+  // Header cell that sorts the list by its column on the server
+  const sortableHeader = (field, label) => (
+    <TableCell sortDirection={sort.field === field ? sort.order : false}>
+      <TableSortLabel
+        active={sort.field === field}
+        direction={sort.field === field ? sort.order : "asc"}
+        onClick={() => handleSort(field)}
+      >
+        {label}
+      </TableSortLabel>
+    </TableCell>
+  );
+
   return (
     <Box sx={{ mt: 4 }}>
       <Typography variant="h5" gutterBottom>
         Machines
       </Typography>
 
-      {machines.length === 0 ? (
+      <Box sx={{ display: "flex", flexWrap: "wrap", gap: 2, mb: 2 }}>
+        <TextField
+          label="Search name or serial number"
+          size="small"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <TextField
+          select
+          label="Status"
+          size="small"
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          sx={{ minWidth: 160 }}
+        >
+          <MenuItem value="">All</MenuItem>
+          {STATUSES.map((value) => (
+            <MenuItem
+              key={value}
+              value={value}
+              sx={{ textTransform: "capitalize" }}
+            >
+              {value}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          label="Type"
+          size="small"
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+        />
+        <TextField
+          label="Location"
+          size="small"
+          value={location}
+          onChange={(e) => setLocation(e.target.value)}
+        />
+      </Box>
+
+      {loading ? (
+        <Box sx={{ display: "flex", justifyContent: "center", mt: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : machines.length === 0 ? (
         <Typography>
-          No machines found. Add a new machine to get started.
+          {filtered
+            ? "No machines match these filters."
+            : "No machines found. Add a new machine to get started."}
         </Typography>
       ) : (
         <TableContainer component={Paper}>
           <Table>
             <TableHead>
               <TableRow>
-                <TableCell>Name</TableCell>
-                <TableCell>Serial Number</TableCell>
-                <TableCell>Type</TableCell>
-                <TableCell>Status</TableCell>
+                {sortableHeader("name", "Name")}
+                {sortableHeader("serialNumber", "Serial Number")}
+                {sortableHeader("type", "Type")}
+                {sortableHeader("status", "Status")}
+                <TableCell>Location</TableCell>
                 <TableCell>Segments</TableCell>
+                <TableCell align="right">Run Hours</TableCell>
+                <TableCell align="right">Starts</TableCell>
+                <TableCell align="right">Since Service (h)</TableCell>
                 <TableCell>Actions</TableCell>
               </TableRow>
             </TableHead>
@@ -98,11 +217,26 @@ const MachineList = () => {
                   <TableCell>{machine.serialNumber}</TableCell>
                   <TableCell>{machine.type}</TableCell>
                   <TableCell>{machine.status}</TableCell>
+                  <TableCell>{machine.location}</TableCell>
                   <TableCell>
                     {machine.segments ? machine.segments.length : 0}
                   </TableCell>
+                  <TableCell align="right">
+                    {formatHours(machine.counters?.runHours)}
+                  </TableCell>
+                  <TableCell align="right">
+                    {machine.counters?.starts || 0}
+                  </TableCell>
+                  <TableCell align="right">
+                    {formatHours(machine.counters?.hoursSinceService)}
+                  </TableCell>
                   <TableCell>
-                    <Button variant="outlined" size="small" sx={{ mr: 1 }}>
+                    <Button
+                      variant="outlined"
+                      size="small"
+                      sx={{ mr: 1 }}
+                      onClick={() => setSelectedId(machine._id)}
+                    >
                       View
                     </Button>
                     <Button
@@ -121,9 +255,28 @@ const MachineList = () => {
         </TableContainer>
       )}
 
+      {nextCursor && !loading && (
+        <Button
+          variant="outlined"
+          sx={{ mt: 2, mr: 2 }}
+          disabled={loadingMore}
+          onClick={() => fetchMachines(nextCursor)}
+        >
+          {loadingMore ? "Loading..." : "Load more"}
+        </Button>
+      )}
+
       <Button variant="contained" color="primary" sx={{ mt: 2 }}>
         Add New Machine
       </Button>
+
+      {selectedId && (
+        <MachineForm
+          machineId={selectedId}
+          onSuccess={() => fetchMachines()}
+          onCancel={() => setSelectedId(null)}
+        />
+      )}
     </Box>
   );
 };
@@ -1,22 +1,70 @@
-import React from 'react';
+import React, { useState } from 'react';
 import TimelineBar from './TimelineBar';
-import { calculateDowntimeAnalytics, groupSegmentsByMachine } from '../utils/timeUtils';
+import useNow from '../hooks/useNow';
+import {
+  calculateDowntimeAnalytics,
+  formatDuration,
+  groupSegmentsByMachine,
+  withCurrentEndTime,
+} from '../utils/timeUtils';
+
+// Segment types gaps can be filled with; 'select' leaves them to be classified in the form
+const FILL_TYPES = [
+  { value: 'select', label: 'Select' },
+  { value: 'idle', label: 'Idle' },
+  { value: 'uptime', label: 'Uptime' },
+  { value: 'downtime', label: 'Downtime' },
+];
+
+// One button per segment type to fill with
+const FillButtons = ({ onFill }) => (
+  <span className="inline-flex items-center space-x-1">
+    <span>Fill as</span>
+    {FILL_TYPES.map(type => (
+      <button
+        key={type.value}
+        className="text-gray-500 hover:text-gray-700 focus:outline-none px-2 py-0.5 border rounded"
+        onClick={() => onFill(type.value)}
+      >
+        {type.label}
+      </button>
+    ))}
+  </span>
+);
+
+const MachineTimeline = ({ segments, machines = [], reasonCodes = [], gaps = [], onFillGaps }) => {
+  // Gap picked on a timeline bar, to be filled
+  const [selectedGap, setSelectedGap] = useState(null);
+
+  // Open segments grow until they are closed, so keep the clock ticking while there are any
+  const now = useNow(segments.some(segment => !segment.endTime));
 
-const MachineTimeline = ({ segments }) => {
   // Group segments by machine name
-  const machineSegments = groupSegmentsByMachine(segments);
+  const machineSegments = groupSegmentsByMachine(withCurrentEndTime(segments, now));
 
   // Get unique machine names and sort them
   const machineNames = Object.keys(machineSegments).sort();
 
-  // Create a list of default machine names (M1-M7)
-  const defaultMachines = Array.from({ length: 7 }, (_, i) => `M${i + 1}`);
+  // Show machines without segments too, removing duplicates
+  const allMachines = [...new Set([...machineNames, ...machines])].sort();
+
+  const gapMinutes = gaps.reduce((total, gap) => total + gap.minutes, 0);
 
-  // Combine actual and default machines, removing duplicates
-  const allMachines = [...new Set([...machineNames, ...defaultMachines])].sort();
+  const fillGaps = (segmentType, gap) => {
+    setSelectedGap(null);
+    onFillGaps(segmentType, gap);
+  };
 
   return (
     <div className="space-y-6 overflow-y-auto custom-scroll flex-grow">
+      {gaps.length > 0 && onFillGaps && (
+        <div className="flex flex-wrap justify-between items-center text-xs text-gray-600 gap-2">
+          <span>
+            Unclassified today: {formatDuration(gapMinutes)} in {gaps.length} gaps
+          </span>
+          <FillButtons onFill={segmentType => fillGaps(segmentType)} />
+        </div>
+      )}
       <table className="min-w-full">
         <thead>
           <tr>
@@ -39,7 +87,7 @@ const MachineTimeline = ({ segments }) => {
             // Only calculate analytics if there are active segments and no 'select' segments
             const analytics =
               activeSegments.length > 0 && !hasSelectSegments
-                ? calculateDowntimeAnalytics(activeSegments)
+                ? calculateDowntimeAnalytics(activeSegments, reasonCodes)
                 : { unplannedDowntime: '00:00:00', plannedDeviated: '00:00:00' };
 
             return (
@@ -51,7 +99,29 @@ const MachineTimeline = ({ segments }) => {
                 </td>
                 <td className="p-4">
                   <div className="flex-grow">
-                    <TimelineBar segments={machineData} machineName={machineName} />
+                    <TimelineBar
+                      segments={machineData}
+                      machineName={machineName}
+                      gaps={gaps.filter(gap => gap.machineName === machineName)}
+                      selectedGap={
+                        selectedGap && selectedGap.machineName === machineName ? selectedGap : null
+                      }
+                      onGapClick={onFillGaps && setSelectedGap}
+                    />
+                    {selectedGap && selectedGap.machineName === machineName && (
+                      <div className="flex flex-wrap items-center text-xs text-gray-600 mt-1 gap-2">
+                        <span>
+                          Unclassified {selectedGap.startTime} - {selectedGap.endTime}
+                        </span>
+                        <FillButtons onFill={segmentType => fillGaps(segmentType, selectedGap)} />
+                        <button
+                          className="text-gray-400 hover:text-gray-600 focus:outline-none"
+                          onClick={() => setSelectedGap(null)}
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    )}
                     <p className="text-xs text-gray-600 mt-1">
                       Unplanned downtime duration: {analytics.unplannedDowntime}, Planned deviated
                       duration: {analytics.plannedDeviated}
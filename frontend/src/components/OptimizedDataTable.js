@@ -24,6 +24,7 @@ import ClearIcon from "@mui/icons-material/Clear";
 import FilterListIcon from "@mui/icons-material/FilterList";
 import designSystem from "../styles/designSystem";
 import TableSkeleton from "./TableSkeleton";
+import ExportButton from "./ExportButton";
 import { useDebouncedInput } from "../hooks/useDebounce";
 
 // Styled components
@@ -116,6 +117,7 @@ MemoizedTableRow.displayName = "MemoizedTableRow";
  * @param {number} props.totalCount - Total number of rows
  * @param {Function} props.onPageChange - Callback when page changes
  * @param {Function} props.onPageSizeChange - Callback when page size changes
+ * @param {Function} props.onExport - Callback with the chosen export format; shows an Export button when set
  */
 const OptimizedDataTable = ({
   data = [],
@@ -129,6 +131,7 @@ const OptimizedDataTable = ({
   totalCount = 0,
   onPageChange,
   onPageSizeChange,
+  onExport,
 }) => {
   // Search state with debounce
   const {
@@ -250,6 +253,12 @@ const OptimizedDataTable = ({
               sx={{ ml: 1 }}
             />
           )}
+
+          {onExport && (
+            <Box sx={{ ml: 1 }}>
+              <ExportButton onExport={onExport} disabled={loading} />
+            </Box>
+          )}
         </Box>
       </TableToolbar>
 
@@ -312,6 +321,7 @@ OptimizedDataTable.propTypes = {
   totalCount: PropTypes.number,
   onPageChange: PropTypes.func,
   onPageSizeChange: PropTypes.func,
+  onExport: PropTypes.func,
 };
 
 export default memo(OptimizedDataTable);
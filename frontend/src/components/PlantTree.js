@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import { plantAPI } from '../services/api';
+
+// Indent per level of the hierarchy
+const INDENT = 16;
+
+// One node of the hierarchy with the nodes below it; lines show how many machines they have
+const PlantTreeNode = ({ node, depth, selected, onSelect }) => {
+  const [expanded, setExpanded] = useState(depth < 2);
+  const children = node.children || [];
+  const isSelected = selected && selected._id === node._id;
+
+  return (
+    <li>
+      <div className="flex items-center" style={{ paddingLeft: depth * INDENT }}>
+        <button
+          className="w-4 text-gray-500 hover:text-gray-700 focus:outline-none"
+          onClick={() => setExpanded(!expanded)}
+          disabled={children.length === 0}
+          aria-label={expanded ? 'Collapse' : 'Expand'}
+        >
+          {children.length > 0 && (expanded ? '▾' : '▸')}
+        </button>
+        <button
+          className={`flex-grow text-left text-sm px-2 py-1 rounded focus:outline-none ${
+            isSelected ? 'bg-blue-100 text-blue-800 font-medium' : 'hover:bg-gray-100'
+          }`}
+          onClick={() => onSelect(isSelected ? null : node)}
+        >
+          {node.name}
+          <span className="text-xs text-gray-400 capitalize ml-2">
+            {node.level === 'line' ? `${(node.machines || []).length} machines` : node.level}
+          </span>
+        </button>
+      </div>
+      {expanded && children.length > 0 && (
+        <ul>
+          {children.map(child => (
+            <PlantTreeNode
+              key={child._id}
+              node={child}
+              depth={depth + 1}
+              selected={selected}
+              onSelect={onSelect}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// Navigator for the plant hierarchy; picking a node limits the views to the machines under it
+const PlantTree = ({ selected, onSelect }) => {
+  const [tree, setTree] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    plantAPI
+      .getAll({ format: 'tree' })
+      .then(response => {
+        setTree(response.data);
+        setError(null);
+      })
+      .catch(err => {
+        console.error('Error fetching the plant hierarchy:', err);
+        setError('Failed to load the plant hierarchy.');
+      });
+  }, []);
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  if (tree.length === 0) {
+    return <p className="text-sm text-gray-500">No sites, areas or lines have been set up yet.</p>;
+  }
+
+  return (
+    <div>
+      <button
+        className={`text-sm px-2 py-1 rounded focus:outline-none ${
+          selected ? 'hover:bg-gray-100' : 'bg-blue-100 text-blue-800 font-medium'
+        }`}
+        onClick={() => onSelect(null)}
+      >
+        All machines
+      </button>
+      <ul>
+        {tree.map(node => (
+          <PlantTreeNode
+            key={node._id}
+            node={node}
+            depth={0}
+            selected={selected}
+            onSelect={onSelect}
+          />
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PlantTree;
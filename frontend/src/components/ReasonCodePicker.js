@@ -0,0 +1,129 @@
+import React, { useEffect, useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import { Autocomplete, TextField, Box, Chip } from "@mui/material";
+import apiService from "../services/apiService";
+
+/**
+ * Describe every reason code with its category and the path to it
+ * @param {Array} reasonCodes - Flat reason-code catalog
+ * @returns {Array} - Options sorted by category and path
+ */
+const buildOptions = (reasonCodes) => {
+  const byCode = new Map(reasonCodes.map((entry) => [entry.code, entry]));
+
+  return reasonCodes
+    .map((entry) => {
+      const path = [];
+      for (
+        let current = entry;
+        current;
+        current = byCode.get(current.parentCode)
+      ) {
+        path.unshift(current.name);
+      }
+
+      return {
+        ...entry,
+        category: path[0],
+        label: path.slice(1).join(" › ") || entry.name,
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.category.localeCompare(b.category) || a.label.localeCompare(b.label)
+    );
+};
+
+/**
+ * ReasonCodePicker Component
+ *
+ * Searchable picker for a downtime reason code, grouped by category
+ *
+ * @param {Object} props - Component props
+ * @param {String} props.value - Selected reason code
+ * @param {Function} props.onChange - Called with the picked code, or null when cleared
+ */
+const ReasonCodePicker = ({
+  value = null,
+  onChange,
+  onBlur,
+  error = false,
+  helperText,
+  size = "medium",
+  disabled = false,
+}) => {
+  const [reasonCodes, setReasonCodes] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let active = true;
+
+    apiService
+      .getReasonCodes()
+      .then((response) => {
+        if (active) {
+          setReasonCodes(response.data || []);
+        }
+      })
+      .catch(() => {
+        // Leave the picker empty; the segment can still be saved without a reason
+      })
+      .finally(() => {
+        if (active) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const options = useMemo(() => buildOptions(reasonCodes), [reasonCodes]);
+  const selected = options.find((option) => option.code === value) || null;
+
+  return (
+    <Autocomplete
+      options={options}
+      value={selected}
+      loading={loading}
+      disabled={disabled}
+      size={size}
+      groupBy={(option) => option.category}
+      getOptionLabel={(option) => option.label}
+      isOptionEqualToValue={(option, selectedOption) =>
+        option.code === selectedOption.code
+      }
+      onChange={(event, option) => onChange(option ? option.code : null)}
+      onBlur={onBlur}
+      renderOption={(props, option) => (
+        <Box component="li" {...props} key={option.code}>
+          <Box sx={{ flexGrow: 1 }}>{option.label}</Box>
+          {option.planned && (
+            <Chip size="small" label="Planned" sx={{ ml: 1 }} />
+          )}
+        </Box>
+      )}
+      renderInput={(params) => (
+        <TextField
+          {...params}
+          label="Downtime Reason"
+          error={error}
+          helperText={helperText}
+        />
+      )}
+    />
+  );
+};
+
+ReasonCodePicker.propTypes = {
+  value: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  onBlur: PropTypes.func,
+  error: PropTypes.bool,
+  helperText: PropTypes.string,
+  size: PropTypes.oneOf(["small", "medium"]),
+  disabled: PropTypes.bool,
+};
+
+export default ReasonCodePicker;
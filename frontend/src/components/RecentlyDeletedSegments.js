@@ -0,0 +1,150 @@
+import React, { useCallback, useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import {
+  Button,
+  Paper,
+  Typography,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  LinearProgress,
+} from "@mui/material";
+import { Restore as RestoreIcon } from "@mui/icons-material";
+import apiService from "../services/apiService";
+
+/**
+ * RecentlyDeletedSegments Component
+ *
+ * Lists deleted segments that have not been purged yet and restores them;
+ * a segment that now overlaps another one cannot be restored until the other
+ * one is moved or deleted
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onRestored - Called with the restored segment
+ */
+const RecentlyDeletedSegments = ({ onRestored }) => {
+  const [segments, setSegments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Load the deleted segments
+  const fetchDeleted = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await apiService.getDeletedSegments();
+      setSegments(response.data || []);
+    } catch (err) {
+      setError(err.message || "Failed to load deleted segments");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDeleted();
+  }, [fetchDeleted]);
+
+  // Restore a segment and drop it from the list
+  const handleRestore = async (segment) => {
+    setRestoringId(segment._id);
+    setError(null);
+
+    try {
+      const response = await apiService.restoreSegment(segment._id);
+      setSegments((prev) => prev.filter((item) => item._id !== segment._id));
+
+      if (onRestored) {
+        onRestored(response.data);
+      }
+    } catch (err) {
+      // Overlap conflicts explain which segment is in the way
+      setError((err.data && err.data.message) || err.message);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Typography variant="h6" gutterBottom>
+        Recently Deleted
+      </Typography>
+      <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+        Deleted segments can be restored until they are permanently purged.
+      </Typography>
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Date</TableCell>
+              <TableCell>Machine</TableCell>
+              <TableCell>Type</TableCell>
+              <TableCell>Start</TableCell>
+              <TableCell>End</TableCell>
+              <TableCell>Deleted</TableCell>
+              <TableCell align="right" />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {segments.map((segment) => (
+              <TableRow key={segment._id}>
+                <TableCell>{segment.date}</TableCell>
+                <TableCell>{segment.machineName}</TableCell>
+                <TableCell>{segment.segmentType}</TableCell>
+                <TableCell>{segment.startTime}</TableCell>
+                <TableCell>{segment.endTime}</TableCell>
+                <TableCell>
+                  {new Date(segment.deletedAt).toLocaleString()}
+                  {segment.deletedBy &&
+                    ` by ${segment.deletedBy.name || segment.deletedBy.username}`}
+                </TableCell>
+                <TableCell align="right">
+                  <Button
+                    size="small"
+                    startIcon={<RestoreIcon />}
+                    onClick={() => handleRestore(segment)}
+                    disabled={restoringId !== null}
+                  >
+                    Restore
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+
+            {!loading && segments.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={7} align="center" sx={{ py: 3 }}>
+                  <Typography variant="body1" color="textSecondary">
+                    No deleted segments
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+};
+
+RecentlyDeletedSegments.propTypes = {
+  onRestored: PropTypes.func,
+};
+
+export default RecentlyDeletedSegments;
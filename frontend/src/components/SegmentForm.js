@@ -29,6 +29,7 @@ import {
   formatDateString,
 } from "../utils/validation";
 import designSystem from "../styles/designSystem";
+import ReasonCodePicker from "./ReasonCodePicker";
 
 // Styled components
 const FormContainer = styled(Paper)(({ theme }) => ({
@@ -73,6 +74,8 @@ const SegmentForm = ({
     endTime: formatTimeString(new Date(Date.now() + 60 * 60 * 1000)), // 1 hour later
     machineName: "",
     segmentType: "",
+    reasonCode: null,
+    notes: "",
     ...initialValues,
   };
 
@@ -104,10 +107,16 @@ const SegmentForm = ({
     .filter(Boolean)
     .sort();
 
+  // Reason codes only apply to downtime segments
+  const isDowntime = String(values.segmentType).toLowerCase() === "downtime";
+
   // Handle form submission
   const submitForm = async (formData) => {
     if (onSubmit) {
-      await onSubmit(formData);
+      await onSubmit({
+        ...formData,
+        reasonCode: isDowntime ? formData.reasonCode : null,
+      });
     }
   };
 
@@ -269,6 +278,29 @@ const SegmentForm = ({
               </FormControl>
             </Grid>
 
+            {isDowntime && (
+              <Grid item xs={12} sm={6}>
+                <ReasonCodePicker
+                  value={values.reasonCode}
+                  onChange={(code) => setFieldValue("reasonCode", code)}
+                  onBlur={() => handleBlur("reasonCode")}
+                />
+              </Grid>
+            )}
+
+            <Grid item xs={12} sm={isDowntime ? 6 : 12}>
+              <TextField
+                fullWidth
+                label="Notes"
+                value={values.notes || ""}
+                onChange={(e) => handleChange("notes", e.target.value)}
+                onBlur={() => handleBlur("notes")}
+                error={hasError("notes")}
+                helperText={getErrorMessage("notes")}
+                inputProps={{ maxLength: 1000 }}
+              />
+            </Grid>
+
             <Grid item xs={12}>
               <Box sx={{ display: "flex", justifyContent: "flex-end" }}>
                 <Button
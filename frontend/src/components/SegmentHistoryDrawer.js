@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import {
+  Drawer,
+  Box,
+  Typography,
+  IconButton,
+  Chip,
+  Divider,
+  CircularProgress,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from "@mui/material";
+import { styled } from "@mui/material/styles";
+import { Close as CloseIcon } from "@mui/icons-material";
+import apiService from "../services/apiService";
+
+const DrawerContent = styled(Box)(({ theme }) => ({
+  width: 480,
+  maxWidth: "100vw",
+  padding: theme.spacing(2),
+}));
+
+const ACTION_COLORS = {
+  create: "success",
+  update: "info",
+  delete: "error",
+  restore: "warning",
+};
+
+/**
+ * Show a field value from an audit entry
+ * @param {*} value - Value before or after the change
+ * @returns {String} - Display text, a dash when the field was not set
+ */
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return "—";
+  }
+
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * SegmentHistoryDrawer Component
+ *
+ * Side drawer listing every revision of a segment with who made it, when, and
+ * the fields it changed
+ *
+ * @param {Object} props - Component props
+ * @param {String} props.segmentId - Segment to show; the drawer is closed without one
+ * @param {Function} props.onClose - Called when the drawer is dismissed
+ */
+const SegmentHistoryDrawer = ({ segmentId = null, onClose }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!segmentId) {
+      return undefined;
+    }
+
+    let active = true;
+    setLoading(true);
+    setError(null);
+
+    apiService
+      .getSegmentHistory(segmentId)
+      .then((response) => {
+        if (active) {
+          setHistory(response.data || []);
+        }
+      })
+      .catch((err) => {
+        if (active) {
+          setHistory([]);
+          setError(err.message || "Failed to load history");
+        }
+      })
+      .finally(() => {
+        if (active) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [segmentId]);
+
+  return (
+    <Drawer anchor="right" open={Boolean(segmentId)} onClose={onClose}>
+      <DrawerContent>
+        <Box sx={{ display: "flex", alignItems: "center", mb: 2 }}>
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>
+            Segment History
+          </Typography>
+          <IconButton size="small" onClick={onClose}>
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        </Box>
+
+        {loading && (
+          <Box sx={{ display: "flex", justifyContent: "center", py: 3 }}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+
+        {!loading && error && <Alert severity="info">{error}</Alert>}
+
+        {!loading &&
+          !error &&
+          [...history].reverse().map((entry) => (
+            <Box key={entry._id} sx={{ mb: 2 }}>
+              <Box sx={{ display: "flex", alignItems: "center", mb: 1 }}>
+                <Typography variant="subtitle2" sx={{ mr: 1 }}>
+                  Revision {entry.revision}
+                </Typography>
+                <Chip
+                  size="small"
+                  label={entry.action}
+                  color={ACTION_COLORS[entry.action] || "default"}
+                />
+              </Box>
+              <Typography variant="body2" color="textSecondary">
+                {new Date(entry.createdAt).toLocaleString()} by{" "}
+                {entry.actor
+                  ? entry.actor.name || entry.actor.username
+                  : "system"}
+              </Typography>
+              {entry.requestId && (
+                <Typography variant="caption" color="textSecondary">
+                  Request {entry.requestId}
+                </Typography>
+              )}
+
+              <Table size="small" sx={{ mt: 1 }}>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Field</TableCell>
+                    <TableCell>Before</TableCell>
+                    <TableCell>After</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {entry.changes.map((change) => (
+                    <TableRow key={change.field}>
+                      <TableCell>{change.field}</TableCell>
+                      <TableCell>{formatValue(change.before)}</TableCell>
+                      <TableCell>{formatValue(change.after)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+              <Divider sx={{ mt: 2 }} />
+            </Box>
+          ))}
+      </DrawerContent>
+    </Drawer>
+  );
+};
+
+SegmentHistoryDrawer.propTypes = {
+  segmentId: PropTypes.string,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default SegmentHistoryDrawer;
@@ -0,0 +1,361 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import {
+  Box,
+  Button,
+  Paper,
+  Typography,
+  Stepper,
+  Step,
+  StepLabel,
+  Grid,
+  TextField,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Chip,
+  FormControlLabel,
+  Checkbox,
+  LinearProgress,
+} from "@mui/material";
+import { alpha } from "@mui/material/styles";
+import apiService from "../services/apiService";
+
+const steps = ["Upload file", "Review rows", "Import"];
+
+// Columns read from the file unless mapped to other headers
+const defaultMapping = {
+  date: "date",
+  startTime: "start",
+  endTime: "end",
+  machineName: "machine",
+  segmentType: "type",
+};
+
+const fields = [
+  { key: "date", label: "Date" },
+  { key: "startTime", label: "Start" },
+  { key: "endTime", label: "End" },
+  { key: "machineName", label: "Machine" },
+  { key: "segmentType", label: "Type" },
+];
+
+/**
+ * SegmentImportWizard Component
+ *
+ * Uploads a CSV or XLSX file, shows the dry-run report with row-level errors
+ * next to the parsed data and imports the rows once they are reviewed
+ */
+const SegmentImportWizard = ({ onImported }) => {
+  const [activeStep, setActiveStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState(defaultMapping);
+  const [report, setReport] = useState(null);
+  const [result, setResult] = useState(null);
+  const [skipInvalid, setSkipInvalid] = useState(false);
+  const [showInvalidOnly, setShowInvalidOnly] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Handle file selection
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setError(null);
+  };
+
+  // Handle column mapping changes
+  const handleMappingChange = (e) => {
+    const { name, value } = e.target;
+    setMapping((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // Upload the file as a dry run and show the report
+  const handlePreview = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await apiService.importSegments(file, { mapping });
+      setReport(response);
+      setShowInvalidOnly(response.summary.invalid > 0);
+      setActiveStep(1);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Save the reviewed rows
+  const handleImport = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await apiService.importSegments(file, {
+        mapping,
+        dryRun: false,
+        skipInvalid,
+      });
+      setResult(response);
+      setActiveStep(2);
+
+      if (onImported) {
+        onImported(response);
+      }
+    } catch (err) {
+      // A rejected import returns a fresh report, e.g. when data changed since the preview
+      if (err.data?.rows) {
+        setReport(err.data);
+      }
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Start over with a new file
+  const handleReset = () => {
+    setActiveStep(0);
+    setFile(null);
+    setReport(null);
+    setResult(null);
+    setSkipInvalid(false);
+    setError(null);
+  };
+
+  const renderError = () =>
+    error && (
+      <Alert severity="error" sx={{ mb: 2 }}>
+        {error.message}
+        {error.data?.errors && (
+          <Box component="ul" sx={{ m: 0, pl: 2 }}>
+            {error.data.errors.map((message, index) => (
+              <li key={index}>
+                {typeof message === "string" ? message : message.message}
+              </li>
+            ))}
+          </Box>
+        )}
+        {error.data?.headers && (
+          <Typography variant="body2" sx={{ mt: 1 }}>
+            Columns in the file: {error.data.headers.join(", ")}
+          </Typography>
+        )}
+      </Alert>
+    );
+
+  const renderUploadStep = () => (
+    <Box>
+      <Button variant="outlined" component="label" sx={{ mb: 2 }}>
+        {file ? file.name : "Choose CSV or XLSX file"}
+        <input
+          type="file"
+          hidden
+          accept=".csv,.xlsx"
+          onChange={handleFileChange}
+        />
+      </Button>
+
+      <Typography variant="subtitle2" gutterBottom>
+        Column mapping
+      </Typography>
+      <Grid container spacing={2}>
+        {fields.map(({ key, label }) => (
+          <Grid item xs={12} sm={6} md={2.4} key={key}>
+            <TextField
+              fullWidth
+              size="small"
+              label={`${label} column`}
+              name={key}
+              value={mapping[key]}
+              onChange={handleMappingChange}
+            />
+          </Grid>
+        ))}
+      </Grid>
+      <Typography variant="caption" color="text.secondary">
+        Dates may be YYYY-MM-DD or DD-MM-YYYY, times HH:MM:SS or HH:MM.
+      </Typography>
+
+      <Box sx={{ display: "flex", justifyContent: "flex-end", mt: 2 }}>
+        <Button
+          variant="contained"
+          onClick={handlePreview}
+          disabled={!file || loading}
+        >
+          Preview
+        </Button>
+      </Box>
+    </Box>
+  );
+
+  const renderReviewStep = () => {
+    const { summary, rows } = report;
+    const visibleRows = showInvalidOnly
+      ? rows.filter((row) => !row.valid)
+      : rows;
+
+    return (
+      <Box>
+        <Box sx={{ display: "flex", gap: 1, mb: 2, flexWrap: "wrap" }}>
+          <Chip label={`${summary.total} rows`} />
+          <Chip color="success" label={`${summary.valid} valid`} />
+          <Chip
+            color={summary.invalid > 0 ? "error" : "default"}
+            label={`${summary.invalid} invalid`}
+          />
+          <FormControlLabel
+            sx={{ ml: "auto" }}
+            control={
+              <Checkbox
+                checked={showInvalidOnly}
+                onChange={(e) => setShowInvalidOnly(e.target.checked)}
+              />
+            }
+            label="Show invalid rows only"
+          />
+        </Box>
+
+        <TableContainer sx={{ maxHeight: 440 }}>
+          <Table stickyHeader size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Row</TableCell>
+                {fields.map(({ key, label }) => (
+                  <TableCell key={key}>{label}</TableCell>
+                ))}
+                <TableCell>Errors</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {visibleRows.map((row) => {
+                const invalidFields = row.errors
+                  .map((err) => err.field)
+                  .filter(Boolean);
+
+                return (
+                  <TableRow
+                    key={row.row}
+                    sx={{
+                      bgcolor: (theme) =>
+                        row.valid
+                          ? undefined
+                          : alpha(theme.palette.error.main, 0.05),
+                    }}
+                  >
+                    <TableCell>{row.row}</TableCell>
+                    {fields.map(({ key }) => (
+                      <TableCell
+                        key={key}
+                        sx={{
+                          color: invalidFields.includes(key)
+                            ? "error.main"
+                            : undefined,
+                        }}
+                      >
+                        {row.data[key] || "—"}
+                      </TableCell>
+                    ))}
+                    <TableCell>
+                      {row.valid ? (
+                        <Chip size="small" color="success" label="OK" />
+                      ) : (
+                        row.errors.map((err, index) => (
+                          <Typography key={index} variant="body2" color="error">
+                            {err.message}
+                          </Typography>
+                        ))
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        <Box
+          sx={{
+            display: "flex",
+            justifyContent: "flex-end",
+            alignItems: "center",
+            mt: 2,
+          }}
+        >
+          {summary.invalid > 0 && (
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={skipInvalid}
+                  onChange={(e) => setSkipInvalid(e.target.checked)}
+                />
+              }
+              label="Skip invalid rows"
+            />
+          )}
+          <Button variant="outlined" sx={{ mr: 1 }} onClick={handleReset}>
+            Back
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleImport}
+            disabled={
+              loading ||
+              summary.valid === 0 ||
+              (summary.invalid > 0 && !skipInvalid)
+            }
+          >
+            Import {skipInvalid ? summary.valid : summary.total} rows
+          </Button>
+        </Box>
+      </Box>
+    );
+  };
+
+  const renderResultStep = () => (
+    <Box>
+      <Alert severity="success" sx={{ mb: 2 }}>
+        Imported {result.summary.imported} of {result.summary.total} rows.
+      </Alert>
+      <Box sx={{ display: "flex", justifyContent: "flex-end" }}>
+        <Button variant="contained" onClick={handleReset}>
+          Import another file
+        </Button>
+      </Box>
+    </Box>
+  );
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Import Segments
+      </Typography>
+
+      <Stepper activeStep={activeStep} sx={{ mb: 3 }}>
+        {steps.map((label) => (
+          <Step key={label}>
+            <StepLabel>{label}</StepLabel>
+          </Step>
+        ))}
+      </Stepper>
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+      {renderError()}
+
+      {activeStep === 0 && renderUploadStep()}
+      {activeStep === 1 && report && renderReviewStep()}
+      {activeStep === 2 && result && renderResultStep()}
+    </Paper>
+  );
+};
+
+SegmentImportWizard.propTypes = {
+  onImported: PropTypes.func,
+};
+
+export default SegmentImportWizard;
@@ -8,7 +8,10 @@ import {
   Grid,
   Zoom,
   IconButton,
+  Button,
   Slider,
+  ToggleButton,
+  ToggleButtonGroup,
   useMediaQuery,
   useTheme,
 } from "@mui/material";
@@ -17,6 +20,18 @@ import ZoomInIcon from "@mui/icons-material/ZoomIn";
 import ZoomOutIcon from "@mui/icons-material/ZoomOut";
 import InfoIcon from "@mui/icons-material/Info";
 import designSystem from "../styles/designSystem";
+import useNow from "../hooks/useNow";
+import { calculateTimeAlongSegment } from "../utils/timeUtils";
+
+// Hatching that marks time no segment accounts for
+const GAP_BACKGROUND =
+  "repeating-linear-gradient(45deg, #9E9E9E 0, #9E9E9E 2px, transparent 2px, transparent 6px)";
+
+// Pixels the pointer must move before pressing on a segment becomes a drag
+const DRAG_THRESHOLD = 4;
+
+// Outline of segments selected for merging
+const SELECTED_OUTLINE = `2px solid ${designSystem.colors.ui.primary}`;
 
 // Styled components
 const TimelineContainer = styled(Paper)(({ theme }) => ({
@@ -141,6 +156,7 @@ const TimelineSegment = styled(Box)(({ status, theme, interactive }) => {
   return {
     height: "100%",
     backgroundColor,
+    ...(status === "gap" && { backgroundImage: GAP_BACKGROUND }),
     transition: "all 0.3s ease",
     position: "relative",
     cursor: interactive ? "pointer" : "default",
@@ -167,6 +183,28 @@ const SegmentLabel = styled(Typography)(({ theme }) => ({
   pointerEvents: "none",
 }));
 
+const SplitMarker = styled(Box)(({ theme }) => ({
+  position: "absolute",
+  top: 0,
+  bottom: 0,
+  width: "2px",
+  backgroundColor: "#FFFFFF",
+  boxShadow: "0px 0px 2px rgba(0,0,0,0.7)",
+  pointerEvents: "none",
+}));
+
+const SplitLabel = styled(Typography)(({ theme }) => ({
+  position: "absolute",
+  top: "2px",
+  left: "4px",
+  color: "#FFFFFF",
+  fontSize: "0.75rem",
+  fontWeight: designSystem.typography.fontWeight.medium,
+  whiteSpace: "nowrap",
+  textShadow: "0px 0px 2px rgba(0,0,0,0.7)",
+  userSelect: "none",
+}));
+
 const LegendContainer = styled(Box)(({ theme }) => ({
   display: "flex",
   alignItems: "center",
@@ -180,10 +218,11 @@ const LegendItem = styled(Box)(({ theme }) => ({
   gap: theme.spacing(1),
 }));
 
-const LegendColor = styled(Box)(({ color, theme }) => ({
+const LegendColor = styled(Box)(({ color, pattern, theme }) => ({
   width: "16px",
   height: "16px",
   backgroundColor: color,
+  backgroundImage: pattern,
   borderRadius: "4px",
 }));
 
@@ -212,9 +251,77 @@ const formatDuration = (minutes) => {
   }
 };
 
+// Helper function to format a timestamp as a local HH:MM time
+const formatClockTime = (value) =>
+  new Date(value).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Helper function to check whether any machine row has an open segment
+const hasOpenSegments = (machines) =>
+  machines.some((machine) => machine.segments.some((segment) => segment.open));
+
+// Helper function to grow open segments, which are still running, to the
+// minutes elapsed since they started
+const withElapsedDuration = (machines, now) =>
+  machines.map((machine) => ({
+    ...machine,
+    segments: machine.segments.map((segment) =>
+      segment.open && segment.start
+        ? {
+            ...segment,
+            duration: Math.max(
+              segment.duration,
+              Math.floor((now - new Date(segment.start)) / 60000)
+            ),
+          }
+        : segment
+    ),
+  }));
+
+// Helper function to regroup machine rows into one row per machine and shift,
+// splitting each segment across the shifts it was worked in
+const groupMachinesByShift = (machines) => {
+  const rows = new Map();
+
+  machines.forEach((machine) => {
+    machine.segments.forEach((segment) => {
+      (segment.shifts || []).forEach((allocation) => {
+        const name = `${machine.name} · Shift ${allocation.name}`;
+
+        if (!rows.has(name)) {
+          rows.set(name, { id: name, name, segments: [] });
+        }
+
+        rows.get(name).segments.push({
+          ...segment,
+          id: `${segment.id}-${allocation.date}-${allocation.name}`,
+          duration: allocation.minutes,
+          startTime: formatClockTime(allocation.startAt || allocation.start),
+          endTime: formatClockTime(allocation.endAt || allocation.end),
+          shiftDate: allocation.date,
+          crew: allocation.crew,
+        });
+      });
+    });
+  });
+
+  return [...rows.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
 // Tooltip content component
 const SegmentTooltipContent = memo(({ segment }) => {
-  const { status, startTime, endTime, duration, notes } = segment;
+  const {
+    status,
+    startTime,
+    endTime,
+    duration,
+    reasonCode,
+    notes,
+    crew,
+    open,
+  } = segment;
 
   return (
     <Box>
@@ -222,7 +329,7 @@ const SegmentTooltipContent = memo(({ segment }) => {
         variant="subtitle2"
         sx={{ mb: 1, textTransform: "capitalize" }}
       >
-        {status}
+        {status === "gap" ? "Unclassified" : status}
       </Typography>
 
       <Grid container spacing={1} sx={{ mb: 1 }}>
@@ -241,7 +348,9 @@ const SegmentTooltipContent = memo(({ segment }) => {
           </Typography>
         </Grid>
         <Grid item xs={8}>
-          <Typography variant="caption">{endTime || "N/A"}</Typography>
+          <Typography variant="caption">
+            {endTime || (open ? "Running" : "N/A")}
+          </Typography>
         </Grid>
 
         <Grid item xs={4}>
@@ -252,6 +361,32 @@ const SegmentTooltipContent = memo(({ segment }) => {
         <Grid item xs={8}>
           <Typography variant="caption">{formatDuration(duration)}</Typography>
         </Grid>
+
+        {crew && (
+          <>
+            <Grid item xs={4}>
+              <Typography variant="caption" color="text.secondary">
+                Crew:
+              </Typography>
+            </Grid>
+            <Grid item xs={8}>
+              <Typography variant="caption">{crew}</Typography>
+            </Grid>
+          </>
+        )}
+
+        {reasonCode && (
+          <>
+            <Grid item xs={4}>
+              <Typography variant="caption" color="text.secondary">
+                Reason:
+              </Typography>
+            </Grid>
+            <Grid item xs={8}>
+              <Typography variant="caption">{reasonCode}</Typography>
+            </Grid>
+          </>
+        )}
       </Grid>
 
       {notes && (
@@ -279,8 +414,21 @@ SegmentTooltipContent.propTypes = {
  * @param {Object} props - Component props
  * @param {Array} props.machines - Array of machine data with segments
  * @param {Object} props.options - Configuration options
+ * @param {Function} props.onGapClick - Called with a gap and its machine row when
+ * a gap is clicked, e.g. to fill it
+ * @param {Function} props.onSplit - Called with a segment, the split time and
+ * its machine row when a segment is dragged across; segments need an id and
+ * start timestamp to be split
+ * @param {Function} props.onMerge - Called with the segments selected with
+ * Ctrl- or Shift-click and their machine row when Merge is clicked
  */
-const Timeline = ({ machines = [], options = {} }) => {
+const Timeline = ({
+  machines: machineRows = [],
+  options = {},
+  onGapClick,
+  onSplit,
+  onMerge,
+}) => {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down("sm"));
   const scrollRef = useRef(null);
@@ -289,6 +437,13 @@ const Timeline = ({ machines = [], options = {} }) => {
   const [zoom, setZoom] = useState(1);
   const [selectedMachine, setSelectedMachine] = useState(null);
   const [timeScale, setTimeScale] = useState("hourly");
+  const [groupBy, setGroupBy] = useState(options.groupBy || "machine");
+  // Segments selected for merging, all on one machine
+  const [selection, setSelection] = useState({ machine: null, ids: [] });
+  // Segment being dragged across and where the split would be
+  const [split, setSplit] = useState(null);
+  const pressRef = useRef(null);
+  const draggedRef = useRef(false);
 
   // Default options
   const defaultOptions = {
@@ -304,6 +459,14 @@ const Timeline = ({ machines = [], options = {} }) => {
   // Merge default options with provided options
   const mergedOptions = { ...defaultOptions, ...options };
 
+  // Open segments keep growing until they are closed
+  const now = useNow(hasOpenSegments(machineRows), 60000);
+  const liveRows = withElapsedDuration(machineRows, now);
+
+  // Rows to draw: one per machine, or one per machine and shift
+  const machines =
+    groupBy === "shift" ? groupMachinesByShift(liveRows) : liveRows;
+
   // Calculate total timeline duration across all machines
   const calculateTotalDuration = () => {
     let maxDuration = 0;
@@ -352,6 +515,12 @@ const Timeline = ({ machines = [], options = {} }) => {
     setZoom(newValue);
   };
 
+  const handleGroupByChange = (event, newValue) => {
+    if (newValue) {
+      setGroupBy(newValue);
+    }
+  };
+
   // Calculate machine statistics
   const calculateMachineStats = (machine) => {
     const totalDuration = machine.segments.reduce(
@@ -382,10 +551,146 @@ const Timeline = ({ machines = [], options = {} }) => {
     };
   };
 
+  // Only whole segments saved with an id can be split or merged, not the
+  // shares of segments shown per shift
+  const isEditable = (segment) =>
+    Boolean(segment.id) && segment.status !== "gap" && groupBy === "machine";
+
+  // Start a possible drag across a segment to split it
+  const handlePointerDown = (event, segment, machine) => {
+    if (
+      !onSplit ||
+      !segment.start ||
+      !isEditable(segment) ||
+      event.button !== 0 ||
+      event.ctrlKey ||
+      event.metaKey ||
+      event.shiftKey
+    ) {
+      return;
+    }
+
+    pressRef.current = {
+      segment,
+      machine,
+      x: event.clientX,
+      rect: event.currentTarget.getBoundingClientRect(),
+    };
+    event.currentTarget.setPointerCapture(event.pointerId);
+  };
+
+  // Move the split marker with the pointer once it has moved far enough
+  const handlePointerMove = (event) => {
+    const press = pressRef.current;
+
+    if (
+      !press ||
+      (!split && Math.abs(event.clientX - press.x) < DRAG_THRESHOLD)
+    ) {
+      return;
+    }
+
+    const fraction = (event.clientX - press.rect.left) / press.rect.width;
+
+    setSplit({
+      segmentId: press.segment.id,
+      fraction: Math.min(Math.max(fraction, 0), 1),
+      at: calculateTimeAlongSegment(
+        press.segment.start,
+        press.segment.duration,
+        fraction
+      ),
+    });
+  };
+
+  // Split where the drag ended, unless that is at either end of the segment
+  const handlePointerUp = () => {
+    const press = pressRef.current;
+    pressRef.current = null;
+
+    if (press && split) {
+      const start = new Date(press.segment.start);
+      const end = calculateTimeAlongSegment(start, press.segment.duration, 1);
+
+      draggedRef.current = true;
+      if (split.at > start && split.at < end) {
+        onSplit(press.segment, split.at, press.machine);
+      }
+    }
+
+    setSplit(null);
+  };
+
+  // Ctrl- or Shift-click adds a segment to or removes it from the selection;
+  // selecting on another machine starts a new selection
+  const handleSegmentClick = (event, segment, machine) => {
+    // The click that ends a drag is not a click on the segment
+    if (draggedRef.current) {
+      draggedRef.current = false;
+      return;
+    }
+
+    if (segment.status === "gap") {
+      if (onGapClick) {
+        onGapClick(segment, machine);
+      }
+      return;
+    }
+
+    if (!onMerge || !isEditable(segment)) {
+      return;
+    }
+
+    if (!(event.ctrlKey || event.metaKey || event.shiftKey)) {
+      setSelection({ machine: null, ids: [] });
+      return;
+    }
+
+    setSelection((current) => {
+      if (current.machine !== machine.name) {
+        return { machine: machine.name, ids: [segment.id] };
+      }
+
+      return {
+        machine: machine.name,
+        ids: current.ids.includes(segment.id)
+          ? current.ids.filter((id) => id !== segment.id)
+          : [...current.ids, segment.id],
+      };
+    });
+  };
+
+  // Selected segments still shown, e.g. after the timeline was refreshed
+  const selectionRow = machines.find(
+    (machine) => machine.name === selection.machine
+  );
+  const selectedSegments = selectionRow
+    ? selectionRow.segments.filter((segment) =>
+        selection.ids.includes(segment.id)
+      )
+    : [];
+
+  const handleMerge = () => {
+    onMerge(selectedSegments, selectionRow);
+    setSelection({ machine: null, ids: [] });
+  };
+
+  // What the timeline shows and how its segments can be edited
+  const helpText = [
+    "Timeline shows machine status over time. Hover over segments for details.",
+    onSplit && "Drag across a segment to split it.",
+    onMerge && "Ctrl- or Shift-click adjacent segments to merge them.",
+  ]
+    .filter(Boolean)
+    .join(" ");
+
   // Render segment with tooltip
   const renderSegment = (segment, machine, totalMachineDuration) => {
     const widthPercentage = (segment.duration / totalMachineDuration) * 100;
     const showLabel = mergedOptions.showLabels && widthPercentage > 10;
+    const selected =
+      selection.machine === machine.name && selection.ids.includes(segment.id);
+    const splitting = split && split.segmentId === segment.id;
 
     return (
       <CustomTooltip
@@ -399,15 +704,39 @@ const Timeline = ({ machines = [], options = {} }) => {
       >
         <TimelineSegment
           status={segment.status}
-          sx={{ width: `${widthPercentage}%` }}
+          sx={{
+            width: `${widthPercentage}%`,
+            ...(selected && {
+              outline: SELECTED_OUTLINE,
+              outlineOffset: "-2px",
+              zIndex: 1,
+            }),
+            ...(onSplit &&
+              segment.start &&
+              isEditable(segment) && { cursor: "col-resize" }),
+          }}
           interactive={mergedOptions.interactive}
+          onClick={(event) => handleSegmentClick(event, segment, machine)}
+          onPointerDown={(event) => handlePointerDown(event, segment, machine)}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={() => {
+            pressRef.current = null;
+            setSplit(null);
+          }}
           aria-label={`${segment.status} segment for ${
             machine.name
           }, duration: ${formatDuration(segment.duration)}`}
+          aria-selected={onMerge ? selected : undefined}
         >
-          {showLabel && (
+          {showLabel && !splitting && (
             <SegmentLabel>{formatDuration(segment.duration)}</SegmentLabel>
           )}
+          {splitting && (
+            <SplitMarker sx={{ left: `${split.fraction * 100}%` }}>
+              <SplitLabel>Split at {formatClockTime(split.at)}</SplitLabel>
+            </SplitMarker>
+          )}
         </TimelineSegment>
       </CustomTooltip>
     );
@@ -420,6 +749,23 @@ const Timeline = ({ machines = [], options = {} }) => {
 
         {mergedOptions.showControls && (
           <TimelineControls>
+            {onMerge && selectedSegments.length >= 2 && (
+              <Button size="small" variant="contained" onClick={handleMerge}>
+                Merge {selectedSegments.length} segments
+              </Button>
+            )}
+
+            <ToggleButtonGroup
+              size="small"
+              value={groupBy}
+              exclusive
+              onChange={handleGroupByChange}
+              aria-label="Group timeline by"
+            >
+              <ToggleButton value="machine">Machine</ToggleButton>
+              <ToggleButton value="shift">Shift</ToggleButton>
+            </ToggleButtonGroup>
+
             <IconButton
               size="small"
               onClick={handleZoomOut}
@@ -448,7 +794,7 @@ const Timeline = ({ machines = [], options = {} }) => {
               <ZoomInIcon fontSize="small" />
             </IconButton>
 
-            <Tooltip title="Timeline shows machine status over time. Hover over segments for details.">
+            <Tooltip title={helpText}>
               <IconButton size="small">
                 <InfoIcon fontSize="small" />
               </IconButton>
@@ -469,6 +815,12 @@ const Timeline = ({ machines = [], options = {} }) => {
             </TimeScale>
           )}
 
+          {machines.length === 0 && groupBy === "shift" && (
+            <Typography variant="body2" color="text.secondary">
+              No shift assignments for these segments
+            </Typography>
+          )}
+
           {machines.map((machine) => {
             const machineDuration = machine.segments.reduce(
               (total, segment) => total + segment.duration,
@@ -526,6 +878,11 @@ const Timeline = ({ machines = [], options = {} }) => {
             />
             <Typography variant="caption">Idle</Typography>
           </LegendItem>
+
+          <LegendItem>
+            <LegendColor pattern={GAP_BACKGROUND} />
+            <Typography variant="caption">Unclassified</Typography>
+          </LegendItem>
         </LegendContainer>
       )}
     </TimelineContainer>
@@ -540,11 +897,26 @@ Timeline.propTypes = {
       segments: PropTypes.arrayOf(
         PropTypes.shape({
           id: PropTypes.string,
-          status: PropTypes.oneOf(["uptime", "idle", "downtime"]).isRequired,
+          // gap: time no segment accounts for
+          status: PropTypes.oneOf(["uptime", "idle", "downtime", "gap"])
+            .isRequired,
           duration: PropTypes.number.isRequired, // in minutes
           startTime: PropTypes.string,
           endTime: PropTypes.string,
+          // Still running: the duration grows from the start timestamp
+          open: PropTypes.bool,
+          start: PropTypes.string,
+          reasonCode: PropTypes.string,
           notes: PropTypes.string,
+          // Share of the segment worked in each shift
+          shifts: PropTypes.arrayOf(
+            PropTypes.shape({
+              name: PropTypes.string.isRequired,
+              date: PropTypes.string,
+              crew: PropTypes.string,
+              minutes: PropTypes.number.isRequired,
+            })
+          ),
         })
       ).isRequired,
     })
@@ -557,7 +929,11 @@ Timeline.propTypes = {
     showControls: PropTypes.bool,
     minZoom: PropTypes.number,
     maxZoom: PropTypes.number,
+    groupBy: PropTypes.oneOf(["machine", "shift"]),
   }),
+  onGapClick: PropTypes.func,
+  onSplit: PropTypes.func,
+  onMerge: PropTypes.func,
 };
 
 export default Timeline;
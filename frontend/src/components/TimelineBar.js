@@ -1,7 +1,13 @@
 import React from 'react';
 import { calculateSegmentWidth, calculateSegmentPosition } from '../utils/timeUtils';
 
-const TimelineBar = ({ segments, machineName }) => {
+// Hatching that marks time no segment accounts for
+const GAP_STYLE = {
+  backgroundImage:
+    'repeating-linear-gradient(45deg, #9ca3af 0, #9ca3af 2px, transparent 2px, transparent 6px)',
+};
+
+const TimelineBar = ({ segments, machineName, gaps = [], selectedGap, onGapClick }) => {
   // Sort segments by start time
   const sortedSegments = [...segments].sort((a, b) => {
     if (a.startTime < b.startTime) return -1;
@@ -39,7 +45,10 @@ const TimelineBar = ({ segments, machineName }) => {
         return (
           <div
             key={`${machineName}-${index}`}
-            className={`${getSegmentColor(segment.segmentType)} absolute`}
+            className={`${getSegmentColor(segment.segmentType)} absolute${
+              segment.open ? ' animate-pulse' : ''
+            }`}
+            title={segment.open ? 'Running now' : undefined}
             style={{
               width: `${width}%`,
               left: `${position}%`,
@@ -48,6 +57,22 @@ const TimelineBar = ({ segments, machineName }) => {
           />
         );
       })}
+      {gaps.map(gap => (
+        <div
+          key={`${machineName}-gap-${gap.start}`}
+          className={`absolute cursor-pointer hover:opacity-75${
+            selectedGap && gap.start === selectedGap.start ? ' ring-2 ring-inset ring-blue-500' : ''
+          }`}
+          style={{
+            ...GAP_STYLE,
+            width: `${(gap.minutes / totalMinutes) * 100}%`,
+            left: `${calculateSegmentPosition(gap.startTime, '00:00:00', totalMinutes)}%`,
+            height: '100%',
+          }}
+          title={`Unclassified ${gap.startTime} - ${gap.endTime}`}
+          onClick={() => onGapClick && onGapClick(gap)}
+        />
+      ))}
     </div>
   );
 };
@@ -0,0 +1,87 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useCallback,
+  useEffect,
+} from "react";
+import PropTypes from "prop-types";
+import * as auth from "../services/auth";
+
+// Create context
+const AuthContext = createContext({
+  user: null,
+  sessionExpired: false,
+  can: () => false,
+  login: async () => {},
+  logout: async () => {},
+});
+
+/**
+ * Auth Provider Component
+ *
+ * Holds the signed-in user and their permissions, and drops the user when the
+ * session can no longer be refreshed
+ */
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(() => auth.getStoredUser());
+  const [sessionExpired, setSessionExpired] = useState(false);
+
+  // Sign out when the API rejects the session
+  useEffect(() => {
+    const handleExpired = () => {
+      setUser(null);
+      setSessionExpired(true);
+    };
+
+    window.addEventListener(auth.SESSION_EXPIRED_EVENT, handleExpired);
+    return () =>
+      window.removeEventListener(auth.SESSION_EXPIRED_EVENT, handleExpired);
+  }, []);
+
+  // Check a permission of the signed-in user, e.g. can("segments:delete")
+  const can = useCallback(
+    (permission) => Boolean(user?.permissions?.includes(permission)),
+    [user]
+  );
+
+  // Sign in
+  const login = useCallback(async (username, password) => {
+    const signedIn = await auth.login(username, password);
+    setSessionExpired(false);
+    setUser(signedIn);
+    return signedIn;
+  }, []);
+
+  // Sign out
+  const logout = useCallback(async () => {
+    await auth.logout();
+    setSessionExpired(false);
+    setUser(null);
+  }, []);
+
+  return (
+    <AuthContext.Provider value={{ user, sessionExpired, can, login, logout }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+AuthProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+/**
+ * Custom hook to use auth context
+ */
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+
+  if (!context) {
+    throw new Error("useAuth must be used within an AuthProvider");
+  }
+
+  return context;
+};
+
+export default AuthContext;
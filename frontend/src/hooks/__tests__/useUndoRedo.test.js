@@ -0,0 +1,40 @@
+import { renderHook, act } from "@testing-library/react";
+import useUndoRedo from "../useUndoRedo";
+
+jest.mock("../../services/apiService", () => ({
+  __esModule: true,
+  default: {},
+}));
+
+describe("useUndoRedo hook", () => {
+  // Operators can update segments but not delete or restore them
+  const operator = (permission) => permission === "segments:update";
+
+  it("should leave out operations the user cannot replay", () => {
+    const { result } = renderHook(() => useUndoRedo({ can: operator }));
+
+    act(() => {
+      result.current.record({
+        label: "segment delete",
+        operations: [{ type: "delete", id: "1" }],
+      });
+    });
+
+    expect(result.current.canUndo).toBe(false);
+
+    act(() => {
+      result.current.record({
+        label: "bulk change",
+        operations: [
+          { type: "update", id: "2", before: {}, after: {} },
+          { type: "create", id: "3" },
+        ],
+      });
+    });
+
+    expect(result.current.canUndo).toBe(true);
+    expect(result.current.nextUndo.operations).toEqual([
+      { type: "update", id: "2", before: {}, after: {} },
+    ]);
+  });
+});
@@ -1,5 +1,9 @@
 import { useState, useCallback, useEffect, useRef } from "react";
 import apiService from "../services/apiService";
+import { subscribeToChanges, RESYNC_EVENT } from "../services/liveUpdates";
+
+// Wait for a burst of pushed changes, e.g. from a bulk edit, to end before refetching
+const REFRESH_DELAY = 300;
 
 /**
  * Custom hook for API integration with validation support
@@ -7,10 +11,12 @@ import apiService from "../services/apiService";
  * @param {Object} options - Hook options
  * @param {Function} options.validateFn - Function to validate data before submission
  * @param {Object} options.validationContext - Additional context for validation
+ * @param {Array} options.refreshOn - Kinds of records ("segment", "machine")
+ * whose changes, made by anyone, repeat the last fetchData
  * @returns {Object} - API state and handlers
  */
 const useApi = (options = {}) => {
-  const { validateFn, validationContext = {} } = options;
+  const { validateFn, validationContext = {}, refreshOn = [] } = options;
 
   // State
   const [data, setData] = useState([]);
@@ -21,6 +27,7 @@ const useApi = (options = {}) => {
 
   // Refs
   const isMounted = useRef(true);
+  const lastFetch = useRef(null);
 
   // Reset mounted state on unmount
   useEffect(() => {
@@ -49,6 +56,7 @@ const useApi = (options = {}) => {
 
   // Fetch data from API
   const fetchData = useCallback(async (endpoint, params = {}) => {
+    lastFetch.current = { endpoint, params };
     setLoading(true);
     setStatus("loading");
     setError(null);
@@ -76,6 +84,35 @@ const useApi = (options = {}) => {
     }
   }, []);
 
+  // Repeat the last fetch when a pushed change affects it
+  const refreshKey = refreshOn.join(",");
+  useEffect(() => {
+    if (!refreshKey) {
+      return undefined;
+    }
+
+    const kinds = refreshKey.split(",");
+    let timer = null;
+
+    const unsubscribe = subscribeToChanges(({ event }) => {
+      const affected =
+        event === RESYNC_EVENT || kinds.includes(event.split(".")[0]);
+
+      if (affected && lastFetch.current) {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          const { endpoint, params } = lastFetch.current;
+          fetchData(endpoint, params).catch(() => {});
+        }, REFRESH_DELAY);
+      }
+    });
+
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, [refreshKey, fetchData]);
+
   // Create data via API
   const createData = useCallback(
     async (endpoint, newData) => {
@@ -152,7 +189,13 @@ const useApi = (options = {}) => {
           setStatus("error");
         }
 
-        return { success: false, error: err.message };
+        // A version conflict (409) carries the server copy in details.current
+        return {
+          success: false,
+          error: err.message,
+          status: err.status,
+          details: err.data,
+        };
       } finally {
         if (isMounted.current) {
           setLoading(false);
@@ -203,16 +246,28 @@ const useApi = (options = {}) => {
         data: updateData,
       });
 
+      // In partial mode the server reports a result per id; only apply the
+      // update locally to the ids that succeeded
+      const failedIds = (response.results || [])
+        .filter((result) => !result.success)
+        .map((result) => result.id);
+
       if (isMounted.current) {
         setData((prevData) =>
           prevData.map((item) =>
-            ids.includes(item.id) ? { ...item, ...updateData } : item
+            ids.includes(item.id) && !failedIds.includes(item.id)
+              ? { ...item, ...updateData }
+              : item
           )
         );
         setStatus("success");
       }
 
-      return { success: true, data: response.data };
+      return {
+        success: failedIds.length === 0,
+        data: response.results,
+        summary: response.summary,
+      };
     } catch (err) {
       if (isMounted.current) {
         setError(err.message || "An error occurred during bulk update");
@@ -0,0 +1,60 @@
+import { useState, useEffect } from 'react';
+import { machineAPI } from '../services/api';
+
+// Largest page the machine list returns
+const PAGE_SIZE = 100;
+
+/**
+ * Fetch the names of all machines matching a filter, a page at a time
+ *
+ * @param {Object} params - Machine list filters
+ * @returns {Promise<Array<string>>} - Machine names
+ */
+const fetchMachineNames = async params => {
+  const names = [];
+  let cursor;
+
+  do {
+    const response = await machineAPI.getAll({
+      ...params,
+      fields: 'name',
+      limit: PAGE_SIZE,
+      ...(cursor && { cursor }),
+    });
+    names.push(...response.data.map(machine => machine.name));
+    cursor = response.pagination.nextCursor;
+  } while (cursor);
+
+  return names;
+};
+
+/**
+ * Custom hook for the names of the machines on the lines under a plant node
+ *
+ * @param {Object|null} node - Plant node, or null for every machine
+ * @returns {Array<string>} - Machine names in order
+ */
+const useMachines = node => {
+  const [machines, setMachines] = useState([]);
+
+  useEffect(() => {
+    // Ignore the answer for a node that is no longer selected
+    let current = true;
+
+    fetchMachineNames(node ? { node: node._id } : {})
+      .then(names => {
+        if (current) {
+          setMachines(names);
+        }
+      })
+      .catch(err => console.error('Error fetching machines:', err));
+
+    return () => {
+      current = false;
+    };
+  }, [node]);
+
+  return machines;
+};
+
+export default useMachines;
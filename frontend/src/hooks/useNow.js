@@ -0,0 +1,29 @@
+import { useState, useEffect } from "react";
+
+/**
+ * Custom hook for the current time, updated on an interval so that elapsed
+ * times and open segments keep growing on screen
+ *
+ * @param {boolean} enabled - Whether to keep ticking; pass false when nothing
+ * on screen depends on the time
+ * @param {number} interval - Milliseconds between updates
+ * @returns {Date} - The current time
+ */
+const useNow = (enabled = true, interval = 1000) => {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    setNow(new Date());
+    const timer = setInterval(() => setNow(new Date()), interval);
+
+    return () => clearInterval(timer);
+  }, [enabled, interval]);
+
+  return now;
+};
+
+export default useNow;
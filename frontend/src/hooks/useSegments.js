@@ -1,8 +1,39 @@
-import { useState, useEffect } from 'react';
-import { segmentAPI } from '../services/api';
+import { useState, useEffect, useRef } from 'react';
+import { segmentAPI, reasonCodeAPI } from '../services/api';
+import { subscribeToChanges, RESYNC_EVENT } from '../services/liveUpdates';
 import { defaultFormRows } from '../data';
 import moment from 'moment';
 
+/**
+ * Map an API segment to the fields used by the form and timeline
+ */
+const toSegment = segment => ({
+  id: segment._id,
+  date: segment.date,
+  startTime: segment.startTime,
+  endTime: segment.endTime,
+  machineName: segment.machineName,
+  segmentType: segment.segmentType,
+  reasonCode: segment.reasonCode || null,
+  notes: segment.notes || '',
+});
+
+/**
+ * Apply a segment change pushed by the server to a list of segments
+ */
+const applySegmentEvent = (segments, event, segment) => {
+  if (event === 'segment.delete') {
+    return segments.filter(item => item.id !== segment.id);
+  }
+
+  return segments.some(item => item.id === segment.id)
+    ? segments.map(item => (item.id === segment.id ? segment : item))
+    : [...segments, segment];
+};
+
+// Wait for a burst of pushed segment changes, such as a fill, to end before refetching gaps
+const GAP_REFRESH_DELAY = 500;
+
 /**
  * Custom hook for managing segments with API integration
  */
@@ -13,6 +44,13 @@ const useSegments = () => {
   // State for form rows
   const [formRows, setFormRows] = useState([]);
 
+  // Reason-code catalog for downtime segments
+  const [reasonCodes, setReasonCodes] = useState([]);
+
+  // Time no segment accounts for today, per machine
+  const [gaps, setGaps] = useState([]);
+  const gapRefreshTimer = useRef(null);
+
   // Loading states
   const [isLoading, setIsLoading] = useState(true);
   const [isSaving, setIsSaving] = useState(false);
@@ -25,14 +63,7 @@ const useSegments = () => {
       const response = await segmentAPI.getAll();
 
       // Map API data to our format
-      const apiSegments = response.data.map(segment => ({
-        id: segment._id,
-        date: segment.date,
-        startTime: segment.startTime,
-        endTime: segment.endTime,
-        machineName: segment.machineName,
-        segmentType: segment.segmentType,
-      }));
+      const apiSegments = response.data.map(toSegment);
 
       setSegments(apiSegments);
 
@@ -52,10 +83,43 @@ const useSegments = () => {
     }
   };
 
-  // Handle segment type change in form
+  // Fetch the reason codes that can be picked for downtime
+  const fetchReasonCodes = async () => {
+    try {
+      const response = await reasonCodeAPI.getAll({ active: true });
+      setReasonCodes(response.data);
+    } catch (err) {
+      // Downtime can still be saved without a reason
+      console.error('Error fetching reason codes:', err);
+    }
+  };
+
+  // Fetch today's gaps between segments
+  const fetchGaps = async () => {
+    try {
+      const response = await segmentAPI.getGaps();
+      setGaps(response.data.gaps);
+    } catch (err) {
+      // The timeline can still be used without them
+      console.error('Error fetching gaps:', err);
+    }
+  };
+
+  // Handle segment type change in form; only downtime keeps its reason
   const handleSegmentTypeChange = (rowId, segmentType) => {
     setFormRows(prevRows =>
-      prevRows.map(row => (row.id === rowId ? { ...row, segmentType } : row))
+      prevRows.map(row =>
+        row.id === rowId
+          ? { ...row, segmentType, reasonCode: segmentType === 'downtime' ? row.reasonCode : null }
+          : row
+      )
+    );
+  };
+
+  // Handle reason code and notes changes in form
+  const handleSegmentFieldChange = (rowId, field, value) => {
+    setFormRows(prevRows =>
+      prevRows.map(row => (row.id === rowId ? { ...row, [field]: value } : row))
     );
   };
 
@@ -82,14 +146,7 @@ const useSegments = () => {
       if (existingSegment) {
         // Update existing segment
         const response = await segmentAPI.update(row.id, segmentData);
-        savedSegment = {
-          id: response.data._id,
-          date: response.data.date,
-          startTime: response.data.startTime,
-          endTime: response.data.endTime,
-          machineName: response.data.machineName,
-          segmentType: response.data.segmentType,
-        };
+        savedSegment = toSegment(response.data);
 
         // Update segments state
         setSegments(prevSegments =>
@@ -98,14 +155,7 @@ const useSegments = () => {
       } else {
         // Create new segment
         const response = await segmentAPI.create(segmentData);
-        savedSegment = {
-          id: response.data._id,
-          date: response.data.date,
-          startTime: response.data.startTime,
-          endTime: response.data.endTime,
-          machineName: response.data.machineName,
-          segmentType: response.data.segmentType,
-        };
+        savedSegment = toSegment(response.data);
 
         // Add to segments state
         setSegments(prevSegments => [...prevSegments, savedSegment]);
@@ -125,19 +175,130 @@ const useSegments = () => {
     }
   };
 
+  // Handle close button click on an open segment; a segment running past midnight comes back
+  // with the segments that continue it
+  const handleClose = async row => {
+    try {
+      setIsSaving(true);
+
+      const response = await segmentAPI.close(row.id);
+      const changed = [response.data, ...(response.continued || [])].map(toSegment);
+
+      // The same changes may already have been pushed by the server
+      const applyChanges = items =>
+        changed.reduce(
+          (list, segment) => applySegmentEvent(list, 'segment.update', segment),
+          items
+        );
+
+      setSegments(applyChanges);
+      setFormRows(applyChanges);
+
+      setError(null);
+    } catch (err) {
+      console.error('Error closing segment:', err);
+      setError('Failed to close segment. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Handle gap fill: one gap, or every gap today when none is given, limited to the machines
+  // under a plant node if one is given. The new segments are added to the form so that
+  // segments filled as 'select' can be classified there
+  const handleFillGaps = async (segmentType, gap, plantNode) => {
+    try {
+      setIsSaving(true);
+
+      let created;
+      let skipped = [];
+
+      // A gap spanning a whole day is that day's only gap; the server fills it with two segments
+      if (!gap || gap.startTime === gap.endTime) {
+        const response = await segmentAPI.fillGaps(
+          gap
+            ? { machineName: gap.machineName, startDate: gap.date, endDate: gap.date, segmentType }
+            : { segmentType, ...(plantNode && { node: plantNode._id }) }
+        );
+        created = response.data;
+        skipped = response.skipped;
+      } else {
+        const { machineName, date, startTime, endTime } = gap;
+        const response = await segmentAPI.create({
+          machineName,
+          date,
+          startTime,
+          endTime,
+          segmentType,
+        });
+        created = [response.data];
+      }
+
+      const addCreated = items =>
+        created
+          .map(toSegment)
+          .reduce((list, segment) => applySegmentEvent(list, 'segment.create', segment), items);
+
+      setSegments(addCreated);
+      setFormRows(addCreated);
+      await fetchGaps();
+
+      setError(
+        skipped.length > 0 ? `${skipped.length} gaps were not filled: ${skipped[0].message}` : null
+      );
+    } catch (err) {
+      console.error('Error filling gaps:', err);
+      setError('Failed to fill gaps. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
   // Fetch segments on component mount
   useEffect(() => {
     fetchSegments();
+    fetchReasonCodes();
+    fetchGaps();
   }, []);
 
+  // Keep the timeline in step with segments saved elsewhere; form rows are left as the user
+  // is editing them
+  useEffect(
+    () =>
+      subscribeToChanges(({ event, data }) => {
+        if (event === RESYNC_EVENT) {
+          segmentAPI
+            .getAll()
+            .then(response => setSegments(response.data.map(toSegment)))
+            .catch(err => console.error('Error reloading segments:', err));
+        } else if (event.startsWith('segment.')) {
+          setSegments(prevSegments => applySegmentEvent(prevSegments, event, toSegment(data)));
+        }
+
+        if (event === RESYNC_EVENT || event.startsWith('segment.')) {
+          clearTimeout(gapRefreshTimer.current);
+          gapRefreshTimer.current = setTimeout(fetchGaps, GAP_REFRESH_DELAY);
+        }
+      }),
+    []
+  );
+
+  // Drop a pending gap refresh on unmount
+  useEffect(() => () => clearTimeout(gapRefreshTimer.current), []);
+
   return {
     segments,
     formRows,
+    reasonCodes,
+    gaps,
     isLoading,
     isSaving,
     error,
     handleSegmentTypeChange,
+    handleSegmentFieldChange,
     handleSave,
+    handleClose,
+    handleFillGaps,
     fetchSegments,
   };
 };
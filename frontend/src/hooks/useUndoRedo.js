@@ -0,0 +1,153 @@
+import { useState, useCallback, useEffect, useRef } from "react";
+import { canReplay, replayOperations } from "../utils/undoUtils";
+
+// Number of segment actions that can be undone
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Check whether a key press belongs to a text field, whose own undo should win
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} - True for inputs, text areas and editable content
+ */
+const isTextInput = (target) =>
+  Boolean(target) &&
+  (["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName) ||
+    target.isContentEditable);
+
+/**
+ * Custom hook for undoing and redoing segment actions
+ *
+ * Record each action with its operations (see utils/undoUtils) once the server
+ * has applied it; undo and redo replay the inverse or the original API calls.
+ * Ctrl+Z (Cmd+Z) undoes, Ctrl+Shift+Z or Ctrl+Y redoes, outside text fields.
+ *
+ * @param {Object} options - Hook options
+ * @param {number} options.limit - Number of actions kept for undo
+ * @param {Function} options.can - Permission check from useAuth; operations
+ * the user may not replay are left out of the history
+ * @param {Function} options.onReplayed - Called with the action, the
+ * `{ applied, skipped }` result and the direction after an undo or redo
+ * @returns {Object} - History state and handlers
+ */
+const useUndoRedo = (options = {}) => {
+  const { limit = DEFAULT_LIMIT, can, onReplayed } = options;
+
+  const [past, setPast] = useState([]);
+  const [future, setFuture] = useState([]);
+  const [replaying, setReplaying] = useState(false);
+
+  // Latest state for the keyboard handler and overlapping calls
+  const stateRef = useRef({ past, future, replaying });
+  stateRef.current = { past, future, replaying };
+
+  const onReplayedRef = useRef(onReplayed);
+  onReplayedRef.current = onReplayed;
+
+  // Record an action the server has applied; a new action clears the redo stack
+  const record = useCallback(
+    (action) => {
+      const operations = (action.operations || []).filter(
+        (operation) => !can || canReplay(operation, can)
+      );
+
+      if (operations.length === 0) {
+        return;
+      }
+
+      setPast((prev) => [...prev, { ...action, operations }].slice(-limit));
+      setFuture([]);
+    },
+    [limit, can]
+  );
+
+  // Replay the latest action of one stack and move what succeeded to the other
+  const replay = useCallback(async (direction) => {
+    const {
+      past: undoable,
+      future: redoable,
+      replaying: busy,
+    } = stateRef.current;
+    const source = direction === "undo" ? undoable : redoable;
+
+    if (busy || source.length === 0) {
+      return null;
+    }
+
+    const action = source[source.length - 1];
+    const setSource = direction === "undo" ? setPast : setFuture;
+    const setTarget = direction === "undo" ? setFuture : setPast;
+
+    setReplaying(true);
+    stateRef.current.replaying = true;
+
+    try {
+      const result = await replayOperations(action.operations, direction);
+
+      setSource((prev) => prev.slice(0, -1));
+
+      // Operations skipped because the record changed cannot be replayed back
+      if (result.applied.length > 0) {
+        setTarget((prev) => [
+          ...prev,
+          { ...action, operations: result.applied },
+        ]);
+      }
+
+      if (onReplayedRef.current) {
+        onReplayedRef.current(action, result, direction);
+      }
+
+      return result;
+    } finally {
+      setReplaying(false);
+    }
+  }, []);
+
+  const undo = useCallback(() => replay("undo"), [replay]);
+  const redo = useCallback(() => replay("redo"), [replay]);
+
+  // Forget the history, e.g. after reloading data from the server
+  const clear = useCallback(() => {
+    setPast([]);
+    setFuture([]);
+  }, []);
+
+  // Keyboard shortcuts
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || isTextInput(event.target)) {
+        return;
+      }
+
+      const key = event.key.toLowerCase();
+
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if (key === "y" || (key === "z" && event.shiftKey)) {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [undo, redo]);
+
+  return {
+    canUndo: past.length > 0 && !replaying,
+    canRedo: future.length > 0 && !replaying,
+    nextUndo: past[past.length - 1] || null,
+    nextRedo: future[future.length - 1] || null,
+    replaying,
+    record,
+    undo,
+    redo,
+    clear,
+  };
+};
+
+export default useUndoRedo;
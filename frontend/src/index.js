@@ -2,6 +2,8 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { AuthProvider } from './contexts/AuthContext';
+import AuthGate from './components/AuthGate';
 
 // Create root with concurrent mode for better performance
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -10,9 +12,19 @@ const root = ReactDOM.createRoot(document.getElementById('root'));
 if (process.env.NODE_ENV === 'development') {
   root.render(
     <React.StrictMode>
-      <App />
+      <AuthProvider>
+        <AuthGate>
+          <App />
+        </AuthGate>
+      </AuthProvider>
     </React.StrictMode>
   );
 } else {
-  root.render(<App />);
+  root.render(
+    <AuthProvider>
+      <AuthGate>
+        <App />
+      </AuthGate>
+    </AuthProvider>
+  );
 }
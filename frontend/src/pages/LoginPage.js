@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import logo from '../assets/patternlab-real-logo.png';
+
+const LoginPage = () => {
+  const { login, sessionExpired } = useAuth();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async event => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      await login(username, password);
+    } catch (err) {
+      setError(err.message || 'Sign in failed. Please try again.');
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-100 font-sans antialiased text-gray-800 min-h-screen flex items-center justify-center p-6">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white rounded-lg shadow-md p-6">
+        <div className="flex justify-center mb-6">
+          <img src={logo} alt="PatternLab AI Logo" className="h-10" />
+        </div>
+
+        <h2 className="text-xl font-semibold text-gray-700 mb-4">Sign in</h2>
+
+        {sessionExpired && !error && (
+          <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-4">
+            Your session has expired. Please sign in again.
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+
+        <label htmlFor="username" className="block text-sm font-medium text-gray-600 mb-1">
+          Username
+        </label>
+        <input
+          id="username"
+          type="text"
+          autoComplete="username"
+          value={username}
+          onChange={e => setUsername(e.target.value)}
+          required
+          className="w-full border border-gray-300 rounded px-3 py-2 mb-4 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+
+        <label htmlFor="password" className="block text-sm font-medium text-gray-600 mb-1">
+          Password
+        </label>
+        <input
+          id="password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={e => setPassword(e.target.value)}
+          required
+          className="w-full border border-gray-300 rounded px-3 py-2 mb-6 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full bg-blue-600 text-white font-medium py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSubmitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginPage;
@@ -7,13 +7,20 @@ import {
   Typography,
   Alert,
   Snackbar,
+  Button,
 } from "@mui/material";
 import { styled } from "@mui/material/styles";
 import SegmentForm from "../components/SegmentForm";
 import DataTable from "../components/DataTable";
 import Timeline from "../components/Timeline";
+import SegmentImportWizard from "../components/SegmentImportWizard";
+import RecentlyDeletedSegments from "../components/RecentlyDeletedSegments";
+import ConflictDialog from "../components/ConflictDialog";
 import useApi from "../hooks/useApi";
+import useUndoRedo from "../hooks/useUndoRedo";
+import { useAuth } from "../contexts/AuthContext";
 import { validateSegmentForm } from "../utils/validation";
+import { buildUpdateOperation, UNDOABLE_FIELDS } from "../utils/undoUtils";
 import designSystem from "../styles/designSystem";
 
 // Styled components
@@ -38,17 +45,54 @@ const TabsContainer = styled(Box)(({ theme }) => ({
  * Main page for managing machine segments with validation
  */
 const SegmentManagementPage = () => {
+  const { can } = useAuth();
+
+  // Tabs shown only to some roles take the next free index
+  const deletedTab = can("segments:import") ? 4 : 3;
+
   // State
   const [activeTab, setActiveTab] = useState(0);
   const [notification, setNotification] = useState({
     open: false,
     message: "",
     severity: "success",
+    action: null,
   });
+  // Edit refused because the segment changed since it was loaded
+  const [conflict, setConflict] = useState(null);
 
-  // API hooks with validation
+  // API hooks with validation; segments saved elsewhere reload the table and
+  // timeline
   const segmentsApi = useApi({
     validateFn: validateSegmentForm,
+    refreshOn: ["segment"],
+  });
+
+  // Undo and redo of table edits, deletes and bulk changes; the table is
+  // reloaded afterwards so it shows the server state, including records that
+  // changed since and were left alone
+  const history = useUndoRedo({
+    can,
+    onReplayed: (action, { applied, skipped }, direction) => {
+      const verb = direction === "undo" ? "Undid" : "Redid";
+
+      if (skipped.length === 0) {
+        showNotification(
+          `${verb} ${action.label}`,
+          "success",
+          direction === "undo" ? "redo" : "undo"
+        );
+      } else {
+        showNotification(
+          `${verb} ${applied.length} of ${
+            applied.length + skipped.length
+          } changes: ${skipped[0].reason}`,
+          "warning"
+        );
+      }
+
+      fetchSegments();
+    },
   });
 
   // Fetch segments on mount
@@ -100,9 +144,36 @@ const SegmentManagementPage = () => {
       );
 
       if (result.success) {
-        showNotification("Segment updated successfully", "success");
+        const previous = segmentsApi.data.find(
+          (segment) => segment.id === updatedSegment.id
+        );
+        const operation =
+          previous &&
+          buildUpdateOperation(
+            updatedSegment.id,
+            previous,
+            result.data || updatedSegment
+          );
+
+        if (operation) {
+          history.record({ label: "segment edit", operations: [operation] });
+        }
+
+        showNotification(
+          "Segment updated successfully",
+          "success",
+          operation && "undo"
+        );
       } else if (result.errors) {
         return { success: false, errors: result.errors };
+      } else if (result.status === 409 && result.details?.current) {
+        setConflict({
+          yours: updatedSegment,
+          theirs: result.details.current,
+          base: segmentsApi.data.find(
+            (segment) => segment.id === updatedSegment.id
+          ),
+        });
       } else {
         showNotification("Failed to update segment", "error");
       }
@@ -114,13 +185,34 @@ const SegmentManagementPage = () => {
     }
   };
 
+  // Save the values picked in the conflict dialog over the current version
+  const handleResolveConflict = (merged) => {
+    setConflict(null);
+    handleUpdateSegment(merged);
+  };
+
+  // Drop the refused edit and show the current version
+  const handleDiscardConflict = () => {
+    setConflict(null);
+    fetchSegments();
+  };
+
   // Handle segment deletion
   const handleDeleteSegment = async (segment) => {
     try {
       const result = await segmentsApi.deleteData("/api/segments", segment.id);
 
       if (result.success) {
-        showNotification("Segment deleted successfully", "success");
+        history.record({
+          label: "segment delete",
+          operations: [{ type: "delete", id: segment.id }],
+        });
+
+        showNotification(
+          "Segment deleted; restore it from Recently Deleted",
+          "success",
+          "undo"
+        );
       } else {
         showNotification("Failed to delete segment", "error");
       }
@@ -137,10 +229,35 @@ const SegmentManagementPage = () => {
         segmentType,
       });
 
+      // Only the segments the server changed can be changed back
+      const failedIds = (result.data || [])
+        .filter((item) => !item.success)
+        .map((item) => item.id);
+      const operations = segments
+        .filter((segment) => !failedIds.includes(segment.id))
+        .map((segment) =>
+          buildUpdateOperation(segment.id, segment, { segmentType })
+        )
+        .filter(Boolean);
+
+      if (result.success || result.summary) {
+        history.record({
+          label: `bulk change to ${segmentType}`,
+          operations,
+        });
+      }
+
       if (result.success) {
         showNotification(
           `${ids.length} segments updated successfully`,
-          "success"
+          "success",
+          operations.length > 0 && "undo"
+        );
+      } else if (result.summary) {
+        showNotification(
+          `${result.summary.succeeded} of ${result.summary.total} segments updated, ${result.summary.failed} failed`,
+          "warning",
+          operations.length > 0 && "undo"
         );
       } else {
         showNotification("Failed to update segments", "error");
@@ -150,15 +267,42 @@ const SegmentManagementPage = () => {
     }
   };
 
-  // Show notification
-  const showNotification = (message, severity = "success") => {
+  // Handle restored segment
+  const handleRestored = () => {
+    showNotification("Segment restored successfully", "success");
+    fetchSegments();
+  };
+
+  // Handle completed import
+  const handleImported = (result) => {
+    showNotification(
+      `${result.summary.imported} segments imported successfully`,
+      "success"
+    );
+    fetchSegments();
+  };
+
+  // Show notification, optionally with an Undo or Redo button
+  const showNotification = (message, severity = "success", action = null) => {
     setNotification({
       open: true,
       message,
       severity,
+      action: action || null,
     });
   };
 
+  // Undo or redo from the notification
+  const handleNotificationAction = () => {
+    handleCloseNotification();
+
+    if (notification.action === "undo") {
+      history.undo();
+    } else {
+      history.redo();
+    }
+  };
+
   // Close notification
   const handleCloseNotification = () => {
     setNotification((prev) => ({
@@ -180,6 +324,8 @@ const SegmentManagementPage = () => {
           <Tab label="Form View" />
           <Tab label="Table View" />
           <Tab label="Timeline View" />
+          {can("segments:import") && <Tab label="Import" />}
+          {can("segments:delete") && <Tab label="Recently Deleted" />}
         </Tabs>
       </TabsContainer>
 
@@ -223,6 +369,29 @@ const SegmentManagementPage = () => {
         </Box>
       )}
 
+      {/* Import Tab */}
+      {activeTab === 3 && can("segments:import") && (
+        <Box>
+          <SegmentImportWizard onImported={handleImported} />
+        </Box>
+      )}
+
+      {/* Recently Deleted Tab */}
+      {activeTab === deletedTab && can("segments:delete") && (
+        <Box>
+          <RecentlyDeletedSegments onRestored={handleRestored} />
+        </Box>
+      )}
+
+      <ConflictDialog
+        yours={conflict?.yours}
+        theirs={conflict?.theirs}
+        base={conflict?.base}
+        fields={UNDOABLE_FIELDS}
+        onResolve={handleResolveConflict}
+        onDiscard={handleDiscardConflict}
+      />
+
       {/* Notification */}
       <Snackbar
         open={notification.open}
@@ -234,6 +403,18 @@ const SegmentManagementPage = () => {
           onClose={handleCloseNotification}
           severity={notification.severity}
           variant="filled"
+          action={
+            notification.action && (
+              <Button
+                color="inherit"
+                size="small"
+                onClick={handleNotificationAction}
+                disabled={history.replaying}
+              >
+                {notification.action === "undo" ? "Undo" : "Redo"}
+              </Button>
+            )
+          }
         >
           {notification.message}
         </Alert>
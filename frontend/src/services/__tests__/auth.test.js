@@ -0,0 +1,82 @@
+import { attachAuth, SESSION_EXPIRED_EVENT } from '../auth';
+
+const mockPost = jest.fn();
+
+jest.mock('axios', () => ({
+  create: () => ({ post: (...args) => mockPost(...args) }),
+}));
+
+// Minimal axios instance that records the interceptors attached to it
+const createClient = () => {
+  const client = jest.fn();
+  client.interceptors = {
+    request: { use: jest.fn() },
+    response: { use: jest.fn() },
+  };
+  attachAuth(client);
+
+  return {
+    client,
+    onRequest: client.interceptors.request.use.mock.calls[0][0],
+    onError: client.interceptors.response.use.mock.calls[0][1],
+  };
+};
+
+const unauthorized = (code, config = { headers: {} }) => ({
+  config,
+  response: { status: 401, data: { success: false, code } },
+});
+
+describe('attachAuth', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    mockPost.mockReset();
+  });
+
+  it('should send the access token as a bearer token', () => {
+    localStorage.setItem('token', 'access-1');
+    const { onRequest } = createClient();
+
+    expect(onRequest({ headers: {} }).headers.Authorization).toBe('Bearer access-1');
+  });
+
+  it('should refresh once for concurrent expired requests and retry them', async () => {
+    localStorage.setItem('token', 'access-1');
+    localStorage.setItem('refreshToken', 'refresh-1');
+    mockPost.mockResolvedValue({
+      data: {
+        data: { accessToken: 'access-2', refreshToken: 'refresh-2', user: { username: 'op' } },
+      },
+    });
+    const { client, onError } = createClient();
+    client.mockResolvedValue({ data: 'ok' });
+
+    await Promise.all([
+      onError(unauthorized('TOKEN_EXPIRED')),
+      onError(unauthorized('TOKEN_EXPIRED')),
+    ]);
+
+    expect(mockPost).toHaveBeenCalledTimes(1);
+    expect(mockPost).toHaveBeenCalledWith('/auth/refresh', { refreshToken: 'refresh-1' });
+    expect(client).toHaveBeenCalledTimes(2);
+    expect(client.mock.calls[0][0].headers.Authorization).toBe('Bearer access-2');
+    expect(localStorage.getItem('refreshToken')).toBe('refresh-2');
+  });
+
+  it('should end the session when the refresh fails', async () => {
+    localStorage.setItem('token', 'access-1');
+    localStorage.setItem('refreshToken', 'refresh-1');
+    mockPost.mockRejectedValue(unauthorized('REFRESH_TOKEN_REUSED'));
+    const expired = jest.fn();
+    window.addEventListener(SESSION_EXPIRED_EVENT, expired);
+    const { client, onError } = createClient();
+    const error = unauthorized('TOKEN_EXPIRED');
+
+    await expect(onError(error)).rejects.toBe(error);
+
+    expect(client).not.toHaveBeenCalled();
+    expect(expired).toHaveBeenCalledTimes(1);
+    expect(localStorage.getItem('token')).toBeNull();
+    window.removeEventListener(SESSION_EXPIRED_EVENT, expired);
+  });
+});
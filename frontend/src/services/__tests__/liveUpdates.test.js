@@ -0,0 +1,92 @@
+import { TextEncoder, TextDecoder } from 'util';
+import { subscribeToChanges } from '../liveUpdates';
+import apiService from '../apiService';
+
+jest.mock('../auth', () => ({
+  getAccessToken: () => 'access-1',
+  refreshSession: jest.fn(),
+}));
+
+jest.mock('../apiService', () => ({
+  __esModule: true,
+  default: { clearCache: jest.fn(), clearMachinesCache: jest.fn() },
+}));
+
+// Response whose body yields the given chunks, then stays open until aborted
+const streamResponse = chunks => {
+  const encoder = new TextEncoder();
+  const reads = chunks.map(chunk => ({ value: encoder.encode(chunk), done: false }));
+
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: () => (reads.length > 0 ? Promise.resolve(reads.shift()) : new Promise(() => {})),
+      }),
+    },
+  };
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('subscribeToChanges', () => {
+  beforeAll(() => {
+    global.TextDecoder = global.TextDecoder || TextDecoder;
+  });
+
+  beforeEach(() => {
+    apiService.clearCache.mockReset();
+    apiService.clearMachinesCache.mockReset();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('should pass on events split across chunks and clear the stale cache', async () => {
+    const event = { event: 'segment.update', id: 's1', machineName: 'M1', data: {} };
+    const message = `retry: 5000\n\ndata: ${JSON.stringify(event)}\n\n`;
+    global.fetch = jest
+      .fn()
+      .mockResolvedValue(streamResponse([message.slice(0, 30), message.slice(30)]));
+    const listener = jest.fn();
+
+    const unsubscribe = subscribeToChanges(listener);
+    await flush();
+    unsubscribe();
+
+    expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer access-1');
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(event);
+    expect(apiService.clearCache).toHaveBeenCalledWith('segments');
+    expect(apiService.clearCache).toHaveBeenCalledWith('segment_s1');
+    expect(apiService.clearCache).toHaveBeenCalledWith('timeline_M1');
+  });
+
+  it('should clear every cached page of the machine list on a machine change', async () => {
+    const event = { event: 'machine.update', id: 'm1', machineName: 'M1', data: {} };
+    global.fetch = jest
+      .fn()
+      .mockResolvedValue(streamResponse([`data: ${JSON.stringify(event)}\n\n`]));
+
+    const unsubscribe = subscribeToChanges(jest.fn());
+    await flush();
+    unsubscribe();
+
+    expect(apiService.clearMachinesCache).toHaveBeenCalledTimes(1);
+    expect(apiService.clearCache).toHaveBeenCalledWith('machine_m1');
+  });
+
+  it('should share one stream between listeners', async () => {
+    global.fetch = jest.fn().mockResolvedValue(streamResponse([]));
+
+    const first = subscribeToChanges(jest.fn());
+    const second = subscribeToChanges(jest.fn());
+    await flush();
+    first();
+    second();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { attachAuth } from './auth';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
@@ -9,6 +10,8 @@ const api = axios.create({
   },
 });
 
+attachAuth(api);
+
 // Segment API endpoints
 export const segmentAPI = {
   // Get all segments with optional filtering and pagination
@@ -61,6 +64,36 @@ export const segmentAPI = {
     }
   },
 
+  // Close an open segment, now or at an earlier time
+  close: async (id, endAt) => {
+    try {
+      const response = await api.post(`/segments/${id}/close`, endAt ? { endAt } : {});
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  // Get the gaps no segment accounts for, for today unless a date range is given
+  getGaps: async (params = {}) => {
+    try {
+      const response = await api.get('/segments/gaps', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  // Fill the gaps with segments of one type
+  fillGaps: async (data = {}) => {
+    try {
+      const response = await api.post('/segments/gaps/fill', data);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
   // Get timeline data for visualization
   getTimelineData: async (machineName, params = {}) => {
     try {
@@ -72,4 +105,94 @@ export const segmentAPI = {
   },
 };
 
+// Reason code API endpoints
+export const reasonCodeAPI = {
+  // Get the downtime reason-code catalog
+  getAll: async (params = {}) => {
+    try {
+      const response = await api.get('/reason-codes', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+};
+
+// Plant hierarchy API endpoints
+export const plantAPI = {
+  // Get the sites, areas and lines of the plant, flat or as a tree with each line's machines
+  getAll: async (params = {}) => {
+    try {
+      const response = await api.get('/plant-nodes', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+};
+
+// Machine API endpoints
+export const machineAPI = {
+  // Get a page of machines, filtered and sorted; pass the previous page's
+  // pagination.nextCursor as cursor for the next one
+  getAll: async (params = {}) => {
+    try {
+      const response = await api.get('/machines', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  // Get a machine by ID, with its runtime counters
+  getById: async id => {
+    try {
+      const response = await api.get(`/machines/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  // Create a machine
+  create: async machineData => {
+    try {
+      const response = await api.post('/machines', machineData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  // Update a machine; send its __v to refuse the update if it has changed since
+  update: async (id, machineData) => {
+    try {
+      const response = await api.put(`/machines/${id}`, machineData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  // Delete a machine
+  delete: async id => {
+    try {
+      const response = await api.delete(`/machines/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  // Get the state every machine is in now, from its open segment
+  getCurrentState: async () => {
+    try {
+      const response = await api.get('/machines/current-state');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+};
+
 export default api;
@@ -1,4 +1,6 @@
 import axios from "axios";
+import { downloadFile } from "../utils/helpers";
+import { attachAuth } from "./auth";
 
 // API Base URL from environment variables
 const API_URL = process.env.REACT_APP_API_URL || "http://localhost:5000/api";
@@ -31,6 +33,11 @@ const RETRY_DELAY = 1000; // Base delay in ms
  * Converts API errors to user-friendly messages
  */
 const transformError = (error) => {
+  // Already transformed when a request was retried after a token refresh
+  if (error.originalError) {
+    return error;
+  }
+
   if (axios.isCancel(error)) {
     return {
       message: "Request was cancelled",
@@ -107,11 +114,10 @@ const retryWithBackoff = async (
   try {
     return await fn();
   } catch (error) {
-    // Don't retry on these status codes
-    if (
-      error.response &&
-      [400, 401, 403, 404, 422].includes(error.response.status)
-    ) {
+    // Don't retry on these status codes; errors reach here already
+    // transformed by the response interceptor, with the status at the top
+    const status = error.response ? error.response.status : error.status;
+    if ([400, 401, 403, 404, 409, 422].includes(status)) {
       throw error;
     }
 
@@ -166,6 +172,23 @@ const clearCache = (key) => {
   }
 };
 
+/**
+ * Clear every cache entry whose key starts with a prefix, e.g. all the cached
+ * pages of the machine list
+ * @param {String} prefix - Start of the cache keys to clear
+ */
+const clearCacheByPrefix = (prefix) => {
+  for (const key of [...cache.data.keys()]) {
+    if (key.startsWith(prefix)) {
+      cache.data.delete(key);
+      cache.timestamp.delete(key);
+    }
+  }
+};
+
+// Start of the cache keys of the machine list pages, one per set of params
+const MACHINES_CACHE_PREFIX = "machines_";
+
 /**
  * Create a cancel token for a request
  * @param {String} key - Request identifier
@@ -191,18 +214,8 @@ const removeCancelToken = (key) => {
   cancelTokens.delete(key);
 };
 
-// Request interceptor
-api.interceptors.request.use(
-  (config) => {
-    // Add auth token if available
-    const token = localStorage.getItem("token");
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => Promise.reject(error)
-);
+// Auth header and token refresh; registered before the error transform below
+attachAuth(api);
 
 // Response interceptor
 api.interceptors.response.use(
@@ -259,6 +272,45 @@ const apiService = {
     }
   },
 
+  /**
+   * Get segment data by ID
+   * @param {String} id - Segment ID
+   * @param {Object} options - Request options
+   * @returns {Promise} - Promise with segment data
+   */
+  async getSegment(id, options = {}) {
+    const { useCache = true, cancelKey = `segment_${id}` } = options;
+
+    const cacheKey = `segment_${id}`;
+
+    // Return cached data if valid
+    if (useCache && isCacheValid(cacheKey)) {
+      return cache.data.get(cacheKey);
+    }
+
+    try {
+      // Create cancel token
+      const cancelToken = createCancelToken(cancelKey);
+
+      // Make request with retry
+      const response = await retryWithBackoff(() =>
+        api.get(`/segments/${id}`, { cancelToken })
+      );
+
+      // Cache the response
+      setCacheData(cacheKey, response.data);
+
+      // Cleanup
+      removeCancelToken(cancelKey);
+
+      return response.data;
+    } catch (error) {
+      // Cleanup
+      removeCancelToken(cancelKey);
+      throw error;
+    }
+  },
+
   /**
    * Update a segment
    * @param {String} id - Segment ID
@@ -361,6 +413,242 @@ const apiService = {
     }
   },
 
+  /**
+   * Get recently deleted segments, most recently deleted first
+   * @param {Object} options - Request options
+   * @returns {Promise} - Promise with the deleted segments
+   */
+  async getDeletedSegments(options = {}) {
+    const { cancelKey = "deletedSegments" } = options;
+
+    try {
+      // Create cancel token
+      const cancelToken = createCancelToken(cancelKey);
+
+      // Make request with retry
+      const response = await retryWithBackoff(() =>
+        api.get("/segments/deleted", { cancelToken })
+      );
+
+      // Cleanup
+      removeCancelToken(cancelKey);
+
+      return response.data;
+    } catch (error) {
+      // Cleanup
+      removeCancelToken(cancelKey);
+      throw error;
+    }
+  },
+
+  /**
+   * Restore a deleted segment
+   * @param {String} id - Segment ID
+   * @param {Object} options - Request options
+   * @returns {Promise} - Promise with the restored segment
+   */
+  async restoreSegment(id, options = {}) {
+    const { cancelKey = `restoreSegment_${id}` } = options;
+
+    try {
+      // Create cancel token
+      const cancelToken = createCancelToken(cancelKey);
+
+      // Make request with retry
+      const response = await retryWithBackoff(() =>
+        api.post(`/segments/${id}/restore`, null, { cancelToken })
+      );
+
+      // Clear cache as data has changed
+      clearCache("segments");
+      clearCache(`segment_${id}`);
+      clearCache("statistics");
+
+      // Cleanup
+      removeCancelToken(cancelKey);
+
+      return response.data;
+    } catch (error) {
+      // Cleanup
+      removeCancelToken(cancelKey);
+      throw error;
+    }
+  },
+
+  /**
+   * Split a segment in two at a given time
+   * @param {String} id - Segment ID
+   * @param {Object} data - Split time as `at`, optional new `segmentType` for
+   * the part on `side` ("before" or "after", default "after")
+   * @param {Object} options - Request options
+   * @returns {Promise} - Promise with both parts of the segment
+   */
+  async splitSegment(id, data, options = {}) {
+    const { cancelKey = `splitSegment_${id}` } = options;
+
+    try {
+      // Create cancel token
+      const cancelToken = createCancelToken(cancelKey);
+
+      // Make request with retry
+      const response = await retryWithBackoff(() =>
+        api.post(`/segments/${id}/split`, data, { cancelToken })
+      );
+
+      // Clear cache as data has changed
+      clearCache("segments");
+      clearCache(`segment_${id}`);
+      clearCache("statistics");
+
+      // Cleanup
+      removeCancelToken(cancelKey);
+
+      return response.data;
+    } catch (error) {
+      // Cleanup
+      removeCancelToken(cancelKey);
+      throw error;
+    }
+  },
+
+  /**
+   * Merge contiguous segments of one machine into the earliest of them
+   * @param {Array<String>} ids - Segment IDs
+   * @param {Array<Number>} [versions] - Version (__v) each segment was edited at,
+   * in the order of ids; the merge is refused if one has changed since
+   * @param {Object} options - Request options
+   * @returns {Promise} - Promise with the merged segment and the deleted IDs
+   */
+  async mergeSegments(ids, versions, options = {}) {
+    const { cancelKey = "mergeSegments" } = options;
+
+    try {
+      // Create cancel token
+      const cancelToken = createCancelToken(cancelKey);
+
+      // Make request with retry
+      const response = await retryWithBackoff(() =>
+        api.post(
+          "/segments/merge",
+          { ids, ...(versions && { versions }) },
+          { cancelToken }
+        )
+      );
+
+      // Clear cache as data has changed
+      clearCache("segments");
+      ids.forEach((id) => clearCache(`segment_${id}`));
+      clearCache("statistics");
+
+      // Cleanup
+      removeCancelToken(cancelKey);
+
+      return response.data;
+    } catch (error) {
+      // Cleanup
+      removeCancelToken(cancelKey);
+      throw error;
+    }
+  },
+
+  /**
+   * Import segments from a CSV or XLSX file
+   * @param {File} file - File to upload
+   * @param {Object} options - Import and request options
+   * @param {Object} options.mapping - Segment field to column header mapping
+   * @param {Boolean} options.dryRun - Only validate the rows (default true)
+   * @param {Boolean} options.skipInvalid - Save the valid rows when some are invalid
+   * @returns {Promise} - Promise with the row report
+   */
+  async importSegments(file, options = {}) {
+    const {
+      mapping,
+      dryRun = true,
+      skipInvalid = false,
+      cancelKey = "importSegments",
+    } = options;
+
+    try {
+      // Create cancel token
+      const cancelToken = createCancelToken(cancelKey);
+
+      const formData = new FormData();
+      formData.append("file", file);
+      if (mapping) {
+        formData.append("mapping", JSON.stringify(mapping));
+      }
+
+      // Not retried, a repeated upload could import the rows twice
+      const response = await api.post("/segments/import", formData, {
+        cancelToken,
+        params: { dryRun, skipInvalid },
+        headers: { "Content-Type": "multipart/form-data" },
+        timeout: 60000,
+      });
+
+      if (!dryRun) {
+        // Clear cache as data has changed
+        clearCache("segments");
+        clearCache("statistics");
+      }
+
+      // Cleanup
+      removeCancelToken(cancelKey);
+
+      return response.data;
+    } catch (error) {
+      // Cleanup
+      removeCancelToken(cancelKey);
+      throw error;
+    }
+  },
+
+  /**
+   * Download the segments matching the filters as a file
+   * @param {String} format - "csv", "xlsx" or "pdf" (report)
+   * @param {Object} filters - machineName, segmentType, date, startDate, endDate and search
+   * @param {Object} options - Request options
+   * @returns {Promise} - Promise with the name of the downloaded file
+   */
+  async exportSegments(format, filters = {}, options = {}) {
+    const { cancelKey = "exportSegments" } = options;
+
+    // Leave out empty filters so they do not restrict the export
+    const params = Object.fromEntries(
+      Object.entries({ ...filters, format }).filter(
+        ([, value]) => value !== undefined && value !== null && value !== ""
+      )
+    );
+
+    try {
+      // Create cancel token
+      const cancelToken = createCancelToken(cancelKey);
+
+      // Make request with retry
+      const response = await retryWithBackoff(() =>
+        api.get("/segments/export", {
+          cancelToken,
+          params,
+          responseType: "blob",
+          timeout: 60000,
+        })
+      );
+
+      const prefix = format === "pdf" ? "segment-report" : "segments";
+      const filename = `${prefix}-${new Date().toISOString().slice(0, 10)}.${format}`;
+      downloadFile(response.data, filename);
+
+      // Cleanup
+      removeCancelToken(cancelKey);
+
+      return filename;
+    } catch (error) {
+      // Cleanup
+      removeCancelToken(cancelKey);
+      throw error;
+    }
+  },
+
   /**
    * Get timeline data for a specific machine
    * @param {String} machineName - Machine name
@@ -478,14 +766,58 @@ const apiService = {
   },
 
   /**
-   * Get all machines
+   * Get a page of machines
    * @param {Object} options - Request options
-   * @returns {Promise} - Promise with machines data
+   * @param {Object} options.params - Filters, sort, limit, cursor and fields, as for GET /machines
+   * @returns {Promise} - Promise with the machines in data and the next cursor in pagination
    */
   async getMachines(options = {}) {
-    const { useCache = true, cancelKey = "machines" } = options;
+    const { useCache = true, cancelKey = "machines", params = {} } = options;
+
+    const cacheKey = `${MACHINES_CACHE_PREFIX}${JSON.stringify(params)}`;
+
+    // Return cached data if valid
+    if (useCache && isCacheValid(cacheKey)) {
+      return cache.data.get(cacheKey);
+    }
+
+    try {
+      // Create cancel token
+      const cancelToken = createCancelToken(cancelKey);
+
+      // Make request with retry
+      const response = await retryWithBackoff(() =>
+        api.get("/machines", { params, cancelToken })
+      );
+
+      // Cache the response
+      setCacheData(cacheKey, response.data);
+
+      // Cleanup
+      removeCancelToken(cancelKey);
+
+      return response.data;
+    } catch (error) {
+      // Cleanup
+      removeCancelToken(cancelKey);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the downtime reason-code catalog
+   * @param {Object} options - Request options
+   * @param {Boolean} options.activeOnly - Only return codes that can be picked (default: true)
+   * @returns {Promise} - Promise with the reason codes
+   */
+  async getReasonCodes(options = {}) {
+    const {
+      useCache = true,
+      activeOnly = true,
+      cancelKey = "reasonCodes",
+    } = options;
 
-    const cacheKey = "machines";
+    const cacheKey = `reasonCodes_${activeOnly}`;
 
     // Return cached data if valid
     if (useCache && isCacheValid(cacheKey)) {
@@ -498,7 +830,10 @@ const apiService = {
 
       // Make request with retry
       const response = await retryWithBackoff(() =>
-        api.get("/machines", { cancelToken })
+        api.get("/reason-codes", {
+          params: activeOnly ? { active: true } : {},
+          cancelToken,
+        })
       );
 
       // Cache the response
@@ -515,12 +850,54 @@ const apiService = {
     }
   },
 
+  /**
+   * Get the change history of a segment, oldest revision first
+   * @param {String} id - Segment ID
+   * @param {Object} options - Request options
+   * @returns {Promise} - Promise with the audit entries
+   */
+  async getSegmentHistory(id, options = {}) {
+    const { cancelKey = `segmentHistory_${id}` } = options;
+
+    try {
+      // Create cancel token
+      const cancelToken = createCancelToken(cancelKey);
+
+      // Make request with retry; history is never cached as every save adds to it
+      const response = await retryWithBackoff(() =>
+        api.get(`/segments/${id}/history`, { cancelToken })
+      );
+
+      // Cleanup
+      removeCancelToken(cancelKey);
+
+      return response.data;
+    } catch (error) {
+      // Cleanup
+      removeCancelToken(cancelKey);
+      throw error;
+    }
+  },
+
   /**
    * Manually clear cache
    * @param {String} key - Specific cache key to clear (optional)
    */
   clearCache,
 
+  /**
+   * Clear the cache entries whose keys start with a prefix
+   * @param {String} prefix - Start of the cache keys to clear
+   */
+  clearCacheByPrefix,
+
+  /**
+   * Clear every cached page of the machine list
+   */
+  clearMachinesCache() {
+    clearCacheByPrefix(MACHINES_CACHE_PREFIX);
+  },
+
   /**
    * Cancel all pending requests
    */
@@ -0,0 +1,148 @@
+import axios from 'axios';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// localStorage keys; the access token lives under "token" as it always has
+const ACCESS_TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+const USER_KEY = 'user';
+
+// Dispatched on window when the session is gone and the user has to sign in again
+export const SESSION_EXPIRED_EVENT = 'auth:session-expired';
+
+// Plain client for the auth endpoints, so refreshing never goes through the interceptors below
+const authClient = axios.create({
+  baseURL: API_URL,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Refresh in flight, shared so concurrent 401s trigger a single refresh
+let pendingRefresh = null;
+
+export const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_KEY);
+
+// Get the signed-in user saved with the session, or null
+export const getStoredUser = () => {
+  if (!getAccessToken()) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+const storeSession = ({ accessToken, refreshToken, user }) => {
+  localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+};
+
+const expireSession = () => {
+  clearSession();
+  window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+};
+
+// Sign in and store the session; resolves with the user
+export const login = async (username, password) => {
+  try {
+    const response = await authClient.post('/auth/login', { username, password });
+    storeSession(response.data.data);
+    return response.data.data.user;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+// Sign out; the local session is cleared even if the server cannot be reached
+export const logout = async () => {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  clearSession();
+
+  if (refreshToken) {
+    try {
+      await authClient.post('/auth/logout', { refreshToken });
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+  }
+};
+
+// Swap the refresh token for a new token pair; resolves with the new access token
+export const refreshSession = () => {
+  if (!pendingRefresh) {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+
+    pendingRefresh = (async () => {
+      try {
+        if (!refreshToken) {
+          throw new Error('No refresh token');
+        }
+
+        const response = await authClient.post('/auth/refresh', { refreshToken });
+        storeSession(response.data.data);
+        return response.data.data.accessToken;
+      } catch (error) {
+        expireSession();
+        throw error;
+      } finally {
+        pendingRefresh = null;
+      }
+    })();
+  }
+
+  return pendingRefresh;
+};
+
+// Send the access token with every request on an axios instance, refreshing it once when the
+// API reports it expired; any other 401 ends the session
+export const attachAuth = client => {
+  client.interceptors.request.use(config => {
+    const token = getAccessToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  });
+
+  client.interceptors.response.use(
+    response => response,
+    async error => {
+      const { config, response } = error;
+
+      if (response?.status !== 401) {
+        throw error;
+      }
+
+      if (response.data?.code === 'TOKEN_EXPIRED' && config && !config.authRetried) {
+        let token;
+        try {
+          token = await refreshSession();
+        } catch (refreshError) {
+          throw error;
+        }
+
+        config.authRetried = true;
+        config.headers.Authorization = `Bearer ${token}`;
+        return client(config);
+      }
+
+      if (getAccessToken()) {
+        expireSession();
+      }
+      throw error;
+    }
+  );
+
+  return client;
+};
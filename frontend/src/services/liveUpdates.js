@@ -0,0 +1,142 @@
+import { getAccessToken, refreshSession } from './auth';
+import apiService from './apiService';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Wait before reconnecting after the stream drops or cannot be opened
+const RECONNECT_DELAY = 5000;
+
+// Sent to listeners after a reconnect, since changes may have been missed meanwhile
+export const RESYNC_EVENT = 'resync';
+
+const listeners = new Set();
+
+// Open stream, shared by every listener
+let controller = null;
+let reconnectTimer = null;
+let connectedBefore = false;
+
+// Drop the cached responses a change makes stale
+const invalidateCache = ({ event, id, machineName }) => {
+  if (event === RESYNC_EVENT) {
+    apiService.clearCache();
+  } else if (event.startsWith('segment.')) {
+    apiService.clearCache('segments');
+    apiService.clearCache(`segment_${id}`);
+    apiService.clearCache('statistics');
+    apiService.clearCache(`timeline_${machineName}`);
+  } else if (event.startsWith('machine.')) {
+    apiService.clearMachinesCache();
+    apiService.clearCache(`machine_${id}`);
+  }
+};
+
+const dispatch = event => {
+  invalidateCache(event);
+  listeners.forEach(listener => listener(event));
+};
+
+// Open the stream with the access token, which EventSource cannot send as a header
+const openStream = signal =>
+  fetch(`${API_URL}/events`, {
+    headers: {
+      Accept: 'text/event-stream',
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+    signal,
+  });
+
+// Read Server-Sent Events from a response until it ends; only data lines are used
+const readEvents = async body => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) {
+      return;
+    }
+
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+
+    messages.forEach(message => {
+      const data = message
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+
+      if (data) {
+        dispatch(JSON.parse(data));
+      }
+    });
+  }
+};
+
+const connect = async () => {
+  const current = new AbortController();
+  controller = current;
+
+  try {
+    let response = await openStream(current.signal);
+
+    // An expired access token is refreshed once, as for other API calls
+    if (response.status === 401) {
+      await refreshSession();
+      response = await openStream(current.signal);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Event stream failed with status ${response.status}`);
+    }
+
+    if (connectedBefore) {
+      dispatch({ event: RESYNC_EVENT });
+    }
+    connectedBefore = true;
+
+    await readEvents(response.body);
+  } catch (error) {
+    if (current.signal.aborted) {
+      return;
+    }
+    console.error('Live updates disconnected:', error);
+  }
+
+  if (controller === current && listeners.size > 0) {
+    reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+  }
+};
+
+const disconnect = () => {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+
+  if (controller) {
+    controller.abort();
+    controller = null;
+  }
+  connectedBefore = false;
+};
+
+// Listen to the segment and machine changes the signed-in user can see, made by anyone. Events
+// look like { event: 'segment.update', id, machineName, data }; 'resync' means reload everything.
+// Returns a function that stops listening.
+export const subscribeToChanges = listener => {
+  listeners.add(listener);
+
+  if (listeners.size === 1) {
+    connect();
+  }
+
+  return () => {
+    listeners.delete(listener);
+
+    if (listeners.size === 0) {
+      disconnect();
+    }
+  };
+};
@@ -0,0 +1,63 @@
+import {
+  withCurrentEndTime,
+  calculateElapsedMinutes,
+  calculateTimeAlongSegment,
+} from "../timeUtils";
+
+describe("withCurrentEndTime", () => {
+  const now = new Date(2025, 6, 15, 10, 30, 0);
+
+  it("should run an open segment until now", () => {
+    const [segment] = withCurrentEndTime(
+      [{ id: "1", date: "2025-07-15", startTime: "08:00:00", endTime: null }],
+      now
+    );
+
+    expect(segment).toMatchObject({ endTime: "10:30:00", open: true });
+  });
+
+  it("should run an open segment from an earlier day to the end of that day", () => {
+    const [segment] = withCurrentEndTime(
+      [{ id: "1", date: "2025-07-14", startTime: "22:00:00", endTime: null }],
+      now
+    );
+
+    expect(segment.endTime).toEqual("23:59:59");
+  });
+
+  it("should leave closed segments as they are", () => {
+    const closed = {
+      id: "1",
+      date: "2025-07-15",
+      startTime: "08:00:00",
+      endTime: "09:00:00",
+    };
+
+    expect(withCurrentEndTime([closed], now)).toEqual([closed]);
+  });
+});
+
+describe("calculateElapsedMinutes", () => {
+  it("should count the minutes since a timestamp", () => {
+    const now = new Date("2025-07-15T10:30:00.000Z");
+
+    expect(calculateElapsedMinutes("2025-07-15T08:00:00.000Z", now)).toEqual(
+      150
+    );
+    expect(calculateElapsedMinutes("2025-07-15T11:00:00.000Z", now)).toEqual(0);
+  });
+});
+
+describe("calculateTimeAlongSegment", () => {
+  it("should find the time at a point along a segment, to the minute", () => {
+    expect(
+      calculateTimeAlongSegment("2025-07-15T08:00:00.000Z", 90, 0.505)
+    ).toEqual(new Date("2025-07-15T08:45:00.000Z"));
+  });
+
+  it("should keep the time within the segment", () => {
+    expect(
+      calculateTimeAlongSegment("2025-07-15T08:00:00.000Z", 90, 1.2)
+    ).toEqual(new Date("2025-07-15T09:30:00.000Z"));
+  });
+});
@@ -0,0 +1,116 @@
+import apiService from "../../services/apiService";
+import {
+  buildUpdateOperation,
+  canReplay,
+  replayOperations,
+} from "../undoUtils";
+
+jest.mock("../../services/apiService", () => ({
+  __esModule: true,
+  default: {
+    getSegment: jest.fn(),
+    updateSegment: jest.fn(),
+    deleteSegment: jest.fn(),
+    restoreSegment: jest.fn(),
+  },
+}));
+
+describe("buildUpdateOperation", () => {
+  it("should keep only the fields the update changed", () => {
+    expect(
+      buildUpdateOperation(
+        "1",
+        { segmentType: "uptime", startTime: "08:00:00", notes: "" },
+        { segmentType: "downtime", startTime: "08:00:00" }
+      )
+    ).toEqual({
+      type: "update",
+      id: "1",
+      before: { segmentType: "uptime" },
+      after: { segmentType: "downtime" },
+    });
+  });
+
+  it("should return null when nothing changed", () => {
+    expect(
+      buildUpdateOperation("1", { notes: null }, { notes: "" })
+    ).toBeNull();
+  });
+});
+
+describe("replayOperations", () => {
+  const edit = {
+    type: "update",
+    id: "1",
+    before: { segmentType: "uptime" },
+    after: { segmentType: "downtime" },
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it("should write the previous values back on undo", async () => {
+    apiService.getSegment.mockResolvedValue({
+      data: { segmentType: "downtime", __v: 4 },
+    });
+    apiService.updateSegment.mockResolvedValue({});
+
+    const result = await replayOperations([edit], "undo");
+
+    expect(apiService.updateSegment).toHaveBeenCalledWith("1", {
+      segmentType: "uptime",
+      __v: 4,
+    });
+    expect(result).toEqual({ applied: [edit], skipped: [] });
+  });
+
+  it("should leave a segment that changed since alone", async () => {
+    apiService.getSegment.mockResolvedValue({ data: { segmentType: "idle" } });
+
+    const result = await replayOperations([edit], "undo");
+
+    expect(apiService.updateSegment).not.toHaveBeenCalled();
+    expect(result.applied).toEqual([]);
+    expect(result.skipped[0].reason).toBe("Changed since (segmentType)");
+  });
+
+  it("should restore deleted segments on undo and delete them again on redo", async () => {
+    const deletion = { type: "delete", id: "2" };
+    apiService.restoreSegment.mockResolvedValue({});
+    apiService.deleteSegment.mockResolvedValue({});
+
+    await replayOperations([deletion], "undo");
+    await replayOperations([deletion], "redo");
+
+    expect(apiService.restoreSegment).toHaveBeenCalledWith("2");
+    expect(apiService.deleteSegment).toHaveBeenCalledWith("2");
+  });
+
+  it("should report segments that no longer exist", async () => {
+    apiService.restoreSegment.mockRejectedValue({ status: 404 });
+
+    const result = await replayOperations(
+      [{ type: "delete", id: "3" }],
+      "undo"
+    );
+
+    expect(result.skipped).toEqual([
+      { type: "delete", id: "3", reason: "No longer exists" },
+    ]);
+  });
+});
+
+describe("canReplay", () => {
+  const operator = (permission) => permission === "segments:update";
+
+  it("should allow updates to users who can update segments", () => {
+    expect(canReplay({ type: "update", id: "1" }, operator)).toBe(true);
+  });
+
+  it("should need segments:delete to replay creates and deletes", () => {
+    expect(canReplay({ type: "delete", id: "1" }, operator)).toBe(false);
+    expect(canReplay({ type: "create", id: "1" }, operator)).toBe(false);
+    expect(canReplay({ type: "delete", id: "1" }, () => true)).toBe(true);
+  });
+});
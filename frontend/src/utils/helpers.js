@@ -45,6 +45,13 @@ export const getStatusColor = (status) => {
   }
 };
 
+/**
+ * Format a number of hours to one decimal place
+ * @param {number} hours - Hours, e.g. a machine's run hours
+ * @returns {string} The formatted hours, 0.0 when not set
+ */
+export const formatHours = (hours) => (hours || 0).toFixed(1);
+
 /**
  * Truncate a string if it's longer than maxLength
  * @param {string} str - The string to truncate
@@ -55,3 +62,19 @@ export const truncate = (str, maxLength = 50) => {
   if (!str) return "";
   return str.length > maxLength ? `${str.substring(0, maxLength)}...` : str;
 };
+
+/**
+ * Save a blob as a file through a temporary download link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Name of the downloaded file
+ */
+export const downloadFile = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
@@ -74,17 +74,21 @@ export const calculateSegmentPosition = (startTime, dayStartTime = "00:00:00", t
 /**
  * Calculates downtime analytics for a machine
  * @param {Array} segments - Array of segments for the machine
+ * @param {Array} reasonCodes - Reason-code catalog; downtime with a planned reason counts as planned deviation
  * @returns {Object} - Downtime analytics object
  */
-export const calculateDowntimeAnalytics = (segments) => {
+export const calculateDowntimeAnalytics = (segments, reasonCodes = []) => {
   let unplannedDowntime = 0;
   let plannedDeviated = 0;
+  const plannedReasons = new Set(
+    reasonCodes.filter(reason => reason.planned).map(reason => reason.code)
+  );
   
   segments.forEach(segment => {
     const duration = calculateDurationInMinutes(segment.startTime, segment.endTime);
-    if (segment.segmentType === 'downtime') {
+    if (segment.segmentType === 'downtime' && !plannedReasons.has(segment.reasonCode)) {
       unplannedDowntime += duration;
-    } else if (segment.segmentType === 'idle') {
+    } else if (segment.segmentType === 'downtime' || segment.segmentType === 'idle') {
       plannedDeviated += duration;
     }
   });
@@ -108,4 +112,63 @@ export const groupSegmentsByMachine = (segments) => {
     acc[segment.machineName].push(segment);
     return acc;
   }, {});
-}; 
\ No newline at end of file
+}; 
+/**
+ * Formats a time of day as a time string
+ * @param {Date} date - Date to format
+ * @returns {string} - Time string in format "HH:MM:SS"
+ */
+const formatTimeOfDay = (date) =>
+  [date.getHours(), date.getMinutes(), date.getSeconds()]
+    .map(part => String(part).padStart(2, '0'))
+    .join(':');
+
+/**
+ * Fills in the end time of open segments, which are still running, with the
+ * current time; an open segment that started on an earlier day runs to the
+ * end of that day
+ * @param {Array} segments - Array of segments; open segments have no end time
+ * @param {Date} now - Current time
+ * @returns {Array} - Segments with an end time, open ones flagged with `open: true`
+ */
+export const withCurrentEndTime = (segments, now = new Date()) => {
+  return segments.map(segment => {
+    if (segment.endTime || !segment.date || !segment.startTime) {
+      return segment;
+    }
+
+    const [year, month, day] = segment.date.split('-').map(Number);
+    const endOfDay = new Date(year, month - 1, day, 23, 59, 59);
+    const end = now < endOfDay ? now : endOfDay;
+    const endTime = formatTimeOfDay(end);
+
+    return {
+      ...segment,
+      endTime: endTime > segment.startTime ? endTime : segment.startTime,
+      open: true
+    };
+  });
+};
+
+/**
+ * Calculates the minutes elapsed since a timestamp
+ * @param {string|Date} since - Start timestamp
+ * @param {Date} now - Current time
+ * @returns {number} - Elapsed minutes, 0 for a timestamp in the future
+ */
+export const calculateElapsedMinutes = (since, now = new Date()) => {
+  return Math.max(0, (now - new Date(since)) / 60000);
+};
+
+/**
+ * Calculates the time at a point along a segment, rounded to the minute, e.g.
+ * where a segment dragged across in the timeline is split
+ * @param {string|Date} start - Start timestamp of the segment
+ * @param {number} duration - Duration of the segment in minutes
+ * @param {number} fraction - Point along the segment, from 0 (start) to 1 (end)
+ * @returns {Date} - Time at that point
+ */
+export const calculateTimeAlongSegment = (start, duration, fraction) => {
+  const minutes = Math.round(duration * Math.min(Math.max(fraction, 0), 1));
+  return new Date(new Date(start).getTime() + minutes * 60000);
+};
@@ -0,0 +1,150 @@
+import apiService from "../services/apiService";
+
+// Segment fields an edit can change and an undo puts back
+export const UNDOABLE_FIELDS = [
+  "date",
+  "startTime",
+  "endTime",
+  "machineName",
+  "segmentType",
+  "reasonCode",
+  "notes",
+  "totalCount",
+  "rejectCount",
+];
+
+/**
+ * Compare two field values, treating missing and empty values as equal
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if the values are the same
+ */
+const isSameValue = (a, b) => String(a ?? "") === String(b ?? "");
+
+/**
+ * Describe a segment update as an undoable operation
+ * @param {string} id - Segment ID
+ * @param {Object} previous - Segment before the update
+ * @param {Object} updated - Segment as saved by the server
+ * @returns {Object|null} - `{ type: "update", id, before, after }` with only the
+ * changed fields, or null if nothing changed
+ */
+export const buildUpdateOperation = (id, previous, updated) => {
+  const fields = UNDOABLE_FIELDS.filter(
+    (field) => field in updated && !isSameValue(previous[field], updated[field])
+  );
+
+  if (fields.length === 0) {
+    return null;
+  }
+
+  return {
+    type: "update",
+    id,
+    before: Object.fromEntries(fields.map((field) => [field, previous[field]])),
+    after: Object.fromEntries(fields.map((field) => [field, updated[field]])),
+  };
+};
+
+/**
+ * Set fields of a segment, provided the server still has the values this
+ * history expects; a record changed by someone else since is left alone
+ * @param {string} id - Segment ID
+ * @param {Object} expected - Field values the segment should currently have
+ * @param {Object} target - Field values to write
+ * @returns {Promise} - Resolves once written
+ */
+const replaceFields = async (id, expected, target) => {
+  const { data: current } = await apiService.getSegment(id, {
+    useCache: false,
+  });
+
+  const changed = Object.keys(expected).filter(
+    (field) => !isSameValue(current[field], expected[field])
+  );
+
+  if (changed.length > 0) {
+    throw new Error(`Changed since (${changed.join(", ")})`);
+  }
+
+  // The version makes the server refuse the write if it changed in between
+  return apiService.updateSegment(id, { ...target, __v: current.__v });
+};
+
+// Inverse (undo) and repeat (redo) API call of each operation type; deleted
+// segments are soft deleted, so restoring them brings them back unchanged
+const REPLAYS = {
+  update: {
+    undo: ({ id, before, after }) => replaceFields(id, after, before),
+    redo: ({ id, before, after }) => replaceFields(id, before, after),
+  },
+  delete: {
+    undo: ({ id }) => apiService.restoreSegment(id),
+    redo: ({ id }) => apiService.deleteSegment(id),
+  },
+  create: {
+    undo: ({ id }) => apiService.deleteSegment(id),
+    redo: ({ id }) => apiService.restoreSegment(id),
+  },
+};
+
+// Permission each operation type needs to be undone and redone; deleting and
+// restoring a segment both need segments:delete
+const REPLAY_PERMISSIONS = {
+  update: "segments:update",
+  delete: "segments:delete",
+  create: "segments:delete",
+};
+
+/**
+ * Check whether the signed-in user may undo and redo an operation
+ * @param {Object} operation - Operation of a history entry
+ * @param {Function} can - Permission check from useAuth
+ * @returns {boolean} - True if both replays are allowed
+ */
+export const canReplay = (operation, can) =>
+  can(REPLAY_PERMISSIONS[operation.type]);
+
+/**
+ * Explain why an operation could not be replayed
+ * @param {Object} error - Error from the API or replaceFields
+ * @returns {string} - Reason to show to the user
+ */
+const describeReplayError = (error) => {
+  if (error.status === 404) {
+    return "No longer exists";
+  }
+
+  // Overlap conflicts and permission errors carry the server's explanation
+  return (error.data && error.data.message) || error.message;
+};
+
+/**
+ * Undo or redo the operations of one history entry through apiService
+ * @param {Array} operations - Operations of the entry
+ * @param {string} direction - "undo" or "redo"
+ * @returns {Promise<Object>} - `{ applied, skipped }`; skipped operations carry
+ * the `reason` they could not be replayed
+ */
+export const replayOperations = async (operations, direction) => {
+  const applied = [];
+  const skipped = [];
+
+  // Undo in reverse order so operations on the same segment unwind correctly
+  const ordered =
+    direction === "undo" ? [...operations].reverse() : [...operations];
+
+  for (const operation of ordered) {
+    try {
+      await REPLAYS[operation.type][direction](operation);
+      applied.push(operation);
+    } catch (error) {
+      skipped.push({ ...operation, reason: describeReplayError(error) });
+    }
+  }
+
+  return {
+    applied: direction === "undo" ? applied.reverse() : applied,
+    skipped,
+  };
+};
@@ -193,6 +193,10 @@ export const validateSegmentForm = (formData, existingSegments = []) => {
     errors.segmentType = "Invalid segment type";
   }
 
+  if (formData.notes && formData.notes.length > 1000) {
+    errors.notes = "Notes cannot be longer than 1000 characters";
+  }
+
   // Advanced validations (only if basic validations pass)
   if (
     !errors.startTime &&